@@ -5,14 +5,38 @@ importScripts('assets/pako.min.js')
 importScripts('shared/config.js')
 importScripts('shared/domains.js')
 importScripts('shared/storage.js')
+importScripts('shared/secret-store.js')
 importScripts('shared/lifecycle-manager.js')
+importScripts('shared/port-protocol.js')
+importScripts('background/metric-catalogue.js')
 importScripts('background/stats-formatter.js')
+importScripts('background/line-protocol-formatter.js')
+importScripts('background/connection-events.js')
+importScripts('background/session-descriptions.js')
+importScripts('background/rate-calculator.js')
+importScripts('background/quality-scorer.js')
+importScripts('background/cardinality-guard.js')
+importScripts('background/network-path.js')
+importScripts('background/exposition-parser.js')
 importScripts('background/pushgateway-client.js')
+importScripts('background/remote-write-client.js')
+importScripts('background/otlp-client.js')
+importScripts('background/influxdb-client.js')
+importScripts('background/loki-client.js')
+importScripts('background/network-circuit-breaker.js')
+importScripts('background/offline-queue.js')
+importScripts('background/endpoint-failover.js')
+importScripts('background/auth-providers.js')
+importScripts('background/exporter-sinks.js')
+importScripts('background/push-batcher.js')
+importScripts('background/event-log.js')
+importScripts('background/connection-test.js')
 importScripts('background/options-manager.js')
 importScripts('background/connection-tracker.js')
 importScripts('background/lifecycle-manager.js')
 importScripts('background/tab-monitor.js')
 importScripts('background/message-handler.js')
+importScripts('background/port-server.js')
 
 // Use direct references to avoid variable declarations that might conflict
 // These reference the global objects set by the shared modules
@@ -23,9 +47,57 @@ function log (...args) {
 
 log('loaded')
 
+// Accept content script ports right away; their messages wait for the message handler
+const portServer = self.WebRTCExporterPortServer.createPortServer({ logger: { log } })
+
 // Initialize modules
-const pushgatewayClient = new self.WebRTCExporterPushgateway.PushgatewayClient()
 const statsCallback = self.WebRTCExporterPushgateway.createStatsCallback(chrome.storage)
+const secretStore = self.WebRTCExporterSecrets.createSecretStore({ logger: { log } })
+const sinkManager = self.WebRTCExporterSinks.createExporterSinkManager({
+  logger: { log },
+  statsCallback,
+  circuitBreakerFactory: self.WebRTCExporterNetworkCircuitBreaker.createNetworkCircuitBreaker,
+  queueStore: self.WebRTCExporterOfflineQueue.createOfflineQueueStore({ logger: { log }, indexedDB: self.indexedDB }),
+  failoverFactory: self.WebRTCExporterEndpointFailover.createEndpointFailover,
+  authProviderFactory: self.WebRTCExporterAuth.createAuthProvider,
+  secretStore
+})
+sinkManager.registerSinkType('pushgateway', self.WebRTCExporterPushgateway.pushgatewaySinkType)
+sinkManager.registerSinkType('remote_write', self.WebRTCExporterRemoteWrite.remoteWriteSinkType)
+sinkManager.registerSinkType('otlp', self.WebRTCExporterOtlp.otlpSinkType)
+sinkManager.registerSinkType('influxdb', self.WebRTCExporterInfluxDB.influxdbSinkType)
+const pushBatcher = self.WebRTCExporterPushBatcher.createPushBatcher({
+  logger: { log },
+  send: sendBatch
+})
+const eventLog = self.WebRTCExporterEventLog.createEventLogPipeline({
+  logger: { log },
+  client: new self.WebRTCExporterLoki.LokiClient(),
+  resolveGroupingKey,
+  secretStore
+})
+sinkManager.onCircuitStateChange((change) => eventLog.recordCircuitStateChange(change))
+sinkManager.onEndpointChange((change) => {
+  log(`sink ${change.name || change.sink} ${change.reason}: now pushing to ${change.url}`)
+  saveActiveEndpoints()
+})
+const connectionTester = self.WebRTCExporterConnectionTest.createConnectionTester({
+  logger: { log },
+  createClient: () => new self.WebRTCExporterPushgateway.PushgatewayClient(),
+  authProviderFactory: self.WebRTCExporterAuth.createAuthProvider,
+  secretStore,
+  permissions: chrome.permissions
+})
+const connectionEvents = self.WebRTCExporterConnectionEvents.createConnectionEventTracker({ logger: { log } })
+connectionEvents.onEvent((streamEvent) => eventLog.recordConnectionEvent(streamEvent))
+const sessionDescriptions = self.WebRTCExporterSessionDescriptions.createSessionDescriptionStore({
+  storageManager: self.WebRTCExporterStorage.StorageManager,
+  logger: { log },
+  config: self.WebRTCExporterConfig
+})
+const rateCalculator = self.WebRTCExporterRateCalculator.createRateCalculator({ logger: { log } })
+const qualityScorer = self.WebRTCExporterQualityScorer.createQualityScorer({ logger: { log } })
+const cardinalityGuard = self.WebRTCExporterCardinalityGuard.createCardinalityGuard({ logger: { log } })
 const optionsManager = self.WebRTCExporterOptionsManager.createOptionsManager({
   storageManager: self.WebRTCExporterStorage.StorageManager,
   config: self.WebRTCExporterConfig
@@ -39,9 +111,9 @@ const connectionTracker = self.WebRTCExporterConnectionTracker.createConnectionT
   storageManager: self.WebRTCExporterStorage.StorageManager,
   logger,
   config: self.WebRTCExporterConfig
-}, async ({ id, origin }) => {
+}, async ({ id, origin, staleDuration }) => {
   // Cleanup callback - delegate to sendData DELETE
-  return sendData('DELETE', { id, origin })
+  return sendData('DELETE', { id, origin, reason: 'stale', staleDuration })
 })
 
 // Initialize lifecycle manager with cleanup handler
@@ -69,13 +141,29 @@ let tabMonitorInstance = null
 // Initialize options manager
 optionsManager.initialize().then((loadedOptions) => {
   Object.assign(options, loadedOptions)
+  eventLog.updateOptions(options)
+  pushBatcher.updateOptions(options)
   log('options loaded')
 
+  // Options saved before secrets were encrypted still hold them in plain text
+  migrateSecrets(loadedOptions).catch((err) => {
+    log(`migrate secrets error: ${err.message}`)
+  })
+
+  // Reload pushes queued before the service worker was stopped
+  sinkManager.restoreQueues(options).then(() => {
+    // A restarted service worker starts on the preferred endpoints again
+    saveActiveEndpoints()
+  }).catch((err) => {
+    log(`restore queued pushes error: ${err.message}`)
+  })
+
   // Initialize tab monitor with initial options
   return self.WebRTCExporterTabMonitor.createAndInitializeTabMonitor({
     domainManager: self.WebRTCExporterDomains.DomainManager,
     connectionTracker,
-    logger
+    logger,
+    qualityScorer
   }, loadedOptions)
 }).then((tabMonitor) => {
   tabMonitorInstance = tabMonitor
@@ -88,11 +176,26 @@ optionsManager.initialize().then((loadedOptions) => {
   return self.WebRTCExporterMessageHandler.createAndInitializeMessageHandler({
     statsFormatter: self.WebRTCExporterStatsFormatter.StatsFormatter,
     connectionSender: sendData,
-    logger
+    logger,
+    eventTracker: connectionEvents,
+    descriptionStore: sessionDescriptions,
+    rateCalculator,
+    qualityScorer,
+    cardinalityGuard,
+    networkPathResolver: self.WebRTCExporterNetworkPath.NetworkPathResolver
   }, options)
 }).then((messageHandler) => {
   log('MessageHandler initialized successfully')
 
+  // "Test connection" action of the options page
+  messageHandler.registerHandler('test-connection', self.WebRTCExporterConnectionTest.createConnectionTestHandler(
+    connectionTester,
+    chrome.runtime.getURL('')
+  ))
+
+  // Handle the messages content scripts send over their port
+  portServer.setDispatcher(messageHandler.dispatch.bind(messageHandler))
+
   // Update message handler options when they change
   optionsManager.onChange((changeInfo) => {
     messageHandler.updateOptions(changeInfo.newOptions)
@@ -105,6 +208,8 @@ optionsManager.initialize().then((loadedOptions) => {
 // Listen for options changes through the manager
 optionsManager.onChange((changeInfo) => {
   Object.assign(options, changeInfo.newOptions)
+  eventLog.updateOptions(options)
+  pushBatcher.updateOptions(options)
   log('options changed')
 
   // Update tab monitor with new options if it's initialized
@@ -116,34 +221,57 @@ optionsManager.onChange((changeInfo) => {
   }
 })
 
-// Send data to pushgateway using the new client
-async function sendData (method, { id, origin }, data) {
-  const { url, username, password, gzip, job } = options
+// Resolve the grouping key template of the current options for a connection
+function resolveGroupingKey ({ id, origin }) {
+  const { job, agentId, groupingKey: groupingKeyTemplate, staticLabels } = options
+  return self.WebRTCExporterPushgateway.PushgatewayClient.resolveGroupingKey(groupingKeyTemplate, { job, id, agentId, origin, staticLabels })
+}
+
+// Store the active endpoint of every sink for the popup
+function saveActiveEndpoints () {
+  chrome.storage.local.set({
+    [self.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.ACTIVE_ENDPOINTS]: sinkManager.getActiveEndpoints()
+  }).catch((err) => {
+    log(`save active endpoints error: ${err.message}`)
+  })
+}
+
+// Move plain text secrets out of the synced options into the secret store
+async function migrateSecrets (loadedOptions) {
+  const { options: stripped, moved } = await secretStore.migrate(loadedOptions)
+  if (moved.length > 0) {
+    await self.WebRTCExporterStorage.StorageManager.set(stripped)
+    log(`moved secrets out of synced options: ${moved.join(', ')}`)
+  }
+}
 
+// Send data to every enabled exporter sink
+async function sendData (method, { id, origin, timestamp, reason, staleDuration }, data) {
   try {
-    const result = await pushgatewayClient.sendData({
-      method,
-      url,
-      job,
-      id,
-      username,
-      password,
-      gzip,
-      data,
-      statsCallback
-    })
+    // A DELETE must hit the group the connection was pushed to, even if the options changed since
+    const groupingKey = (method === 'DELETE' && await connectionTracker.getGroupingKey(id)) ||
+      resolveGroupingKey({ id, origin })
 
-    // Update peer connection tracking on successful requests
-    await connectionTracker.setPeerConnectionLastUpdate(
-      { id, origin },
-      method === 'POST' ? Date.now() : 0
-    )
+    // Stats are pushed with those of every other connection at the next flush of the push batcher
+    if (method === 'POST') {
+      return pushBatcher.add({ id, origin, groupingKey, data, timestamp })
+    }
+    // A sample still waiting for the flush would bring the connection back after its DELETE
+    pushBatcher.remove(id)
 
-    // Trigger UI update after connection state change
-    if (tabMonitorInstance) {
-      await tabMonitorInstance.updateCurrentTab()
+    // A group shared with live connections keeps its series; the next push of the others replaces this one's
+    const sharing = await connectionTracker.getConnectionsByGroupingKey(groupingKey, id)
+    if (sharing.length > 0) {
+      log(`keeping group of ${id}, still pushed to by ${sharing.length} other connections`)
+      await trackConnections(method, [{ id, origin }], groupingKey, { reason, staleDuration })
+      return { deleted: false, sharedWith: sharing.length }
     }
 
+    // Only throws if every enabled sink failed
+    const result = await sinkManager.send(method, { id, origin, data, groupingKey, timestamp }, options)
+
+    await trackConnections(method, [{ id, origin }], groupingKey, { reason, staleDuration })
+
     return result
   } catch (error) {
     // Re-throw with additional context for debugging
@@ -152,4 +280,41 @@ async function sendData (method, { id, origin }, data) {
   }
 }
 
+// Send one push of the push batcher to every enabled exporter sink
+async function sendBatch ({ connections, groupingKey, data, part, timestamp }) {
+  const id = connections.map(connection => connection.id).join(',')
+  const result = await sinkManager.send('POST', { id, origin: connections[0].origin, data, groupingKey, timestamp, batchPart: part }, options)
+
+  await trackConnections('POST', connections, groupingKey)
+
+  return result
+}
+
+// Update peer connection tracking on successful requests
+async function trackConnections (method, connections, groupingKey, { reason, staleDuration } = {}) {
+  for (const { id, origin } of connections) {
+    const created = await connectionTracker.setPeerConnectionLastUpdate(
+      { id, origin, groupingKey },
+      method === 'POST' ? Date.now() : 0
+    )
+
+    if (created) {
+      eventLog.record('connection_new', { id, origin, groupingKey })
+    }
+
+    if (method === 'DELETE') {
+      eventLog.record(reason === 'stale' ? 'connection_stale' : 'connection_closed', { id, origin, groupingKey, staleDuration })
+      connectionEvents.removeConnection(id)
+      await sessionDescriptions.removeConnection(id)
+      rateCalculator.removeConnection(id)
+      qualityScorer.removeConnection(id)
+    }
+  }
+
+  // Trigger UI update after connection state change
+  if (tabMonitorInstance) {
+    await tabMonitorInstance.updateCurrentTab()
+  }
+}
+
 // Use quality limitation reasons from shared config
@@ -0,0 +1,256 @@
+/**
+ * Auth Providers Module for WebRTC Stats Exporter
+ * Supplies the authentication headers of an exporter sink's requests
+ */
+
+/**
+ * StaticAuthProvider class for headers that do not change, e.g. a bearer token or a tenant ID header
+ */
+class StaticAuthProvider {
+  constructor (type, headers = {}) {
+    this.type = type
+    this.headers = { ...headers }
+  }
+
+  /**
+   * Get the headers to add to a request
+   * @returns {Promise<Object>} Header name -> value
+   */
+  async getHeaders () {
+    return { ...this.headers }
+  }
+
+  /**
+   * Called when the destination rejected the credentials; static headers cannot be renewed
+   */
+  invalidate () {}
+
+  /**
+   * Get provider statistics
+   * @returns {Object} Provider type and header names, without their values
+   */
+  getStats () {
+    return {
+      type: this.type,
+      headers: Object.keys(this.headers)
+    }
+  }
+
+  /**
+   * Nothing to clean up
+   */
+  destroy () {}
+}
+
+/**
+ * OAuth2ClientCredentialsProvider class for access tokens from an OAuth2 token endpoint
+ * Tokens are requested with the client credentials grant (RFC 6749 section 4.4), the client authenticating with
+ * HTTP Basic, and are reused until they are about to expire. Concurrent requests share one token request.
+ */
+class OAuth2ClientCredentialsProvider {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.fetch = options.fetch
+    this.tokenUrl = options.tokenUrl
+    this.clientId = options.clientId
+    this.clientSecret = options.clientSecret
+    this.scope = options.scope || ''
+    this.headers = { ...options.headers }
+    this.refreshMargin = options.refreshMargin ?? OAuth2ClientCredentialsProvider.DEFAULT_REFRESH_MARGIN
+    this.token = null // { accessToken, tokenType, expiresAt }
+    this.pending = null
+    this.stats = {
+      tokenRequests: 0,
+      tokenErrors: 0
+    }
+  }
+
+  /**
+   * Get the headers to add to a request, requesting a new token first if needed
+   * @returns {Promise<Object>} Header name -> value
+   * @throws {AuthProviderError} If no token could be obtained
+   */
+  async getHeaders () {
+    const { accessToken, tokenType } = await this.getToken()
+    return { ...this.headers, Authorization: `${tokenType} ${accessToken}` }
+  }
+
+  /**
+   * Get a valid access token
+   * A token is renewed once less than the refresh margin of its lifetime is left.
+   * @returns {Promise<Object>} { accessToken, tokenType, expiresAt }
+   */
+  async getToken () {
+    if (this.token && this.token.expiresAt - this.refreshMargin > Date.now()) {
+      return this.token
+    }
+
+    if (!this.pending) {
+      this.pending = this._requestToken().finally(() => {
+        this.pending = null
+      })
+    }
+    return this.pending
+  }
+
+  /**
+   * Drop the cached token, e.g. after the destination answered 401, so the next request gets a new one
+   */
+  invalidate () {
+    this.token = null
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} Token state, without the token itself
+   */
+  getStats () {
+    return {
+      type: 'oauth2',
+      tokenUrl: this.tokenUrl,
+      hasToken: !!this.token,
+      tokenExpiresAt: this.token?.expiresAt ?? null,
+      headers: Object.keys(this.headers),
+      ...this.stats
+    }
+  }
+
+  /**
+   * Drop the cached token
+   */
+  destroy () {
+    this.invalidate()
+  }
+
+  // Private methods
+
+  /**
+   * Request a token from the token endpoint
+   * @private
+   */
+  async _requestToken () {
+    this.stats.tokenRequests++
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' })
+    if (this.scope) {
+      body.set('scope', this.scope)
+    }
+
+    let response
+    try {
+      response = await this.fetch(this.tokenUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          // RFC 6749 section 2.3.1: client ID and secret are form-encoded before Basic encoding
+          Authorization: `Basic ${btoa(`${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`)}`
+        },
+        body: body.toString()
+      })
+    } catch (error) {
+      this.stats.tokenErrors++
+      throw new AuthProviderError(`Token request failed: ${error.message}`)
+    }
+
+    let payload = null
+    try {
+      payload = await response.json()
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!response.ok || typeof payload?.access_token !== 'string') {
+      this.stats.tokenErrors++
+      const reason = payload?.error_description || payload?.error || `${response.status} ${response.statusText}`
+      // A rejected client is a configuration problem of the destination, report it like a 401 from there
+      const status = response.status === 400 && payload?.error === 'invalid_client' ? 401 : response.status
+      throw new AuthProviderError(`Token request failed: ${reason}`, response.ok ? 0 : status)
+    }
+
+    const expiresIn = Number(payload.expires_in)
+    this.token = {
+      accessToken: payload.access_token,
+      // Servers answer "bearer" as often as "Bearer"
+      tokenType: !payload.token_type || /^bearer$/i.test(payload.token_type) ? 'Bearer' : payload.token_type,
+      expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : Infinity
+    }
+    this.logger?.log(`Obtained access token from ${this.tokenUrl}${Number.isFinite(this.token.expiresAt) ? `, valid for ${expiresIn}s` : ''}`)
+
+    return this.token
+  }
+}
+
+OAuth2ClientCredentialsProvider.DEFAULT_REFRESH_MARGIN = 60000 // 1 minute
+
+/**
+ * Custom error class for auth provider errors
+ */
+class AuthProviderError extends Error {
+  constructor (message, status = 0) {
+    super(message)
+    this.name = 'AuthProviderError'
+    this.status = status
+  }
+}
+
+/**
+ * Create the auth provider of an exporter sink
+ * With type 'basic' the clients authenticate from the sink's username and password themselves, so a provider is only
+ * created when there are custom headers to add.
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Function} [dependencies.fetch] - fetch implementation for token requests, defaults to the global one
+ * @param {Object} [auth] - Auth configuration of the sink
+ * @param {string} [auth.type='basic'] - 'basic', 'bearer' or 'oauth2'
+ * @param {string} [auth.token] - Bearer token
+ * @param {string} [auth.tokenUrl] - OAuth2 token endpoint
+ * @param {string} [auth.clientId] - OAuth2 client ID
+ * @param {string} [auth.clientSecret] - OAuth2 client secret
+ * @param {string} [auth.scope] - OAuth2 scope, space separated
+ * @param {Object} [auth.headers] - Extra headers sent with every request, e.g. { 'X-Scope-OrgID': 'tenant-1' }
+ * @returns {Object|null} Provider with getHeaders(), invalidate(), getStats() and destroy(), or null if there is nothing to add
+ */
+function createAuthProvider ({ logger, fetch = (...args) => globalThis.fetch(...args) } = {}, auth = {}) {
+  const headers = auth?.headers || {}
+
+  switch (auth?.type) {
+    case 'bearer':
+      return new StaticAuthProvider('bearer', { ...headers, Authorization: `Bearer ${auth.token}` })
+    case 'oauth2':
+      return new OAuth2ClientCredentialsProvider(logger, {
+        fetch,
+        tokenUrl: auth.tokenUrl,
+        clientId: auth.clientId,
+        clientSecret: auth.clientSecret,
+        scope: auth.scope,
+        headers
+      })
+    default:
+      return Object.keys(headers).length > 0 ? new StaticAuthProvider('basic', headers) : null
+  }
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterAuth = {
+    StaticAuthProvider,
+    OAuth2ClientCredentialsProvider,
+    AuthProviderError,
+    createAuthProvider
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterAuth = {
+    StaticAuthProvider,
+    OAuth2ClientCredentialsProvider,
+    AuthProviderError,
+    createAuthProvider
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterAuth = {
+    StaticAuthProvider,
+    OAuth2ClientCredentialsProvider,
+    AuthProviderError,
+    createAuthProvider
+  }
+}
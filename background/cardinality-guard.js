@@ -0,0 +1,218 @@
+/**
+ * Cardinality Guard Module for WebRTC Stats Exporter
+ * Keeps page URLs out of high-cardinality territory and caps the number of unique series pushed per window
+ */
+
+/**
+ * CardinalityGuard class for normalizing page URLs and enforcing a series budget
+ */
+class CardinalityGuard {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.maxSeries = options.maxSeries || CardinalityGuard.DEFAULT_MAX_SERIES
+    this.windowMs = options.windowMs || CardinalityGuard.DEFAULT_WINDOW_MS
+    this.series = new Set()
+    this.windowStart = Date.now()
+    this.droppedSamples = 0
+    this.droppedInWindow = 0
+  }
+
+  /**
+   * Normalize a page URL for use as a label value
+   * @param {string} url - Page URL
+   * @returns {string} Origin plus path template
+   */
+  normalizeUrl (url) {
+    return CardinalityGuard.normalizePageUrl(url)
+  }
+
+  /**
+   * Drop samples of new series once the budget of the current window is used up
+   * @param {string} data - Exposition text (Prometheus or OpenMetrics, without the EOF marker)
+   * @param {Object} [budget] - Current budget settings, so option changes apply without recreating the guard
+   * @param {number} [budget.maxSeries] - Maximum unique series per window
+   * @param {number} [budget.windowMs] - Window length in milliseconds
+   * @returns {string} Exposition text containing only series within budget
+   */
+  filterSeries (data, { maxSeries, windowMs } = {}) {
+    if (typeof data !== 'string') {
+      throw new CardinalityGuardError('Data must be a string')
+    }
+
+    if (maxSeries > 0) {
+      this.maxSeries = maxSeries
+    }
+    if (windowMs > 0) {
+      this.windowMs = windowMs
+    }
+    this._rollWindow()
+
+    let output = ''
+    let pendingFamily = null
+    let pendingMetadata = ''
+    let dropped = 0
+
+    data.split('\n').forEach((line) => {
+      if (line.length === 0) {
+        return
+      }
+
+      // HELP/TYPE/UNIT lines are held back until a sample of their family survives
+      if (line.startsWith('#')) {
+        const family = line.split(' ')[2]
+        if (family !== pendingFamily) {
+          pendingFamily = family
+          pendingMetadata = ''
+        }
+        pendingMetadata += `${line}\n`
+        return
+      }
+
+      const key = line.slice(0, line.lastIndexOf(' '))
+      if (!this.series.has(key)) {
+        if (this.series.size >= this.maxSeries) {
+          dropped++
+          return
+        }
+        this.series.add(key)
+      }
+
+      output += `${pendingMetadata}${line}\n`
+      pendingMetadata = ''
+    })
+
+    if (dropped > 0) {
+      if (this.droppedInWindow === 0) {
+        this.logger?.log(`Series budget of ${this.maxSeries} exceeded, dropping samples of new series until the window resets`)
+      }
+      this.droppedSamples += dropped
+      this.droppedInWindow += dropped
+    }
+
+    return output
+  }
+
+  /**
+   * Get guard statistics
+   * @returns {Object} Series budget usage and drop counters
+   */
+  getStats () {
+    return {
+      activeSeries: this.series.size,
+      maxSeries: this.maxSeries,
+      windowMs: this.windowMs,
+      droppedSamples: this.droppedSamples,
+      droppedInWindow: this.droppedInWindow
+    }
+  }
+
+  /**
+   * Destroy the guard and clean up resources
+   */
+  destroy () {
+    this.series.clear()
+  }
+
+  /**
+   * Normalize a page URL to its origin and a path template
+   * Query strings and fragments are removed and path segments that look like identifiers become ':id'.
+   * @param {string} url - Page URL
+   * @returns {string} Normalized URL or an empty string if the URL is invalid
+   */
+  static normalizePageUrl (url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (error) {
+      return ''
+    }
+
+    const path = parsed.pathname
+      .split('/')
+      .map(segment => CardinalityGuard.isIdentifierSegment(segment) ? ':id' : segment)
+      .join('/')
+
+    return `${parsed.origin}${path === '/' ? '' : path}`
+  }
+
+  /**
+   * Check whether a path segment looks like a per-call or per-user identifier
+   * @param {string} segment - Path segment
+   * @returns {boolean} True if the segment should be templated
+   */
+  static isIdentifierSegment (segment) {
+    return CardinalityGuard.IDENTIFIER_PATTERNS.some(pattern => pattern.test(segment))
+  }
+
+  // Private methods
+
+  /**
+   * Start a new window when the current one has expired
+   * @private
+   */
+  _rollWindow () {
+    const now = Date.now()
+    if (now - this.windowStart >= this.windowMs) {
+      this.series.clear()
+      this.windowStart = now
+      this.droppedInWindow = 0
+    }
+  }
+}
+
+CardinalityGuard.DEFAULT_MAX_SERIES = 5000
+CardinalityGuard.DEFAULT_WINDOW_MS = 60000
+
+// Numbers, UUIDs, hex digests, mixed letter/digit tokens, long opaque tokens and Meet-style meeting codes
+CardinalityGuard.IDENTIFIER_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^[0-9a-f]{8,}$/i,
+  /^(?=.*\d)(?=.*[a-z])[\w-]{8,}$/i,
+  /^[\w\-.~%]{24,}$/,
+  /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/
+]
+
+/**
+ * Custom error class for cardinality guard errors
+ */
+class CardinalityGuardError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'CardinalityGuardError'
+  }
+}
+
+/**
+ * Create a pre-configured CardinalityGuard instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} [options] - Guard options
+ * @param {number} [options.maxSeries=5000] - Maximum unique series per window
+ * @param {number} [options.windowMs=60000] - Window length in milliseconds
+ * @returns {CardinalityGuard} Configured cardinality guard
+ */
+function createCardinalityGuard ({ logger } = {}, options = {}) {
+  return new CardinalityGuard(logger, options)
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterCardinalityGuard = {
+    CardinalityGuard,
+    CardinalityGuardError,
+    createCardinalityGuard
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterCardinalityGuard = {
+    CardinalityGuard,
+    CardinalityGuardError,
+    createCardinalityGuard
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterCardinalityGuard = {
+    CardinalityGuard,
+    CardinalityGuardError,
+    createCardinalityGuard
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Connection Events Module for WebRTC Stats Exporter
+ * Turns peer connection event timelines from the page into counters and an in-memory event stream
+ */
+
+/**
+ * ConnectionEventTracker class for recording RTCPeerConnection events per connection
+ */
+class ConnectionEventTracker {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.maxEventsPerConnection = options.maxEventsPerConnection || 100
+    this.connections = new Map()
+    this.listeners = new Set()
+    this.stats = {
+      totalEvents: 0,
+      rejectedEvents: 0
+    }
+  }
+
+  /**
+   * Record a batch of events reported for a peer connection
+   * @param {Object} params - Event batch
+   * @param {string} params.id - Peer connection ID
+   * @param {string} params.url - Page URL the connection belongs to
+   * @param {Array} params.events - Timestamped events from override.js
+   * @returns {Array} Normalized events that were recorded
+   */
+  recordEvents ({ id, url, events }) {
+    if (!id || typeof id !== 'string') {
+      throw new ConnectionEventError('Peer connection ID is required and must be a string')
+    }
+    if (!Array.isArray(events)) {
+      throw new ConnectionEventError('Events must be an array')
+    }
+
+    const connection = this._getOrCreateConnection(id, url)
+    const recorded = []
+
+    for (const rawEvent of events) {
+      const event = ConnectionEventTracker.normalizeEvent(rawEvent)
+      if (!event) {
+        this.stats.rejectedEvents++
+        continue
+      }
+
+      const key = ConnectionEventTracker.counterKey(event)
+      const counter = connection.counters.get(key) || {
+        type: event.type,
+        state: ConnectionEventTracker.counterState(event),
+        count: 0,
+        lastTimestamp: 0
+      }
+      counter.count++
+      counter.lastTimestamp = Math.max(counter.lastTimestamp, event.timestamp)
+      connection.counters.set(key, counter)
+
+      connection.events.push(event)
+      if (connection.events.length > this.maxEventsPerConnection) {
+        connection.events.shift()
+      }
+
+      this.stats.totalEvents++
+      recorded.push(event)
+      this._notifyListeners({ id, url: connection.url, event })
+    }
+
+    return recorded
+  }
+
+  /**
+   * Get event counters for a connection
+   * @param {string} id - Peer connection ID
+   * @returns {Array} Counters as { type, state, count, lastTimestamp }
+   */
+  getCounters (id) {
+    const connection = this.connections.get(id)
+    if (!connection) {
+      return []
+    }
+    return Array.from(connection.counters.values(), counter => ({ ...counter }))
+  }
+
+  /**
+   * Get the recorded event stream for a connection, oldest first
+   * @param {string} id - Peer connection ID
+   * @param {number} [since=0] - Only return events newer than this timestamp (ms)
+   * @returns {Array} Recorded events
+   */
+  getEvents (id, since = 0) {
+    const connection = this.connections.get(id)
+    if (!connection) {
+      return []
+    }
+    return connection.events
+      .filter(event => event.timestamp > since)
+      .map(event => ({ ...event }))
+  }
+
+  /**
+   * Subscribe to the event stream
+   * @param {Function} listener - Called with { id, url, event } for every recorded event
+   * @returns {Function} Unsubscribe function
+   */
+  onEvent (listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function')
+    }
+
+    this.listeners.add(listener)
+
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Forget all state for a connection (after it was closed or cleaned up)
+   * @param {string} id - Peer connection ID
+   * @returns {boolean} True if the connection was tracked
+   */
+  removeConnection (id) {
+    const removed = this.connections.delete(id)
+    if (removed) {
+      this.logger?.log(`Event history removed for connection: ${id}`)
+    }
+    return removed
+  }
+
+  /**
+   * Get event tracking statistics
+   * @returns {Object} Statistics about event tracking
+   */
+  getStats () {
+    return {
+      trackedConnections: this.connections.size,
+      listenerCount: this.listeners.size,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Destroy the tracker and clean up resources
+   */
+  destroy () {
+    this.connections.clear()
+    this.listeners.clear()
+  }
+
+  /**
+   * Validate and normalize a raw event from the page
+   * @param {Object} rawEvent - Event as posted by override.js
+   * @returns {Object|null} Normalized event or null if invalid
+   */
+  static normalizeEvent (rawEvent) {
+    if (!rawEvent || typeof rawEvent !== 'object') {
+      return null
+    }
+
+    const { type, timestamp } = rawEvent
+    if (!ConnectionEventTracker.EVENT_TYPES.includes(type)) {
+      return null
+    }
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+      return null
+    }
+
+    const event = { type, timestamp }
+    for (const field of ConnectionEventTracker.DETAIL_FIELDS) {
+      const value = rawEvent[field]
+      if (typeof value === 'string' || typeof value === 'number') {
+        event[field] = value
+      }
+    }
+    return event
+  }
+
+  /**
+   * Get the value that distinguishes counters of the same event type
+   * @param {Object} event - Normalized event
+   * @returns {string} State, error code or media kind
+   */
+  static counterState (event) {
+    if (event.state !== undefined) {
+      return String(event.state)
+    }
+    if (event.errorCode !== undefined) {
+      return String(event.errorCode)
+    }
+    if (event.kind !== undefined) {
+      return String(event.kind)
+    }
+    return ''
+  }
+
+  /**
+   * Build the counter key for an event
+   * @param {Object} event - Normalized event
+   * @returns {string} Counter key
+   */
+  static counterKey (event) {
+    return `${event.type}:${ConnectionEventTracker.counterState(event)}`
+  }
+
+  // Private methods
+
+  /**
+   * Get connection state, creating it on first event
+   * @private
+   */
+  _getOrCreateConnection (id, url) {
+    let connection = this.connections.get(id)
+    if (!connection) {
+      connection = { url, counters: new Map(), events: [] }
+      this.connections.set(id, connection)
+    } else if (url) {
+      connection.url = url
+    }
+    return connection
+  }
+
+  /**
+   * Notify event stream listeners
+   * @private
+   */
+  _notifyListeners (streamEvent) {
+    for (const listener of this.listeners) {
+      try {
+        listener({ ...streamEvent, event: { ...streamEvent.event } })
+      } catch (error) {
+        this.logger?.log(`Error in connection event listener: ${error.message}`)
+      }
+    }
+  }
+}
+
+// Event types emitted by override.js
+ConnectionEventTracker.EVENT_TYPES = [
+  'connectionstatechange',
+  'iceconnectionstatechange',
+  'icegatheringstatechange',
+  'signalingstatechange',
+  'negotiationneeded',
+  'icecandidateerror',
+  'track',
+  'removetrack'
+]
+
+// Optional event fields kept from the page, everything else is discarded
+ConnectionEventTracker.DETAIL_FIELDS = ['state', 'errorCode', 'errorText', 'url', 'kind', 'trackId']
+
+/**
+ * Custom error class for connection event errors
+ */
+class ConnectionEventError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'ConnectionEventError'
+  }
+}
+
+/**
+ * Create a pre-configured ConnectionEventTracker instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} [options] - Tracker options
+ * @param {number} [options.maxEventsPerConnection=100] - Event stream length kept per connection
+ * @returns {ConnectionEventTracker} Configured event tracker
+ */
+function createConnectionEventTracker ({ logger } = {}, options = {}) {
+  return new ConnectionEventTracker(logger, options)
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterConnectionEvents = {
+    ConnectionEventTracker,
+    ConnectionEventError,
+    createConnectionEventTracker
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterConnectionEvents = {
+    ConnectionEventTracker,
+    ConnectionEventError,
+    createConnectionEventTracker
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterConnectionEvents = {
+    ConnectionEventTracker,
+    ConnectionEventError,
+    createConnectionEventTracker
+  }
+}
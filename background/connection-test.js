@@ -0,0 +1,296 @@
+/**
+ * Connection Test Module for WebRTC Stats Exporter
+ * Checks a Pushgateway configuration end to end for the "Test connection" action of the options page
+ */
+
+/**
+ * ConnectionTester class for probing, pushing to and cleaning up a Pushgateway
+ * A test runs three steps with the same client, credentials and auth provider as the exports: a health probe
+ * (/-/healthy, falling back to /-/ready), a push of one synthetic metric under a throwaway group and the DELETE of
+ * that group. Requests bypass the circuit breakers and the export statistics, so a test does not affect the exports.
+ */
+class ConnectionTester {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.createClient = options.createClient
+    this.authProviderFactory = options.authProviderFactory || null
+    this.secretStore = options.secretStore || null
+    this.permissions = options.permissions || null
+    this.stats = {
+      tests: 0,
+      failedTests: 0
+    }
+  }
+
+  /**
+   * Test a Pushgateway configuration
+   * @param {Object} options - Pushgateway options (url, username, auth, job, gzip), secrets are taken from the secret store
+   * @param {Object} [secrets] - Secrets typed in the options page but not saved yet, see SecretStore.resolveOptions()
+   * @returns {Promise<Object>} Report: { ok, url, hostPermission, duration, steps: [{ name, ok, skipped, status, statusText, latency, path, problem, message }] }
+   * @throws {ConnectionTestError} If the URL is missing or not an http(s) URL
+   */
+  async run (options = {}, secrets = {}) {
+    const url = (options.url || '').trim().replace(/\/+$/, '')
+    let origin = null
+    try {
+      const parsed = new URL(url)
+      origin = ['http:', 'https:'].includes(parsed.protocol) ? parsed.origin : null
+    } catch (error) {
+      // Reported below
+    }
+    if (!origin) {
+      throw new ConnectionTestError('Enter an http(s) Pushgateway URL to test')
+    }
+
+    this.stats.tests++
+    const start = Date.now()
+    const resolved = this.secretStore ? await this.secretStore.resolveOptions(options, secrets) : options
+    const report = {
+      ok: false,
+      url,
+      hostPermission: await this._hasHostPermission(origin),
+      duration: 0,
+      steps: []
+    }
+
+    const client = this.createClient()
+    const authProvider = this.authProviderFactory?.({ logger: this.logger }, resolved.auth) || null
+    if (authProvider) {
+      client.setAuthProvider(authProvider)
+    }
+
+    try {
+      const health = await this._probeHealth(client, url, resolved, report.hostPermission)
+      report.steps.push(health)
+
+      // Nothing answered, the push would fail the same way
+      if (health.problem === 'network_error' || health.problem === 'host_permission') {
+        report.steps.push(ConnectionTester._skipped('push'), ConnectionTester._skipped('delete'))
+      } else {
+        const request = {
+          url,
+          job: resolved.job || 'webrtc-internals-exporter',
+          id: `connection-test-${Date.now().toString(36)}`,
+          username: resolved.username,
+          password: resolved.password,
+          gzip: !!resolved.gzip
+        }
+        const push = await this._runStep('push', () => ConnectionTester._send(client.sendMetrics.bind(client), { ...request, data: ConnectionTester.TEST_METRIC }), report.hostPermission)
+        report.steps.push(push)
+        report.steps.push(push.ok
+          ? await this._runStep('delete', () => ConnectionTester._send(client.deleteMetrics.bind(client), request), report.hostPermission)
+          : ConnectionTester._skipped('delete'))
+      }
+    } finally {
+      authProvider?.destroy()
+    }
+
+    report.ok = report.steps.every(step => step.ok)
+    report.duration = Date.now() - start
+    if (!report.ok) {
+      this.stats.failedTests++
+    }
+    this.logger?.log(`Connection test of ${url} ${report.ok ? 'passed' : 'failed'}: ${report.steps.map(step => `${step.name} ${step.skipped ? 'skipped' : step.status || step.problem}`).join(', ')}`)
+
+    return report
+  }
+
+  /**
+   * Get tester statistics
+   * @returns {Object} Number of tests and failed tests
+   */
+  getStats () {
+    return { ...this.stats }
+  }
+
+  /**
+   * Nothing to clean up
+   */
+  destroy () {}
+
+  // Private methods
+
+  /**
+   * Probe /-/healthy, falling back to /-/ready on gateways that do not route the former
+   * @private
+   */
+  async _probeHealth (client, url, { username, password }, hostPermission) {
+    let step = null
+    for (const path of ConnectionTester.HEALTH_PATHS) {
+      step = { ...await this._runStep('health', () => client.probeEndpoint(url, path, { username, password }), hostPermission), path }
+      if (step.status !== 404) {
+        break
+      }
+    }
+    return step
+  }
+
+  /**
+   * Run one request and describe its outcome
+   * @param {Function} request - Resolves to { status, statusText } or throws the client's error
+   * @private
+   */
+  async _runStep (name, request, hostPermission) {
+    const start = Date.now()
+    const step = { name, ok: false, skipped: false, status: null, statusText: '', latency: null, problem: null, message: '' }
+    try {
+      const { status = null, statusText = '' } = await request()
+      Object.assign(step, { status, statusText, latency: Date.now() - start })
+      if (status !== null && (status < 200 || status >= 300)) {
+        step.message = `${status} ${statusText}`.trim()
+        step.problem = ConnectionTester.classifyProblem({ status, message: step.message }, hostPermission)
+      } else {
+        step.ok = true
+      }
+    } catch (error) {
+      Object.assign(step, {
+        status: error.status || null,
+        latency: Date.now() - start,
+        problem: ConnectionTester.classifyProblem(error, hostPermission),
+        message: error.message
+      })
+    }
+    return step
+  }
+
+  /**
+   * Send a request through a client method, capturing the response status from its statistics callback
+   * @private
+   */
+  static async _send (send, request) {
+    let status = null
+    await send({
+      ...request,
+      statsCallback: (outcome) => {
+        status = outcome.status ?? status
+      }
+    })
+    return { status }
+  }
+
+  /**
+   * Check whether the extension may send requests to an origin without CORS
+   * @private
+   */
+  async _hasHostPermission (origin) {
+    if (!this.permissions) {
+      return null
+    }
+
+    try {
+      return await this.permissions.contains({ origins: [`${origin}/*`] })
+    } catch (error) {
+      this.logger?.log(`Failed to check host permission of ${origin}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Classify a failed request
+   * @param {Object} error - Error of the client, or the status and message of an unsuccessful response
+   * @param {boolean|null} hostPermission - Whether the extension has host permission for the destination
+   * @returns {string} 'auth' (credentials rejected or no token), 'not_found', 'throttled', 'rejected' (other 4xx),
+   *   'server_error', 'host_permission' (blocked without host permission, usually by CORS) or 'network_error'
+   */
+  static classifyProblem (error, hostPermission) {
+    const status = error.status || 0
+    if (status === 401 || status === 403 || /^Authentication failed/.test(error.message)) {
+      return 'auth'
+    }
+    if (status === 404) {
+      return 'not_found'
+    }
+    if (status === 429 || status === 503) {
+      return 'throttled'
+    }
+    if (status >= 400 && status < 500) {
+      return 'rejected'
+    }
+    if (status >= 500) {
+      return 'server_error'
+    }
+    return hostPermission === false ? 'host_permission' : 'network_error'
+  }
+
+  /**
+   * @private
+   */
+  static _skipped (name) {
+    return { name, ok: false, skipped: true, status: null, statusText: '', latency: null, problem: null, message: '' }
+  }
+}
+
+ConnectionTester.HEALTH_PATHS = ['/-/healthy', '/-/ready']
+ConnectionTester.TEST_METRIC = [
+  '# HELP webrtc_exporter_connection_test Pushed by the Test connection action of the options page and deleted right after.',
+  '# TYPE webrtc_exporter_connection_test gauge',
+  'webrtc_exporter_connection_test 1',
+  ''
+].join('\n')
+
+/**
+ * Custom error class for connection test errors
+ */
+class ConnectionTestError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'ConnectionTestError'
+  }
+}
+
+/**
+ * Create a pre-configured ConnectionTester instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Function} dependencies.createClient - Create a PushgatewayClient
+ * @param {Function} [dependencies.authProviderFactory] - createAuthProvider(dependencies, auth)
+ * @param {Object} [dependencies.secretStore] - SecretStore the stored secrets are decrypted from
+ * @param {Object} [dependencies.permissions] - chrome.permissions, to tell host permission problems from network errors
+ * @returns {ConnectionTester} Configured connection tester
+ */
+function createConnectionTester ({ logger, createClient, authProviderFactory, secretStore, permissions } = {}) {
+  if (typeof createClient !== 'function') {
+    throw new ConnectionTestError('Connection tester requires createClient()')
+  }
+  return new ConnectionTester(logger, { createClient, authProviderFactory, secretStore, permissions })
+}
+
+/**
+ * Create the 'test-connection' message handler
+ * Content scripts share the runtime messaging channel, so tests only run for pages of the extension itself.
+ * @param {ConnectionTester} tester - Connection tester
+ * @param {string} extensionUrl - URL prefix of the extension pages, chrome.runtime.getURL('')
+ * @returns {Function} Handler for MessageHandler.registerHandler(), resolving to { report }
+ */
+function createConnectionTestHandler (tester, extensionUrl) {
+  return async ({ options, secrets } = {}, sender = {}) => {
+    if (!sender.url?.startsWith(extensionUrl)) {
+      throw new ConnectionTestError('Connection tests can only be started from the options page')
+    }
+    return { report: await tester.run(options, secrets) }
+  }
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterConnectionTest = {
+    ConnectionTester,
+    ConnectionTestError,
+    createConnectionTester,
+    createConnectionTestHandler
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterConnectionTest = {
+    ConnectionTester,
+    ConnectionTestError,
+    createConnectionTester,
+    createConnectionTestHandler
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterConnectionTest = {
+    ConnectionTester,
+    ConnectionTestError,
+    createConnectionTester,
+    createConnectionTestHandler
+  }
+}
@@ -19,10 +19,11 @@ class ConnectionTracker {
    * @param {Object} connection - Connection info
    * @param {string} connection.id - Unique connection ID
    * @param {string} connection.origin - Origin domain
+   * @param {Object} [connection.groupingKey] - Pushgateway grouping key the connection was pushed to
    * @param {number} [lastUpdate=0] - Timestamp in ms, 0 to remove connection
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} True if an update started tracking a connection that was not tracked before
    */
-  async setPeerConnectionLastUpdate ({ id, origin }, lastUpdate = 0) {
+  async setPeerConnectionLastUpdate ({ id, origin, groupingKey }, lastUpdate = 0) {
     try {
       let { peerConnectionsLastUpdate } = await this.storageManager.getLocal('peerConnectionsLastUpdate')
       
@@ -30,8 +31,9 @@ class ConnectionTracker {
         peerConnectionsLastUpdate = {}
       }
 
+      const created = !!lastUpdate && !peerConnectionsLastUpdate[id]
       if (lastUpdate) {
-        peerConnectionsLastUpdate[id] = { origin, lastUpdate }
+        peerConnectionsLastUpdate[id] = groupingKey ? { origin, lastUpdate, groupingKey } : { origin, lastUpdate }
         this.logger?.log(`Connection updated: ${id} (${origin})`)
       } else {
         delete peerConnectionsLastUpdate[id]
@@ -43,12 +45,49 @@ class ConnectionTracker {
 
       // Calculate and update per-origin connection counts
       await this._updateConnectionCounts(peerConnectionsLastUpdate)
+
+      return created
     } catch (error) {
       this.logger?.log(`Error updating peer connection: ${error.message}`)
       throw new ConnectionTrackerError(`Failed to update peer connection: ${error.message}`)
     }
   }
 
+  /**
+   * Get the grouping key a connection was last pushed to, so its DELETE targets the same group
+   * @param {string} id - Connection ID
+   * @returns {Promise<Object|null>} Grouping key labels or null if unknown
+   */
+  async getGroupingKey (id) {
+    try {
+      const { peerConnectionsLastUpdate } = await this.storageManager.getLocal('peerConnectionsLastUpdate')
+      return peerConnectionsLastUpdate?.[id]?.groupingKey || null
+    } catch (error) {
+      this.logger?.log(`Error reading grouping key: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Get the other tracked connections last pushed to a grouping key
+   * @param {Object} groupingKey - Grouping key labels
+   * @param {string} [excludeId] - Connection ID to leave out, e.g. the one being deleted
+   * @returns {Promise<Array<string>>} IDs of the connections sharing the group, empty if unknown
+   */
+  async getConnectionsByGroupingKey (groupingKey, excludeId) {
+    try {
+      const { peerConnectionsLastUpdate } = await this.storageManager.getLocal('peerConnectionsLastUpdate')
+      const key = JSON.stringify(groupingKey)
+
+      return Object.entries(peerConnectionsLastUpdate || {})
+        .filter(([id, connection]) => id !== excludeId && connection.groupingKey && JSON.stringify(connection.groupingKey) === key)
+        .map(([id]) => id)
+    } catch (error) {
+      this.logger?.log(`Error reading grouping keys: ${error.message}`)
+      return []
+    }
+  }
+
   /**
    * Get current connection statistics
    * @returns {Promise<Object>} Connection statistics
@@ -141,7 +180,7 @@ class ConnectionTracker {
         for (const { id, origin, staleDuration } of staleConnections) {
           try {
             this.logger?.log(`Removing stale peer connection: ${id} ${origin} (stale for ${Math.round(staleDuration / 1000)}s)`)
-            await this.cleanupCallback({ id, origin })
+            await this.cleanupCallback({ id, origin, staleDuration })
             cleanupResults.push({ id, origin, success: true })
           } catch (error) {
             this.logger?.log(`Error cleaning up connection ${id}: ${error.message}`)
@@ -159,7 +198,7 @@ class ConnectionTracker {
 
   /**
    * Set callback function for cleaning up stale connections
-   * @param {Function} callback - Async function that handles connection cleanup
+   * @param {Function} callback - Async function that handles connection cleanup, called with { id, origin, staleDuration }
    */
   setCleanupCallback (callback) {
     if (typeof callback !== 'function') {
@@ -0,0 +1,308 @@
+/**
+ * Endpoint Failover Module for WebRTC Stats Exporter
+ * Keeps an ordered list of endpoints for one exporter sink and picks the one pushes are sent to
+ */
+
+/**
+ * EndpointFailover class for tracking the health of a sink's endpoints
+ * The first endpoint is preferred. failover() moves to the next healthy endpoint, e.g. when the sink's circuit
+ * breaker opens; while a less preferred endpoint is active, unhealthy and preferred endpoints are probed
+ * periodically and the most preferred healthy one becomes active again.
+ */
+class EndpointFailover {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.checkHealth = options.checkHealth || null
+    this.probeInterval = options.probeInterval || EndpointFailover.DEFAULT_PROBE_INTERVAL
+    this.endpoints = []
+    this.activeIndex = 0
+    this.probeTimer = null
+    this.probing = null
+    this.listeners = new Set()
+    this.stats = {
+      failovers: 0,
+      failbacks: 0,
+      probes: 0
+    }
+
+    this.setEndpoints(options.endpoints || [])
+  }
+
+  /**
+   * Replace the endpoint list
+   * The active endpoint stays active if it is still listed; health of listed endpoints is kept.
+   * @param {Array<string>} urls - Endpoint URLs, most preferred first
+   */
+  setEndpoints (urls) {
+    const unique = [...new Set(urls.filter(Boolean))]
+    const previousUrl = this.getActiveEndpoint()
+    const known = new Map(this.endpoints.map(endpoint => [endpoint.url, endpoint]))
+
+    this.endpoints = unique.map(url => known.get(url) || EndpointFailover._createEndpoint(url))
+    this.activeIndex = Math.max(0, unique.indexOf(previousUrl))
+    this._scheduleProbe()
+
+    if (previousUrl && previousUrl !== this.getActiveEndpoint()) {
+      this._notify('reconfigured', previousUrl)
+    }
+  }
+
+  /**
+   * Get the endpoint pushes are currently sent to
+   * @returns {string|null} Active endpoint URL
+   */
+  getActiveEndpoint () {
+    return this.endpoints[this.activeIndex]?.url || null
+  }
+
+  /**
+   * Check whether a less preferred endpoint is active
+   * @returns {boolean} True if failed over
+   */
+  isFailedOver () {
+    return this.activeIndex > 0
+  }
+
+  /**
+   * Mark the active endpoint unhealthy and switch to the most preferred healthy endpoint
+   * @param {string} [reason] - Why the active endpoint failed, for the log
+   * @returns {boolean} True if another endpoint became active
+   */
+  failover (reason = 'unavailable') {
+    const active = this.endpoints[this.activeIndex]
+    if (!active) {
+      return false
+    }
+    this._markUnhealthy(active)
+
+    const next = this.endpoints.findIndex(endpoint => endpoint.healthy)
+    if (next === -1) {
+      this.logger?.log(`Endpoint ${active.url} is ${reason} and no other endpoint is healthy`)
+      return false
+    }
+
+    const previousUrl = active.url
+    this.activeIndex = next
+    this.stats.failovers++
+    this.logger?.log(`Endpoint ${previousUrl} is ${reason}, failing over to ${this.getActiveEndpoint()}`)
+    this._scheduleProbe()
+    this._notify('failover', previousUrl)
+    return true
+  }
+
+  /**
+   * Record a successful push to the active endpoint
+   */
+  recordSuccess () {
+    const active = this.endpoints[this.activeIndex]
+    if (active) {
+      active.healthy = true
+      active.consecutiveFailures = 0
+      active.lastSuccess = Date.now()
+    }
+  }
+
+  /**
+   * Probe unhealthy endpoints and endpoints preferred over the active one, then fail back if one is healthy
+   * @returns {Promise<string|null>} Active endpoint URL after probing
+   */
+  async probe () {
+    if (!this.checkHealth) {
+      return this.getActiveEndpoint()
+    }
+    if (!this.probing) {
+      this.probing = this._probeEndpoints().finally(() => {
+        this.probing = null
+      })
+    }
+    return this.probing
+  }
+
+  /**
+   * Subscribe to active endpoint changes
+   * @param {Function} listener - Called with { url, previousUrl, reason, failedOver }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange (listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function')
+    }
+
+    this.listeners.add(listener)
+
+    return () => {
+      this.listeners.delete(listener)
+    }
+  }
+
+  /**
+   * Get failover statistics
+   * @returns {Object} Active endpoint and per-endpoint health
+   */
+  getStats () {
+    return {
+      activeEndpoint: this.getActiveEndpoint(),
+      failedOver: this.isFailedOver(),
+      endpoints: this.endpoints.map(endpoint => ({ ...endpoint })),
+      ...this.stats
+    }
+  }
+
+  /**
+   * Stop probing and remove listeners
+   */
+  destroy () {
+    this._stopProbe()
+    this.listeners.clear()
+  }
+
+  // Private methods
+
+  /**
+   * Probe the endpoints that may become active and switch to the most preferred healthy one
+   * @private
+   */
+  async _probeEndpoints () {
+    const candidates = this.endpoints.filter((endpoint, index) => index < this.activeIndex || !endpoint.healthy)
+
+    for (const endpoint of candidates) {
+      this.stats.probes++
+      endpoint.lastProbe = Date.now()
+
+      let healthy = false
+      try {
+        healthy = await this.checkHealth(endpoint.url)
+      } catch (error) {
+        this.logger?.log(`Probe of ${endpoint.url} failed: ${error.message}`)
+      }
+
+      if (healthy) {
+        endpoint.healthy = true
+        endpoint.consecutiveFailures = 0
+      } else {
+        this._markUnhealthy(endpoint)
+      }
+    }
+
+    const preferred = this.endpoints.findIndex(endpoint => endpoint.healthy)
+    if (preferred !== -1 && preferred < this.activeIndex) {
+      const previousUrl = this.getActiveEndpoint()
+      this.activeIndex = preferred
+      this.stats.failbacks++
+      this.logger?.log(`Endpoint ${this.getActiveEndpoint()} is healthy again, failing back from ${previousUrl}`)
+      this._notify('failback', previousUrl)
+    } else if (preferred !== -1 && !this.endpoints[this.activeIndex].healthy) {
+      // The active endpoint is down, but another one recovered
+      this.failover()
+    }
+
+    this._scheduleProbe()
+    return this.getActiveEndpoint()
+  }
+
+  /**
+   * Mark an endpoint unhealthy
+   * @private
+   */
+  _markUnhealthy (endpoint) {
+    endpoint.healthy = false
+    endpoint.consecutiveFailures++
+    endpoint.lastFailure = Date.now()
+  }
+
+  /**
+   * Probe periodically while there is an endpoint to recover, stop otherwise
+   * @private
+   */
+  _scheduleProbe () {
+    const needed = this.checkHealth && (this.isFailedOver() || this.endpoints.some(endpoint => !endpoint.healthy))
+    if (!needed) {
+      this._stopProbe()
+    } else if (!this.probeTimer) {
+      this.probeTimer = setInterval(() => {
+        this.probe().catch(error => this.logger?.log(`Endpoint probing failed: ${error.message}`))
+      }, this.probeInterval)
+    }
+  }
+
+  /**
+   * Stop periodic probing
+   * @private
+   */
+  _stopProbe () {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer)
+      this.probeTimer = null
+    }
+  }
+
+  /**
+   * Notify change listeners
+   * @private
+   */
+  _notify (reason, previousUrl) {
+    const change = {
+      url: this.getActiveEndpoint(),
+      previousUrl,
+      reason,
+      failedOver: this.isFailedOver()
+    }
+    for (const listener of this.listeners) {
+      try {
+        listener({ ...change })
+      } catch (error) {
+        this.logger?.log(`Error in endpoint change listener: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Initial health record of an endpoint; endpoints are assumed healthy until they fail
+   * @private
+   */
+  static _createEndpoint (url) {
+    return {
+      url,
+      healthy: true,
+      consecutiveFailures: 0,
+      lastSuccess: null,
+      lastFailure: null,
+      lastProbe: null
+    }
+  }
+}
+
+EndpointFailover.DEFAULT_PROBE_INTERVAL = 30000 // 30 seconds
+
+/**
+ * Create a pre-configured EndpointFailover instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Function} [dependencies.checkHealth] - Resolves true if the endpoint URL it is called with is reachable;
+ *   without it, endpoints are never probed and failing back is left to setEndpoints()
+ * @param {Object} [options] - Failover options
+ * @param {Array<string>} [options.endpoints] - Endpoint URLs, most preferred first
+ * @param {number} [options.probeInterval] - Milliseconds between probes while failed over
+ * @returns {EndpointFailover} Configured endpoint failover
+ */
+function createEndpointFailover ({ logger, checkHealth } = {}, options = {}) {
+  return new EndpointFailover(logger, { ...options, checkHealth })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterEndpointFailover = {
+    EndpointFailover,
+    createEndpointFailover
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterEndpointFailover = {
+    EndpointFailover,
+    createEndpointFailover
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterEndpointFailover = {
+    EndpointFailover,
+    createEndpointFailover
+  }
+}
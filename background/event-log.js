@@ -0,0 +1,349 @@
+/**
+ * Event Log Module for WebRTC Stats Exporter
+ * Turns connection lifecycle transitions and circuit breaker trips into structured log lines and pushes them to Loki
+ */
+
+/**
+ * EventLogPipeline class for buffering lifecycle events and pushing them in batches
+ * Stream labels are the labels of the connection's metrics (job, agent_id, static labels and the grouping key),
+ * so a support engineer can jump from a metric to the timeline of the same connection.
+ */
+class EventLogPipeline {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.client = options.client || null
+    this.resolveGroupingKey = options.resolveGroupingKey || null
+    this.secretStore = options.secretStore || null
+    this.flushInterval = options.flushInterval || EventLogPipeline.DEFAULT_FLUSH_INTERVAL
+    this.maxBufferSize = options.maxBufferSize || EventLogPipeline.DEFAULT_MAX_BUFFER_SIZE
+    this.maxRetries = options.maxRetries ?? 2
+    this.options = {}
+    this.buffer = []
+    this.flushTimer = null
+    this.pendingFlush = null
+    this.stats = {
+      recordedEvents: 0,
+      pushedEvents: 0,
+      droppedEvents: 0,
+      failedPushes: 0
+    }
+  }
+
+  /**
+   * Update the Loki destination and label options
+   * @param {Object} options - Extension options (lokiUrl, lokiUsername, lokiPassword, job, agentId, staticLabels)
+   */
+  updateOptions (options) {
+    this.options = { ...options }
+
+    if (!this.isEnabled()) {
+      this._cancelFlush()
+      this.buffer = []
+    }
+  }
+
+  /**
+   * Check whether events are being collected
+   * @returns {boolean} True if a Loki URL is configured
+   */
+  isEnabled () {
+    return !!(this.client && this.options.lokiUrl)
+  }
+
+  /**
+   * Record an event
+   * @param {string} event - Event name, e.g. 'connection_new'
+   * @param {Object} [fields] - Event fields
+   * @param {string} [fields.id] - Peer connection ID
+   * @param {string} [fields.origin] - Origin of the page
+   * @param {Object} [fields.groupingKey] - Grouping key labels, resolved from id and origin if omitted
+   * @param {number} [fields.timestamp] - Event time in milliseconds, defaults to now
+   * @returns {Object|null} Buffered entry, or null if the event log is disabled
+   */
+  record (event, { id, origin, groupingKey, timestamp = Date.now(), ...fields } = {}) {
+    if (!this.isEnabled()) {
+      return null
+    }
+
+    const entry = {
+      labels: this._streamLabels(id, origin, groupingKey),
+      timestamp,
+      line: JSON.stringify({ event, peerConnectionId: id, origin, ...fields })
+    }
+
+    this.buffer.push(entry)
+    this.stats.recordedEvents++
+    this._trimBuffer()
+    this._scheduleFlush()
+
+    return entry
+  }
+
+  /**
+   * Record a state change from the connection event stream
+   * @param {Object} streamEvent - { id, url, event } as emitted by ConnectionEventTracker.onEvent()
+   * @returns {Object|null} Buffered entry, or null if the event is not a state change or the event log is disabled
+   */
+  recordConnectionEvent ({ id, url, event }) {
+    if (!EventLogPipeline.STATE_EVENT_TYPES.includes(event.type)) {
+      return null
+    }
+
+    let origin
+    try {
+      origin = new URL(url).origin
+    } catch (error) {
+      // Logged without an origin
+    }
+
+    return this.record('state_change', {
+      id,
+      origin,
+      timestamp: event.timestamp,
+      eventType: event.type,
+      state: event.state
+    })
+  }
+
+  /**
+   * Record a circuit breaker transition of an exporter sink
+   * @param {Object} change - Change as emitted by ExporterSinkManager.onCircuitStateChange()
+   * @returns {Object|null} Buffered entry, or null if the event log is disabled
+   */
+  recordCircuitStateChange ({ sink, name, type, state, previousState, consecutiveFailures, queueSize }) {
+    return this.record(EventLogPipeline.CIRCUIT_EVENTS[state] || 'circuit_state_change', {
+      sink,
+      sinkName: name,
+      sinkType: type,
+      state,
+      previousState,
+      consecutiveFailures,
+      queueSize
+    })
+  }
+
+  /**
+   * Push all buffered events
+   * Retryable failures put the events back in the buffer for the next flush; rejected batches are dropped.
+   * @returns {Promise<number>} Number of events pushed
+   */
+  async flush () {
+    if (this.pendingFlush) {
+      return this.pendingFlush
+    }
+
+    this._cancelFlush()
+    if (!this.isEnabled() || this.buffer.length === 0) {
+      return 0
+    }
+
+    const entries = this.buffer.splice(0)
+    this.pendingFlush = this._push(entries).finally(() => {
+      this.pendingFlush = null
+      // Events recorded during the push
+      if (this.buffer.length > 0) {
+        this._scheduleFlush()
+      }
+    })
+    return this.pendingFlush
+  }
+
+  /**
+   * Get event log statistics
+   * @returns {Object} Statistics about recorded and pushed events
+   */
+  getStats () {
+    return {
+      enabled: this.isEnabled(),
+      bufferedEvents: this.buffer.length,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Destroy the pipeline and drop buffered events
+   */
+  destroy () {
+    this._cancelFlush()
+    this.buffer = []
+  }
+
+  /**
+   * Group entries into Loki streams
+   * @param {Array} entries - Entries as { labels, timestamp, line }
+   * @returns {Array} Streams as { stream, values: [[unixNano, line]] }, values in time order
+   */
+  static toStreams (entries) {
+    const streams = new Map()
+
+    entries.forEach(({ labels, timestamp, line }) => {
+      const key = JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]))
+      if (!streams.has(key)) {
+        streams.set(key, { stream: labels, entries: [] })
+      }
+      streams.get(key).entries.push({ timestamp, line })
+    })
+
+    return Array.from(streams.values(), ({ stream, entries }) => ({
+      stream,
+      values: entries
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(({ timestamp, line }) => [`${Math.round(timestamp)}000000`, line])
+    }))
+  }
+
+  // Private methods
+
+  /**
+   * Push a batch of entries
+   * @private
+   */
+  async _push (entries) {
+    const { lokiUrl, lokiUsername } = this.options
+
+    try {
+      // The password is only decrypted for the request, it is not part of the options
+      const secrets = this.secretStore ? await this.secretStore.getSecrets() : {}
+
+      await this.client.sendDataWithRetry({
+        url: lokiUrl,
+        username: lokiUsername,
+        password: secrets.lokiPassword ?? this.options.lokiPassword,
+        streams: EventLogPipeline.toStreams(entries)
+      }, this.maxRetries, EventLogPipeline.RETRY_BASE_DELAY)
+
+      this.stats.pushedEvents += entries.length
+      return entries.length
+    } catch (error) {
+      this.stats.failedPushes++
+
+      if (error.isRetryable?.() === false) {
+        this.stats.droppedEvents += entries.length
+        this.logger?.log(`Event log push rejected, dropped ${entries.length} events: ${error.message}`)
+      } else {
+        this.logger?.log(`Event log push failed, keeping ${entries.length} events for the next flush: ${error.message}`)
+        this.buffer.unshift(...entries)
+        this._trimBuffer()
+        this._scheduleFlush()
+      }
+      return 0
+    }
+  }
+
+  /**
+   * Build the stream labels of an event
+   * @private
+   */
+  _streamLabels (id, origin, groupingKey) {
+    const { job, agentId, staticLabels } = this.options
+    const key = groupingKey || (id && this.resolveGroupingKey ? this.resolveGroupingKey({ id, origin }) : null)
+
+    const labels = { job, agent_id: agentId, ...staticLabels, ...key }
+    return Object.fromEntries(Object.entries(labels).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+  }
+
+  /**
+   * Drop the oldest events beyond the buffer size
+   * @private
+   */
+  _trimBuffer () {
+    const excess = this.buffer.length - this.maxBufferSize
+    if (excess > 0) {
+      this.buffer.splice(0, excess)
+      this.stats.droppedEvents += excess
+    }
+  }
+
+  /**
+   * Schedule a flush unless one is already scheduled
+   * @private
+   */
+  _scheduleFlush () {
+    if (this.flushTimer) {
+      return
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush()
+    }, this.flushInterval)
+  }
+
+  /**
+   * Cancel a scheduled flush
+   * @private
+   */
+  _cancelFlush () {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+  }
+}
+
+EventLogPipeline.DEFAULT_FLUSH_INTERVAL = 5000 // 5 seconds
+EventLogPipeline.DEFAULT_MAX_BUFFER_SIZE = 1000
+EventLogPipeline.RETRY_BASE_DELAY = 1000
+// Connection events from the page that are logged as state changes
+EventLogPipeline.STATE_EVENT_TYPES = [
+  'connectionstatechange',
+  'iceconnectionstatechange',
+  'icegatheringstatechange',
+  'signalingstatechange'
+]
+EventLogPipeline.CIRCUIT_EVENTS = {
+  OPEN: 'circuit_open',
+  HALF_OPEN: 'circuit_half_open',
+  CLOSED: 'circuit_closed'
+}
+
+/**
+ * Custom error class for event log errors
+ */
+class EventLogError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'EventLogError'
+  }
+}
+
+/**
+ * Create a pre-configured EventLogPipeline instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} dependencies.client - Loki client with sendDataWithRetry()
+ * @param {Function} [dependencies.resolveGroupingKey] - Resolve ({ id, origin }) to the connection's grouping key labels
+ * @param {Object} [dependencies.secretStore] - Secret store holding the Loki password
+ * @param {Object} [options] - Pipeline options
+ * @param {number} [options.flushInterval=5000] - Delay between the first buffered event and its push in milliseconds
+ * @param {number} [options.maxBufferSize=1000] - Events kept while Loki is unreachable, oldest are dropped first
+ * @param {number} [options.maxRetries=2] - Retries per push
+ * @returns {EventLogPipeline} Configured event log pipeline
+ */
+function createEventLogPipeline ({ logger, client, resolveGroupingKey, secretStore } = {}, options = {}) {
+  if (!client || typeof client.sendDataWithRetry !== 'function') {
+    throw new EventLogError('Event log requires a client with sendDataWithRetry()')
+  }
+  return new EventLogPipeline(logger, { ...options, client, resolveGroupingKey, secretStore })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterEventLog = {
+    EventLogPipeline,
+    EventLogError,
+    createEventLogPipeline
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterEventLog = {
+    EventLogPipeline,
+    EventLogError,
+    createEventLogPipeline
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterEventLog = {
+    EventLogPipeline,
+    EventLogError,
+    createEventLogPipeline
+  }
+}
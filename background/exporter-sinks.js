@@ -0,0 +1,534 @@
+/**
+ * Exporter Sinks Module for WebRTC Stats Exporter
+ * Fans each push out to every enabled destination, each with its own format, transport, retry policy and circuit breaker
+ */
+
+/**
+ * ExporterSinkManager class for routing pushes to the configured exporter sinks
+ *
+ * Transport modules provide a sink type definition that is registered under a type name:
+ * - createClient() returns a client with sendData(request), _sendDataDirect(request),
+ *   sendDataWithRetry(request, maxRetries, baseDelay), setNetworkCircuitBreaker(circuitBreaker) and getStats()
+ * - buildRequest(sink, context) turns a push into the request that client expects, formatting the data on the way
+ * - queuePolicy (optional) is how its circuit breaker queues pushes unless the sink picks its own, e.g. 'latest_per_key'
+ *
+ * A sink may list failoverUrls after its url. Pushes go to the active endpoint of the list; when the sink's circuit
+ * breaker opens, the next healthy endpoint becomes active and the queued pushes are replayed to it. The client's
+ * checkHealth(url) probes the preferred endpoints to fail back once they recover.
+ *
+ * A sink's auth configuration becomes an auth provider, set on its client with setAuthProvider(provider), which adds
+ * bearer, OAuth2 or custom headers to every request of the client.
+ *
+ * Passwords, tokens and client secrets are not part of the options; they are decrypted from the secret store for each
+ * push. Queued requests are persisted without the sink's password and get the current one when they are replayed.
+ */
+class ExporterSinkManager {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.statsCallback = options.statsCallback || null
+    this.circuitBreakerFactory = options.circuitBreakerFactory || null
+    this.queueStore = options.queueStore || null
+    this.failoverFactory = options.failoverFactory || null
+    this.authProviderFactory = options.authProviderFactory || null
+    this.secretStore = options.secretStore || null
+    this.circuitBreakerOptions = { ...ExporterSinkManager.DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...options.circuitBreaker }
+    this.sinkTypes = new Map()
+    this.instances = new Map()
+    this.circuitListeners = new Set()
+    this.endpointListeners = new Set()
+  }
+
+  /**
+   * Register a sink type
+   * @param {string} type - Type name used in sink configurations, e.g. 'pushgateway'
+   * @param {Object} definition - Sink type definition
+   * @param {Function} definition.createClient - Create a transport client for one sink
+   * @param {Function} definition.buildRequest - Build a client request from (sink, context)
+   * @param {string} [definition.queuePolicy] - Default circuit breaker queue policy of the type
+   */
+  registerSinkType (type, definition) {
+    if (!type || typeof definition?.createClient !== 'function' || typeof definition.buildRequest !== 'function') {
+      throw new ExporterSinkError('Sink type requires a name, createClient() and buildRequest()')
+    }
+
+    this.sinkTypes.set(type, definition)
+    this.logger?.log(`Registered exporter sink type: ${type}`)
+  }
+
+  /**
+   * Send a push to every enabled sink
+   * A sink that fails does not hold back the others; the push only fails if every sink failed.
+   * @param {string} method - HTTP method (POST/DELETE)
+   * @param {Object} context - Push context
+   * @param {string} context.id - Connection ID, or the comma-separated IDs of the connections in a batched push
+   * @param {string} context.origin - Origin domain
+   * @param {string} [context.data] - Exposition text (for POST requests)
+   * @param {Object} [context.groupingKey] - Resolved Pushgateway grouping key
+   * @param {number} [context.timestamp] - Stats report timestamp in milliseconds
+   * @param {number} [context.batchPart] - Index of the part when a batched push was split, see PushBatcher
+   * @param {Object} options - Extension options holding the primary destination and options.sinks
+   * @returns {Promise<Array>} Per-sink outcome: { sink, result } or { sink, error }
+   */
+  async send (method, { id, origin, data, groupingKey, timestamp, batchPart }, options = {}) {
+    const configured = ExporterSinkManager.resolveSinks(await this._resolveSecrets(options))
+    this._pruneInstances(configured.map(sink => sink.id))
+
+    const sinks = configured.filter(sink => sink.enabled)
+    if (sinks.length === 0) {
+      throw new ExporterSinkError('No export destination is enabled')
+    }
+
+    const context = {
+      method,
+      id,
+      origin,
+      data,
+      groupingKey,
+      timestamp,
+      batchPart,
+      job: options.job,
+      agentId: options.agentId,
+      format: options.metricsFormat,
+      statsCallback: this.statsCallback
+    }
+    const settled = await Promise.allSettled(sinks.map(sink => this._sendToSink(sink, context)))
+
+    const outcomes = settled.map((outcome, index) => {
+      const sink = sinks[index].id
+      if (outcome.status === 'fulfilled') {
+        return { sink, result: outcome.value }
+      }
+      this.logger?.log(`${method} ${id} to sink ${sinks[index].name || sink} failed: ${outcome.reason.message}`)
+      return { sink, error: outcome.reason }
+    })
+
+    if (outcomes.every(outcome => outcome.error)) {
+      throw outcomes[0].error
+    }
+
+    return outcomes
+  }
+
+  /**
+   * Restore the requests each sink's circuit breaker had queued before the service worker was stopped
+   * Persisted queues of sinks that are no longer configured are discarded.
+   * @param {Object} options - Extension options holding the primary destination and options.sinks
+   * @returns {Promise<number>} Number of restored requests
+   */
+  async restoreQueues (options = {}) {
+    if (!this.queueStore || !this.circuitBreakerFactory) {
+      return 0
+    }
+
+    const resolved = await this._resolveSecrets(options)
+    const sinks = ExporterSinkManager.resolveSinks(resolved).filter(sink => sink.enabled && this.sinkTypes.has(sink.type))
+    try {
+      await this.queueStore.retain(sinks.map(sink => sink.id))
+    } catch (error) {
+      this.logger?.log(`Failed to discard queues of removed sinks: ${error.message}`)
+    }
+
+    let restored = 0
+    for (const sink of sinks) {
+      restored += await this._getInstance(sink).circuitBreaker.restoreQueue()
+    }
+
+    if (restored > 0) {
+      this.logger?.log(`Restored ${restored} queued pushes`)
+    }
+    return restored
+  }
+
+  /**
+   * Subscribe to circuit breaker state transitions of every sink
+   * @param {Function} listener - Called with { sink, name, type, state, previousState, consecutiveFailures, queueSize }
+   * @returns {Function} Unsubscribe function
+   */
+  onCircuitStateChange (listener) {
+    if (typeof listener !== 'function') {
+      throw new ExporterSinkError('Listener must be a function')
+    }
+
+    this.circuitListeners.add(listener)
+
+    return () => {
+      this.circuitListeners.delete(listener)
+    }
+  }
+
+  /**
+   * Subscribe to active endpoint changes of every sink
+   * @param {Function} listener - Called with { sink, name, type, url, previousUrl, reason, failedOver }
+   * @returns {Function} Unsubscribe function
+   */
+  onEndpointChange (listener) {
+    if (typeof listener !== 'function') {
+      throw new ExporterSinkError('Listener must be a function')
+    }
+
+    this.endpointListeners.add(listener)
+
+    return () => {
+      this.endpointListeners.delete(listener)
+    }
+  }
+
+  /**
+   * Get the endpoint each sink currently pushes to
+   * @returns {Object} Sink ID -> { name, url, failedOver }
+   */
+  getActiveEndpoints () {
+    const endpoints = {}
+    this.instances.forEach(({ name, failover }, id) => {
+      if (failover) {
+        endpoints[id] = { name, url: failover.getActiveEndpoint(), failedOver: failover.isFailedOver() }
+      }
+    })
+    return endpoints
+  }
+
+  /**
+   * Get sink statistics
+   * @returns {Object} Registered sink types and per-sink client statistics
+   */
+  getStats () {
+    const sinks = {}
+    this.instances.forEach(({ type, client, failover }, id) => {
+      sinks[id] = { type, ...client.getStats?.() }
+      if (failover) {
+        sinks[id].failover = failover.getStats()
+      }
+    })
+
+    return {
+      sinkTypes: Array.from(this.sinkTypes.keys()),
+      sinks
+    }
+  }
+
+  /**
+   * Destroy all sink clients and their circuit breakers
+   * Persisted queues are kept for the next start.
+   */
+  destroy () {
+    this.instances.forEach(instance => this._destroyInstance(instance))
+    this.instances.clear()
+    this.circuitListeners.clear()
+    this.endpointListeners.clear()
+  }
+
+  /**
+   * Resolve the configured sinks
+   * The Pushgateway URL and credentials of the main options form the primary sink, followed by options.sinks.
+   * @param {Object} options - Extension options
+   * @returns {Array} Sink configurations with defaults applied
+   */
+  static resolveSinks (options = {}) {
+    const primary = {
+      id: ExporterSinkManager.PRIMARY_SINK_ID,
+      name: 'Pushgateway',
+      type: 'pushgateway',
+      enabled: !!options.url,
+      url: options.url,
+      failoverUrls: options.failoverUrls,
+      username: options.username,
+      password: options.password,
+      auth: options.auth,
+      gzip: options.gzip
+    }
+
+    return [primary, ...(Array.isArray(options.sinks) ? options.sinks : [])].map(sink => ({
+      ...ExporterSinkManager.SINK_DEFAULTS,
+      ...sink,
+      retry: { ...ExporterSinkManager.SINK_DEFAULTS.retry, ...sink.retry }
+    }))
+  }
+
+  /**
+   * Ordered endpoint list of a sink
+   * @param {Object} sink - Sink configuration
+   * @returns {Array<string>} The sink URL followed by its failover URLs
+   */
+  static resolveEndpoints (sink) {
+    return [sink.url, ...(Array.isArray(sink.failoverUrls) ? sink.failoverUrls : [])].filter(Boolean)
+  }
+
+  // Private methods
+
+  /**
+   * Get or create the client and circuit breaker of a sink
+   * @private
+   */
+  _getInstance (sink) {
+    const existing = this.instances.get(sink.id)
+    if (existing && existing.type === sink.type) {
+      existing.name = sink.name
+      existing.password = sink.password
+      existing.circuitBreaker?.setQueuePolicy(this._queuePolicy(sink))
+      existing.failover?.setEndpoints(ExporterSinkManager.resolveEndpoints(sink))
+      this._applyAuth(existing, sink)
+      return existing
+    }
+    // Requests queued in the format of the old type cannot be sent any more
+    existing?.circuitBreaker?.clearQueue()
+    if (existing) {
+      this._destroyInstance(existing)
+    }
+
+    const definition = this.sinkTypes.get(sink.type)
+    if (!definition) {
+      throw new ExporterSinkError(`Unknown sink type: ${sink.type}`)
+    }
+
+    const client = definition.createClient()
+    const instance = { type: sink.type, name: sink.name, password: sink.password, client, circuitBreaker: null, failover: null }
+    let failover = null
+    if (this.failoverFactory) {
+      failover = this.failoverFactory({
+        logger: { log: (...args) => this.logger?.log(`[sink ${sink.id}]`, ...args) },
+        checkHealth: client.checkHealth ? url => client.checkHealth(url) : null
+      }, {
+        endpoints: ExporterSinkManager.resolveEndpoints(sink)
+      })
+    }
+
+    let circuitBreaker = null
+    if (this.circuitBreakerFactory) {
+      circuitBreaker = this.circuitBreakerFactory(client, {
+        ...this.circuitBreakerOptions,
+        queueStore: this.queueStore,
+        queueName: sink.id,
+        queuePolicy: this._queuePolicy(sink),
+        // The stats callback is not persisted with the request
+        restoreRequest: request => ({ ...request, statsCallback: this.statsCallback }),
+        persistRequest: request => ExporterSinkManager._withoutSecret(request, instance.password),
+        prepareRequest: request => this._prepareRequest(instance, request)
+      }, {
+        log: (...args) => this.logger?.log(`[sink ${sink.id}]`, ...args)
+      })
+      client.setNetworkCircuitBreaker(circuitBreaker)
+      circuitBreaker.onStateChange?.(change => {
+        this._notifyCircuitListeners({ sink: sink.id, name: sink.name, type: sink.type, ...change })
+        if (change.state === 'OPEN' && failover) {
+          // Let the breaker finish opening before it is reset for the next endpoint
+          queueMicrotask(() => failover.failover('failing'))
+        }
+      })
+    }
+
+    Object.assign(instance, { circuitBreaker, failover })
+    failover?.onChange(change => {
+      if (circuitBreaker && circuitBreaker.state !== 'CLOSED') {
+        circuitBreaker.reset()
+      }
+      this._notifyEndpointListeners({ sink: sink.id, name: instance.name, type: sink.type, ...change })
+    })
+
+    this._applyAuth(instance, sink)
+    this.instances.set(sink.id, instance)
+    return instance
+  }
+
+  /**
+   * Give the client of a sink an auth provider for its auth configuration
+   * The provider is only replaced when the configuration changed, so an OAuth2 token outlives option saves.
+   * @private
+   */
+  _applyAuth (instance, sink) {
+    const authKey = JSON.stringify(sink.auth || null)
+    if (!this.authProviderFactory || instance.authKey === authKey) {
+      return
+    }
+
+    instance.authProvider?.destroy()
+    instance.authProvider = this.authProviderFactory({
+      logger: { log: (...args) => this.logger?.log(`[sink ${sink.id}]`, ...args) }
+    }, sink.auth)
+    instance.authKey = authKey
+    instance.client.setAuthProvider?.(instance.authProvider)
+  }
+
+  /**
+   * Fill the secret fields of the options from the secret store
+   * @private
+   */
+  async _resolveSecrets (options) {
+    return this.secretStore ? this.secretStore.resolveOptions(options) : options
+  }
+
+  /**
+   * Prepare a queued request for sending
+   * Queued requests go to whichever endpoint is active when they are replayed, with the sink's current password.
+   * @private
+   */
+  _prepareRequest (instance, { secretFields, ...request }) {
+    if (instance.failover) {
+      request.url = instance.failover.getActiveEndpoint()
+    }
+    secretFields?.forEach(field => {
+      request[field] = instance.password
+    })
+    return request
+  }
+
+  /**
+   * Request without the fields holding the sink's password, for persisting
+   * The names of the removed fields are kept in secretFields.
+   * @private
+   */
+  static _withoutSecret (request, secret) {
+    const secretFields = secret ? Object.keys(request).filter(field => request[field] === secret) : []
+    if (secretFields.length === 0) {
+      return request
+    }
+
+    const stripped = { ...request, secretFields }
+    secretFields.forEach(field => delete stripped[field])
+    return stripped
+  }
+
+  /**
+   * Queue policy of a sink, falling back to the default of its type
+   * @private
+   */
+  _queuePolicy (sink) {
+    return sink.queuePolicy || this.sinkTypes.get(sink.type)?.queuePolicy
+  }
+
+  /**
+   * Send one push to one sink, applying its retry policy
+   * @private
+   */
+  async _sendToSink (sink, context) {
+    const { client, failover } = this._getInstance(sink)
+    const target = failover ? { ...sink, url: failover.getActiveEndpoint() } : sink
+    const request = this.sinkTypes.get(sink.type).buildRequest(target, context)
+    // Lets the circuit breaker queue every part of a split push
+    if (context.batchPart) {
+      request.batchPart = context.batchPart
+    }
+
+    const result = sink.retry.maxRetries > 0
+      ? await client.sendDataWithRetry(request, sink.retry.maxRetries, sink.retry.baseDelay)
+      : await client.sendData(request)
+    if (!result?.queued) {
+      failover?.recordSuccess()
+    }
+    return result
+  }
+
+  /**
+   * Notify circuit state listeners
+   * @private
+   */
+  _notifyCircuitListeners (change) {
+    for (const listener of this.circuitListeners) {
+      try {
+        listener({ ...change })
+      } catch (error) {
+        this.logger?.log(`Error in circuit state listener: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Notify endpoint change listeners
+   * @private
+   */
+  _notifyEndpointListeners (change) {
+    for (const listener of this.endpointListeners) {
+      try {
+        listener({ ...change })
+      } catch (error) {
+        this.logger?.log(`Error in endpoint change listener: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Destroy the circuit breaker, endpoint failover and auth provider of an instance
+   * @private
+   */
+  _destroyInstance (instance) {
+    instance.circuitBreaker?.destroy()
+    instance.failover?.destroy()
+    instance.authProvider?.destroy()
+  }
+
+  /**
+   * Destroy instances of sinks that are no longer configured
+   * @private
+   */
+  _pruneInstances (ids) {
+    this.instances.forEach((instance, id) => {
+      if (!ids.includes(id)) {
+        instance.circuitBreaker?.clearQueue()
+        this._destroyInstance(instance)
+        this.instances.delete(id)
+      }
+    })
+  }
+}
+
+ExporterSinkManager.PRIMARY_SINK_ID = 'primary'
+ExporterSinkManager.SINK_DEFAULTS = {
+  enabled: true,
+  type: 'pushgateway',
+  retry: { maxRetries: 0, baseDelay: 1000 }
+}
+ExporterSinkManager.DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  resetTimeout: 60000, // 1 minute
+  maxQueueSize: 100,
+  maxQueueAge: 3600000, // 1 hour
+  healthCheckInterval: 30000 // 30 seconds
+}
+
+/**
+ * Custom error class for exporter sink errors
+ */
+class ExporterSinkError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'ExporterSinkError'
+  }
+}
+
+/**
+ * Create a pre-configured ExporterSinkManager instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Function} [dependencies.statsCallback] - Callback for updating request statistics
+ * @param {Function} [dependencies.circuitBreakerFactory] - createNetworkCircuitBreaker(client, options, logger)
+ * @param {Object} [dependencies.queueStore] - OfflineQueueStore the circuit breakers persist their queues to
+ * @param {Function} [dependencies.failoverFactory] - createEndpointFailover(dependencies, options)
+ * @param {Function} [dependencies.authProviderFactory] - createAuthProvider(dependencies, auth)
+ * @param {Object} [dependencies.secretStore] - SecretStore the passwords, tokens and client secrets are decrypted from
+ * @param {Object} [options] - Manager options
+ * @param {Object} [options.circuitBreaker] - Options for each sink's network circuit breaker
+ * @returns {ExporterSinkManager} Configured sink manager
+ */
+function createExporterSinkManager ({ logger, statsCallback, circuitBreakerFactory, queueStore, failoverFactory, authProviderFactory, secretStore } = {}, options = {}) {
+  return new ExporterSinkManager(logger, { ...options, statsCallback, circuitBreakerFactory, queueStore, failoverFactory, authProviderFactory, secretStore })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterSinks = {
+    ExporterSinkManager,
+    ExporterSinkError,
+    createExporterSinkManager
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterSinks = {
+    ExporterSinkManager,
+    ExporterSinkError,
+    createExporterSinkManager
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterSinks = {
+    ExporterSinkManager,
+    ExporterSinkError,
+    createExporterSinkManager
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Exposition Parser Module for WebRTC Stats Exporter
+ * Reads the Prometheus/OpenMetrics text produced by the stats formatter back into families and samples for non-text sinks
+ */
+
+/**
+ * ExpositionParser class for parsing exposition text
+ */
+class ExpositionParser {
+  /**
+   * Parse exposition text into metric families
+   * @param {string} data - Prometheus text or OpenMetrics exposition
+   * @returns {Array} Families { name, type, help, unit, samples: [{ name, labels, value }] } in input order
+   */
+  static parse (data) {
+    const families = []
+    let family = null
+
+    const familyFor = (name) => {
+      if (!family || family.name !== name) {
+        family = { name, type: 'unknown', help: '', unit: '', samples: [] }
+        families.push(family)
+      }
+      return family
+    }
+
+    for (const line of String(data || '').split('\n')) {
+      if (line === '' || line === '# EOF') {
+        continue
+      }
+
+      if (line.startsWith('#')) {
+        const [, keyword, name, ...rest] = line.split(' ')
+        const text = rest.join(' ')
+        if (keyword === 'HELP') {
+          familyFor(name).help = ExpositionParser.unescapeHelp(text)
+        } else if (keyword === 'TYPE') {
+          familyFor(name).type = text
+        } else if (keyword === 'UNIT') {
+          familyFor(name).unit = text
+        }
+        continue
+      }
+
+      const sample = ExpositionParser.parseSample(line)
+      if (!sample) {
+        continue
+      }
+
+      // Counter and info samples carry a _total/_info suffix on their family name in OpenMetrics
+      if (!family || (sample.name !== family.name && !sample.name.startsWith(`${family.name}_`))) {
+        familyFor(sample.name)
+      }
+      family.samples.push(sample)
+    }
+
+    return families
+  }
+
+  /**
+   * Parse a single sample line such as 'name{a="1",b="2"} 3'
+   * @param {string} line - Sample line without a timestamp
+   * @returns {Object|null} { name, labels, value } or null if the line is malformed
+   */
+  static parseSample (line) {
+    const valueStart = line.lastIndexOf(' ')
+    if (valueStart <= 0) {
+      return null
+    }
+
+    const value = ExpositionParser.parseValue(line.slice(valueStart + 1))
+    const braceStart = line.indexOf('{')
+    if (braceStart === -1 || braceStart > valueStart) {
+      return { name: line.slice(0, valueStart), labels: {}, value }
+    }
+
+    const labels = ExpositionParser.parseLabels(line.slice(braceStart + 1, line.lastIndexOf('}', valueStart)))
+    return labels ? { name: line.slice(0, braceStart), labels, value } : null
+  }
+
+  /**
+   * Parse the inside of a label set, undoing label value escapes
+   * @param {string} text - Label pairs such as 'a="1",b="x\"y"'
+   * @returns {Object|null} Labels in input order or null if the text is malformed
+   */
+  static parseLabels (text) {
+    const labels = {}
+    let position = 0
+
+    while (position < text.length) {
+      const equals = text.indexOf('="', position)
+      if (equals === -1) {
+        return null
+      }
+
+      const name = text.slice(position, equals)
+      let value = ''
+      let cursor = equals + 2
+      while (cursor < text.length && text[cursor] !== '"') {
+        if (text[cursor] === '\\' && cursor + 1 < text.length) {
+          cursor++
+          value += text[cursor] === 'n' ? '\n' : text[cursor]
+        } else {
+          value += text[cursor]
+        }
+        cursor++
+      }
+      if (cursor >= text.length) {
+        return null
+      }
+
+      labels[name] = value
+      // Skip the closing quote and the separating comma
+      position = cursor + (text[cursor + 1] === ',' ? 2 : 1)
+    }
+
+    return labels
+  }
+
+  /**
+   * Parse a sample value, including the NaN and infinity spellings
+   * @param {string} text - Value text
+   * @returns {number} Parsed value
+   */
+  static parseValue (text) {
+    if (text === '+Inf' || text === 'Inf') {
+      return Infinity
+    }
+    if (text === '-Inf') {
+      return -Infinity
+    }
+    return Number(text)
+  }
+
+  /**
+   * Undo HELP text escapes
+   * @param {string} text - Escaped HELP text
+   * @returns {string} HELP text
+   */
+  static unescapeHelp (text) {
+    return text.replace(/\\(\\|n)/g, (_, escaped) => escaped === 'n' ? '\n' : '\\')
+  }
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterExpositionParser = { ExpositionParser }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterExpositionParser = { ExpositionParser }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterExpositionParser = { ExpositionParser }
+}
@@ -11,15 +11,38 @@ importScripts('../shared/config.js')
 importScripts('../shared/domains.js')
 importScripts('../shared/storage-circuit-breaker.js')
 importScripts('../shared/storage.js')
+importScripts('../shared/secret-store.js')
 importScripts('../shared/lifecycle-manager.js')
+importScripts('../shared/port-protocol.js')
+importScripts('metric-catalogue.js')
 importScripts('stats-formatter.js')
+importScripts('line-protocol-formatter.js')
+importScripts('connection-events.js')
+importScripts('session-descriptions.js')
+importScripts('rate-calculator.js')
+importScripts('quality-scorer.js')
+importScripts('cardinality-guard.js')
+importScripts('network-path.js')
+importScripts('exposition-parser.js')
 importScripts('pushgateway-client.js')
+importScripts('remote-write-client.js')
+importScripts('otlp-client.js')
+importScripts('influxdb-client.js')
+importScripts('loki-client.js')
 importScripts('network-circuit-breaker.js')
+importScripts('offline-queue.js')
+importScripts('endpoint-failover.js')
+importScripts('auth-providers.js')
+importScripts('exporter-sinks.js')
+importScripts('push-batcher.js')
+importScripts('event-log.js')
+importScripts('connection-test.js')
 importScripts('options-manager.js')
 importScripts('connection-tracker.js')
 importScripts('lifecycle-manager.js')
 importScripts('tab-monitor.js')
 importScripts('message-handler.js')
+importScripts('port-server.js')
 
 /**
  * Main Application Class - Orchestrates all modules
@@ -69,41 +92,45 @@ class WebRTCExporterApp {
   }
 
   /**
-   * Send data to Pushgateway with integrated tracking
+   * Send data to every enabled exporter sink with integrated tracking
    * @param {string} method - HTTP method (POST/DELETE)
    * @param {Object} connectionInfo - Connection info
    * @param {string} connectionInfo.id - Connection ID
    * @param {string} connectionInfo.origin - Origin domain
+   * @param {number} [connectionInfo.timestamp] - Stats report timestamp in milliseconds
+   * @param {string} [connectionInfo.reason] - Why a connection is deleted, 'stale' for the cleanup of stale connections
+   * @param {number} [connectionInfo.staleDuration] - Time since the last update of a stale connection in milliseconds
    * @param {string} [data] - Data to send
-   * @returns {Promise<any>} Response from Pushgateway
+   * @returns {Promise<Array|Object>} Per-sink outcome from the sink manager, { batched, pending } for stats left to
+   *   the push batcher, or { deleted: false, sharedWith } for a DELETE skipped because other connections share the group
    */
-  async sendData (method, { id, origin }, data) {
-    const { url, username, password, gzip, job } = this.options
-
+  async sendData (method, { id, origin, timestamp, reason, staleDuration }, data) {
     try {
-      // Send data using pushgateway client
-      const result = await this.modules.pushgatewayClient.sendData({
-        method,
-        url,
-        job,
-        id,
-        username,
-        password,
-        gzip,
-        data,
-        statsCallback: this.modules.statsCallback
-      })
+      // A DELETE must hit the group the connection was pushed to, even if the options changed since
+      const groupingKey = (method === 'DELETE' && await this.modules.connectionTracker.getGroupingKey(id)) ||
+        this._resolveGroupingKey({ id, origin })
 
-      // Update connection tracking on successful requests
-      await this.modules.connectionTracker.setPeerConnectionLastUpdate(
-        { id, origin },
-        method === 'POST' ? Date.now() : 0
-      )
-
-      // Trigger UI update after connection state change
-      if (this.modules.tabMonitor) {
-        await this.modules.tabMonitor.updateCurrentTab()
+      // Stats are pushed with those of every other connection at the next flush of the push batcher
+      if (method === 'POST' && this.modules.pushBatcher) {
+        return this.modules.pushBatcher.add({ id, origin, groupingKey, data, timestamp })
       }
+      // A sample still waiting for the flush would bring the connection back after its DELETE
+      this.modules.pushBatcher?.remove(id)
+
+      // A group shared with live connections keeps its series; the next push of the others replaces this one's
+      if (method === 'DELETE') {
+        const sharing = await this.modules.connectionTracker.getConnectionsByGroupingKey(groupingKey, id)
+        if (sharing.length > 0) {
+          this.log(`Keeping group of ${id}, still pushed to by ${sharing.length} other connections`)
+          await this._trackConnections(method, [{ id, origin }], groupingKey, { reason, staleDuration })
+          return { deleted: false, sharedWith: sharing.length }
+        }
+      }
+
+      // Fan out to the sinks; this only throws if every enabled sink failed
+      const result = await this.modules.sinkManager.send(method, { id, origin, data, groupingKey, timestamp }, this.options)
+
+      await this._trackConnections(method, [{ id, origin }], groupingKey, { reason, staleDuration })
 
       return result
     } catch (error) {
@@ -175,30 +202,134 @@ class WebRTCExporterApp {
    * @private
    */
   async _initializeCoreModules () {
-    // Initialize pushgateway client
-    this.modules.pushgatewayClient = new self.WebRTCExporterPushgateway.PushgatewayClient()
+    // Accept content script ports before the first await, their messages wait for the message handler
+    if (self.WebRTCExporterPortServer) {
+      this.modules.portServer = self.WebRTCExporterPortServer.createPortServer({ logger: this.logger })
+    }
+
+    // Initialize secret store, passwords, tokens and client secrets are only decrypted for requests
+    if (self.WebRTCExporterSecrets) {
+      this.modules.secretStore = self.WebRTCExporterSecrets.createSecretStore({ logger: this.logger })
+    }
+
+    // Initialize offline queue so pushes queued by the circuit breakers survive service worker restarts
+    if (self.WebRTCExporterOfflineQueue && self.indexedDB) {
+      this.modules.offlineQueue = self.WebRTCExporterOfflineQueue.createOfflineQueueStore({
+        logger: this.logger,
+        indexedDB: self.indexedDB
+      })
+    }
+
+    // Initialize exporter sinks, each destination gets its own client and network circuit breaker
     this.modules.statsCallback = self.WebRTCExporterPushgateway.createStatsCallback(chrome.storage)
+    this.modules.sinkManager = self.WebRTCExporterSinks.createExporterSinkManager({
+      logger: this.logger,
+      statsCallback: this.modules.statsCallback,
+      circuitBreakerFactory: self.WebRTCExporterNetworkCircuitBreaker?.createNetworkCircuitBreaker,
+      queueStore: this.modules.offlineQueue,
+      failoverFactory: self.WebRTCExporterEndpointFailover?.createEndpointFailover,
+      authProviderFactory: self.WebRTCExporterAuth?.createAuthProvider,
+      secretStore: this.modules.secretStore
+    }, {
+      circuitBreaker: {
+        failureThreshold: 5,
+        resetTimeout: 60000, // 1 minute
+        maxQueueSize: 100,
+        maxQueueAge: 3600000, // 1 hour
+        healthCheckInterval: 30000 // 30 seconds
+      }
+    })
+    this.modules.sinkManager.registerSinkType('pushgateway', self.WebRTCExporterPushgateway.pushgatewaySinkType)
+    if (self.WebRTCExporterRemoteWrite) {
+      this.modules.sinkManager.registerSinkType('remote_write', self.WebRTCExporterRemoteWrite.remoteWriteSinkType)
+    }
+    if (self.WebRTCExporterOtlp) {
+      this.modules.sinkManager.registerSinkType('otlp', self.WebRTCExporterOtlp.otlpSinkType)
+    }
+    if (self.WebRTCExporterInfluxDB) {
+      this.modules.sinkManager.registerSinkType('influxdb', self.WebRTCExporterInfluxDB.influxdbSinkType)
+    }
 
-    // Initialize network circuit breaker for enhanced reliability
-    if (self.WebRTCExporterNetworkCircuitBreaker) {
-      this.modules.networkCircuitBreaker = self.WebRTCExporterNetworkCircuitBreaker.createNetworkCircuitBreaker(
-        this.modules.pushgatewayClient,
-        {
-          failureThreshold: 5,
-          resetTimeout: 60000, // 1 minute
-          maxQueueSize: 100,
-          healthCheckInterval: 30000 // 30 seconds
-        },
-        this.logger
-      )
-      
-      // Connect circuit breaker to pushgateway client
-      this.modules.pushgatewayClient.setNetworkCircuitBreaker(this.modules.networkCircuitBreaker)
-      this.log('Network circuit breaker initialized and connected to pushgateway client')
-    } else {
+    if (!self.WebRTCExporterNetworkCircuitBreaker) {
       this.log('Warning: Network circuit breaker not available')
     }
 
+    // Keep the endpoint each sink pushes to in local storage for the popup
+    this.modules.sinkManager.onEndpointChange((change) => {
+      this.log(`Sink ${change.name || change.sink} ${change.reason}: now pushing to ${change.url}`)
+      this._saveActiveEndpoints()
+    })
+
+    // Initialize push batcher so all connections share one push per update interval and grouping key
+    if (self.WebRTCExporterPushBatcher) {
+      this.modules.pushBatcher = self.WebRTCExporterPushBatcher.createPushBatcher({
+        logger: this.logger,
+        send: this._sendBatch.bind(this)
+      })
+    }
+
+    // Initialize event log for the per-agent lifecycle timeline in Loki
+    if (self.WebRTCExporterEventLog && self.WebRTCExporterLoki) {
+      this.modules.eventLog = self.WebRTCExporterEventLog.createEventLogPipeline({
+        logger: this.logger,
+        client: new self.WebRTCExporterLoki.LokiClient(),
+        resolveGroupingKey: this._resolveGroupingKey.bind(this),
+        secretStore: this.modules.secretStore
+      })
+      this.modules.sinkManager.onCircuitStateChange((change) => this.modules.eventLog.recordCircuitStateChange(change))
+    }
+
+    // Initialize connection tester for the "Test connection" action of the options page
+    if (self.WebRTCExporterConnectionTest) {
+      this.modules.connectionTester = self.WebRTCExporterConnectionTest.createConnectionTester({
+        logger: this.logger,
+        createClient: () => new self.WebRTCExporterPushgateway.PushgatewayClient(),
+        authProviderFactory: self.WebRTCExporterAuth?.createAuthProvider,
+        secretStore: this.modules.secretStore,
+        permissions: chrome.permissions
+      })
+    }
+
+    // Initialize connection event tracker for the peer connection timeline
+    if (self.WebRTCExporterConnectionEvents) {
+      this.modules.connectionEvents = self.WebRTCExporterConnectionEvents.createConnectionEventTracker({
+        logger: this.logger
+      })
+      if (this.modules.eventLog) {
+        this.modules.connectionEvents.onEvent((streamEvent) => this.modules.eventLog.recordConnectionEvent(streamEvent))
+      }
+    }
+
+    // Initialize session description store for negotiated codecs and hold state
+    if (self.WebRTCExporterSessionDescriptions) {
+      this.modules.sessionDescriptions = self.WebRTCExporterSessionDescriptions.createSessionDescriptionStore({
+        storageManager: self.WebRTCExporterStorage.StorageManager,
+        logger: this.logger,
+        config: self.WebRTCExporterConfig
+      })
+    }
+
+    // Initialize rate calculator for bitrate, loss and frame rate derived from successive samples
+    if (self.WebRTCExporterRateCalculator) {
+      this.modules.rateCalculator = self.WebRTCExporterRateCalculator.createRateCalculator({
+        logger: this.logger
+      })
+    }
+
+    // Initialize voice quality scorer for MOS metrics and badge colors
+    if (self.WebRTCExporterQualityScorer) {
+      this.modules.qualityScorer = self.WebRTCExporterQualityScorer.createQualityScorer({
+        logger: this.logger
+      })
+    }
+
+    // Initialize cardinality guard for page URL normalization and the series budget
+    if (self.WebRTCExporterCardinalityGuard) {
+      this.modules.cardinalityGuard = self.WebRTCExporterCardinalityGuard.createCardinalityGuard({
+        logger: this.logger
+      })
+    }
+
     // Initialize options manager
     this.modules.optionsManager = self.WebRTCExporterOptionsManager.createOptionsManager({
       storageManager: self.WebRTCExporterStorage.StorageManager,
@@ -210,9 +341,9 @@ class WebRTCExporterApp {
       storageManager: self.WebRTCExporterStorage.StorageManager,
       logger: this.logger,
       config: self.WebRTCExporterConfig
-    }, async ({ id, origin }) => {
+    }, async ({ id, origin, staleDuration }) => {
       // Cleanup callback delegates to sendData
-      return this.sendData('DELETE', { id, origin })
+      return this.sendData('DELETE', { id, origin, reason: 'stale', staleDuration })
     })
 
     // Initialize lifecycle manager
@@ -238,13 +369,24 @@ class WebRTCExporterApp {
     // Load options first
     const loadedOptions = await this.modules.optionsManager.initialize()
     Object.assign(this.options, loadedOptions)
+    this.modules.eventLog?.updateOptions(this.options)
+    this.modules.pushBatcher?.updateOptions(this.options)
     this.log('Options loaded')
 
+    // Options saved before secrets were encrypted still hold them in plain text
+    await this._migrateSecrets(loadedOptions)
+
+    // Reload pushes queued before the service worker was stopped; they drain in order while the circuit is closed
+    await this.modules.sinkManager.restoreQueues(this.options)
+    // A restarted service worker starts on the preferred endpoints again
+    this._saveActiveEndpoints()
+
     // Initialize tab monitor with loaded options
     this.modules.tabMonitor = await self.WebRTCExporterTabMonitor.createAndInitializeTabMonitor({
       domainManager: self.WebRTCExporterDomains.DomainManager,
       connectionTracker: this.modules.connectionTracker,
-      logger: this.logger
+      logger: this.logger,
+      qualityScorer: this.modules.qualityScorer
     }, loadedOptions)
     this.log('TabMonitor initialized')
 
@@ -255,8 +397,21 @@ class WebRTCExporterApp {
     this.modules.messageHandler = await self.WebRTCExporterMessageHandler.createAndInitializeMessageHandler({
       statsFormatter: self.WebRTCExporterStatsFormatter.StatsFormatter,
       connectionSender: this.sendData.bind(this),
-      logger: this.logger
+      logger: this.logger,
+      eventTracker: this.modules.connectionEvents,
+      descriptionStore: this.modules.sessionDescriptions,
+      rateCalculator: this.modules.rateCalculator,
+      qualityScorer: this.modules.qualityScorer,
+      cardinalityGuard: this.modules.cardinalityGuard,
+      networkPathResolver: self.WebRTCExporterNetworkPath?.NetworkPathResolver
     }, this.options)
+    if (this.modules.connectionTester) {
+      this.modules.messageHandler.registerHandler('test-connection', self.WebRTCExporterConnectionTest.createConnectionTestHandler(
+        this.modules.connectionTester,
+        chrome.runtime.getURL('')
+      ))
+    }
+    this.modules.portServer?.setDispatcher(this.modules.messageHandler.dispatch.bind(this.modules.messageHandler))
     this.log('MessageHandler initialized')
 
     this.log('Options-dependent modules initialized')
@@ -284,10 +439,103 @@ class WebRTCExporterApp {
       if (this.modules.messageHandler) {
         this.modules.messageHandler.updateOptions(changeInfo.newOptions)
       }
+
+      this.modules.eventLog?.updateOptions(this.options)
+      this.modules.pushBatcher?.updateOptions(this.options)
     })
 
     this.log('Cross-module communication established')
   }
+
+  /**
+   * Send one push of the push batcher and track the connections in it
+   * @private
+   */
+  async _sendBatch ({ connections, groupingKey, data, part, timestamp }) {
+    const id = connections.map(connection => connection.id).join(',')
+    const result = await this.modules.sinkManager.send('POST', {
+      id,
+      origin: connections[0].origin,
+      data,
+      groupingKey,
+      timestamp,
+      batchPart: part
+    }, this.options)
+
+    await this._trackConnections('POST', connections, groupingKey)
+
+    return result
+  }
+
+  /**
+   * Update connection tracking after a successful push or DELETE
+   * @private
+   */
+  async _trackConnections (method, connections, groupingKey, { reason, staleDuration } = {}) {
+    for (const { id, origin } of connections) {
+      const created = await this.modules.connectionTracker.setPeerConnectionLastUpdate(
+        { id, origin, groupingKey },
+        method === 'POST' ? Date.now() : 0
+      )
+
+      if (created) {
+        this.modules.eventLog?.record('connection_new', { id, origin, groupingKey })
+      }
+
+      if (method === 'DELETE') {
+        this.modules.eventLog?.record(reason === 'stale' ? 'connection_stale' : 'connection_closed', { id, origin, groupingKey, staleDuration })
+        this.modules.connectionEvents?.removeConnection(id)
+        await this.modules.sessionDescriptions?.removeConnection(id)
+        this.modules.rateCalculator?.removeConnection(id)
+        this.modules.qualityScorer?.removeConnection(id)
+      }
+    }
+
+    // Trigger UI update after connection state change
+    if (this.modules.tabMonitor) {
+      await this.modules.tabMonitor.updateCurrentTab()
+    }
+  }
+
+  /**
+   * Move plain text secrets out of the synced options into the secret store
+   * @private
+   */
+  async _migrateSecrets (loadedOptions) {
+    if (!this.modules.secretStore) {
+      return
+    }
+
+    try {
+      const { options: stripped, moved } = await this.modules.secretStore.migrate(loadedOptions)
+      if (moved.length > 0) {
+        await self.WebRTCExporterStorage.StorageManager.set(stripped)
+        this.log(`Moved secrets out of synced options: ${moved.join(', ')}`)
+      }
+    } catch (err) {
+      this.log(`migrate secrets error: ${err.message}`)
+    }
+  }
+
+  /**
+   * Store the active endpoint of every sink for the popup
+   * @private
+   */
+  _saveActiveEndpoints () {
+    const key = self.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.ACTIVE_ENDPOINTS
+    chrome.storage.local.set({ [key]: this.modules.sinkManager.getActiveEndpoints() }).catch((err) => {
+      this.log(`save active endpoints error: ${err.message}`)
+    })
+  }
+
+  /**
+   * Resolve the grouping key template of the current options for a connection
+   * @private
+   */
+  _resolveGroupingKey ({ id, origin }) {
+    const { job, agentId, groupingKey: groupingKeyTemplate, staticLabels } = this.options
+    return self.WebRTCExporterPushgateway.PushgatewayClient.resolveGroupingKey(groupingKeyTemplate, { job, id, agentId, origin, staticLabels })
+  }
 }
 
 // Create and initialize the main application instance
@@ -0,0 +1,194 @@
+/**
+ * InfluxDB Client Module for WebRTC Stats Exporter
+ * Sends line protocol to the InfluxDB v2 write API, or to Telegraf's influxdb_v2_listener
+ */
+
+/**
+ * InfluxDBClient class for sending metrics to InfluxDB /api/v2/write endpoints
+ * Reuses the Pushgateway client's circuit breaker wiring, retry policy, gzip compression and statistics and replaces the request encoding.
+ */
+class InfluxDBClient extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayClient {
+  /**
+   * Send data directly to InfluxDB (used by circuit breaker or when no circuit breaker is set)
+   * @param {Object} params - Request parameters
+   * @param {string} params.method - HTTP method (POST, DELETE)
+   * @param {string} params.url - Write endpoint with org and bucket query parameters; a URL without a path gets /api/v2/write
+   * @param {string} params.job - Job name
+   * @param {string} params.id - Peer connection ID
+   * @param {Object} [params.groupingKey] - Grouping key labels, added to every line as tags
+   * @param {string} [params.token] - API token
+   * @param {boolean} [params.gzip=false] - Enable gzip compression
+   * @param {string} [params.data] - Exposition text to convert (for POST requests)
+   * @param {number} [params.timestamp] - Stats report timestamp in milliseconds, defaults to now
+   * @param {Function} [params.statsCallback] - Callback for updating statistics
+   * @returns {Promise<string>} Response text
+   */
+  async _sendDataDirect ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    token,
+    gzip = false,
+    data,
+    timestamp,
+    statsCallback
+  }) {
+    // Points are kept by time, a closed connection has nothing to remove
+    if (method === 'DELETE') {
+      return ''
+    }
+
+    this.requestCount++
+    const start = Date.now()
+    this.lastRequestTime = start
+    let requestBody
+
+    try {
+      this._validateParams({ method, url, job, id })
+
+      const families = InfluxDBClient.getExpositionParser().parse(data)
+      const lines = InfluxDBClient.getLineProtocolFormatter().format(families, {
+        tags: groupingKey || { job, peerConnectionId: id },
+        timestamp: timestamp || start
+      })
+      if (lines === '') {
+        return ''
+      }
+      requestBody = await this._prepareBody(method, lines, gzip)
+
+      const headers = { 'Content-Type': 'text/plain; charset=utf-8' }
+      if (token) {
+        headers.Authorization = `Token ${token}`
+      }
+      if (gzip) {
+        headers['Content-Encoding'] = 'gzip'
+      }
+
+      const response = await this._makeRequest(InfluxDBClient.resolveEndpoint(url), 'POST', headers, requestBody)
+
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: response.ok,
+          requestTime,
+          dataSize: requestBody.length,
+          hasData: true
+        })
+      }
+
+      if (!response.ok) {
+        throw await this._responseError(response, `InfluxDB write failed: ${response.status} ${response.statusText}`, InfluxDBError)
+      }
+
+      return await response.text()
+    } catch (error) {
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: false,
+          requestTime,
+          dataSize: requestBody ? requestBody.length : 0,
+          hasData: !!data,
+          error: error.message,
+          status: error.status,
+          retryAfter: error.retryAfter
+        })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Get the exposition parser module
+   * @returns {Object} ExpositionParser class
+   */
+  static getExpositionParser () {
+    const parser = globalThis.WebRTCExporterExpositionParser || self.WebRTCExporterExpositionParser
+    if (!parser) {
+      throw new InfluxDBError('Exposition parser is not loaded')
+    }
+    return parser.ExpositionParser
+  }
+
+  /**
+   * Get the line protocol formatter module
+   * @returns {Object} LineProtocolFormatter class
+   */
+  static getLineProtocolFormatter () {
+    const formatter = globalThis.WebRTCExporterLineProtocol || self.WebRTCExporterLineProtocol
+    if (!formatter) {
+      throw new InfluxDBError('Line protocol formatter is not loaded')
+    }
+    return formatter.LineProtocolFormatter
+  }
+
+  /**
+   * Resolve the write endpoint with nanosecond precision
+   * @param {string} url - Configured URL, e.g. http://influxdb:8086?org=sites&bucket=webrtc
+   * @returns {string} Write endpoint
+   */
+  static resolveEndpoint (url) {
+    const parsed = new URL(url)
+    if (parsed.pathname === '/' || parsed.pathname === '') {
+      parsed.pathname = InfluxDBClient.WRITE_PATH
+    }
+    parsed.searchParams.set('precision', 'ns')
+    return parsed.toString()
+  }
+}
+
+InfluxDBClient.WRITE_PATH = '/api/v2/write'
+
+/**
+ * Custom error class for InfluxDB errors
+ * Extends PushgatewayError so the shared retry policy skips 4xx responses the same way.
+ */
+class InfluxDBError extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayError {
+  constructor (message, status = 0, responseText = '', retryAfter = null) {
+    super(message, status, responseText, retryAfter)
+    this.name = 'InfluxDBError'
+  }
+}
+
+/**
+ * Exporter sink type for InfluxDB destinations
+ * The destination's password holds the API token; org and bucket are query parameters of its URL.
+ */
+const influxdbSinkType = {
+  createClient: () => new InfluxDBClient(),
+  buildRequest: ({ url, password, gzip }, { method, job, id, groupingKey, data, timestamp, statsCallback }) => ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    token: password,
+    gzip,
+    data,
+    timestamp,
+    statsCallback
+  })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterInfluxDB = {
+    InfluxDBClient,
+    InfluxDBError,
+    influxdbSinkType
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterInfluxDB = {
+    InfluxDBClient,
+    InfluxDBError,
+    influxdbSinkType
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterInfluxDB = {
+    InfluxDBClient,
+    InfluxDBError,
+    influxdbSinkType
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Line Protocol Formatter Module for WebRTC Stats Exporter
+ * Handles conversion of formatted metric families to InfluxDB line protocol
+ */
+
+/**
+ * LineProtocolFormatter class for converting metric families to InfluxDB line protocol
+ * Each stats type is a measurement, labels are tags and the metrics of one stats object are fields of a single line.
+ */
+class LineProtocolFormatter {
+  /**
+   * Format metric families into line protocol
+   * @param {Array} families - Families from ExpositionParser.parse()
+   * @param {Object} [params] - Formatting parameters
+   * @param {Object} [params.tags] - Tags added to every line, e.g. the grouping key labels
+   * @param {number} [params.timestamp] - Stats report timestamp in milliseconds, defaults to now
+   * @returns {string} Line protocol, one line per measurement and tag set
+   */
+  static format (families, { tags = {}, timestamp = Date.now() } = {}) {
+    const time = LineProtocolFormatter.toUnixNano(timestamp)
+    const lines = new Map()
+
+    families.forEach(family => {
+      const { measurement, field } = LineProtocolFormatter.resolveMeasurement(family.name)
+
+      family.samples.forEach(sample => {
+        // Line protocol has no NaN or infinity
+        if (!Number.isFinite(sample.value)) {
+          return
+        }
+
+        const tagSet = LineProtocolFormatter.formatTags({ ...sample.labels, ...tags })
+        const key = tagSet ? `${LineProtocolFormatter.escapeMeasurement(measurement)},${tagSet}` : LineProtocolFormatter.escapeMeasurement(measurement)
+        if (!lines.has(key)) {
+          lines.set(key, new Map())
+        }
+        lines.get(key).set(field, sample.value)
+      })
+    })
+
+    let data = ''
+    lines.forEach((fields, key) => {
+      const fieldSet = Array.from(fields, ([field, value]) => `${LineProtocolFormatter.escapeKey(field)}=${LineProtocolFormatter.formatFieldValue(value)}`)
+      data += `${key} ${fieldSet.join(',')} ${time}\n`
+    })
+    return data
+  }
+
+  /**
+   * Split a metric family name into its measurement and field
+   * @param {string} name - Family name such as 'inbound_rtp_jitter' or 'webrtc_inbound_rtp_info'
+   * @returns {Object} { measurement, field }, e.g. { measurement: 'inbound_rtp', field: 'jitter' }
+   */
+  static resolveMeasurement (name) {
+    const measurements = LineProtocolFormatter.getMeasurements()
+
+    const info = name.match(/^webrtc_(.+)_info$/)
+    if (info && measurements.includes(info[1])) {
+      return { measurement: info[1], field: 'info' }
+    }
+
+    const measurement = measurements.find(candidate => name.startsWith(`${candidate}_`))
+    if (measurement) {
+      return { measurement, field: name.slice(measurement.length + 1) }
+    }
+
+    // Series produced by the exporter itself, such as webrtc_audio_mos
+    return {
+      measurement: LineProtocolFormatter.DEFAULT_MEASUREMENT,
+      field: name.replace(new RegExp(`^${LineProtocolFormatter.DEFAULT_MEASUREMENT}_`), '')
+    }
+  }
+
+  /**
+   * Get the measurement names, one per supported stats type, longest first so prefixes match the most specific type
+   * @returns {string[]} Measurement names such as 'remote_inbound_rtp'
+   */
+  static getMeasurements () {
+    const formatter = globalThis.WebRTCExporterStatsFormatter || self.WebRTCExporterStatsFormatter
+    const statsTypes = formatter ? formatter.StatsFormatter.getSupportedStatsTypes() : LineProtocolFormatter.FALLBACK_STATS_TYPES
+
+    return statsTypes
+      .map(type => type.replace(/-/g, '_'))
+      .sort((a, b) => b.length - a.length)
+  }
+
+  /**
+   * Render a tag set, sorted by key as InfluxDB recommends; empty values are left out because tags cannot be empty
+   * @param {Object} tags - Tag keys and values
+   * @returns {string} Comma-separated tag set
+   */
+  static formatTags (tags) {
+    return Object.keys(tags)
+      .filter(key => tags[key] !== undefined && tags[key] !== null && String(tags[key]) !== '')
+      .sort()
+      .map(key => `${LineProtocolFormatter.escapeKey(key)}=${LineProtocolFormatter.escapeKey(String(tags[key]))}`)
+      .join(',')
+  }
+
+  /**
+   * Render a field value
+   * Values are always written as floats: a counter that happens to be whole now may not be later, and InfluxDB
+   * rejects writes that change the type of a field.
+   * @param {number} value - Finite numeric value
+   * @returns {string} Float field value
+   */
+  static formatFieldValue (value) {
+    return String(value)
+  }
+
+  /**
+   * Escape a measurement name
+   * @param {string} name - Measurement name
+   * @returns {string} Escaped measurement name
+   */
+  static escapeMeasurement (name) {
+    return String(name).replace(/[, ]/g, '\\$&')
+  }
+
+  /**
+   * Escape a tag key, tag value or field key
+   * @param {string} key - Key or tag value
+   * @returns {string} Escaped key
+   */
+  static escapeKey (key) {
+    return String(key)
+      .replace(/\n/g, '\\n')
+      .replace(/[,= ]/g, '\\$&')
+  }
+
+  /**
+   * Convert milliseconds into a nanosecond timestamp
+   * @param {number} milliseconds - Time in milliseconds since epoch
+   * @returns {string} Nanoseconds since epoch
+   */
+  static toUnixNano (milliseconds) {
+    return `${Math.round(milliseconds)}000000`
+  }
+}
+
+LineProtocolFormatter.DEFAULT_MEASUREMENT = 'webrtc'
+// Used when the stats formatter is not loaded
+LineProtocolFormatter.FALLBACK_STATS_TYPES = [
+  'candidate-pair',
+  'codec',
+  'data-channel',
+  'inbound-rtp',
+  'local-candidate',
+  'media-playout',
+  'media-source',
+  'outbound-rtp',
+  'peer-connection',
+  'remote-candidate',
+  'remote-inbound-rtp',
+  'remote-outbound-rtp',
+  'track',
+  'transport'
+]
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterLineProtocol = { LineProtocolFormatter }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterLineProtocol = { LineProtocolFormatter }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterLineProtocol = { LineProtocolFormatter }
+}
@@ -0,0 +1,87 @@
+/**
+ * Loki Client Module for WebRTC Stats Exporter
+ * Pushes structured log lines to the Grafana Loki push API
+ */
+
+/**
+ * LokiClient class for sending log streams to Loki /loki/api/v1/push endpoints
+ * Reuses the Pushgateway client's request timeout, retry policy and statistics and replaces the request encoding.
+ */
+class LokiClient extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayClient {
+  /**
+   * Send log streams directly to Loki
+   * @param {Object} params - Request parameters
+   * @param {string} params.url - Push endpoint; a URL without a path gets /loki/api/v1/push
+   * @param {Array} params.streams - Streams as { stream: labels, values: [[unixNano, line]] }
+   * @param {string} [params.username] - Basic auth username
+   * @param {string} [params.password] - Basic auth password
+   * @returns {Promise<string>} Response text
+   */
+  async _sendDataDirect ({ url, streams, username, password }) {
+    if (!url || typeof url !== 'string') {
+      throw new LokiError('URL is required and must be a string')
+    }
+    if (!Array.isArray(streams)) {
+      throw new LokiError('Streams must be an array')
+    }
+
+    this.requestCount++
+    this.lastRequestTime = Date.now()
+
+    const headers = { 'Content-Type': 'application/json' }
+    if (username && password) {
+      headers.Authorization = `Basic ${btoa(`${username}:${password}`)}`
+    }
+
+    const response = await this._makeRequest(LokiClient.resolveEndpoint(url), 'POST', headers, JSON.stringify({ streams }))
+    if (!response.ok) {
+      throw await this._responseError(response, `Loki push failed: ${response.status} ${response.statusText}`, LokiError)
+    }
+
+    return await response.text()
+  }
+
+  /**
+   * Resolve the push endpoint
+   * @param {string} url - Configured URL, e.g. http://loki:3100
+   * @returns {string} Push endpoint
+   */
+  static resolveEndpoint (url) {
+    const parsed = new URL(url)
+    if (parsed.pathname === '/' || parsed.pathname === '') {
+      parsed.pathname = LokiClient.PUSH_PATH
+    }
+    return parsed.toString()
+  }
+}
+
+LokiClient.PUSH_PATH = '/loki/api/v1/push'
+
+/**
+ * Custom error class for Loki errors
+ * Extends PushgatewayError so the shared retry policy skips 4xx responses the same way.
+ */
+class LokiError extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayError {
+  constructor (message, status = 0, responseText = '', retryAfter = null) {
+    super(message, status, responseText, retryAfter)
+    this.name = 'LokiError'
+  }
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterLoki = {
+    LokiClient,
+    LokiError
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterLoki = {
+    LokiClient,
+    LokiError
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterLoki = {
+    LokiClient,
+    LokiError
+  }
+}
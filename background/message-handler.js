@@ -7,10 +7,16 @@
  * MessageHandler class for managing chrome.runtime.onMessage events
  */
 class MessageHandler {
-  constructor (statsFormatter, connectionSender, logger) {
+  constructor (statsFormatter, connectionSender, logger, collaborators = {}) {
     this.statsFormatter = statsFormatter
     this.connectionSender = connectionSender
     this.logger = logger
+    this.eventTracker = collaborators.eventTracker || null
+    this.descriptionStore = collaborators.descriptionStore || null
+    this.rateCalculator = collaborators.rateCalculator || null
+    this.qualityScorer = collaborators.qualityScorer || null
+    this.cardinalityGuard = collaborators.cardinalityGuard || null
+    this.networkPathResolver = collaborators.networkPathResolver || null
     this.options = {}
     this.messageHandlers = new Map()
     this.isInitialized = false
@@ -97,6 +103,29 @@ class MessageHandler {
     return removed
   }
 
+  /**
+   * Run the handler registered for an event
+   * Used for runtime messages and for the messages content scripts send over their port.
+   * @param {string} event - Event type
+   * @param {*} data - Message data
+   * @param {Object} [sender] - Message sender
+   * @returns {Promise<Object>} Handler result
+   */
+  async dispatch (event, data, sender) {
+    if (!event) {
+      throw new MessageHandlerError('Missing event type')
+    }
+
+    const handler = this.messageHandlers.get(event)
+    if (!handler) {
+      this.logger?.log(`No handler registered for event: ${event}`)
+      throw new MessageHandlerError('Unknown event type')
+    }
+
+    this.logger?.log(`Handling message event: ${event}`)
+    return handler(data, sender)
+  }
+
   /**
    * Get handler statistics
    * @returns {Object} Statistics about message handling
@@ -125,23 +154,108 @@ class MessageHandler {
       const origin = new URL(url).origin
 
       if (state === 'closed') {
-        // Handle connection closure
+        // Handle connection closure; the per-connection state is dropped once the DELETE went out
         await this.connectionSender('DELETE', { id, origin })
         return { success: true, action: 'deleted' }
       }
 
+      // Query strings and per-call path segments would create a new series set per page
+      const pageUrl = this.cardinalityGuard ? this.cardinalityGuard.normalizeUrl(url) : url
+
       // Format stats using the stats formatter
-      const data = this.statsFormatter.formatStats({
-        url,
+      let data = this.statsFormatter.formatStats({
+        url: pageUrl,
         state,
         values,
-        agentId: this.options.agentId
+        agentId: this.options.agentId,
+        staticLabels: this.options.staticLabels,
+        format: this.options.metricsFormat,
+        infoMetrics: this.options.infoMetrics,
+        enabledStats: this.options.enabledStats
       })
 
+      const description = data.length > 0 && this.descriptionStore
+        ? await this.descriptionStore.getDescription(id)
+        : null
+
+      // Rates derived from the previous sample of each stats object
+      let rates = []
+      if (data.length > 0 && this.rateCalculator) {
+        rates = this.rateCalculator.computeRates(id, values)
+        data += this.statsFormatter.formatDerivedRates({
+          url: pageUrl,
+          rates,
+          values,
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
+      // Estimated MOS per audio stream, also kept for the tab badge
+      if (data.length > 0 && this.qualityScorer) {
+        data += this.statsFormatter.formatQualityScores({
+          url: pageUrl,
+          scores: this.qualityScorer.scoreConnection({ id, origin }, values, { rates, description }),
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
+      // Event counters ride along with the stats push so they share its grouping key
+      if (data.length > 0 && this.eventTracker) {
+        data += this.statsFormatter.formatEventCounters({
+          url: pageUrl,
+          counters: this.eventTracker.getCounters(id),
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
+      // Negotiated codecs, directions and hold state as info metrics
+      if (data.length > 0 && this.descriptionStore) {
+        data += this.statsFormatter.formatSessionDescription({
+          url: pageUrl,
+          description,
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
+      // Selected candidate pair, resolved from the full report before enabledStats filtering
+      if (data.length > 0 && this.networkPathResolver) {
+        data += this.statsFormatter.formatNetworkPath({
+          url: pageUrl,
+          path: this.networkPathResolver.resolve(values),
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
+      // Enforce the series budget and report what it cost
+      if (data.length > 0 && this.cardinalityGuard) {
+        data = this.cardinalityGuard.filterSeries(data, {
+          maxSeries: this.options.maxSeries,
+          windowMs: this.options.updateInterval * 1000
+        })
+        data += this.statsFormatter.formatCardinalityStats({
+          stats: this.cardinalityGuard.getStats(),
+          agentId: this.options.agentId,
+          staticLabels: this.options.staticLabels,
+          format: this.options.metricsFormat
+        })
+      }
+
       if (data.length > 0) {
-        // Send formatted data
-        await this.connectionSender('POST', { id, origin }, data + '\n')
-        return { success: true, action: 'sent', dataLength: data.length }
+        // Send formatted data, stamped with the report time for sinks that keep timestamps
+        const timestamp = this._reportTimestamp(values)
+        const result = await this.connectionSender('POST', { id, origin, timestamp }, this.statsFormatter.finalize(data, this.options.metricsFormat))
+        // Batched samples are pushed with those of the other connections at the next flush
+        return { success: true, action: result?.batched ? 'batched' : 'sent', dataLength: data.length }
       } else {
         this.logger?.log(`No data to send for connection ${id}`)
         return { success: true, action: 'skipped', reason: 'no-data' }
@@ -152,6 +266,53 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Handle peer connection event timeline message
+   * @param {Object} data - Message data
+   * @param {string} data.url - Page URL
+   * @param {string} data.id - Connection ID
+   * @param {Array} data.events - Timestamped events
+   * @returns {Promise<Object>} Response object
+   */
+  async handlePeerConnectionEvents ({ url, id, events }) {
+    if (!this.eventTracker) {
+      return { success: true, action: 'skipped', reason: 'no-event-tracker' }
+    }
+
+    try {
+      const recorded = this.eventTracker.recordEvents({ url, id, events })
+      this.logger?.log(`Recorded ${recorded.length} peer connection events: ${id}`)
+      return { success: true, action: 'recorded', count: recorded.length }
+    } catch (error) {
+      this.logger?.log(`Error handling peer connection events: ${error.message}`)
+      throw new MessageHandlerError(`Failed to process peer connection events: ${error.message}`)
+    }
+  }
+
+  /**
+   * Handle parsed session description message
+   * @param {Object} data - Message data
+   * @param {string} data.url - Page URL
+   * @param {string} data.id - Connection ID
+   * @param {string} data.side - 'local' or 'remote'
+   * @param {Object} data.description - Parsed SDP summary (never the raw SDP)
+   * @returns {Promise<Object>} Response object
+   */
+  async handlePeerConnectionDescription ({ url, id, side, description }) {
+    if (!this.descriptionStore) {
+      return { success: true, action: 'skipped', reason: 'no-description-store' }
+    }
+
+    try {
+      const origin = new URL(url).origin
+      const summary = await this.descriptionStore.setDescription({ id, origin }, side, description)
+      return { success: true, action: 'recorded', onHold: summary.onHold }
+    } catch (error) {
+      this.logger?.log(`Error handling peer connection description: ${error.message}`)
+      throw new MessageHandlerError(`Failed to process peer connection description: ${error.message}`)
+    }
+  }
+
   /**
    * Send message to specific tab
    * @param {number} tabId - Tab ID
@@ -213,6 +374,17 @@ class MessageHandler {
 
   // Private methods
 
+  /**
+   * Get the time a stats report was taken
+   * @param {Array} values - WebRTC stats values
+   * @returns {number|undefined} Latest stats timestamp in milliseconds since epoch, undefined if none is present
+   * @private
+   */
+  _reportTimestamp (values) {
+    const timestamps = Array.isArray(values) ? values.map(value => value?.timestamp).filter(Number.isFinite) : []
+    return timestamps.length > 0 ? Math.max(...timestamps) : undefined
+  }
+
   /**
    * Register default message handlers
    * @private
@@ -222,6 +394,14 @@ class MessageHandler {
     this.registerHandler('peer-connection-stats', async (data) => {
       return this.handlePeerConnectionStats(data)
     })
+
+    this.registerHandler('peer-connection-events', async (data) => {
+      return this.handlePeerConnectionEvents(data)
+    })
+
+    this.registerHandler('peer-connection-description', async (data) => {
+      return this.handlePeerConnectionDescription(data)
+    })
   }
 
   /**
@@ -244,18 +424,8 @@ class MessageHandler {
           return
         }
 
-        // Get handler for this event type
-        const handler = this.messageHandlers.get(event)
-
-        if (!handler) {
-          this.logger?.log(`No handler registered for event: ${event}`)
-          sendResponse({ error: 'Unknown event type' })
-          return
-        }
-
-        // Execute handler
-        this.logger?.log(`Handling message event: ${event}`)
-        const result = await handler(data, sender)
+        // Execute the handler for this event type
+        const result = await this.dispatch(event, data, sender)
 
         // Send successful response
         sendResponse({ success: true, ...result })
@@ -284,10 +454,16 @@ class MessageHandlerError extends Error {
  * @param {Object} dependencies.statsFormatter - Stats formatter instance
  * @param {Function} dependencies.connectionSender - Function to send connection data
  * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} [dependencies.eventTracker] - Connection event tracker (optional)
+ * @param {Object} [dependencies.descriptionStore] - Session description store (optional)
+ * @param {Object} [dependencies.rateCalculator] - Derived rate calculator (optional)
+ * @param {Object} [dependencies.qualityScorer] - Voice quality scorer (optional)
+ * @param {Object} [dependencies.cardinalityGuard] - Series budget and page URL normalization (optional)
+ * @param {Object} [dependencies.networkPathResolver] - Selected candidate pair resolver (optional)
  * @returns {MessageHandler} Configured message handler
  */
-function createMessageHandler ({ statsFormatter, connectionSender, logger }) {
-  return new MessageHandler(statsFormatter, connectionSender, logger)
+function createMessageHandler ({ statsFormatter, connectionSender, logger, ...collaborators }) {
+  return new MessageHandler(statsFormatter, connectionSender, logger, collaborators)
 }
 
 /**
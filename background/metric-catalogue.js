@@ -0,0 +1,263 @@
+/**
+ * Metric Catalogue Module for WebRTC Stats Exporter
+ * Metadata (counter vs gauge, unit, help text) for WebRTC stats fields and the series derived from them
+ */
+
+/**
+ * MetricCatalogue class for looking up exposition metadata
+ */
+class MetricCatalogue {
+  /**
+   * Look up metadata for a WebRTC stats field
+   * @param {string} statsType - Stats type (e.g. 'inbound-rtp')
+   * @param {string} field - Field name, nested fields joined with '_' (e.g. 'qualityLimitationDurations_cpu')
+   * @returns {Object|null} { type, unit, help } or null if the field is not catalogued
+   */
+  static lookup (statsType, field) {
+    const override = MetricCatalogue.TYPE_OVERRIDES[statsType]?.[field]
+    if (override) {
+      return MetricCatalogue._expand(override)
+    }
+
+    if (Object.prototype.hasOwnProperty.call(MetricCatalogue.FIELDS, field)) {
+      return MetricCatalogue._expand(MetricCatalogue.FIELDS[field])
+    }
+
+    // Nested records (e.g. qualityLimitationDurations) share the metadata of their parent field
+    const separator = field.indexOf('_')
+    if (separator > 0) {
+      const parent = field.slice(0, separator)
+      if (Object.prototype.hasOwnProperty.call(MetricCatalogue.FIELDS, parent)) {
+        const { type, unit, help } = MetricCatalogue._expand(MetricCatalogue.FIELDS[parent])
+        return { type, unit, help: `${help} (${field.slice(separator + 1)})` }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Look up metadata for a series produced by the exporter itself
+   * @param {string} name - Full metric family name (e.g. 'peer_connection_events')
+   * @returns {Object|null} { type, unit, help } or null if not catalogued
+   */
+  static lookupFamily (name) {
+    if (!Object.prototype.hasOwnProperty.call(MetricCatalogue.FAMILIES, name)) {
+      return null
+    }
+    return MetricCatalogue._expand(MetricCatalogue.FAMILIES[name])
+  }
+
+  /**
+   * Check whether a metric type is supported by the exposition formats
+   * @param {string} type - Metric type
+   * @returns {boolean} True for counter, gauge and info
+   */
+  static isValidType (type) {
+    return MetricCatalogue.TYPES.includes(type)
+  }
+
+  // Private methods
+
+  /**
+   * Expand a compact [type, unit, help] entry
+   * @private
+   */
+  static _expand ([type, unit, help]) {
+    return { type, unit, help }
+  }
+}
+
+MetricCatalogue.TYPES = ['counter', 'gauge', 'info']
+
+// Field metadata as [type, unit, help], following the W3C webrtc-stats dictionaries.
+// Cumulative fields that can decrease (packetsLost) are gauges so rate() is never fed a non-monotonic series.
+MetricCatalogue.FIELDS = {
+  // RTCStats
+  timestamp: ['gauge', 'milliseconds', 'Time the stats object was sampled, in ms since the epoch'],
+
+  // RTCRtpStreamStats / RTCReceivedRtpStreamStats / RTCSentRtpStreamStats
+  ssrc: ['gauge', '', 'RTP synchronization source identifier'],
+  rtxSsrc: ['gauge', '', 'SSRC of the RTX retransmission stream'],
+  fecSsrc: ['gauge', '', 'SSRC of the FEC stream'],
+  packetsReceived: ['counter', 'packets', 'Total RTP packets received'],
+  packetsLost: ['gauge', 'packets', 'Cumulative RTP packets lost (may decrease when late packets arrive)'],
+  packetsDiscarded: ['counter', 'packets', 'RTP packets discarded by the jitter buffer'],
+  jitter: ['gauge', 'seconds', 'Packet jitter'],
+  packetsSent: ['counter', 'packets', 'Total RTP packets sent'],
+  bytesSent: ['counter', 'bytes', 'Total payload bytes sent'],
+  bytesReceived: ['counter', 'bytes', 'Total payload bytes received'],
+  headerBytesSent: ['counter', 'bytes', 'Total RTP header and padding bytes sent'],
+  headerBytesReceived: ['counter', 'bytes', 'Total RTP header and padding bytes received'],
+
+  // RTCInboundRtpStreamStats
+  framesDecoded: ['counter', 'frames', 'Frames correctly decoded'],
+  keyFramesDecoded: ['counter', 'frames', 'Key frames correctly decoded'],
+  framesRendered: ['counter', 'frames', 'Frames rendered'],
+  framesDropped: ['counter', 'frames', 'Frames dropped before decoding'],
+  framesReceived: ['counter', 'frames', 'Complete frames received'],
+  framesAssembledFromMultiplePackets: ['counter', 'frames', 'Frames assembled from more than one RTP packet'],
+  frameWidth: ['gauge', 'pixels', 'Width of the last decoded or encoded frame'],
+  frameHeight: ['gauge', 'pixels', 'Height of the last decoded or encoded frame'],
+  framesPerSecond: ['gauge', '', 'Frames decoded or encoded in the last second'],
+  qpSum: ['counter', '', 'Sum of quantization parameter values'],
+  totalDecodeTime: ['counter', 'seconds', 'Total time spent decoding frames'],
+  totalInterFrameDelay: ['counter', 'seconds', 'Sum of delays between consecutively rendered frames'],
+  totalSquaredInterFrameDelay: ['counter', 'seconds', 'Sum of squared delays between consecutively rendered frames'],
+  totalAssemblyTime: ['counter', 'seconds', 'Total time between the first and last packet of multi-packet frames'],
+  totalProcessingDelay: ['counter', 'seconds', 'Total time from packet reception to frame decode'],
+  pauseCount: ['counter', '', 'Video pauses experienced'],
+  totalPausesDuration: ['counter', 'seconds', 'Total duration of video pauses'],
+  freezeCount: ['counter', '', 'Video freezes experienced'],
+  totalFreezesDuration: ['counter', 'seconds', 'Total duration of video freezes'],
+  lastPacketReceivedTimestamp: ['gauge', 'milliseconds', 'Time the last packet was received'],
+  lastPacketSentTimestamp: ['gauge', 'milliseconds', 'Time the last packet was sent'],
+  estimatedPlayoutTimestamp: ['gauge', 'milliseconds', 'Estimated playout time of the track'],
+  fecPacketsReceived: ['counter', 'packets', 'FEC packets received'],
+  fecPacketsDiscarded: ['counter', 'packets', 'FEC packets discarded'],
+  fecBytesReceived: ['counter', 'bytes', 'FEC payload bytes received'],
+  nackCount: ['counter', '', 'Negative acknowledgements (NACK) sent or received'],
+  firCount: ['counter', '', 'Full intra requests (FIR) sent or received'],
+  pliCount: ['counter', '', 'Picture loss indications (PLI) sent or received'],
+  jitterBufferDelay: ['counter', 'seconds', 'Sum of time samples spent in the jitter buffer'],
+  jitterBufferTargetDelay: ['counter', 'seconds', 'Sum of jitter buffer target delays'],
+  jitterBufferMinimumDelay: ['counter', 'seconds', 'Sum of jitter buffer minimum delays'],
+  jitterBufferEmittedCount: ['counter', '', 'Samples or frames that have left the jitter buffer'],
+  totalSamplesReceived: ['counter', 'samples', 'Audio samples received'],
+  concealedSamples: ['counter', 'samples', 'Audio samples concealed'],
+  silentConcealedSamples: ['counter', 'samples', 'Concealed audio samples that were silent'],
+  concealmentEvents: ['counter', '', 'Audio concealment events'],
+  insertedSamplesForDeceleration: ['counter', 'samples', 'Audio samples inserted to slow down playout'],
+  removedSamplesForAcceleration: ['counter', 'samples', 'Audio samples removed to speed up playout'],
+  audioLevel: ['gauge', 'ratio', 'Audio level between 0 and 1'],
+  totalAudioEnergy: ['counter', '', 'Total audio energy'],
+  totalSamplesDuration: ['counter', 'seconds', 'Total duration of audio samples'],
+  retransmittedPacketsReceived: ['counter', 'packets', 'Retransmitted packets received'],
+  retransmittedBytesReceived: ['counter', 'bytes', 'Retransmitted payload bytes received'],
+  totalCorruptionProbability: ['counter', '', 'Sum of frame corruption probabilities'],
+  totalSquaredCorruptionProbability: ['counter', '', 'Sum of squared frame corruption probabilities'],
+  corruptionMeasurements: ['counter', '', 'Frame corruption measurements'],
+
+  // RTCRemoteInboundRtpStreamStats / RTCRemoteOutboundRtpStreamStats
+  roundTripTime: ['gauge', 'seconds', 'Latest round trip time from RTCP reports'],
+  totalRoundTripTime: ['counter', 'seconds', 'Sum of round trip time measurements'],
+  roundTripTimeMeasurements: ['counter', '', 'Round trip time measurements'],
+  fractionLost: ['gauge', 'ratio', 'Fraction of packets lost in the last RTCP reporting interval'],
+  remoteTimestamp: ['gauge', 'milliseconds', 'Remote time the RTCP sender report was sent'],
+  reportsSent: ['counter', '', 'RTCP sender reports sent'],
+
+  // RTCOutboundRtpStreamStats
+  retransmittedPacketsSent: ['counter', 'packets', 'Retransmitted packets sent'],
+  retransmittedBytesSent: ['counter', 'bytes', 'Retransmitted payload bytes sent'],
+  targetBitrate: ['gauge', 'bits_per_second', 'Encoder target bitrate'],
+  totalEncodedBytesTarget: ['counter', 'bytes', 'Sum of encoder target frame sizes'],
+  framesSent: ['counter', 'frames', 'Frames sent'],
+  hugeFramesSent: ['counter', 'frames', 'Huge frames sent (2.5x the average frame size)'],
+  framesEncoded: ['counter', 'frames', 'Frames successfully encoded'],
+  keyFramesEncoded: ['counter', 'frames', 'Key frames successfully encoded'],
+  totalEncodeTime: ['counter', 'seconds', 'Total time spent encoding frames'],
+  totalPacketSendDelay: ['counter', 'seconds', 'Total time packets spent buffered before sending'],
+  qualityLimitationReason: ['gauge', '', 'Reason the encoder is limited (0 none, 1 bandwidth, 2 cpu, 3 other)'],
+  qualityLimitationDurations: ['counter', 'seconds', 'Time spent in each quality limitation state'],
+  qualityLimitationResolutionChanges: ['counter', '', 'Resolution changes caused by quality limitation'],
+
+  // RTCMediaSourceStats / RTCAudioSourceStats / RTCVideoSourceStats
+  echoReturnLoss: ['gauge', 'decibels', 'Echo return loss'],
+  echoReturnLossEnhancement: ['gauge', 'decibels', 'Echo return loss enhancement'],
+  width: ['gauge', 'pixels', 'Width of the last source frame'],
+  height: ['gauge', 'pixels', 'Height of the last source frame'],
+  frames: ['counter', 'frames', 'Frames originating from the source'],
+
+  // RTCAudioPlayoutStats
+  synthesizedSamplesDuration: ['counter', 'seconds', 'Duration of synthesized audio samples'],
+  synthesizedSamplesEvents: ['counter', '', 'Audio synthesis events'],
+  totalPlayoutDelay: ['counter', 'seconds', 'Sum of playout delays of audio samples'],
+  totalSamplesCount: ['counter', 'samples', 'Audio samples played out'],
+
+  // RTCPeerConnectionStats / RTCDataChannelStats
+  dataChannelsOpened: ['counter', '', 'Data channels opened'],
+  dataChannelsClosed: ['counter', '', 'Data channels closed'],
+  dataChannelIdentifier: ['gauge', '', 'Data channel stream identifier'],
+  messagesSent: ['counter', '', 'Data channel messages sent'],
+  messagesReceived: ['counter', '', 'Data channel messages received'],
+
+  // RTCTransportStats / RTCIceCandidatePairStats / RTCIceCandidateStats
+  selectedCandidatePairChanges: ['counter', '', 'Times the selected candidate pair changed'],
+  currentRoundTripTime: ['gauge', 'seconds', 'Latest STUN round trip time'],
+  availableOutgoingBitrate: ['gauge', 'bits_per_second', 'Estimated available outgoing bitrate'],
+  availableIncomingBitrate: ['gauge', 'bits_per_second', 'Estimated available incoming bitrate'],
+  requestsReceived: ['counter', '', 'STUN connectivity check requests received'],
+  requestsSent: ['counter', '', 'STUN connectivity check requests sent'],
+  responsesReceived: ['counter', '', 'STUN connectivity check responses received'],
+  responsesSent: ['counter', '', 'STUN connectivity check responses sent'],
+  consentRequestsSent: ['counter', '', 'STUN consent requests sent'],
+  packetsDiscardedOnSend: ['counter', 'packets', 'Packets discarded due to socket errors'],
+  bytesDiscardedOnSend: ['counter', 'bytes', 'Bytes discarded due to socket errors'],
+  port: ['gauge', '', 'Candidate port'],
+  priority: ['gauge', '', 'Candidate or candidate pair priority'],
+
+  // RTCCodecStats
+  payloadType: ['gauge', '', 'RTP payload type'],
+  clockRate: ['gauge', 'hertz', 'Codec clock rate'],
+  channels: ['gauge', '', 'Number of audio channels']
+}
+
+// Per stats type metadata where a field means something different
+MetricCatalogue.TYPE_OVERRIDES = {
+  'media-source': {
+    framesPerSecond: ['gauge', '', 'Frames captured by the source in the last second']
+  },
+  'data-channel': {
+    bytesSent: ['counter', 'bytes', 'Data channel payload bytes sent'],
+    bytesReceived: ['counter', 'bytes', 'Data channel payload bytes received']
+  },
+  transport: {
+    packetsSent: ['counter', 'packets', 'Packets sent over the transport'],
+    packetsReceived: ['counter', 'packets', 'Packets received over the transport']
+  },
+  'candidate-pair': {
+    packetsSent: ['counter', 'packets', 'Packets sent on the candidate pair'],
+    packetsReceived: ['counter', 'packets', 'Packets received on the candidate pair']
+  }
+}
+
+// Series produced by the exporter rather than read from getStats()
+MetricCatalogue.FAMILIES = {
+  inbound_rtp_bitrate: ['gauge', 'bits_per_second', 'Receive bitrate over the last interval'],
+  inbound_rtp_packet_loss_ratio: ['gauge', 'ratio', 'Fraction of packets lost over the last interval'],
+  inbound_rtp_frame_rate: ['gauge', '', 'Frames decoded per second over the last interval'],
+  inbound_rtp_nack_rate: ['gauge', '', 'NACKs sent per second over the last interval'],
+  inbound_rtp_pli_rate: ['gauge', '', 'PLIs sent per second over the last interval'],
+  outbound_rtp_bitrate: ['gauge', 'bits_per_second', 'Send bitrate over the last interval'],
+  outbound_rtp_frame_rate: ['gauge', '', 'Frames encoded per second over the last interval'],
+  outbound_rtp_nack_rate: ['gauge', '', 'NACKs received per second over the last interval'],
+  outbound_rtp_pli_rate: ['gauge', '', 'PLIs received per second over the last interval'],
+  outbound_rtp_retransmission_ratio: ['gauge', 'ratio', 'Share of sent bytes that were retransmissions over the last interval'],
+  webrtc_audio_mos: ['gauge', '', 'Estimated mean opinion score (1-4.5) from the E-model'],
+  webrtc_audio_r_factor: ['gauge', '', 'E-model transmission rating factor (0-100)'],
+  peer_connection_events: ['counter', '', 'Peer connection events by type and state'],
+  peer_connection_last_event_timestamp: ['gauge', 'seconds', 'Time of the last event by type and state'],
+  peer_connection_on_hold: ['gauge', '', 'Whether the session description puts media on hold'],
+  peer_connection_media_info: ['info', '', 'Negotiated media sections of the session description'],
+  peer_connection_codec_info: ['info', '', 'Codecs offered in each media section'],
+  peer_connection_network_path_info: ['info', '', 'Candidate types, transport and relay protocol of the selected ICE candidate pair'],
+  webrtc_exporter_active_series: ['gauge', '', 'Unique series pushed in the current cardinality budget window'],
+  webrtc_exporter_series_budget: ['gauge', '', 'Maximum unique series per cardinality budget window'],
+  webrtc_exporter_dropped_samples: ['counter', '', 'Samples of new series dropped because the series budget was exceeded']
+}
+
+// Info series carrying the string fields of each stats type (see StatsFormatter.formatStats infoMetrics)
+for (const statsType of ['candidate-pair', 'codec', 'data-channel', 'inbound-rtp', 'local-candidate', 'media-playout',
+  'media-source', 'outbound-rtp', 'peer-connection', 'remote-candidate', 'remote-inbound-rtp', 'remote-outbound-rtp',
+  'track', 'transport']) {
+  MetricCatalogue.FAMILIES[`webrtc_${statsType.replace(/-/g, '_')}_info`] = ['info', '', `Descriptive string fields of ${statsType} stats, joinable on id`]
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterMetricCatalogue = { MetricCatalogue }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterMetricCatalogue = { MetricCatalogue }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterMetricCatalogue = { MetricCatalogue }
+}
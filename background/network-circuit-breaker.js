@@ -14,17 +14,32 @@ class NetworkCircuitBreaker {
     this.resetTimeout = options.resetTimeout || 60000 // 1 minute
     this.healthCheckInterval = options.healthCheckInterval || 30000 // 30 seconds
     this.maxQueueSize = options.maxQueueSize || 100
-    this.maxRetryAttempts = options.maxRetryAttempts || 3
+    this.maxQueueAge = options.maxQueueAge || 3600000 // 1 hour
     
     // Circuit breaker state
     this.consecutiveFailures = 0
     this.state = 'CLOSED' // CLOSED, OPEN, HALF_OPEN
     this.lastFailureTime = null
     this.successCount = 0
+
+    // Throttling (429/503) holds requests back without counting as a failure
+    this.throttledUntil = 0
+    this.consecutiveThrottles = 0
+    this.throttleTimer = null
     
     // Request queue for when circuit is open
     this.requestQueue = []
     this.isProcessingQueue = false
+
+    // Optional persistence of the queue across service worker restarts
+    this.queueStore = options.queueStore || null
+    this.queueName = options.queueName || 'default'
+    this.restoreRequest = options.restoreRequest || null
+    // Optional transformation of a request before it is stored, e.g. removing credentials
+    this.persistRequest = options.persistRequest || null
+    // Optional last-moment adjustment of every request, e.g. pointing queued requests at the active endpoint
+    this.prepareRequest = options.prepareRequest || null
+    this.storageKeys = new WeakMap() // queued request -> Promise of its storage key
     
     // Health monitoring
     this.healthCheckTimer = null
@@ -38,11 +53,16 @@ class NetworkCircuitBreaker {
       failedRequests: 0,
       queuedRequests: 0,
       droppedRequests: 0,
+      restoredRequests: 0,
+      coalescedRequests: 0,
+      throttledRequests: 0,
       avgResponseTime: 0,
       lastResponseTime: 0
     }
     
     this.logger = null
+    this.stateListeners = new Set()
+    this.setQueuePolicy(options.queuePolicy)
     this._initializeHealthCheck()
   }
 
@@ -54,6 +74,45 @@ class NetworkCircuitBreaker {
     this.logger = logger
   }
 
+  /**
+   * Subscribe to circuit state transitions
+   * @param {Function} listener - Called with { state, previousState, consecutiveFailures, queueSize }
+   * @returns {Function} Unsubscribe function
+   */
+  onStateChange (listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function')
+    }
+
+    this.stateListeners.add(listener)
+
+    return () => {
+      this.stateListeners.delete(listener)
+    }
+  }
+
+  /**
+   * Set how requests are queued while the circuit is open
+   * - fifo: requests are kept in order and new ones are dropped once the queue is full
+   * - drop_oldest: requests are kept in order and the oldest are dropped once the queue is full
+   * - latest_per_key: only the latest request per grouping key is kept, e.g. for the Pushgateway,
+   *   which holds only the last push of each group anyway; the parts of a split batched push are kept apart
+   * With every policy, a queued DELETE is never dropped for a POST and POSTs for a key with a queued DELETE are dropped,
+   * so a closed connection is not resurrected on replay.
+   * @param {string} [policy] - One of NetworkCircuitBreaker.QUEUE_POLICIES, defaults to drop_oldest
+   */
+  setQueuePolicy (policy) {
+    const policies = Object.values(NetworkCircuitBreaker.QUEUE_POLICIES)
+    if (policy && !policies.includes(policy)) {
+      throw new Error(`Queue policy must be one of ${policies.join(', ')}`)
+    }
+
+    this.queuePolicy = policy || NetworkCircuitBreaker.DEFAULT_QUEUE_POLICY
+    if (this.queuePolicy === NetworkCircuitBreaker.QUEUE_POLICIES.LATEST_PER_KEY) {
+      this._coalesceQueue()
+    }
+  }
+
   /**
    * Log message with consistent prefix
    * @param {...any} args - Arguments to log
@@ -75,7 +134,7 @@ class NetworkCircuitBreaker {
     if (this.state === 'OPEN') {
       // Check if we should attempt to transition to HALF_OPEN
       if (this._shouldAttemptReset()) {
-        this.state = 'HALF_OPEN'
+        this._setState('HALF_OPEN')
         this.successCount = 0
         this.log('Circuit breaker transitioning to HALF_OPEN for health check')
       } else {
@@ -83,6 +142,19 @@ class NetworkCircuitBreaker {
         return this.queueRequest(requestData)
       }
     }
+
+    if (this._isThrottled()) {
+      this.log(`Throttled by the server, queueing request for ${requestData.id}`)
+      return this.queueRequest(requestData)
+    }
+
+    // Queued requests go out first, so an older push never lands after this one
+    if (this.state === 'CLOSED' && this.requestQueue.length > 0) {
+      this.log(`Queue is draining, queueing request for ${requestData.id}`)
+      const queued = await this.queueRequest(requestData)
+      this._processQueuedRequests()
+      return queued
+    }
     
     const startTime = Date.now()
     
@@ -91,10 +163,17 @@ class NetworkCircuitBreaker {
       const responseTime = Date.now() - startTime
       
       this._onSuccess(responseTime)
+      this._dropSupersededRequests(requestData)
       return result
     } catch (error) {
       const responseTime = Date.now() - startTime
       this._onFailure(error, responseTime)
+
+      // The throttled request waits in the queue like the ones that arrive during the throttle window
+      if (error.isThrottled?.()) {
+        this.log(`Throttled by the server, queueing request for ${requestData.id}`)
+        return this.queueRequest(requestData)
+      }
       throw error
     }
   }
@@ -106,33 +185,124 @@ class NetworkCircuitBreaker {
    * @private
    */
   async queueRequest (requestData) {
-    if (this.requestQueue.length >= this.maxQueueSize) {
-      // Drop oldest requests to prevent memory bloat
-      const dropped = this.requestQueue.shift()
+    const { LATEST_PER_KEY, FIFO } = NetworkCircuitBreaker.QUEUE_POLICIES
+    const isDelete = requestData.method === 'DELETE'
+    const key = this._queueKey(requestData)
+
+    // Stats reported after a close would bring the connection back once the DELETE is replayed
+    if (!isDelete && this.requestQueue.some(queued => queued.method === 'DELETE' && this._queueKey(queued) === key)) {
       this.stats.droppedRequests++
-      this.log(`Dropped oldest queued request for ${dropped.id} due to queue limit`)
+      this.log(`Dropped request for ${requestData.id}, its DELETE is already queued`)
+      return { queued: false, dropped: true }
     }
-    
+
     const queuedRequest = {
       ...requestData,
       queuedAt: Date.now(),
       attempts: 0
     }
-    
+
+    // Drop the request once the queue is full; DELETEs still get in
+    if (this.queuePolicy === FIFO && !isDelete && this._isQueueFull()) {
+      this.stats.droppedRequests++
+      this.log(`Dropped request for ${requestData.id} due to queue limit`)
+      return { queued: false, dropped: true }
+    }
+
     this.requestQueue.push(queuedRequest)
     this.stats.queuedRequests++
+    if (this.queuePolicy === LATEST_PER_KEY) {
+      this._coalesceQueue()
+    }
+
+    while (this.requestQueue.length > this.maxQueueSize) {
+      // Drop oldest requests to prevent memory bloat, POSTs before DELETEs
+      const dropped = this.requestQueue.find(queued => queued.method !== 'DELETE') || this.requestQueue[0]
+      this._removeQueuedRequest(dropped)
+      this.stats.droppedRequests++
+      this.log(`Dropped oldest queued request for ${dropped.id} due to queue limit`)
+    }
+
+    if (!this.requestQueue.includes(queuedRequest)) {
+      return { queued: false, dropped: true }
+    }
+    await this._persistRequest(queuedRequest)
     
     this.log(`Queued request for ${requestData.id}, queue size: ${this.requestQueue.length}`)
     
     return {
       queued: true,
-      queuePosition: this.requestQueue.length,
+      queuePosition: this.requestQueue.indexOf(queuedRequest) + 1,
       estimatedDelay: this._estimateProcessingDelay()
     }
   }
 
+  /**
+   * Restore the requests persisted by a previous service worker
+   * Expired requests are dropped and the oldest ones beyond maxQueueSize are dropped first.
+   * @returns {Promise<number>} Number of restored requests
+   */
+  async restoreQueue () {
+    if (!this.queueStore) {
+      return 0
+    }
+
+    let records
+    try {
+      records = await this.queueStore.load(this.queueName)
+    } catch (error) {
+      this.log(`Failed to restore queued requests: ${error.message}`)
+      return 0
+    }
+
+    // Requests queued since startup are persisted too
+    const known = new Set(await Promise.all(this.requestQueue.map(queuedRequest => this.storageKeys.get(queuedRequest))))
+    const restored = []
+
+    records.forEach(({ key, request, queuedAt, attempts }) => {
+      if (known.has(key)) {
+        return
+      }
+
+      const queuedRequest = {
+        ...(this.restoreRequest ? this.restoreRequest(request) : request),
+        queuedAt,
+        attempts
+      }
+      this.storageKeys.set(queuedRequest, Promise.resolve(key))
+
+      if (this._isExpired(queuedRequest)) {
+        this.stats.droppedRequests++
+        this._unpersistRequest(queuedRequest)
+      } else {
+        restored.push(queuedRequest)
+      }
+    })
+
+    this.requestQueue = [...restored, ...this.requestQueue]
+    if (this.queuePolicy === NetworkCircuitBreaker.QUEUE_POLICIES.LATEST_PER_KEY) {
+      this._coalesceQueue()
+    }
+    while (this.requestQueue.length > this.maxQueueSize) {
+      this.stats.droppedRequests++
+      this._unpersistRequest(this.requestQueue.shift())
+    }
+
+    this.stats.restoredRequests += restored.length
+    this.log(`Restored ${restored.length} queued requests, queue size: ${this.requestQueue.length}`)
+
+    if (this.state === 'CLOSED' && this.requestQueue.length > 0) {
+      setTimeout(() => this._processQueuedRequests(), 100)
+    }
+
+    return restored.length
+  }
+
   /**
    * Process queued requests when circuit is back to CLOSED
+   * Requests are sent one at a time in the order they were queued, so an older push never lands after a newer one.
+   * Failures count towards opening the circuit, which stops the drain while the endpoint is down. A request is only
+   * dropped when it is rejected as not retryable, expires or is pushed out by the queue limit.
    * @private
    */
   async _processQueuedRequests () {
@@ -143,40 +313,47 @@ class NetworkCircuitBreaker {
     this.isProcessingQueue = true
     this.log(`Processing ${this.requestQueue.length} queued requests`)
     
-    const maxConcurrent = 3
-    let processed = 0
     let successful = 0
     let failed = 0
     
-    while (this.requestQueue.length > 0 && this.state === 'CLOSED') {
-      const batch = this.requestQueue.splice(0, maxConcurrent)
-      
-      const results = await Promise.allSettled(
-        batch.map(queuedRequest => this._processQueuedRequest(queuedRequest))
-      )
+    while (this.requestQueue.length > 0 && this.state === 'CLOSED' && !this._isThrottled()) {
+      const queuedRequest = this.requestQueue[0]
+
+      if (this._isExpired(queuedRequest)) {
+        this._removeQueuedRequest(queuedRequest)
+        this.stats.droppedRequests++
+        this.log(`Dropped expired queued request for ${queuedRequest.id}`)
+        continue
+      }
       
-      results.forEach((result, index) => {
-        processed++
-        if (result.status === 'fulfilled') {
-          successful++
+      const startTime = Date.now()
+
+      try {
+        await this._processQueuedRequest(queuedRequest)
+        this._onSuccess(Date.now() - startTime)
+        this._removeQueuedRequest(queuedRequest)
+        successful++
+      } catch (error) {
+        failed++
+        // A throttle stops the loop until its window is over, enough failures stop it by opening the circuit
+        this._onFailure(error, Date.now() - startTime)
+
+        if (error.isThrottled?.()) {
+          continue
+        }
+
+        if (error.isRetryable?.() === false) {
+          this._removeQueuedRequest(queuedRequest)
+          this.stats.droppedRequests++
+          this.log(`Dropped request for ${queuedRequest.id}, it was rejected: ${error.message}`)
         } else {
-          failed++
-          // If individual request failed, put it back in queue with higher attempts
-          const failedRequest = batch[index]
-          failedRequest.attempts++
-          
-          if (failedRequest.attempts < this.maxRetryAttempts) {
-            this.requestQueue.unshift(failedRequest) // Put back at front
-          } else {
-            this.stats.droppedRequests++
-            this.log(`Dropped request for ${failedRequest.id} after ${failedRequest.attempts} attempts`)
+          // Keep it at the front and give the server a moment before retrying
+          queuedRequest.attempts++
+          this._updatePersistedRequest(queuedRequest)
+          if (this.state === 'CLOSED') {
+            await this._delay(1000)
           }
         }
-      })
-      
-      // Add delay between batches to avoid overwhelming the server
-      if (this.requestQueue.length > 0) {
-        await this._delay(1000)
       }
     }
     
@@ -213,8 +390,9 @@ class NetworkCircuitBreaker {
    * @private
    */
   async _executeRequest (requestData) {
+    const request = this.prepareRequest ? this.prepareRequest(requestData) : requestData
     // Use _sendDataDirect to avoid circuit breaker recursion
-    return await this.client._sendDataDirect(requestData)
+    return await this.client._sendDataDirect(request)
   }
 
   /**
@@ -224,6 +402,7 @@ class NetworkCircuitBreaker {
    */
   _onSuccess (responseTime) {
     this.consecutiveFailures = 0
+    this.consecutiveThrottles = 0
     this.lastSuccessfulRequest = Date.now()
     this.stats.successfulRequests++
     this.stats.lastResponseTime = responseTime
@@ -244,6 +423,13 @@ class NetworkCircuitBreaker {
    * @private
    */
   _onFailure (error, responseTime) {
+    // A throttling server is reachable, so it does not count towards the failure threshold
+    if (error.isThrottled?.()) {
+      this.stats.lastResponseTime = responseTime
+      this._onThrottled(error)
+      return
+    }
+
     this.consecutiveFailures++
     this.lastFailureTime = Date.now()
     this.stats.failedRequests++
@@ -264,12 +450,51 @@ class NetworkCircuitBreaker {
     }
   }
 
+  /**
+   * Hold requests back until the throttle window is over, then process the queue
+   * The window is the server's Retry-After delay or, without one, full-jitter exponential backoff.
+   * @param {Error} error - Throttling error with an optional retryAfter in milliseconds
+   * @private
+   */
+  _onThrottled (error) {
+    this.consecutiveThrottles++
+    this.stats.throttledRequests++
+
+    const config = globalThis.WebRTCExporterConfig || self.WebRTCExporterConfig
+    const { EXPONENTIAL_BACKOFF_BASE, MAX_RETRY_DELAY_MS } = { ...NetworkCircuitBreaker.DEFAULT_BACKOFF, ...config?.CONSTANTS.NETWORK }
+    const baseDelay = NetworkCircuitBreaker.THROTTLE_BASE_DELAY
+    let delay = Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseDelay * Math.pow(EXPONENTIAL_BACKOFF_BASE, this.consecutiveThrottles - 1))
+    if (Number.isFinite(error.retryAfter)) {
+      // Spread the agents that were all given the same time
+      delay = error.retryAfter + Math.random() * baseDelay
+    }
+
+    this.throttledUntil = Math.max(this.throttledUntil, Date.now() + delay)
+    this.log(`Throttled by the server (${error.status}), holding requests for ${Math.round(this.throttledUntil - Date.now())}ms`)
+
+    if (this.throttleTimer) {
+      clearTimeout(this.throttleTimer)
+    }
+    this.throttleTimer = setTimeout(() => {
+      this.throttleTimer = null
+      this._processQueuedRequests()
+    }, this.throttledUntil - Date.now())
+  }
+
+  /**
+   * Check whether the server asked to hold requests back
+   * @private
+   */
+  _isThrottled () {
+    return this.throttledUntil > Date.now()
+  }
+
   /**
    * Open the circuit breaker
    * @private
    */
   _openCircuit () {
-    this.state = 'OPEN'
+    this._setState('OPEN')
     this.successCount = 0
     this.networkConnectivity = false
     this.log('Network circuit breaker OPENED - requests will be queued')
@@ -280,7 +505,7 @@ class NetworkCircuitBreaker {
    * @private
    */
   _closeCircuit () {
-    this.state = 'CLOSED'
+    this._setState('CLOSED')
     this.consecutiveFailures = 0
     this.successCount = 0
     this.lastFailureTime = null
@@ -291,6 +516,182 @@ class NetworkCircuitBreaker {
     setTimeout(() => this._processQueuedRequests(), 100)
   }
 
+  /**
+   * Key identifying the group a request writes to
+   * @private
+   */
+  _queueKey ({ groupingKey, job, id }) {
+    return JSON.stringify(groupingKey || { job, peerConnectionId: id })
+  }
+
+  /**
+   * Key identifying the group and part of a split batched push a request writes to
+   * @private
+   */
+  _partKey (requestData) {
+    return `${this._queueKey(requestData)}#${requestData.batchPart || 0}`
+  }
+
+  /**
+   * Drop the queued POSTs a live push replaced, e.g. one sent as a HALF_OPEN probe, under latest_per_key
+   * Sent once the circuit closes, they would overwrite the newer push.
+   * @private
+   */
+  _dropSupersededRequests (requestData) {
+    if (this.queuePolicy !== NetworkCircuitBreaker.QUEUE_POLICIES.LATEST_PER_KEY || requestData.method === 'DELETE') {
+      return
+    }
+
+    const partKey = this._partKey(requestData)
+    const superseded = this.requestQueue.filter(queued => queued.method !== 'DELETE' && this._partKey(queued) === partKey)
+    superseded.forEach(queuedRequest => this._removeQueuedRequest(queuedRequest))
+    this.stats.coalescedRequests += superseded.length
+  }
+
+  /**
+   * Check whether the queue holds maxQueueSize requests
+   * @private
+   */
+  _isQueueFull () {
+    return this.requestQueue.length >= this.maxQueueSize
+  }
+
+  /**
+   * Keep only the latest POST per key and batch part, and no POST before a DELETE of the same key
+   * @private
+   */
+  _coalesceQueue () {
+    const deleted = new Set()
+    const superseded = new Set()
+    const coalesced = []
+
+    for (let index = this.requestQueue.length - 1; index >= 0; index--) {
+      const queuedRequest = this.requestQueue[index]
+      const key = this._queueKey(queuedRequest)
+      const partKey = this._partKey(queuedRequest)
+
+      if (queuedRequest.method === 'DELETE') {
+        deleted.add(key)
+      } else if (deleted.has(key) || superseded.has(partKey)) {
+        coalesced.push(queuedRequest)
+      } else {
+        superseded.add(partKey)
+      }
+    }
+
+    coalesced.forEach(queuedRequest => this._removeQueuedRequest(queuedRequest))
+    this.stats.coalescedRequests += coalesced.length
+  }
+
+  /**
+   * Check whether a queued request is older than maxQueueAge
+   * @private
+   */
+  _isExpired (queuedRequest) {
+    return Date.now() - queuedRequest.queuedAt > this.maxQueueAge
+  }
+
+  /**
+   * Remove a request from the queue and from the queue store
+   * @private
+   */
+  _removeQueuedRequest (queuedRequest) {
+    const index = this.requestQueue.indexOf(queuedRequest)
+    if (index !== -1) {
+      this.requestQueue.splice(index, 1)
+    }
+    this._unpersistRequest(queuedRequest)
+  }
+
+  /**
+   * Persist a queued request
+   * Functions such as the stats callback cannot be stored; restoreRequest puts them back on restore.
+   * @private
+   */
+  _persistRequest (queuedRequest) {
+    if (!this.queueStore) {
+      return Promise.resolve(null)
+    }
+
+    const { queuedAt, attempts, request } = this._storedRecord(queuedRequest)
+    const pending = this.queueStore.add(this.queueName, { request, queuedAt, attempts }).catch((error) => {
+      this.log(`Failed to persist queued request for ${queuedRequest.id}: ${error.message}`)
+      return null
+    })
+
+    this.storageKeys.set(queuedRequest, pending)
+    return pending
+  }
+
+  /**
+   * Store the delivery attempts of a persisted request
+   * @private
+   */
+  _updatePersistedRequest (queuedRequest) {
+    const pending = this.storageKeys.get(queuedRequest)
+    if (!pending) {
+      return
+    }
+
+    const record = this._storedRecord(queuedRequest)
+    pending
+      .then(key => key !== null && this.queueStore.put(key, this.queueName, record))
+      .catch(error => this.log(`Failed to update queued request for ${queuedRequest.id}: ${error.message}`))
+  }
+
+  /**
+   * Build the stored record of a queued request
+   * @private
+   */
+  _storedRecord (queuedRequest) {
+    const { queuedAt, attempts, ...requestData } = queuedRequest
+    const request = Object.fromEntries(Object.entries(requestData).filter(([, value]) => typeof value !== 'function'))
+    return { request: this.persistRequest ? this.persistRequest(request) : request, queuedAt, attempts }
+  }
+
+  /**
+   * Remove a request from the queue store
+   * @private
+   */
+  _unpersistRequest (queuedRequest) {
+    const pending = this.storageKeys.get(queuedRequest)
+    if (!pending) {
+      return
+    }
+
+    this.storageKeys.delete(queuedRequest)
+    pending
+      .then(key => key !== null && this.queueStore.remove(key))
+      .catch(error => this.log(`Failed to remove queued request for ${queuedRequest.id}: ${error.message}`))
+  }
+
+  /**
+   * Change the circuit state and notify state listeners of transitions
+   * @param {string} state - New state (CLOSED, OPEN, HALF_OPEN)
+   * @private
+   */
+  _setState (state) {
+    const previousState = this.state
+    this.state = state
+    if (previousState === state) {
+      return
+    }
+
+    const change = {
+      state,
+      previousState,
+      consecutiveFailures: this.consecutiveFailures,
+      queueSize: this.requestQueue.length
+    }
+    for (const listener of this.stateListeners) {
+      try {
+        listener({ ...change })
+      } catch (error) {
+        this.log(`Error in state change listener: ${error.message}`)
+      }
+    }
+  }
+
   /**
    * Check if error indicates network connectivity issues
    * @param {Error} error - Error to check
@@ -336,11 +737,9 @@ class NetworkCircuitBreaker {
   _estimateProcessingDelay () {
     const queueSize = this.requestQueue.length
     const avgResponseTime = Math.max(this.stats.avgResponseTime, 100) // Minimum 100ms
-    const batchSize = 3
-    const batchDelay = 1000 // 1 second between batches
-    
-    const batches = Math.ceil(queueSize / batchSize)
-    return (batches * avgResponseTime) + ((batches - 1) * batchDelay)
+
+    // Queued requests are sent one at a time
+    return queueSize * avgResponseTime
   }
 
   /**
@@ -363,7 +762,7 @@ class NetworkCircuitBreaker {
    */
   _performHealthCheck () {
     if (this.state === 'OPEN' && this._shouldAttemptReset()) {
-      this.state = 'HALF_OPEN'
+      this._setState('HALF_OPEN')
       this.successCount = 0
       this.log('Circuit breaker transitioning to HALF_OPEN for health check')
     }
@@ -404,6 +803,11 @@ class NetworkCircuitBreaker {
       networkConnectivity: this.networkConnectivity,
       queueSize: this.requestQueue.length,
       maxQueueSize: this.maxQueueSize,
+      maxQueueAge: this.maxQueueAge,
+      throttled: this._isThrottled(),
+      throttledUntil: this.throttledUntil,
+      queuePolicy: this.queuePolicy,
+      persistentQueue: !!this.queueStore,
       isProcessingQueue: this.isProcessingQueue,
       resetTimeout: this.resetTimeout,
       timeUntilReset: this.lastFailureTime ? 
@@ -439,8 +843,9 @@ class NetworkCircuitBreaker {
    * Manually reset the circuit breaker
    */
   reset () {
-    this.state = 'CLOSED'
+    this._setState('CLOSED')
     this.consecutiveFailures = 0
+    this.throttledUntil = 0
     this.successCount = 0
     this.lastFailureTime = null
     this.networkConnectivity = true
@@ -466,26 +871,48 @@ class NetworkCircuitBreaker {
     const cleared = this.requestQueue.length
     this.requestQueue = []
     this.stats.droppedRequests += cleared
+    this.queueStore?.clear(this.queueName).catch((error) => {
+      this.log(`Failed to clear persisted queue: ${error.message}`)
+    })
     this.log(`Cleared ${cleared} queued requests`)
     return cleared
   }
 
   /**
    * Destroy the circuit breaker and clean up resources
+   * Persisted requests are kept so the next service worker can restore them.
    */
   destroy () {
     if (this.healthCheckTimer) {
       clearInterval(this.healthCheckTimer)
       this.healthCheckTimer = null
     }
+    if (this.throttleTimer) {
+      clearTimeout(this.throttleTimer)
+      this.throttleTimer = null
+    }
     
     const queuedCount = this.requestQueue.length
     this.requestQueue = []
+    this.stateListeners.clear()
     
     this.log(`Network circuit breaker destroyed, cleared ${queuedCount} queued requests`)
   }
 }
 
+NetworkCircuitBreaker.QUEUE_POLICIES = {
+  FIFO: 'fifo',
+  DROP_OLDEST: 'drop_oldest',
+  LATEST_PER_KEY: 'latest_per_key'
+}
+NetworkCircuitBreaker.DEFAULT_QUEUE_POLICY = NetworkCircuitBreaker.QUEUE_POLICIES.DROP_OLDEST
+NetworkCircuitBreaker.THROTTLE_BASE_DELAY = 1000
+// Used when CONSTANTS.NETWORK is not loaded
+NetworkCircuitBreaker.DEFAULT_BACKOFF = {
+  EXPONENTIAL_BACKOFF_BASE: 2,
+  MAX_RETRY_DELAY_MS: 30000
+}
+
 /**
  * Create a pre-configured NetworkCircuitBreaker instance
  * @param {Object} pushgatewayClient - Pushgateway client instance
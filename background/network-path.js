@@ -0,0 +1,74 @@
+/**
+ * Network Path Module for WebRTC Stats Exporter
+ * Resolves the selected ICE candidate pair of a stats report into the network path it describes
+ */
+
+/**
+ * NetworkPathResolver class for following transport → candidate-pair → candidates within one report
+ */
+class NetworkPathResolver {
+  /**
+   * Resolve the network path of a peer connection
+   * @param {Array} values - WebRTC stats values of a single getStats() report
+   * @returns {Object|null} { localCandidateType, remoteCandidateType, protocol, relayProtocol, networkType }
+   *   or null if no candidate pair is selected yet
+   */
+  static resolve (values) {
+    if (!Array.isArray(values)) {
+      return null
+    }
+
+    const byId = new Map(values.filter(value => value?.id).map(value => [value.id, value]))
+    const pair = NetworkPathResolver.selectedPair(values, byId)
+    if (!pair) {
+      return null
+    }
+
+    const local = byId.get(pair.localCandidateId)
+    const remote = byId.get(pair.remoteCandidateId)
+    if (!local) {
+      return null
+    }
+
+    return {
+      localCandidateType: local.candidateType || 'unknown',
+      remoteCandidateType: remote?.candidateType || 'unknown',
+      protocol: local.protocol || 'unknown',
+      // Only relay candidates reach the TURN server over their own protocol
+      relayProtocol: local.candidateType === 'relay' ? local.relayProtocol || 'unknown' : 'none',
+      networkType: local.networkType || 'unknown'
+    }
+  }
+
+  /**
+   * Find the selected candidate pair
+   * Chrome links it from the transport; Firefox only flags the pair itself.
+   * @param {Array} values - WebRTC stats values
+   * @param {Map} byId - Stats values by ID
+   * @returns {Object|null} candidate-pair stats value
+   */
+  static selectedPair (values, byId) {
+    for (const transport of values.filter(value => value?.type === 'transport')) {
+      const pair = byId.get(transport.selectedCandidatePairId)
+      if (pair?.type === 'candidate-pair') {
+        return pair
+      }
+    }
+
+    return values.find(value => value?.type === 'candidate-pair' && value.selected === true) ||
+      values.find(value => value?.type === 'candidate-pair' && value.nominated === true && value.state === 'succeeded') ||
+      null
+  }
+}
+
+// Stats types the resolver needs; the page sends them even when they are not enabled for export
+NetworkPathResolver.STATS_TYPES = ['transport', 'candidate-pair', 'local-candidate', 'remote-candidate']
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterNetworkPath = { NetworkPathResolver }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterNetworkPath = { NetworkPathResolver }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterNetworkPath = { NetworkPathResolver }
+}
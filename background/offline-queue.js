@@ -0,0 +1,265 @@
+/**
+ * Offline Queue Module for WebRTC Stats Exporter
+ * Persists pushes queued by the network circuit breakers to IndexedDB so they survive service worker restarts
+ */
+
+/**
+ * OfflineQueueStore class for keeping queued requests in IndexedDB
+ * All queues share one object store; records are keyed by an auto-incremented key, so reading a queue back
+ * in key order returns its requests in the order they were queued.
+ */
+class OfflineQueueStore {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.indexedDB = options.indexedDB || null
+    this.dbName = options.dbName || OfflineQueueStore.DEFAULT_DB_NAME
+    this.db = null
+    this.opening = null
+    this.stats = {
+      writes: 0,
+      deletes: 0,
+      loads: 0,
+      errors: 0
+    }
+  }
+
+  /**
+   * Check whether IndexedDB is available
+   * @returns {boolean} True if requests can be persisted
+   */
+  isAvailable () {
+    return !!this.indexedDB
+  }
+
+  /**
+   * Persist a queued request
+   * @param {string} queue - Queue name, e.g. the exporter sink ID
+   * @param {Object} entry - Queued request
+   * @param {Object} entry.request - Request data; must be structured-cloneable
+   * @param {number} entry.queuedAt - Time the request was queued in milliseconds
+   * @param {number} [entry.attempts=0] - Delivery attempts so far
+   * @returns {Promise<number>} Storage key of the record
+   */
+  async add (queue, { request, queuedAt, attempts = 0 }) {
+    const key = await this._run('readwrite', store => store.add({ queue, request, queuedAt, attempts }))
+    this.stats.writes++
+    return key
+  }
+
+  /**
+   * Update a persisted request, e.g. after a failed delivery attempt
+   * @param {number} key - Storage key from add()
+   * @param {string} queue - Queue name
+   * @param {Object} entry - Queued request as for add()
+   * @returns {Promise<void>}
+   */
+  async put (key, queue, { request, queuedAt, attempts = 0 }) {
+    await this._run('readwrite', store => store.put({ key, queue, request, queuedAt, attempts }))
+    this.stats.writes++
+  }
+
+  /**
+   * Remove a persisted request
+   * @param {number} key - Storage key from add()
+   * @returns {Promise<void>}
+   */
+  async remove (key) {
+    await this._run('readwrite', store => store.delete(key))
+    this.stats.deletes++
+  }
+
+  /**
+   * Load the persisted requests of a queue
+   * @param {string} queue - Queue name
+   * @returns {Promise<Array>} Records as { key, request, queuedAt, attempts }, oldest first
+   */
+  async load (queue) {
+    const records = await this._run('readonly', store => store.index(OfflineQueueStore.QUEUE_INDEX).getAll(queue))
+    this.stats.loads++
+
+    return records
+      .sort((a, b) => a.key - b.key)
+      .map(({ key, request, queuedAt, attempts }) => ({ key, request, queuedAt, attempts }))
+  }
+
+  /**
+   * Remove all persisted requests of a queue
+   * @param {string} queue - Queue name
+   * @returns {Promise<number>} Number of removed requests
+   */
+  async clear (queue) {
+    const removed = await this._deleteWhere(store => store.index(OfflineQueueStore.QUEUE_INDEX).getAllKeys(queue))
+    this.stats.deletes += removed
+    return removed
+  }
+
+  /**
+   * Remove the persisted requests of every queue not listed, e.g. of exporter sinks that were removed
+   * @param {Array<string>} queues - Queue names to keep
+   * @returns {Promise<number>} Number of removed requests
+   */
+  async retain (queues) {
+    const removed = await this._deleteWhere(store => store.getAll(), record => !queues.includes(record.queue))
+    this.stats.deletes += removed
+    return removed
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics about persisted requests
+   */
+  getStats () {
+    return {
+      available: this.isAvailable(),
+      dbName: this.dbName,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Close the database connection
+   * Persisted requests are kept for the next start.
+   */
+  destroy () {
+    this.db?.close()
+    this.db = null
+    this.opening = null
+  }
+
+  // Private methods
+
+  /**
+   * Open the database, creating the object store on first use
+   * @private
+   */
+  _open () {
+    if (this.db) {
+      return Promise.resolve(this.db)
+    }
+    if (!this.isAvailable()) {
+      return Promise.reject(new OfflineQueueError('IndexedDB is not available'))
+    }
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, OfflineQueueStore.DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(OfflineQueueStore.STORE_NAME)) {
+            const store = db.createObjectStore(OfflineQueueStore.STORE_NAME, { keyPath: 'key', autoIncrement: true })
+            store.createIndex(OfflineQueueStore.QUEUE_INDEX, 'queue')
+          }
+        }
+        request.onsuccess = () => {
+          this.db = request.result
+          // Let a newer version of the extension upgrade the database
+          this.db.onversionchange = () => this.destroy()
+          resolve(this.db)
+        }
+        request.onerror = () => {
+          this.opening = null
+          reject(new OfflineQueueError(`Failed to open ${this.dbName}: ${request.error?.message}`, request.error))
+        }
+      })
+    }
+
+    return this.opening
+  }
+
+  /**
+   * Run an operation in a transaction and resolve with its result once the transaction completed
+   * @private
+   */
+  async _run (mode, operation) {
+    const db = await this._open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(OfflineQueueStore.STORE_NAME, mode)
+      const request = operation(transaction.objectStore(OfflineQueueStore.STORE_NAME))
+
+      const fail = () => {
+        this.stats.errors++
+        const error = transaction.error || request.error
+        reject(new OfflineQueueError(`Offline queue ${mode} failed: ${error?.message}`, error))
+      }
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = fail
+      transaction.onabort = fail
+    })
+  }
+
+  /**
+   * Delete records in one transaction
+   * @param {Function} select - Returns a request for the candidate keys, or for records when filter is given
+   * @param {Function} [filter] - Record predicate
+   * @private
+   */
+  async _deleteWhere (select, filter) {
+    let removed = 0
+
+    await this._run('readwrite', store => {
+      const request = select(store)
+      request.onsuccess = () => {
+        const keys = filter
+          ? request.result.filter(filter).map(record => record.key)
+          : request.result
+        keys.forEach(key => store.delete(key))
+        removed = keys.length
+      }
+      return request
+    })
+
+    return removed
+  }
+}
+
+OfflineQueueStore.DEFAULT_DB_NAME = 'webrtc-exporter-offline-queue'
+OfflineQueueStore.DB_VERSION = 1
+OfflineQueueStore.STORE_NAME = 'requests'
+OfflineQueueStore.QUEUE_INDEX = 'queue'
+
+/**
+ * Custom error class for offline queue errors
+ */
+class OfflineQueueError extends Error {
+  constructor (message, originalError = null) {
+    super(message)
+    this.name = 'OfflineQueueError'
+    this.originalError = originalError
+  }
+}
+
+/**
+ * Create a pre-configured OfflineQueueStore instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {IDBFactory} [dependencies.indexedDB] - IndexedDB factory, defaults to the global one
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dbName] - Database name
+ * @returns {OfflineQueueStore} Configured offline queue store
+ */
+function createOfflineQueueStore ({ logger, indexedDB = globalThis.indexedDB } = {}, options = {}) {
+  return new OfflineQueueStore(logger, { ...options, indexedDB })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterOfflineQueue = {
+    OfflineQueueStore,
+    OfflineQueueError,
+    createOfflineQueueStore
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterOfflineQueue = {
+    OfflineQueueStore,
+    OfflineQueueError,
+    createOfflineQueueStore
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterOfflineQueue = {
+    OfflineQueueStore,
+    OfflineQueueError,
+    createOfflineQueueStore
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * OTLP Client Module for WebRTC Stats Exporter
+ * Sends metrics to an OpenTelemetry Collector over OTLP/HTTP with the JSON protobuf encoding
+ */
+
+/**
+ * OtlpClient class for sending metrics to OTLP/HTTP receivers
+ * Reuses the Pushgateway client's circuit breaker wiring, retry policy and statistics and replaces the request encoding.
+ */
+class OtlpClient extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayClient {
+  constructor () {
+    super()
+    // First push per group, the start of its cumulative sums, keyed by the grouping key
+    this.startTimes = new Map()
+  }
+
+  /**
+   * Send data directly to the OTLP receiver (used by circuit breaker or when no circuit breaker is set)
+   * @param {Object} params - Request parameters
+   * @param {string} params.method - HTTP method (POST, DELETE)
+   * @param {string} params.url - OTLP/HTTP endpoint; a URL without a path gets /v1/metrics appended
+   * @param {string} params.job - Job name, exported as service.name
+   * @param {string} params.id - Peer connection ID, or the comma-separated IDs of a batched push
+   * @param {Object} [params.groupingKey] - Grouping key labels, added to every data point except job
+   * @param {Array} [params.resource] - Resource attributes from resolveResourceAttributes()
+   * @param {string} [params.username] - Basic auth username
+   * @param {string} [params.password] - Basic auth password
+   * @param {boolean} [params.gzip=false] - Enable gzip compression
+   * @param {string} [params.data] - Exposition text to convert (for POST requests)
+   * @param {number} [params.timestamp] - Stats report timestamp in milliseconds, defaults to now
+   * @param {Function} [params.statsCallback] - Callback for updating statistics
+   * @returns {Promise<string>} Response text
+   */
+  async _sendDataDirect ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    resource,
+    username,
+    password,
+    gzip = false,
+    data,
+    timestamp,
+    statsCallback
+  }) {
+    // The group's sums run across batched pushes, whichever of its connections they hold
+    const group = JSON.stringify(groupingKey || { job, peerConnectionId: id })
+
+    // OTLP has no deletes; the next push to this group starts its sums afresh
+    if (method === 'DELETE') {
+      this.startTimes.delete(group)
+      return ''
+    }
+
+    this.requestCount++
+    const start = Date.now()
+    this.lastRequestTime = start
+    let requestBody
+
+    try {
+      this._validateParams({ method, url, job, id })
+
+      const time = timestamp || start
+      if (!this.startTimes.has(group)) {
+        this.startTimes.set(group, time)
+      }
+
+      // The job is already the service.name resource attribute
+      const attributes = Object.fromEntries(Object.entries(groupingKey || { job, peerConnectionId: id })
+        .filter(([name]) => name !== OtlpClient.SERVICE_NAME_LABEL))
+      const families = OtlpClient.getExpositionParser().parse(data)
+      const payload = JSON.stringify(OtlpClient.buildExportRequest(families, {
+        resource: resource || OtlpClient.resolveResourceAttributes({ job }),
+        attributes,
+        timestamp: time,
+        startTimestamp: this.startTimes.get(group)
+      }))
+      requestBody = await this._prepareBody(method, payload, gzip)
+
+      const headers = { 'Content-Type': 'application/json' }
+      if (username && password) {
+        headers.Authorization = `Basic ${btoa(`${username}:${password}`)}`
+      }
+      if (gzip) {
+        headers['Content-Encoding'] = 'gzip'
+      }
+
+      const response = await this._makeRequest(OtlpClient.resolveEndpoint(url), 'POST', headers, requestBody)
+
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: response.ok,
+          requestTime,
+          dataSize: requestBody.length,
+          hasData: true
+        })
+      }
+
+      if (!response.ok) {
+        throw await this._responseError(response, `OTLP request failed: ${response.status} ${response.statusText}`, OtlpError)
+      }
+
+      return await response.text()
+    } catch (error) {
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: false,
+          requestTime,
+          dataSize: requestBody ? requestBody.length : 0,
+          hasData: !!data,
+          error: error.message,
+          status: error.status,
+          retryAfter: error.retryAfter
+        })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Get client statistics
+   * @returns {Object} Client statistics
+   */
+  getStats () {
+    return {
+      ...super.getStats(),
+      trackedGroups: this.startTimes.size
+    }
+  }
+
+  /**
+   * Get the exposition parser module
+   * @returns {Object} ExpositionParser class
+   */
+  static getExpositionParser () {
+    const parser = globalThis.WebRTCExporterExpositionParser || self.WebRTCExporterExpositionParser
+    if (!parser) {
+      throw new OtlpError('Exposition parser is not loaded')
+    }
+    return parser.ExpositionParser
+  }
+
+  /**
+   * Resolve the metrics endpoint, following the OTLP exporter convention for base URLs
+   * @param {string} url - Configured URL, e.g. http://localhost:4318 or http://collector/custom/path
+   * @returns {string} Metrics endpoint
+   */
+  static resolveEndpoint (url) {
+    const parsed = new URL(url)
+    if (parsed.pathname === '/' || parsed.pathname === '') {
+      parsed.pathname = OtlpClient.METRICS_PATH
+    }
+    return parsed.toString()
+  }
+
+  /**
+   * Build the resource attributes describing this exporter instance
+   * @param {Object} context - Resource context
+   * @param {string} context.job - Job name, exported as service.name
+   * @param {string} [context.agentId] - Agent ID, exported as service.instance.id
+   * @param {string} [context.version] - Extension version, defaults to the manifest version
+   * @param {Object} [context.userAgent] - Navigator-like object with userAgent and userAgentData
+   * @returns {Array} OTLP KeyValue attributes
+   */
+  static resolveResourceAttributes ({ job, agentId, version, userAgent } = {}) {
+    const extensionVersion = version || (typeof chrome !== 'undefined' && chrome.runtime?.getManifest?.().version) || ''
+    const browser = userAgent || (typeof navigator !== 'undefined' ? navigator : {})
+
+    const attributes = {
+      'service.name': job,
+      'service.version': extensionVersion,
+      'service.instance.id': agentId,
+      'user_agent.original': browser.userAgent,
+      'browser.platform': browser.userAgentData?.platform
+    }
+    const brands = (browser.userAgentData?.brands || []).map(({ brand, version }) => `${brand} ${version}`)
+
+    const resource = OtlpClient.toAttributes(Object.fromEntries(
+      Object.entries(attributes).filter(([, value]) => value)
+    ))
+    if (brands.length > 0) {
+      resource.push({ key: 'browser.brands', value: { arrayValue: { values: brands.map(brand => ({ stringValue: brand })) } } })
+    }
+    return resource
+  }
+
+  /**
+   * Build an ExportMetricsServiceRequest in the OTLP JSON encoding
+   * Counters become monotonic cumulative sums starting at the group's first push; everything else is a gauge.
+   * @param {Array} families - Families from ExpositionParser.parse()
+   * @param {Object} context - Request context
+   * @param {Array} context.resource - Resource attributes
+   * @param {Object} context.attributes - Labels added to every data point
+   * @param {number} context.timestamp - Data point time in milliseconds
+   * @param {number} [context.startTimestamp] - Start of cumulative sums in milliseconds
+   * @returns {Object} ExportMetricsServiceRequest
+   */
+  static buildExportRequest (families, { resource, attributes, timestamp, startTimestamp }) {
+    const timeUnixNano = OtlpClient.toUnixNano(timestamp)
+    const startTimeUnixNano = OtlpClient.toUnixNano(startTimestamp || timestamp)
+
+    const metrics = families.map(({ name, type, help, unit, samples }) => {
+      const dataPoints = samples
+        .filter(sample => Number.isFinite(sample.value))
+        .map(sample => ({
+          attributes: OtlpClient.toAttributes({ ...sample.labels, ...attributes }),
+          ...(type === 'counter' ? { startTimeUnixNano } : {}),
+          timeUnixNano,
+          asDouble: sample.value
+        }))
+
+      const metric = { name, description: help, unit: OtlpClient.UNITS[unit] ?? unit }
+      if (type === 'counter') {
+        metric.sum = { aggregationTemporality: OtlpClient.AGGREGATION_TEMPORALITY_CUMULATIVE, isMonotonic: true, dataPoints }
+      } else {
+        metric.gauge = { dataPoints }
+      }
+      return metric
+    }).filter(metric => (metric.sum || metric.gauge).dataPoints.length > 0)
+
+    return {
+      resourceMetrics: [{
+        resource: { attributes: resource },
+        scopeMetrics: [{
+          scope: { name: OtlpClient.SCOPE_NAME, version: resource.find(({ key }) => key === 'service.version')?.value.stringValue || '' },
+          metrics
+        }]
+      }]
+    }
+  }
+
+  /**
+   * Convert labels into OTLP KeyValue string attributes
+   * @param {Object} labels - Label names and values
+   * @returns {Array} OTLP KeyValue attributes
+   */
+  static toAttributes (labels) {
+    return Object.entries(labels).map(([key, value]) => ({ key, value: { stringValue: String(value) } }))
+  }
+
+  /**
+   * Convert milliseconds into the decimal string of nanoseconds OTLP JSON uses for fixed64 fields
+   * @param {number} milliseconds - Time in milliseconds since epoch
+   * @returns {string} Nanoseconds since epoch
+   */
+  static toUnixNano (milliseconds) {
+    return `${Math.round(milliseconds)}000000`
+  }
+}
+
+OtlpClient.METRICS_PATH = '/v1/metrics'
+OtlpClient.SCOPE_NAME = 'webrtc-stats-exporter'
+OtlpClient.SERVICE_NAME_LABEL = 'job'
+OtlpClient.AGGREGATION_TEMPORALITY_CUMULATIVE = 2
+// Exposition units to UCUM, as used by OpenTelemetry
+OtlpClient.UNITS = {
+  seconds: 's',
+  bytes: 'By',
+  ratio: '1'
+}
+
+/**
+ * Custom error class for OTLP errors
+ * Extends PushgatewayError so the shared retry policy skips 4xx responses the same way.
+ */
+class OtlpError extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayError {
+  constructor (message, status = 0, responseText = '', retryAfter = null) {
+    super(message, status, responseText, retryAfter)
+    this.name = 'OtlpError'
+  }
+}
+
+/**
+ * Exporter sink type for OTLP/HTTP destinations
+ * The exposition text is mapped onto OTel metrics, with the agent, browser and extension version as resource attributes.
+ */
+const otlpSinkType = {
+  createClient: () => new OtlpClient(),
+  buildRequest: ({ url, username, password, gzip }, { method, job, id, agentId, groupingKey, data, timestamp, statsCallback }) => ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    resource: OtlpClient.resolveResourceAttributes({ job, agentId }),
+    username,
+    password,
+    gzip,
+    data,
+    timestamp,
+    statsCallback
+  })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterOtlp = {
+    OtlpClient,
+    OtlpError,
+    otlpSinkType
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterOtlp = {
+    OtlpClient,
+    OtlpError,
+    otlpSinkType
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterOtlp = {
+    OtlpClient,
+    OtlpError,
+    otlpSinkType
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Port Server Module for WebRTC Stats Exporter
+ * Accepts the ports of content scripts and acknowledges the messages they carry
+ */
+
+/**
+ * PortServer class for the background end of the port protocol, see shared/port-protocol.js
+ * The listener is added while the service worker script runs, so the connect that woke the worker is not missed.
+ * Messages wait until a dispatcher is set, e.g. the message handler after options were loaded, and are then handled
+ * in order per session. Each session remembers the last message it accepted, so messages a content script replays
+ * after a reconnect are acknowledged without being handled twice.
+ */
+class PortServer {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.onConnect = options.onConnect || null
+    this.portName = options.portName || PortServer.PORT_NAME
+    this.version = options.version || PortServer.PROTOCOL_VERSION
+    this.maxSessions = options.maxSessions || PortServer.DEFAULT_MAX_SESSIONS
+    this.dispatch = null
+    this.ready = new Promise(resolve => { this._resolveReady = resolve })
+    this.ports = new Set()
+    this.sessions = new Map()
+    this.connectListener = null
+    this.stats = {
+      connections: 0,
+      messages: 0,
+      failedMessages: 0,
+      duplicates: 0,
+      protocolErrors: 0
+    }
+  }
+
+  /**
+   * Start accepting ports
+   */
+  listen () {
+    if (this.connectListener || !this.onConnect) {
+      return
+    }
+
+    this.connectListener = this._onConnect.bind(this)
+    this.onConnect.addListener(this.connectListener)
+  }
+
+  /**
+   * Set the function that handles messages and handle the ones waiting for it
+   * @param {Function} dispatch - (event, data, sender) => Promise<Object>, e.g. MessageHandler.dispatch
+   */
+  setDispatcher (dispatch) {
+    if (typeof dispatch !== 'function') {
+      throw new PortServerError('Dispatcher must be a function')
+    }
+
+    this.dispatch = dispatch
+    this._resolveReady()
+  }
+
+  /**
+   * Get server statistics
+   * @returns {Object} Statistics about ports, sessions and messages
+   */
+  getStats () {
+    return {
+      ready: !!this.dispatch,
+      ports: this.ports.size,
+      sessions: this.sessions.size,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Stop accepting ports and disconnect the connected ones
+   */
+  destroy () {
+    if (this.connectListener) {
+      this.onConnect.removeListener(this.connectListener)
+      this.connectListener = null
+    }
+    this.ports.forEach(port => {
+      try {
+        port.disconnect()
+      } catch (error) {
+        // Already disconnected
+      }
+    })
+    this.ports.clear()
+    this.sessions.clear()
+  }
+
+  // Private methods
+
+  /**
+   * Accept a port of a content script
+   * @private
+   */
+  _onConnect (port) {
+    if (port.name !== this.portName) {
+      return
+    }
+
+    const connection = { port, session: null }
+    this.ports.add(port)
+    this.stats.connections++
+
+    port.onMessage.addListener(message => this._onMessage(connection, message))
+    port.onDisconnect.addListener(() => this.ports.delete(port))
+  }
+
+  /**
+   * Handle a message of a port
+   * @private
+   */
+  _onMessage (connection, message) {
+    if (!message || typeof message !== 'object' || message.v !== this.version) {
+      this._refuse(connection.port, 'unsupported_version')
+      return
+    }
+
+    if (message.type === 'hello' && typeof message.session === 'string' && message.session !== '') {
+      connection.session = this._getSession(message.session)
+      this._post(connection.port, { type: 'welcome', session: message.session, lastSeq: connection.session.lastSeq })
+    } else if (message.type === 'message' && connection.session && Number.isInteger(message.seq)) {
+      this._accept(connection, message)
+    } else {
+      this._refuse(connection.port, 'invalid_message')
+    }
+  }
+
+  /**
+   * Handle a message in session order and acknowledge it
+   * @private
+   */
+  _accept ({ port, session }, { seq, event, data }) {
+    if (seq <= session.lastSeq) {
+      this.stats.duplicates++
+      this._post(port, { type: 'ack', seq, success: true, duplicate: true })
+      return
+    }
+    session.lastSeq = seq
+
+    session.queue = session.queue
+      .then(() => this.ready)
+      .then(() => this.dispatch(event, data, port.sender))
+      .then(() => {
+        this.stats.messages++
+        this._post(port, { type: 'ack', seq, success: true })
+      }, (error) => {
+        this.stats.failedMessages++
+        this._post(port, { type: 'ack', seq, success: false, error: error.message })
+      })
+  }
+
+  /**
+   * Get or create the state of a session, dropping the least recently connected one when there are too many
+   * @private
+   */
+  _getSession (id) {
+    let session = this.sessions.get(id)
+    if (session) {
+      this.sessions.delete(id)
+    } else {
+      session = { lastSeq: 0, queue: Promise.resolve() }
+    }
+    this.sessions.set(id, session)
+
+    if (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value)
+    }
+    return session
+  }
+
+  /**
+   * Tell a content script why its port is closed and close it
+   * @private
+   */
+  _refuse (port, reason) {
+    this.stats.protocolErrors++
+    this.logger?.log(`Closing content script port: ${reason}`)
+    this._post(port, { type: 'error', reason, supportedVersions: [this.version] })
+    this.ports.delete(port)
+    try {
+      port.disconnect()
+    } catch (error) {
+      // Already disconnected
+    }
+  }
+
+  /**
+   * Post a message, ignoring ports closed in the meantime
+   * @private
+   */
+  _post (port, message) {
+    try {
+      port.postMessage({ v: this.version, ...message })
+    } catch (error) {
+      // The content script replays unacknowledged messages after it reconnects
+      this.ports.delete(port)
+    }
+  }
+}
+
+const PortProtocol = globalThis.WebRTCExporterPortProtocol || self.WebRTCExporterPortProtocol
+PortServer.PORT_NAME = PortProtocol?.PORT_NAME || 'webrtc-exporter'
+PortServer.PROTOCOL_VERSION = PortProtocol?.PROTOCOL_VERSION || 1
+PortServer.DEFAULT_MAX_SESSIONS = 1000
+
+/**
+ * Custom error class for port server errors
+ */
+class PortServerError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'PortServerError'
+  }
+}
+
+/**
+ * Create a PortServer and start accepting ports
+ * @param {Object} [dependencies] - Dependencies, defaulting to the extension APIs
+ * @param {Object} [dependencies.logger] - Logger instance (optional)
+ * @param {Object} [dependencies.onConnect] - Port connect event, defaults to chrome.runtime.onConnect
+ * @param {Object} [options] - Server options
+ * @param {number} [options.maxSessions=1000] - Sessions remembered for deduplicating replayed messages
+ * @returns {PortServer} Listening port server
+ */
+function createPortServer ({ logger = null, onConnect = typeof chrome !== 'undefined' ? chrome.runtime?.onConnect : null } = {}, options = {}) {
+  const server = new PortServer(logger, { ...options, onConnect })
+  server.listen()
+  return server
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterPortServer = {
+    PortServer,
+    PortServerError,
+    createPortServer
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterPortServer = {
+    PortServer,
+    PortServerError,
+    createPortServer
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterPortServer = {
+    PortServer,
+    PortServerError,
+    createPortServer
+  }
+}
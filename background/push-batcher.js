@@ -0,0 +1,425 @@
+/**
+ * Push Batcher Module for WebRTC Stats Exporter
+ * Collects the samples of every tab and connection and pushes them together once per update interval
+ */
+
+/**
+ * PushBatcher class for batching pushes per grouping key
+ * Each connection contributes its latest sample to the next flush. Flushes run on the wall clock, half an interval
+ * after the page collection ticks, so all connections are pushed together. A push is stamped with the newest stats
+ * report time of its samples, or the tick time for samples without one.
+ * Samples sharing a grouping key are merged into one exposition; connections the grouping key does not identify get
+ * a peerConnectionId label so their series stay apart. Pushes above the size limit are split between metric families,
+ * because a Pushgateway POST replaces whole families of its group.
+ */
+class PushBatcher {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.send = options.send
+    this.interval = PushBatcher.DEFAULT_INTERVAL
+    this.maxPushSize = PushBatcher.DEFAULT_MAX_PUSH_SIZE
+    this.format = 'prometheus'
+    this.pending = new Map()
+    this.flushTimer = null
+    this.pendingFlush = null
+    this.stats = {
+      batchedSamples: 0,
+      flushes: 0,
+      pushes: 0,
+      splitPushes: 0,
+      oversizedFamilies: 0,
+      failedPushes: 0
+    }
+  }
+
+  /**
+   * Update the interval, size limit and exposition format
+   * @param {Object} options - Extension options (updateInterval, maxPushSize, metricsFormat)
+   */
+  updateOptions (options = {}) {
+    const interval = (options.updateInterval || PushBatcher.DEFAULT_INTERVAL / 1000) * 1000
+    this.maxPushSize = (options.maxPushSize || PushBatcher.DEFAULT_MAX_PUSH_SIZE / 1024) * 1024
+    this.format = options.metricsFormat || 'prometheus'
+
+    if (interval !== this.interval) {
+      this.interval = interval
+      this._cancelFlush()
+      if (this.pending.size > 0) {
+        this._scheduleFlush()
+      }
+    }
+  }
+
+  /**
+   * Add the latest sample of a connection to the next flush, replacing a sample it already has in it
+   * @param {Object} sample - Sample to push
+   * @param {string} sample.id - Connection ID
+   * @param {string} sample.origin - Origin domain
+   * @param {Object} sample.groupingKey - Resolved grouping key of the connection
+   * @param {string} sample.data - Finalized exposition text
+   * @param {number} [sample.timestamp] - Stats report timestamp in milliseconds
+   * @returns {Object} { batched: true, pending } with the number of connections in the next flush
+   */
+  add ({ id, origin, groupingKey, data, timestamp }) {
+    this.pending.set(id, { id, origin, groupingKey, data, timestamp })
+    this.stats.batchedSamples++
+    this._scheduleFlush()
+
+    return { batched: true, pending: this.pending.size }
+  }
+
+  /**
+   * Drop the pending sample of a connection, e.g. before its DELETE so the flush does not bring it back
+   * @param {string} id - Connection ID
+   * @returns {boolean} True if a sample was dropped
+   */
+  remove (id) {
+    return this.pending.delete(id)
+  }
+
+  /**
+   * Push every pending sample
+   * A push that fails does not hold back the others.
+   * @param {number} [timestamp] - Time samples without a stats report timestamp are stamped with, defaults to the last
+   *   collection tick
+   * @returns {Promise<number>} Number of successful pushes
+   */
+  async flush (timestamp = Math.floor(Date.now() / this.interval) * this.interval) {
+    if (this.pendingFlush) {
+      await this.pendingFlush
+    }
+
+    this._cancelFlush()
+    if (this.pending.size === 0) {
+      return 0
+    }
+
+    const samples = Array.from(this.pending.values())
+    this.pending.clear()
+    this.stats.flushes++
+
+    this.pendingFlush = this._push(samples, timestamp).finally(() => {
+      this.pendingFlush = null
+      // Samples added during the push
+      if (this.pending.size > 0) {
+        this._scheduleFlush()
+      }
+    })
+    return this.pendingFlush
+  }
+
+  /**
+   * Get batcher statistics
+   * @returns {Object} Statistics about batched samples and pushes
+   */
+  getStats () {
+    return {
+      pendingConnections: this.pending.size,
+      interval: this.interval,
+      maxPushSize: this.maxPushSize,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Destroy the batcher and drop pending samples
+   */
+  destroy () {
+    this._cancelFlush()
+    this.pending.clear()
+  }
+
+  /**
+   * Merge the exposition texts of several connections into metric families
+   * Metadata lines are kept once per family and a series repeated by another text keeps the sample of the newer one,
+   * the later text when both have the same or no timestamp.
+   * @param {Array} texts - Texts as { data, label, timestamp }, label being extra label pairs for every sample, e.g.
+   *   'a="1"', and timestamp the time of the text's stats report
+   * @returns {Array<string>} One text block per family, in order of first appearance
+   */
+  static mergeFamilies (texts) {
+    const families = new Map()
+
+    texts.forEach(({ data, label, timestamp = 0 }) => {
+      let family = null
+
+      for (const line of String(data || '').split('\n')) {
+        if (line === '' || line === '# EOF') {
+          continue
+        }
+
+        if (line.startsWith('#')) {
+          const [, keyword, name] = line.split(' ')
+          family = PushBatcher._family(families, name)
+          if (!family.metadata.has(keyword)) {
+            family.metadata.set(keyword, line)
+          }
+          continue
+        }
+
+        const valueStart = line.lastIndexOf(' ')
+        if (valueStart <= 0) {
+          continue
+        }
+
+        // Counter and info samples carry a _total/_info suffix on their family name in OpenMetrics
+        const braceStart = line.indexOf('{')
+        const name = line.slice(0, braceStart !== -1 && braceStart < valueStart ? braceStart : valueStart)
+        if (!family || (name !== family.name && !name.startsWith(`${family.name}_`))) {
+          family = PushBatcher._family(families, name)
+        }
+
+        const sample = label ? PushBatcher.addLabel(line, label) : line
+        const series = sample.slice(0, sample.lastIndexOf(' '))
+        if (!(family.samples.get(series)?.timestamp > timestamp)) {
+          family.samples.set(series, { sample, timestamp })
+        }
+      }
+    })
+
+    return Array.from(families.values(), ({ metadata, samples }) =>
+      [...metadata.values(), ...Array.from(samples.values(), ({ sample }) => sample)].join('\n') + '\n')
+  }
+
+  /**
+   * Split family blocks into chunks of at most maxSize bytes
+   * A family is never split; one larger than maxSize gets a chunk of its own.
+   * @param {Array<string>} blocks - Family blocks from mergeFamilies()
+   * @param {number} maxSize - Maximum chunk size in bytes
+   * @returns {Array<string>} Chunks
+   */
+  static splitFamilies (blocks, maxSize) {
+    const chunks = []
+    let chunk = ''
+    let size = 0
+
+    blocks.forEach((block) => {
+      const blockSize = PushBatcher.byteLength(block)
+      if (chunk && size + blockSize > maxSize) {
+        chunks.push(chunk)
+        chunk = ''
+        size = 0
+      }
+      chunk += block
+      size += blockSize
+    })
+    if (chunk) {
+      chunks.push(chunk)
+    }
+
+    return chunks
+  }
+
+  /**
+   * Add label pairs to a sample line
+   * @param {string} line - Sample line such as 'name{a="1"} 3' or 'name 3'
+   * @param {string} label - Label pairs such as 'peerConnectionId="pc-1"'
+   * @returns {string} Sample line with the labels first
+   */
+  static addLabel (line, label) {
+    const valueStart = line.lastIndexOf(' ')
+    const braceStart = line.indexOf('{')
+    if (braceStart === -1 || braceStart > valueStart) {
+      return `${line.slice(0, valueStart)}{${label}}${line.slice(valueStart)}`
+    }
+
+    const separator = line[braceStart + 1] === '}' ? '' : ','
+    return `${line.slice(0, braceStart + 1)}${label}${separator}${line.slice(braceStart + 1)}`
+  }
+
+  /**
+   * Delay until the next flush, half an interval after a collection tick
+   * @param {number} now - Current time in milliseconds
+   * @param {number} interval - Update interval in milliseconds
+   * @returns {number} Delay in milliseconds
+   */
+  static nextFlushDelay (now, interval) {
+    return interval - ((now - interval / 2) % interval + interval) % interval
+  }
+
+  /**
+   * UTF-8 size of a text
+   * @param {string} text - Text
+   * @returns {number} Size in bytes
+   */
+  static byteLength (text) {
+    return new TextEncoder().encode(text).length
+  }
+
+  // Private methods
+
+  /**
+   * Build the pushes of a flush and send them
+   * @private
+   */
+  async _push (samples, timestamp) {
+    const pushes = this._buildPushes(samples)
+    const settled = await Promise.allSettled(pushes.map(push => this.send({ ...push, timestamp: push.timestamp || timestamp })))
+
+    let pushed = 0
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        pushed++
+        return
+      }
+      this.stats.failedPushes++
+      const { connections, part } = pushes[index]
+      this.logger?.log(`Batched push of ${connections.length} connections (part ${part + 1}) failed: ${outcome.reason.message}`)
+    })
+    this.stats.pushes += pushed
+
+    return pushed
+  }
+
+  /**
+   * Group samples by grouping key, merge each group and split it by size
+   * @private
+   */
+  _buildPushes (samples) {
+    const groups = new Map()
+    samples.forEach((sample) => {
+      const key = JSON.stringify(sample.groupingKey || null)
+      if (!groups.has(key)) {
+        groups.set(key, { groupingKey: sample.groupingKey, samples: [] })
+      }
+      groups.get(key).samples.push(sample)
+    })
+
+    const openMetrics = this.format === 'openmetrics'
+    const suffix = openMetrics ? '# EOF\n' : ''
+    const maxSize = this.maxPushSize - suffix.length
+    const pushes = []
+
+    groups.forEach(({ groupingKey, samples }) => {
+      const blocks = PushBatcher.mergeFamilies(samples.map(({ id, data, timestamp }) => ({
+        data,
+        label: PushBatcher._identifies(groupingKey, id) ? null : `peerConnectionId="${PushBatcher._escapeLabelValue(id)}"`,
+        timestamp
+      })))
+
+      blocks.filter(block => PushBatcher.byteLength(block) > maxSize).forEach((block) => {
+        this.stats.oversizedFamilies++
+        this.logger?.log(`Pushing a metric family of ${PushBatcher.byteLength(block)} bytes, above the push size limit of ${this.maxPushSize} bytes`)
+      })
+
+      const chunks = PushBatcher.splitFamilies(blocks, maxSize)
+      if (chunks.length > 1) {
+        this.stats.splitPushes++
+      }
+
+      const connections = samples.map(({ id, origin }) => ({ id, origin }))
+      // Samples of one collection tick, each stamped when its page read the stats
+      const timestamp = Math.max(0, ...samples.map(sample => sample.timestamp || 0)) || undefined
+      chunks.forEach((chunk, part) => {
+        pushes.push({ connections, groupingKey, data: chunk + suffix, part, timestamp })
+      })
+    })
+
+    return pushes
+  }
+
+  /**
+   * Get or create a family of merged texts
+   * @private
+   */
+  static _family (families, name) {
+    if (!families.has(name)) {
+      families.set(name, { name, metadata: new Map(), samples: new Map() })
+    }
+    return families.get(name)
+  }
+
+  /**
+   * Check whether a grouping key tells a connection's series apart, i.e. holds its ID
+   * @private
+   */
+  static _identifies (groupingKey, id) {
+    return Object.values(groupingKey || {}).some(value => String(value).includes(id))
+  }
+
+  /**
+   * @private
+   */
+  static _escapeLabelValue (value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+  }
+
+  /**
+   * Schedule a flush for the next flush time
+   * @private
+   */
+  _scheduleFlush () {
+    if (this.flushTimer) {
+      return
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush().catch((error) => {
+        this.logger?.log(`Batched push failed: ${error.message}`)
+      })
+    }, PushBatcher.nextFlushDelay(Date.now(), this.interval))
+  }
+
+  /**
+   * Cancel a scheduled flush
+   * @private
+   */
+  _cancelFlush () {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer)
+      this.flushTimer = null
+    }
+  }
+}
+
+PushBatcher.DEFAULT_INTERVAL = 2000 // 2 seconds
+PushBatcher.DEFAULT_MAX_PUSH_SIZE = 1048576 // 1 MiB
+
+/**
+ * Custom error class for push batcher errors
+ */
+class PushBatcherError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'PushBatcherError'
+  }
+}
+
+/**
+ * Create a pre-configured PushBatcher instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Function} dependencies.send - Send one push: ({ connections, groupingKey, data, part, timestamp }) => Promise
+ * @param {Object} [options] - Extension options, see updateOptions()
+ * @returns {PushBatcher} Configured push batcher
+ */
+function createPushBatcher ({ logger, send } = {}, options = {}) {
+  if (typeof send !== 'function') {
+    throw new PushBatcherError('Push batcher requires send()')
+  }
+  const batcher = new PushBatcher(logger, { send })
+  batcher.updateOptions(options)
+  return batcher
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterPushBatcher = {
+    PushBatcher,
+    PushBatcherError,
+    createPushBatcher
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterPushBatcher = {
+    PushBatcher,
+    PushBatcherError,
+    createPushBatcher
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterPushBatcher = {
+    PushBatcher,
+    PushBatcherError,
+    createPushBatcher
+  }
+}
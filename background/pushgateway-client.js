@@ -11,6 +11,7 @@ class PushgatewayClient {
     this.requestCount = 0
     this.lastRequestTime = 0
     this.networkCircuitBreaker = null
+    this.authProvider = null
   }
 
   /**
@@ -21,6 +22,14 @@ class PushgatewayClient {
     this.networkCircuitBreaker = circuitBreaker
   }
 
+  /**
+   * Set the auth provider whose headers are added to every request, replacing basic auth from username and password
+   * @param {Object|null} authProvider - Provider with getHeaders() and invalidate(), see createAuthProvider()
+   */
+  setAuthProvider (authProvider) {
+    this.authProvider = authProvider
+  }
+
   /**
    * Send data to Pushgateway
    * @param {Object} params - Request parameters
@@ -28,51 +37,24 @@ class PushgatewayClient {
    * @param {string} params.url - Pushgateway base URL
    * @param {string} params.job - Job name for metrics
    * @param {string} params.id - Peer connection ID
+   * @param {Object} [params.groupingKey] - Ordered grouping key labels from resolveGroupingKey(), defaults to job and peerConnectionId
    * @param {string} [params.username] - Basic auth username
    * @param {string} [params.password] - Basic auth password
    * @param {boolean} [params.gzip=false] - Enable gzip compression
    * @param {string} [params.data] - Metrics data (for POST requests)
+   * @param {string} [params.format='prometheus'] - Exposition format of data ('prometheus' or 'openmetrics'), always
+   *   pushed as Prometheus text
    * @param {Function} [params.statsCallback] - Callback for updating statistics
    * @returns {Promise<string>} Response text
    */
-  async sendData ({
-    method,
-    url,
-    job,
-    id,
-    username,
-    password,
-    gzip = false,
-    data,
-    statsCallback
-  }) {
-    // If network circuit breaker is available, use it
+  async sendData (params) {
+    // If network circuit breaker is available, use it; params pass through whole so subclasses can add their own
     if (this.networkCircuitBreaker) {
-      return this.networkCircuitBreaker.sendWithCircuitBreaker({
-        method,
-        url,
-        job,
-        id,
-        username,
-        password,
-        gzip,
-        data,
-        statsCallback
-      })
+      return this.networkCircuitBreaker.sendWithCircuitBreaker(params)
     }
 
     // Otherwise, use direct sending
-    return this._sendDataDirect({
-      method,
-      url,
-      job,
-      id,
-      username,
-      password,
-      gzip,
-      data,
-      statsCallback
-    })
+    return this._sendDataDirect(params)
   }
 
   /**
@@ -85,10 +67,12 @@ class PushgatewayClient {
     url,
     job,
     id,
+    groupingKey,
     username,
     password,
     gzip = false,
     data,
+    format,
     statsCallback
   }) {
     this.requestCount++
@@ -100,13 +84,16 @@ class PushgatewayClient {
       this._validateParams({ method, url, job, id })
 
       // Build request URL
-      const requestUrl = this._buildUrl(url, job, id)
+      const requestUrl = this._buildUrl(url, groupingKey || { job, peerConnectionId: id })
+
+      // The Pushgateway reads text pushes with the classic parser, which does not understand OpenMetrics
+      const text = data && format === 'openmetrics' ? PushgatewayClient.toTextFormat(data) : data
 
       // Prepare headers
-      const headers = this._buildHeaders({ username, password, gzip, data })
+      const headers = this._buildHeaders({ username, password, gzip, data: text })
 
       // Compress data if needed
-      const requestBody = await this._prepareBody(method, data, gzip)
+      const requestBody = await this._prepareBody(method, text, gzip)
 
       // Make the request
       const response = await this._makeRequest(requestUrl, method, headers, requestBody)
@@ -116,6 +103,7 @@ class PushgatewayClient {
       if (statsCallback) {
         await statsCallback({
           success: response.ok,
+          status: response.status,
           requestTime,
           dataSize: requestBody ? requestBody.length : 0,
           hasData: !!data
@@ -124,12 +112,7 @@ class PushgatewayClient {
 
       // Handle response
       if (!response.ok) {
-        const errorText = await response.text()
-        throw new PushgatewayError(
-          `Pushgateway request failed: ${response.status} ${response.statusText}`,
-          response.status,
-          errorText
-        )
+        throw await this._responseError(response, `Pushgateway request failed: ${response.status} ${response.statusText}`)
       }
 
       return await response.text()
@@ -142,7 +125,9 @@ class PushgatewayClient {
           requestTime,
           dataSize: data ? data.length : 0,
           hasData: !!data,
-          error: error.message
+          error: error.message,
+          status: error.status,
+          retryAfter: error.retryAfter
         })
       }
       throw error
@@ -167,6 +152,37 @@ class PushgatewayClient {
     return this.sendData({ ...params, method: 'DELETE', data: undefined })
   }
 
+  /**
+   * Check whether an endpoint is reachable, bypassing the circuit breaker
+   * Any response below 500 counts, so endpoints that require credentials or have no
+   * /-/healthy route (e.g. OTLP collectors) are still recognised as up.
+   * @param {string} url - Endpoint base URL
+   * @returns {Promise<boolean>} True if the endpoint answered
+   */
+  async checkHealth (url) {
+    try {
+      const { status } = await this.probeEndpoint(url)
+      return status < 500
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Request a status route of an endpoint, bypassing the circuit breaker
+   * @param {string} url - Endpoint base URL
+   * @param {string} [path='/-/healthy'] - Status route, e.g. '/-/ready'
+   * @param {Object} [credentials] - Basic auth username and password, for endpoints that protect the route
+   * @returns {Promise<Object>} { status, statusText, latency } of the response
+   * @throws {PushgatewayError} If the endpoint could not be reached or authentication failed
+   */
+  async probeEndpoint (url, path = '/-/healthy', { username, password } = {}) {
+    const start = Date.now()
+    const headers = username && password ? { Authorization: `Basic ${btoa(`${username}:${password}`)}` } : {}
+    const response = await this._makeRequest(`${url.replace(/\/+$/, '')}${path}`, 'GET', headers)
+    return { status: response.status, statusText: response.statusText, latency: Date.now() - start }
+  }
+
   /**
    * Get client statistics
    * @returns {Object} Client statistics
@@ -183,10 +199,109 @@ class PushgatewayClient {
     if (this.networkCircuitBreaker) {
       stats.networkCircuitBreaker = this.networkCircuitBreaker.getStats()
     }
+    if (this.authProvider) {
+      stats.auth = this.authProvider.getStats()
+    }
 
     return stats
   }
 
+  /**
+   * Resolve a grouping key template into ordered label values
+   * Static labels that the template does not mention are appended so they stay part of the key.
+   * @param {string} template - Pushgateway path template, e.g. 'job/{job}/agent_id/{agentId}/peerConnectionId/{id}'
+   * @param {Object} context - Placeholder values
+   * @param {string} context.job - Job name
+   * @param {string} context.id - Peer connection ID
+   * @param {string} [context.agentId] - Agent ID
+   * @param {string} [context.origin] - Page origin, exposed to the template as its host name
+   * @param {Object} [context.staticLabels] - User-defined static labels
+   * @returns {Object} Grouping key labels in path order
+   */
+  static resolveGroupingKey (template, { job, id, agentId, origin, staticLabels } = {}) {
+    const values = {
+      job,
+      id,
+      agentId: agentId || '',
+      origin: origin ? new URL(origin).host : ''
+    }
+    const segments = (template || PushgatewayClient.DEFAULT_GROUPING_KEY).replace(/^\/+|\/+$/g, '').split('/')
+
+    const groupingKey = {}
+    for (let i = 0; i + 1 < segments.length; i += 2) {
+      groupingKey[segments[i]] = segments[i + 1].replace(/\{(\w+)\}/g, (_, name) => values[name] ?? '')
+    }
+
+    Object.entries(staticLabels || {}).forEach(([name, value]) => {
+      if (!(name in groupingKey)) {
+        groupingKey[name] = value
+      }
+    })
+
+    return groupingKey
+  }
+
+  /**
+   * Encode grouping key labels as a Pushgateway URL path
+   * Values that are empty or contain characters outside [A-Za-z0-9_.~-] use the @base64 form,
+   * so a '/' in a value can never split the path.
+   * @param {Object} groupingKey - Grouping key labels in path order
+   * @returns {string} Path such as '/job/webrtc/peerConnectionId/abc'
+   */
+  static encodeGroupingKey (groupingKey) {
+    return Object.entries(groupingKey).map(([name, value]) => {
+      const text = value === undefined || value === null ? '' : String(value)
+      if (PushgatewayClient.SAFE_LABEL_VALUE.test(text)) {
+        return `/${name}/${text}`
+      }
+      return `/${name}@base64/${PushgatewayClient.toBase64Url(text)}`
+    }).join('')
+  }
+
+  /**
+   * Encode a string as unpadded base64url, the alphabet the Pushgateway expects for @base64 values
+   * @param {string} value - Value to encode
+   * @returns {string} Encoded value, '=' for the empty string
+   */
+  static toBase64Url (value) {
+    if (value === '') {
+      return '='
+    }
+    const binary = Array.from(new TextEncoder().encode(value), byte => String.fromCharCode(byte)).join('')
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+  }
+
+  /**
+   * Rewrite an OpenMetrics exposition in the Prometheus text format
+   * Counter families get back the `_total` suffix of their samples, info families become `_info` gauges, and the
+   * UNIT and EOF lines are dropped. The classic parser would otherwise reject the info type and put `_total` samples
+   * in untyped families of their own.
+   * @param {string} data - OpenMetrics exposition
+   * @returns {string} Prometheus text exposition
+   */
+  static toTextFormat (data) {
+    const lines = data.split('\n').filter(line => line !== '# EOF' && !line.startsWith('# UNIT '))
+
+    // Family name -> OpenMetrics type
+    const types = new Map()
+    lines.forEach(line => {
+      const match = /^# TYPE (\S+) (\S+)$/.exec(line)
+      if (match) {
+        types.set(match[1], match[2])
+      }
+    })
+
+    return lines.map(line => {
+      const match = /^# (HELP|TYPE) (\S+)( .*)?$/.exec(line)
+      const rewrite = match && PushgatewayClient.TEXT_FORMAT_FAMILIES[types.get(match[2])]
+      if (!rewrite) {
+        return line
+      }
+      const family = `${match[2]}${rewrite.suffix}`
+      return match[1] === 'TYPE' ? `# TYPE ${family} ${rewrite.type}` : `# HELP ${family}${match[3] || ''}`
+    }).join('\n')
+  }
+
   /**
    * Reset client statistics
    */
@@ -220,15 +335,11 @@ class PushgatewayClient {
    * Build the full request URL
    * @private
    */
-  _buildUrl (baseUrl, job, id) {
+  _buildUrl (baseUrl, groupingKey) {
     // Remove trailing slash from base URL
     const cleanUrl = baseUrl.replace(/\/$/, '')
     
-    // Encode URL components to handle special characters
-    const encodedJob = encodeURIComponent(job)
-    const encodedId = encodeURIComponent(id)
-    
-    return `${cleanUrl}/metrics/job/${encodedJob}/peerConnectionId/${encodedId}`
+    return `${cleanUrl}/metrics${PushgatewayClient.encodeGroupingKey(groupingKey)}`
   }
 
   /**
@@ -282,12 +393,13 @@ class PushgatewayClient {
   async _makeRequest (url, method, headers, body) {
     const requestOptions = {
       method,
-      headers,
+      headers: { ...headers, ...await this._authHeaders() },
       body
     }
 
+    let response
     try {
-      return await fetch(url, requestOptions)
+      response = await fetch(url, requestOptions)
     } catch (error) {
       throw new PushgatewayError(
         `Network request failed: ${error.message}`,
@@ -295,6 +407,28 @@ class PushgatewayClient {
         error.message
       )
     }
+
+    // An expired or revoked token is replaced on the next request
+    if (response.status === 401) {
+      this.authProvider?.invalidate()
+    }
+    return response
+  }
+
+  /**
+   * Headers of the auth provider, if one is set
+   * @private
+   */
+  async _authHeaders () {
+    if (!this.authProvider) {
+      return {}
+    }
+
+    try {
+      return await this.authProvider.getHeaders()
+    } catch (error) {
+      throw new PushgatewayError(`Authentication failed: ${error.message}`, error.status || 0, error.message)
+    }
   }
 
   /**
@@ -313,8 +447,8 @@ class PushgatewayClient {
       } catch (error) {
         lastError = error
 
-        // Don't retry on client errors (4xx) or authentication errors
-        if (error instanceof PushgatewayError && error.status >= 400 && error.status < 500) {
+        // Don't retry on client errors (4xx) such as authentication errors, except throttling
+        if (error instanceof PushgatewayError && !error.isRetryable()) {
           throw error
         }
 
@@ -323,16 +457,71 @@ class PushgatewayClient {
           break
         }
 
-        // Calculate delay with exponential backoff
-        const delay = baseDelay * Math.pow(2, attempt)
-        const jitter = Math.random() * 1000 // Add jitter to prevent thundering herd
-        await this._sleep(delay + jitter)
+        const delay = PushgatewayClient.getRetryDelay(attempt, baseDelay, error.retryAfter)
+        if (delay === null) {
+          // Throttled for longer than we hold a push
+          break
+        }
+        await this._sleep(delay)
       }
     }
 
     throw lastError
   }
 
+  /**
+   * Get the delay before a retry
+   * Without Retry-After this is full-jitter exponential backoff, a random delay up to the exponential delay,
+   * so agents that failed together do not retry together.
+   * @param {number} attempt - Zero-based number of the failed attempt
+   * @param {number} baseDelay - Delay of the first retry in milliseconds
+   * @param {number|null} [retryAfter] - Delay requested by the server in milliseconds
+   * @returns {number|null} Delay in milliseconds, or null if the server asked to wait longer than MAX_RETRY_DELAY_MS
+   */
+  static getRetryDelay (attempt, baseDelay, retryAfter = null) {
+    const config = globalThis.WebRTCExporterConfig || self.WebRTCExporterConfig
+    const { EXPONENTIAL_BACKOFF_BASE, MAX_RETRY_DELAY_MS } = { ...PushgatewayClient.DEFAULT_BACKOFF, ...config?.CONSTANTS.NETWORK }
+
+    if (Number.isFinite(retryAfter)) {
+      // Spread the agents that were all given the same time
+      return retryAfter > MAX_RETRY_DELAY_MS ? null : retryAfter + Math.random() * baseDelay
+    }
+
+    return Math.random() * Math.min(MAX_RETRY_DELAY_MS, baseDelay * Math.pow(EXPONENTIAL_BACKOFF_BASE, attempt))
+  }
+
+  /**
+   * Classify a failed request for the export status shown in the popup
+   * @param {number} [status] - HTTP status, 0 or absent for network errors
+   * @returns {string} 'throttled', 'config_error', 'rejected' (other 4xx), 'server_error' or 'network_error'
+   */
+  static classifyFailure (status) {
+    if (PushgatewayError.THROTTLING_STATUSES.includes(status)) {
+      return 'throttled'
+    }
+    if (PushgatewayError.CONFIG_ERROR_STATUSES.includes(status)) {
+      return 'config_error'
+    }
+    if (status >= 400 && status < 500) {
+      return 'rejected'
+    }
+    return status >= 500 ? 'server_error' : 'network_error'
+  }
+
+  /**
+   * Build the error for an unsuccessful response
+   * @param {Response} response - Fetch response
+   * @param {string} message - Error message
+   * @param {Function} [ErrorClass=PushgatewayError] - Error class of the client
+   * @returns {Promise<PushgatewayError>} Error with status, response text and Retry-After delay
+   * @private
+   */
+  async _responseError (response, message, ErrorClass = PushgatewayError) {
+    const errorText = await response.text()
+    const retryAfter = PushgatewayError.parseRetryAfter(response.headers?.get('Retry-After'))
+    return new ErrorClass(message, response.status, errorText, retryAfter)
+  }
+
   /**
    * Sleep for a specified number of milliseconds
    * @private
@@ -342,25 +531,109 @@ class PushgatewayClient {
   }
 }
 
+// OpenMetrics types the Prometheus text format names differently: family name suffix and text format type
+PushgatewayClient.TEXT_FORMAT_FAMILIES = {
+  counter: { suffix: '_total', type: 'counter' },
+  info: { suffix: '_info', type: 'gauge' },
+  unknown: { suffix: '', type: 'untyped' }
+}
+PushgatewayClient.DEFAULT_GROUPING_KEY = 'job/{job}/peerConnectionId/{id}'
+PushgatewayClient.SAFE_LABEL_VALUE = /^[A-Za-z0-9_.~-]+$/
+// Used when CONSTANTS.NETWORK is not loaded
+PushgatewayClient.DEFAULT_BACKOFF = {
+  EXPONENTIAL_BACKOFF_BASE: 2,
+  MAX_RETRY_DELAY_MS: 30000
+}
+
 /**
  * Custom error class for Pushgateway-specific errors
  */
 class PushgatewayError extends Error {
-  constructor (message, status = 0, responseText = '') {
+  constructor (message, status = 0, responseText = '', retryAfter = null) {
     super(message)
     this.name = 'PushgatewayError'
     this.status = status
     this.responseText = responseText
+    this.retryAfter = retryAfter
+  }
+
+  /**
+   * Check whether the server is throttling requests (429 or 503) rather than failing them
+   * @returns {boolean} True for throttling responses
+   */
+  isThrottled () {
+    return PushgatewayError.THROTTLING_STATUSES.includes(this.status)
+  }
+
+  /**
+   * Check whether the error points at the configuration, e.g. wrong credentials or URL
+   * @returns {boolean} True for 401, 403 and 404 responses
+   */
+  isConfigError () {
+    return PushgatewayError.CONFIG_ERROR_STATUSES.includes(this.status)
+  }
+
+  /**
+   * Check whether sending the same request again can succeed
+   * @returns {boolean} False for client errors (4xx) other than throttling
+   */
+  isRetryable () {
+    return this.isThrottled() || !(this.status >= 400 && this.status < 500)
+  }
+
+  /**
+   * Parse a Retry-After header
+   * @param {string|null} value - Delay in seconds or an HTTP date
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+   */
+  static parseRetryAfter (value, now = Date.now()) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000
+    }
+
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? null : Math.max(0, date - now)
   }
 }
 
+PushgatewayError.THROTTLING_STATUSES = [429, 503]
+PushgatewayError.CONFIG_ERROR_STATUSES = [401, 403, 404]
+
+/**
+ * Exporter sink type for Pushgateway destinations
+ * The exposition text is pushed as is, under the grouping key resolved for the connection.
+ */
+const pushgatewaySinkType = {
+  createClient: () => new PushgatewayClient(),
+  // The Pushgateway keeps only the last push of each group, so replaying older ones is pointless
+  queuePolicy: 'latest_per_key',
+  buildRequest: ({ url, username, password, gzip }, { method, job, id, groupingKey, data, format, statsCallback }) => ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    username,
+    password,
+    gzip,
+    data,
+    format,
+    statsCallback
+  })
+}
+
 /**
  * Utility function to create a default statistics callback
  * @param {Object} storage - Chrome storage reference
  * @returns {Function} Statistics callback function
  */
 function createStatsCallback (storage) {
-  return async ({ success, requestTime, dataSize, hasData, error }) => {
+  return async ({ success, requestTime, dataSize, hasData, error, status, retryAfter }) => {
     try {
       const stats = await storage.local.get([
         'messagesSent',
@@ -369,6 +642,17 @@ function createStatsCallback (storage) {
         'errors'
       ])
 
+      // Shown in the popup; a failed response is reported again with its error, so wait for that
+      if (success || error) {
+        stats.exportStatus = {
+          state: success ? 'ok' : PushgatewayClient.classifyFailure(status),
+          status: status || null,
+          error: error || null,
+          retryAfter: retryAfter ?? null,
+          updatedAt: Date.now()
+        }
+      }
+
       if (hasData) {
         stats.messagesSent = (stats.messagesSent || 0) + 1
         stats.bytesSent = (stats.bytesSent || 0) + dataSize
@@ -391,18 +675,21 @@ if (typeof globalThis !== 'undefined') {
   globalThis.WebRTCExporterPushgateway = {
     PushgatewayClient,
     PushgatewayError,
+    pushgatewaySinkType,
     createStatsCallback
   }
 } else if (typeof window !== 'undefined') {
   window.WebRTCExporterPushgateway = {
     PushgatewayClient,
     PushgatewayError,
+    pushgatewaySinkType,
     createStatsCallback
   }
 } else if (typeof self !== 'undefined') {
   self.WebRTCExporterPushgateway = {
     PushgatewayClient,
     PushgatewayError,
+    pushgatewaySinkType,
     createStatsCallback
   }
 }
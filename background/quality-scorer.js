@@ -0,0 +1,296 @@
+/**
+ * Quality Scorer Module for WebRTC Stats Exporter
+ * Estimates voice quality (E-model R-factor and MOS) per audio stream from RTT, jitter and loss
+ */
+
+/**
+ * QualityScorer class for scoring audio streams and keeping the latest score per connection
+ */
+class QualityScorer {
+  constructor (logger, options = {}) {
+    this.logger = logger
+    this.maxScoreAge = options.maxScoreAge || 30000
+    this.connections = new Map()
+  }
+
+  /**
+   * Score the audio streams of a peer connection sample
+   * @param {Object} connection - Connection info
+   * @param {string} connection.id - Peer connection ID
+   * @param {string} connection.origin - Origin domain
+   * @param {Array} values - WebRTC stats values
+   * @param {Object} [context] - Additional inputs
+   * @param {Array} [context.rates] - Derived rates from RateCalculator, used for interval loss
+   * @param {Object} [context.description] - { local, remote } summaries from SessionDescriptionStore
+   * @returns {Array} Scores as { id, direction, codec, rFactor, mos }
+   */
+  scoreConnection ({ id, origin }, values, { rates = [], description = null } = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new QualityScorerError('Peer connection ID is required and must be a string')
+    }
+    if (!Array.isArray(values)) {
+      throw new QualityScorerError('Values must be an array')
+    }
+
+    const codecs = new Map(values.filter(v => v?.type === 'codec').map(v => [v.id, v]))
+    const negotiatedCodec = QualityScorer.negotiatedAudioCodec(description)
+    const codecOf = (value) => QualityScorer.codecName(codecs.get(value.codecId)) || negotiatedCodec
+
+    const remoteInbound = values.filter(v => v?.type === 'remote-inbound-rtp' && v.kind === 'audio')
+    // Both directions share the network path, so the RTCP round trip applies to inbound audio too
+    const pathRtt = remoteInbound.find(v => Number.isFinite(v.roundTripTime))?.roundTripTime
+    const intervalLoss = new Map((rates || [])
+      .filter(rate => Number.isFinite(rate.rates?.packet_loss_ratio))
+      .map(rate => [rate.id, rate.rates.packet_loss_ratio]))
+
+    const scores = []
+
+    remoteInbound.forEach((value) => {
+      scores.push(QualityScorer.scoreStream({
+        id: value.localId || value.id,
+        direction: 'outbound',
+        codec: codecOf(value),
+        rtt: value.roundTripTime,
+        jitter: value.jitter,
+        loss: value.fractionLost
+      }))
+    })
+
+    values
+      .filter(v => v?.type === 'inbound-rtp' && v.kind === 'audio')
+      .forEach((value) => {
+        scores.push(QualityScorer.scoreStream({
+          id: value.id,
+          direction: 'inbound',
+          codec: codecOf(value),
+          rtt: pathRtt,
+          jitter: value.jitter,
+          loss: intervalLoss.has(value.id)
+            ? intervalLoss.get(value.id)
+            : QualityScorer.cumulativeLoss(value)
+        }))
+      })
+
+    if (scores.length > 0) {
+      this.connections.set(id, {
+        origin,
+        mos: Math.min(...scores.map(score => score.mos)),
+        updatedAt: Date.now()
+      })
+    } else {
+      this.connections.delete(id)
+    }
+
+    return scores
+  }
+
+  /**
+   * Get the worst recent MOS across the connections of an origin
+   * @param {string} origin - Origin domain
+   * @returns {number|null} Lowest MOS or null if no recent audio scores exist
+   */
+  getOriginQuality (origin) {
+    const now = Date.now()
+    let worst = null
+
+    for (const entry of this.connections.values()) {
+      if (entry.origin !== origin || now - entry.updatedAt > this.maxScoreAge) {
+        continue
+      }
+      worst = worst === null ? entry.mos : Math.min(worst, entry.mos)
+    }
+
+    return worst
+  }
+
+  /**
+   * Forget the score of a connection
+   * @param {string} id - Peer connection ID
+   * @returns {boolean} True if the connection was scored
+   */
+  removeConnection (id) {
+    return this.connections.delete(id)
+  }
+
+  /**
+   * Get scorer statistics
+   * @returns {Object} Statistics about scored connections
+   */
+  getStats () {
+    return {
+      scoredConnections: this.connections.size,
+      maxScoreAge: this.maxScoreAge
+    }
+  }
+
+  /**
+   * Destroy the scorer and clean up resources
+   */
+  destroy () {
+    this.connections.clear()
+  }
+
+  /**
+   * Score a single audio stream
+   * @param {Object} params - Stream measurements
+   * @param {string} params.id - Stats ID of the stream
+   * @param {string} params.direction - 'inbound' or 'outbound'
+   * @param {string} [params.codec] - Codec name
+   * @param {number} [params.rtt] - Round trip time in seconds
+   * @param {number} [params.jitter] - Jitter in seconds
+   * @param {number} [params.loss] - Packet loss fraction (0-1)
+   * @returns {Object} Score as { id, direction, codec, rFactor, mos }
+   */
+  static scoreStream ({ id, direction, codec, rtt, jitter, loss }) {
+    const rFactor = QualityScorer.calculateRFactor({
+      rtt: Number.isFinite(rtt) ? rtt * 1000 : 0,
+      jitter: Number.isFinite(jitter) ? jitter * 1000 : 0,
+      loss: Number.isFinite(loss) ? Math.min(Math.max(loss, 0), 1) : 0,
+      codec
+    })
+
+    return {
+      id,
+      direction,
+      codec: codec || 'unknown',
+      rFactor,
+      mos: QualityScorer.rFactorToMos(rFactor)
+    }
+  }
+
+  /**
+   * Calculate the simplified ITU-T G.107 E-model transmission rating
+   * @param {Object} params - Measurements
+   * @param {number} params.rtt - Round trip time in ms
+   * @param {number} params.jitter - Jitter in ms
+   * @param {number} params.loss - Packet loss fraction (0-1)
+   * @param {string} [params.codec] - Codec name for the equipment impairment factors
+   * @returns {number} R-factor between 0 and 100
+   */
+  static calculateRFactor ({ rtt, jitter, loss, codec }) {
+    // One-way delay plus a jitter buffer of twice the jitter and codec framing delay
+    const effectiveLatency = rtt / 2 + jitter * 2 + 10
+    let delayImpairment = 0.024 * effectiveLatency
+    if (effectiveLatency > 177.3) {
+      delayImpairment += 0.11 * (effectiveLatency - 177.3)
+    }
+
+    const { ie, bpl } = QualityScorer.CODEC_IMPAIRMENTS[codec?.toLowerCase()] || QualityScorer.DEFAULT_IMPAIRMENT
+    const lossPercent = loss * 100
+    const equipmentImpairment = ie + (95 - ie) * lossPercent / (lossPercent + bpl)
+
+    const rFactor = 93.2 - delayImpairment - equipmentImpairment
+    return Math.min(Math.max(rFactor, 0), 100)
+  }
+
+  /**
+   * Convert an R-factor to an estimated mean opinion score
+   * @param {number} rFactor - R-factor
+   * @returns {number} MOS between 1 and 4.5
+   */
+  static rFactorToMos (rFactor) {
+    if (rFactor <= 0) {
+      return 1
+    }
+    if (rFactor >= 100) {
+      return 4.5
+    }
+    return 1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor)
+  }
+
+  /**
+   * Loss fraction over the lifetime of an inbound stream
+   * @param {Object} value - inbound-rtp stats value
+   * @returns {number} Packet loss fraction (0-1)
+   */
+  static cumulativeLoss ({ packetsLost, packetsReceived }) {
+    const lost = Math.max(packetsLost || 0, 0)
+    const expected = lost + (packetsReceived || 0)
+    return expected > 0 ? lost / expected : 0
+  }
+
+  /**
+   * Get the codec name from a codec stats value
+   * @param {Object} [codec] - codec stats value
+   * @returns {string|null} Codec name without the media type prefix
+   */
+  static codecName (codec) {
+    if (!codec || typeof codec.mimeType !== 'string') {
+      return null
+    }
+    return codec.mimeType.split('/').pop()
+  }
+
+  /**
+   * Get the negotiated audio codec from parsed session descriptions, preferring the answer
+   * @param {Object} [description] - { local, remote } summaries
+   * @returns {string|null} Codec name
+   */
+  static negotiatedAudioCodec (description) {
+    const summaries = [description?.local, description?.remote]
+      .filter(Boolean)
+      .sort((a, b) => (b.type === 'answer') - (a.type === 'answer'))
+
+    for (const summary of summaries) {
+      const section = summary.media.find(media => media.kind === 'audio' && !media.rejected && media.codec)
+      if (section) {
+        return section.codec
+      }
+    }
+    return null
+  }
+}
+
+// Equipment impairment (Ie) and packet-loss robustness (Bpl) factors, after ITU-T G.113 Appendix I
+QualityScorer.CODEC_IMPAIRMENTS = {
+  opus: { ie: 0, bpl: 30 },
+  pcmu: { ie: 0, bpl: 25.1 },
+  pcma: { ie: 0, bpl: 25.1 },
+  g722: { ie: 0, bpl: 25.1 },
+  g729: { ie: 11, bpl: 19 },
+  ilbc: { ie: 10, bpl: 32 }
+}
+QualityScorer.DEFAULT_IMPAIRMENT = { ie: 0, bpl: 25.1 }
+
+/**
+ * Custom error class for quality scorer errors
+ */
+class QualityScorerError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'QualityScorerError'
+  }
+}
+
+/**
+ * Create a pre-configured QualityScorer instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} [options] - Scorer options
+ * @param {number} [options.maxScoreAge=30000] - Age in ms after which scores no longer drive the badge
+ * @returns {QualityScorer} Configured quality scorer
+ */
+function createQualityScorer ({ logger } = {}, options = {}) {
+  return new QualityScorer(logger, options)
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterQualityScorer = {
+    QualityScorer,
+    QualityScorerError,
+    createQualityScorer
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterQualityScorer = {
+    QualityScorer,
+    QualityScorerError,
+    createQualityScorer
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterQualityScorer = {
+    QualityScorer,
+    QualityScorerError,
+    createQualityScorer
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Rate Calculator Module for WebRTC Stats Exporter
+ * Derives per-interval rates (bitrate, packet loss, frame rate, NACK/PLI) from successive cumulative samples
+ */
+
+/**
+ * RateCalculator class that keeps the previous sample of every stats object per connection
+ */
+class RateCalculator {
+  constructor (logger) {
+    this.logger = logger
+    this.connections = new Map()
+    this.stats = {
+      computedSamples: 0,
+      counterResets: 0
+    }
+  }
+
+  /**
+   * Compute derived rates for a new stats sample of a peer connection
+   * @param {string} id - Peer connection ID
+   * @param {Array} values - WebRTC stats values (cumulative counters)
+   * @returns {Array} Derived rates as { type, id, kind, rates }
+   */
+  computeRates (id, values) {
+    if (!id || typeof id !== 'string') {
+      throw new RateCalculatorError('Peer connection ID is required and must be a string')
+    }
+    if (!Array.isArray(values)) {
+      throw new RateCalculatorError('Values must be an array')
+    }
+
+    const previousSamples = this.connections.get(id) || new Map()
+    const currentSamples = new Map()
+    const results = []
+
+    for (const value of values) {
+      const definition = RateCalculator.COUNTERS[value?.type]
+      if (!definition || !value.id) {
+        continue
+      }
+
+      const sample = RateCalculator.takeSample(value, definition)
+      currentSamples.set(value.id, sample)
+
+      const previous = previousSamples.get(value.id)
+      if (!previous) {
+        // First sample for this stats object, nothing to compare against yet
+        continue
+      }
+
+      if (RateCalculator.isReset(previous, sample, definition)) {
+        this.stats.counterResets++
+        this.logger?.log(`Counter reset detected for ${id}/${value.id}, rebaselining`)
+        continue
+      }
+
+      const rates = RateCalculator.deriveRates(previous, sample)
+      if (Object.keys(rates).length > 0) {
+        this.stats.computedSamples++
+        results.push({ type: value.type, id: value.id, kind: value.kind, rates })
+      }
+    }
+
+    // Stats objects that disappeared (e.g. after an SSRC change) are dropped with the old map
+    this.connections.set(id, currentSamples)
+    return results
+  }
+
+  /**
+   * Forget the previous samples of a connection
+   * @param {string} id - Peer connection ID
+   * @returns {boolean} True if the connection was tracked
+   */
+  removeConnection (id) {
+    return this.connections.delete(id)
+  }
+
+  /**
+   * Get calculator statistics
+   * @returns {Object} Statistics about tracked samples
+   */
+  getStats () {
+    let trackedStats = 0
+    for (const samples of this.connections.values()) {
+      trackedStats += samples.size
+    }
+
+    return {
+      ...this.stats,
+      trackedConnections: this.connections.size,
+      trackedStats
+    }
+  }
+
+  /**
+   * Destroy the calculator and clean up resources
+   */
+  destroy () {
+    this.connections.clear()
+  }
+
+  /**
+   * Extract the timestamp and counters used for rates from a stats value
+   * @param {Object} value - WebRTC stats value
+   * @param {Object} definition - Counter field names for the stats type
+   * @returns {Object} Sample as { timestamp, counters }
+   */
+  static takeSample (value, definition) {
+    const counters = {}
+    for (const [counter, field] of Object.entries(definition)) {
+      if (Number.isFinite(value[field])) {
+        counters[counter] = value[field]
+      }
+    }
+
+    return {
+      timestamp: Number.isFinite(value.timestamp) ? value.timestamp : Date.now(),
+      counters
+    }
+  }
+
+  /**
+   * Check whether a sample cannot be compared with its predecessor
+   * @param {Object} previous - Previous sample
+   * @param {Object} current - Current sample
+   * @param {Object} definition - Counter field names for the stats type
+   * @returns {boolean} True if the clock went backwards or a monotonic counter decreased
+   */
+  static isReset (previous, current, definition) {
+    if (current.timestamp <= previous.timestamp) {
+      return true
+    }
+
+    return Object.keys(definition)
+      .filter(counter => RateCalculator.MONOTONIC_COUNTERS.includes(counter))
+      .some(counter => current.counters[counter] < previous.counters[counter])
+  }
+
+  /**
+   * Derive rates between two samples
+   * @param {Object} previous - Previous sample
+   * @param {Object} current - Current sample
+   * @returns {Object} Derived rates keyed by metric name
+   */
+  static deriveRates (previous, current) {
+    const seconds = (current.timestamp - previous.timestamp) / 1000
+    const delta = (counter) => {
+      const before = previous.counters[counter]
+      const after = current.counters[counter]
+      return before === undefined || after === undefined ? undefined : after - before
+    }
+
+    const rates = {}
+    const bytes = delta('bytes')
+    const packets = delta('packets')
+    const lost = delta('lost')
+    const frames = delta('frames')
+    const nacks = delta('nacks')
+    const plis = delta('plis')
+    const retransmittedBytes = delta('retransmittedBytes')
+
+    if (bytes !== undefined) {
+      rates.bitrate = (bytes * 8) / seconds
+    }
+    if (packets !== undefined && lost !== undefined) {
+      // packetsLost may decrease when late packets arrive, so only count new losses
+      const newlyLost = Math.max(lost, 0)
+      const expected = packets + newlyLost
+      rates.packet_loss_ratio = expected > 0 ? newlyLost / expected : 0
+    }
+    if (frames !== undefined) {
+      rates.frame_rate = frames / seconds
+    }
+    if (nacks !== undefined) {
+      rates.nack_rate = nacks / seconds
+    }
+    if (plis !== undefined) {
+      rates.pli_rate = plis / seconds
+    }
+    if (retransmittedBytes !== undefined && bytes !== undefined) {
+      rates.retransmission_ratio = bytes > 0 ? retransmittedBytes / bytes : 0
+    }
+
+    return rates
+  }
+}
+
+// Cumulative counter fields used for each stats type
+RateCalculator.COUNTERS = {
+  'inbound-rtp': {
+    bytes: 'bytesReceived',
+    packets: 'packetsReceived',
+    lost: 'packetsLost',
+    frames: 'framesDecoded',
+    nacks: 'nackCount',
+    plis: 'pliCount'
+  },
+  'outbound-rtp': {
+    bytes: 'bytesSent',
+    packets: 'packetsSent',
+    frames: 'framesEncoded',
+    nacks: 'nackCount',
+    plis: 'pliCount',
+    retransmittedBytes: 'retransmittedBytesSent'
+  }
+}
+
+// Counters that only ever grow unless the underlying stream was restarted
+RateCalculator.MONOTONIC_COUNTERS = ['bytes', 'packets', 'frames', 'nacks', 'plis', 'retransmittedBytes']
+
+/**
+ * Custom error class for rate calculator errors
+ */
+class RateCalculatorError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'RateCalculatorError'
+  }
+}
+
+/**
+ * Create a pre-configured RateCalculator instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @returns {RateCalculator} Configured rate calculator
+ */
+function createRateCalculator ({ logger } = {}) {
+  return new RateCalculator(logger)
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterRateCalculator = {
+    RateCalculator,
+    RateCalculatorError,
+    createRateCalculator
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterRateCalculator = {
+    RateCalculator,
+    RateCalculatorError,
+    createRateCalculator
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterRateCalculator = {
+    RateCalculator,
+    RateCalculatorError,
+    createRateCalculator
+  }
+}
@@ -0,0 +1,403 @@
+/**
+ * Remote Write Client Module for WebRTC Stats Exporter
+ * Sends metrics to a Prometheus remote_write endpoint as snappy-compressed WriteRequest protobufs
+ */
+
+/**
+ * RemoteWriteClient class for sending timestamped samples to Prometheus remote_write receivers
+ * Reuses the Pushgateway client's circuit breaker wiring, retry policy and statistics and replaces the request encoding.
+ */
+class RemoteWriteClient extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayClient {
+  /**
+   * Send data directly to the remote_write endpoint (used by circuit breaker or when no circuit breaker is set)
+   * @param {Object} params - Request parameters
+   * @param {string} params.method - HTTP method (POST, DELETE)
+   * @param {string} params.url - remote_write endpoint, e.g. http://prometheus:9090/api/v1/write
+   * @param {string} params.job - Job name for metrics
+   * @param {string} params.id - Peer connection ID
+   * @param {Object} [params.groupingKey] - Grouping key labels, added to every series like the Pushgateway does
+   * @param {string} [params.username] - Basic auth username
+   * @param {string} [params.password] - Basic auth password
+   * @param {string} [params.data] - Exposition text to convert (for POST requests)
+   * @param {number} [params.timestamp] - Stats report timestamp in milliseconds, defaults to now
+   * @param {Function} [params.statsCallback] - Callback for updating statistics
+   * @returns {Promise<string>} Response text
+   */
+  async _sendDataDirect ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    username,
+    password,
+    data,
+    timestamp,
+    statsCallback
+  }) {
+    // remote_write cannot delete series; they go stale once no more samples arrive
+    if (method === 'DELETE') {
+      return ''
+    }
+
+    this.requestCount++
+    const start = Date.now()
+    this.lastRequestTime = start
+    let requestBody
+
+    try {
+      this._validateParams({ method, url, job, id })
+
+      const families = RemoteWriteClient.getExpositionParser().parse(data)
+      const writeRequest = RemoteWriteClient.encodeWriteRequest(
+        RemoteWriteClient.toTimeSeries(families, { groupingKey: groupingKey || { job, peerConnectionId: id }, timestamp: timestamp || start }),
+        RemoteWriteClient.toMetadata(families)
+      )
+      requestBody = RemoteWriteClient.snappyCompress(writeRequest)
+
+      const response = await this._makeRequest(url, 'POST', this._buildRemoteWriteHeaders({ username, password }), requestBody)
+
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: response.ok,
+          requestTime,
+          dataSize: requestBody.length,
+          hasData: true
+        })
+      }
+
+      if (!response.ok) {
+        throw await this._responseError(response, `Remote write request failed: ${response.status} ${response.statusText}`, RemoteWriteError)
+      }
+
+      return await response.text()
+    } catch (error) {
+      const requestTime = Date.now() - start
+      if (statsCallback) {
+        await statsCallback({
+          success: false,
+          requestTime,
+          dataSize: requestBody ? requestBody.length : 0,
+          hasData: !!data,
+          error: error.message,
+          status: error.status,
+          retryAfter: error.retryAfter
+        })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Get the exposition parser module
+   * @returns {Object} ExpositionParser class
+   */
+  static getExpositionParser () {
+    const parser = globalThis.WebRTCExporterExpositionParser || self.WebRTCExporterExpositionParser
+    if (!parser) {
+      throw new RemoteWriteError('Exposition parser is not loaded')
+    }
+    return parser.ExpositionParser
+  }
+
+  /**
+   * Convert parsed families into remote_write time series
+   * @param {Array} families - Families from ExpositionParser.parse()
+   * @param {Object} context - Series context
+   * @param {Object} context.groupingKey - Labels added to every series, overriding pushed labels of the same name
+   * @param {number} context.timestamp - Sample timestamp in milliseconds
+   * @returns {Array} Series { labels: [[name, value]] sorted by name, samples: [[value, timestamp]] }
+   */
+  static toTimeSeries (families, { groupingKey, timestamp }) {
+    const sampleTimestamp = Math.round(timestamp)
+
+    return families.flatMap(family => family.samples.map(sample => ({
+      labels: Object.entries({ ...sample.labels, ...groupingKey, __name__: sample.name })
+        .map(([name, value]) => [name, String(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+      samples: [[sample.value, sampleTimestamp]]
+    })))
+  }
+
+  /**
+   * Convert parsed families into remote_write metric metadata
+   * @param {Array} families - Families from ExpositionParser.parse()
+   * @returns {Array} Metadata { type, name, help, unit }
+   */
+  static toMetadata (families) {
+    return families.map(({ name, type, help, unit }) => ({
+      type: RemoteWriteClient.METRIC_TYPES[type] || 0,
+      name,
+      help,
+      unit
+    }))
+  }
+
+  /**
+   * Encode a prometheus.WriteRequest message
+   * @param {Array} timeseries - Series from toTimeSeries()
+   * @param {Array} [metadata] - Metadata from toMetadata()
+   * @returns {Uint8Array} Protobuf encoded WriteRequest
+   */
+  static encodeWriteRequest (timeseries, metadata = []) {
+    const out = []
+
+    timeseries.forEach(({ labels, samples }) => {
+      const series = []
+      labels.forEach(([name, value]) => {
+        const label = []
+        RemoteWriteClient._writeString(label, 1, name)
+        RemoteWriteClient._writeString(label, 2, value)
+        RemoteWriteClient._writeBytes(series, 1, label)
+      })
+      samples.forEach(([value, timestamp]) => {
+        const sample = []
+        RemoteWriteClient._writeDouble(sample, 1, value)
+        RemoteWriteClient._writeTag(sample, 2, 0)
+        RemoteWriteClient._writeVarint(sample, timestamp)
+        RemoteWriteClient._writeBytes(series, 2, sample)
+      })
+      RemoteWriteClient._writeBytes(out, 1, series)
+    })
+
+    metadata.forEach(({ type, name, help, unit }) => {
+      const entry = []
+      RemoteWriteClient._writeTag(entry, 1, 0)
+      RemoteWriteClient._writeVarint(entry, type)
+      RemoteWriteClient._writeString(entry, 2, name)
+      if (help) {
+        RemoteWriteClient._writeString(entry, 4, help)
+      }
+      if (unit) {
+        RemoteWriteClient._writeString(entry, 5, unit)
+      }
+      RemoteWriteClient._writeBytes(out, 3, entry)
+    })
+
+    return Uint8Array.from(out)
+  }
+
+  /**
+   * Compress data with the snappy block format required by remote_write
+   * Greedy matcher over a 4-byte hash table; copies are limited to 64 KiB offsets.
+   * @param {Uint8Array} input - Uncompressed data
+   * @returns {Uint8Array} Snappy block
+   */
+  static snappyCompress (input) {
+    const out = []
+    RemoteWriteClient._writeVarint(out, input.length)
+
+    const table = new Int32Array(1 << RemoteWriteClient.SNAPPY_HASH_BITS)
+    const load = position => (input[position] | (input[position + 1] << 8) | (input[position + 2] << 16) | (input[position + 3] << 24)) >>> 0
+    let position = 0
+    let literalStart = 0
+
+    while (position + 4 <= input.length) {
+      const word = load(position)
+      const hash = Math.imul(word, 0x1e35a7bd) >>> (32 - RemoteWriteClient.SNAPPY_HASH_BITS)
+      // Table entries are stored off by one so that zero means empty
+      const candidate = table[hash] - 1
+      table[hash] = position + 1
+
+      if (candidate < 0 || position - candidate > 0xffff || load(candidate) !== word) {
+        position++
+        continue
+      }
+
+      RemoteWriteClient._writeSnappyLiteral(out, input, literalStart, position)
+
+      let length = 4
+      while (position + length < input.length && input[candidate + length] === input[position + length]) {
+        length++
+      }
+      RemoteWriteClient._writeSnappyCopy(out, position - candidate, length)
+
+      position += length
+      literalStart = position
+    }
+
+    RemoteWriteClient._writeSnappyLiteral(out, input, literalStart, input.length)
+    return Uint8Array.from(out)
+  }
+
+  // Private methods
+
+  /**
+   * Build remote_write request headers
+   * @private
+   */
+  _buildRemoteWriteHeaders ({ username, password }) {
+    const headers = {
+      'Content-Type': 'application/x-protobuf',
+      'Content-Encoding': 'snappy',
+      'X-Prometheus-Remote-Write-Version': RemoteWriteClient.PROTOCOL_VERSION
+    }
+
+    if (username && password) {
+      headers.Authorization = `Basic ${btoa(`${username}:${password}`)}`
+    }
+
+    return headers
+  }
+
+  /**
+   * Append a protobuf varint; uses arithmetic so millisecond timestamps beyond 32 bits survive
+   * @private
+   */
+  static _writeVarint (out, value) {
+    let remaining = value
+    while (remaining >= 0x80) {
+      out.push((remaining % 0x80) + 0x80)
+      remaining = Math.floor(remaining / 0x80)
+    }
+    out.push(remaining)
+  }
+
+  /**
+   * Append a protobuf field tag
+   * @private
+   */
+  static _writeTag (out, field, wireType) {
+    RemoteWriteClient._writeVarint(out, field * 8 + wireType)
+  }
+
+  /**
+   * Append a length-delimited protobuf field
+   * @private
+   */
+  static _writeBytes (out, field, bytes) {
+    RemoteWriteClient._writeTag(out, field, 2)
+    RemoteWriteClient._writeVarint(out, bytes.length)
+    for (let i = 0; i < bytes.length; i++) {
+      out.push(bytes[i])
+    }
+  }
+
+  /**
+   * Append a UTF-8 string protobuf field
+   * @private
+   */
+  static _writeString (out, field, text) {
+    RemoteWriteClient._writeBytes(out, field, new TextEncoder().encode(text))
+  }
+
+  /**
+   * Append a little-endian double protobuf field
+   * @private
+   */
+  static _writeDouble (out, field, value) {
+    const view = new DataView(new ArrayBuffer(8))
+    view.setFloat64(0, value, true)
+    RemoteWriteClient._writeTag(out, field, 1)
+    for (let i = 0; i < 8; i++) {
+      out.push(view.getUint8(i))
+    }
+  }
+
+  /**
+   * Append a snappy literal element for input[start, end)
+   * @private
+   */
+  static _writeSnappyLiteral (out, input, start, end) {
+    const length = end - start
+    if (length === 0) {
+      return
+    }
+
+    const n = length - 1
+    if (n < 60) {
+      out.push(n << 2)
+    } else {
+      // Tags 60-63 announce a 1-4 byte little-endian length
+      const bytes = n < 0x100 ? 1 : n < 0x10000 ? 2 : n < 0x1000000 ? 3 : 4
+      out.push((59 + bytes) << 2)
+      for (let i = 0; i < bytes; i++) {
+        out.push((n >>> (8 * i)) & 0xff)
+      }
+    }
+    for (let i = start; i < end; i++) {
+      out.push(input[i])
+    }
+  }
+
+  /**
+   * Append snappy copy elements with 2-byte offsets, at most 64 bytes each
+   * @private
+   */
+  static _writeSnappyCopy (out, offset, length) {
+    let remaining = length
+    while (remaining > 0) {
+      // Keep the last copy at 4 bytes or more by splitting 65-67 byte tails unevenly
+      const chunk = remaining >= 68 ? 64 : remaining > 64 ? 60 : remaining
+      out.push(((chunk - 1) << 2) | 2, offset & 0xff, offset >>> 8)
+      remaining -= chunk
+    }
+  }
+}
+
+RemoteWriteClient.PROTOCOL_VERSION = '0.1.0'
+RemoteWriteClient.SNAPPY_HASH_BITS = 14
+// prometheus.MetricMetadata.MetricType
+RemoteWriteClient.METRIC_TYPES = {
+  unknown: 0,
+  counter: 1,
+  gauge: 2,
+  histogram: 3,
+  gaugehistogram: 4,
+  summary: 5,
+  info: 6,
+  stateset: 7
+}
+
+/**
+ * Custom error class for remote_write errors
+ * Extends PushgatewayError so the shared retry policy skips 4xx responses the same way.
+ */
+class RemoteWriteError extends (globalThis.WebRTCExporterPushgateway || self.WebRTCExporterPushgateway).PushgatewayError {
+  constructor (message, status = 0, responseText = '', retryAfter = null) {
+    super(message, status, responseText, retryAfter)
+    this.name = 'RemoteWriteError'
+  }
+}
+
+/**
+ * Exporter sink type for Prometheus remote_write destinations
+ * The exposition text is converted into timestamped samples labelled with the connection's grouping key.
+ */
+const remoteWriteSinkType = {
+  createClient: () => new RemoteWriteClient(),
+  buildRequest: ({ url, username, password }, { method, job, id, groupingKey, data, timestamp, statsCallback }) => ({
+    method,
+    url,
+    job,
+    id,
+    groupingKey,
+    username,
+    password,
+    data,
+    timestamp,
+    statsCallback
+  })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterRemoteWrite = {
+    RemoteWriteClient,
+    RemoteWriteError,
+    remoteWriteSinkType
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterRemoteWrite = {
+    RemoteWriteClient,
+    RemoteWriteError,
+    remoteWriteSinkType
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterRemoteWrite = {
+    RemoteWriteClient,
+    RemoteWriteError,
+    remoteWriteSinkType
+  }
+}
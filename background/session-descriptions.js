@@ -0,0 +1,237 @@
+/**
+ * Session Description Module for WebRTC Stats Exporter
+ * Keeps the parsed SDP summary (codecs, directions, BUNDLE, hold state) for each peer connection
+ */
+
+/**
+ * SessionDescriptionStore class for attaching negotiated session details to connections
+ */
+class SessionDescriptionStore {
+  constructor (storageManager, logger, config) {
+    this.storageManager = storageManager
+    this.logger = logger
+    this.config = config
+    this.descriptions = new Map()
+    this.isRestored = false
+  }
+
+  /**
+   * Storage key used to persist summaries across service worker restarts
+   * @returns {string} Storage key
+   */
+  get storageKey () {
+    return this.config?.CONSTANTS?.STORAGE_KEYS?.PEER_CONNECTIONS_DESCRIPTIONS || 'peerConnectionsDescriptions'
+  }
+
+  /**
+   * Attach a parsed session description to a connection
+   * @param {Object} connection - Connection info
+   * @param {string} connection.id - Unique connection ID
+   * @param {string} connection.origin - Origin domain
+   * @param {string} side - 'local' or 'remote'
+   * @param {Object} description - Parsed summary from override.js
+   * @returns {Promise<Object>} Sanitized summary that was stored
+   */
+  async setDescription ({ id, origin }, side, description) {
+    if (!id || typeof id !== 'string') {
+      throw new SessionDescriptionError('Peer connection ID is required and must be a string')
+    }
+    if (!SessionDescriptionStore.SIDES.includes(side)) {
+      throw new SessionDescriptionError(`Invalid description side: ${side}`)
+    }
+
+    const summary = SessionDescriptionStore.sanitizeDescription(description)
+    if (!summary) {
+      throw new SessionDescriptionError('Description must be a parsed SDP summary')
+    }
+
+    await this.restore()
+
+    const entry = this.descriptions.get(id) || { origin }
+    entry.origin = origin || entry.origin
+    entry[side] = summary
+    entry.updatedAt = Date.now()
+    this.descriptions.set(id, entry)
+
+    this.logger?.log(`Session description updated: ${id} (${side} ${summary.type}, hold: ${summary.onHold})`)
+    await this._persist()
+    return summary
+  }
+
+  /**
+   * Get the session descriptions attached to a connection
+   * @param {string} id - Peer connection ID
+   * @returns {Promise<Object|null>} { local, remote } summaries or null if unknown
+   */
+  async getDescription (id) {
+    await this.restore()
+    const entry = this.descriptions.get(id)
+    if (!entry) {
+      return null
+    }
+    return { local: entry.local || null, remote: entry.remote || null }
+  }
+
+  /**
+   * Forget the session descriptions of a connection
+   * @param {string} id - Peer connection ID
+   * @returns {Promise<boolean>} True if the connection was known
+   */
+  async removeConnection (id) {
+    await this.restore()
+    const removed = this.descriptions.delete(id)
+    if (removed) {
+      this.logger?.log(`Session description removed: ${id}`)
+      await this._persist()
+    }
+    return removed
+  }
+
+  /**
+   * Load persisted summaries once per service worker lifetime
+   * @returns {Promise<void>}
+   */
+  async restore () {
+    if (this.isRestored) {
+      return
+    }
+    this.isRestored = true
+
+    try {
+      const stored = (await this.storageManager.getLocal(this.storageKey))[this.storageKey] || {}
+      for (const [id, entry] of Object.entries(stored)) {
+        if (!this.descriptions.has(id)) {
+          this.descriptions.set(id, entry)
+        }
+      }
+    } catch (error) {
+      this.logger?.log(`Error restoring session descriptions: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Statistics about stored descriptions
+   */
+  getStats () {
+    const entries = Array.from(this.descriptions.values())
+    return {
+      trackedConnections: entries.length,
+      onHoldConnections: entries.filter(({ local, remote }) => local?.onHold || remote?.onHold).length,
+      isRestored: this.isRestored
+    }
+  }
+
+  /**
+   * Destroy the store and clean up resources
+   */
+  destroy () {
+    this.descriptions.clear()
+    this.isRestored = false
+  }
+
+  /**
+   * Whitelist the fields of a parsed SDP summary so nothing else from the page is kept
+   * @param {Object} description - Summary posted by override.js
+   * @returns {Object|null} Sanitized summary or null if invalid
+   */
+  static sanitizeDescription (description) {
+    if (!description || typeof description !== 'object' || !Array.isArray(description.media)) {
+      return null
+    }
+
+    const text = (value) => typeof value === 'string' ? value.slice(0, 64) : null
+    const number = (value) => Number.isFinite(value) ? value : null
+
+    const media = description.media.slice(0, SessionDescriptionStore.MAX_MEDIA_SECTIONS).map((section) => ({
+      mid: text(section?.mid),
+      kind: text(section?.kind),
+      direction: SessionDescriptionStore.DIRECTIONS.includes(section?.direction) ? section.direction : 'sendrecv',
+      rejected: section?.rejected === true,
+      codec: text(section?.codec),
+      codecs: (Array.isArray(section?.codecs) ? section.codecs : [])
+        .slice(0, SessionDescriptionStore.MAX_CODECS)
+        .filter(codec => codec && typeof codec.name === 'string')
+        .map(codec => ({
+          payloadType: number(codec.payloadType),
+          name: text(codec.name),
+          clockRate: number(codec.clockRate),
+          channels: number(codec.channels)
+        }))
+    }))
+
+    const bundle = (Array.isArray(description.bundle) ? description.bundle : [])
+      .filter(Array.isArray)
+      .map(group => group.map(text).filter(Boolean))
+
+    return {
+      type: SessionDescriptionStore.TYPES.includes(description.type) ? description.type : 'unknown',
+      bundle,
+      media,
+      onHold: description.onHold === true
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Persist summaries to local storage
+   * @private
+   */
+  async _persist () {
+    try {
+      await this.storageManager.setLocal({ [this.storageKey]: Object.fromEntries(this.descriptions) })
+    } catch (error) {
+      this.logger?.log(`Error persisting session descriptions: ${error.message}`)
+    }
+  }
+}
+
+SessionDescriptionStore.SIDES = ['local', 'remote']
+SessionDescriptionStore.TYPES = ['offer', 'answer', 'pranswer', 'rollback']
+SessionDescriptionStore.DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive']
+SessionDescriptionStore.MAX_MEDIA_SECTIONS = 64
+SessionDescriptionStore.MAX_CODECS = 32
+
+/**
+ * Custom error class for session description errors
+ */
+class SessionDescriptionError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'SessionDescriptionError'
+  }
+}
+
+/**
+ * Create a pre-configured SessionDescriptionStore instance
+ * @param {Object} dependencies - Required dependencies
+ * @param {Object} dependencies.storageManager - Storage manager instance
+ * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} dependencies.config - Config module reference (optional)
+ * @returns {SessionDescriptionStore} Configured description store
+ */
+function createSessionDescriptionStore ({ storageManager, logger, config }) {
+  return new SessionDescriptionStore(storageManager, logger, config)
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterSessionDescriptions = {
+    SessionDescriptionStore,
+    SessionDescriptionError,
+    createSessionDescriptionStore
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterSessionDescriptions = {
+    SessionDescriptionStore,
+    SessionDescriptionError,
+    createSessionDescriptionStore
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterSessionDescriptions = {
+    SessionDescriptionStore,
+    SessionDescriptionError,
+    createSessionDescriptionStore
+  }
+}
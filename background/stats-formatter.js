@@ -1,6 +1,6 @@
 /**
  * Stats Formatter Module for WebRTC Stats Exporter
- * Handles conversion of WebRTC stats to Prometheus text format
+ * Handles conversion of WebRTC stats to Prometheus text format or OpenMetrics
  */
 
 /**
@@ -14,29 +14,38 @@ class StatsFormatter {
    * @param {string} params.state - RTCPeerConnection state
    * @param {Array} params.values - WebRTC stats values
    * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @param {boolean} [params.infoMetrics=false] - Keep identity labels only and move string fields into webrtc_<type>_info series
+   * @param {Array<string>} [params.enabledStats] - Stats types to export; other types in values are only used for joins
    * @returns {string} Prometheus text format data
    */
-  static formatStats ({ url, state, values, agentId }) {
+  static formatStats ({ url, state, values, agentId, staticLabels, format, infoMetrics = false, enabledStats }) {
     if (!values || !Array.isArray(values) || values.length === 0) {
       return ''
     }
 
-    let data = ''
-    const sentTypes = new Set()
+    const families = new Map()
+    const codecs = new Map(values.filter(value => value.type === 'codec').map(value => [value.id, value]))
+    const exported = Array.isArray(enabledStats)
+      ? values.filter(value => value.type === 'peer-connection' || enabledStats.includes(value.type))
+      : values
 
-    values.forEach((value) => {
+    exported.forEach((value) => {
       const type = value.type.replace(/-/g, '_')
       const labels = [`pageUrl="${url}"`]
+      const descriptiveLabels = []
       const metrics = []
 
       // Add agent_id label if configured
       if (agentId) {
         labels.push(`agent_id="${agentId}"`)
       }
+      labels.push(...StatsFormatter.formatStaticLabels(staticLabels))
 
       // Add state label for peer-connection type
       if (value.type === 'peer-connection') {
-        labels.push(`state="${state}"`)
+        descriptiveLabels.push(`state="${state}"`)
       }
 
       // Process value properties into metrics and labels
@@ -61,27 +70,330 @@ class StatsFormatter {
           // specific to Chrome's implementation. These values are skipped to
           // avoid emitting non-standard metrics.
         } else if (typeof v === 'string' || typeof v === 'boolean') {
-          // Convert non-numeric values to labels
-          labels.push(`${key}="${v}"`)
+          if (!infoMetrics) {
+            // Convert non-numeric values to labels
+            descriptiveLabels.push(`${key}="${v}"`)
+          } else if (StatsFormatter.IDENTITY_FIELDS.includes(key)) {
+            labels.push(`${key}="${StatsFormatter.escapeLabelValue(v)}"`)
+          } else if (key !== 'type') {
+            // The type is already part of the metric name
+            descriptiveLabels.push(`${key}="${StatsFormatter.escapeLabelValue(v)}"`)
+          }
         }
       })
 
-      // Generate Prometheus metrics lines
+      // Resolve codecId against the codec stats of the same report
+      labels.push(...StatsFormatter.formatCodecLabels(codecs.get(value.codecId)))
+
+      // Descriptive strings live on a single info series so their changes don't churn every metric
+      if (infoMetrics) {
+        const name = `webrtc_${type}_info`
+        StatsFormatter._addSample(families, name, StatsFormatter.getFamilyMetadata(name, 'info'),
+          [...labels, ...descriptiveLabels].join(','), 1)
+      } else {
+        labels.push(...descriptiveLabels)
+      }
+
+      // Group samples by metric name so every family is emitted contiguously
       metrics.forEach(([key, v]) => {
         const name = `${type}_${key.replace(/-/g, '_')}`
-        let typeDesc = ''
+        StatsFormatter._addSample(families, name, StatsFormatter.getMetricMetadata(value.type, key), labels.join(','), v)
+      })
+    })
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
 
-        // Add TYPE declaration for new metric names
-        if (!sentTypes.has(name)) {
-          typeDesc = `# TYPE ${name} gauge\n`
-          sentTypes.add(name)
+  /**
+   * Format derived rates into Prometheus text format
+   * @param {Object} params - Formatting parameters
+   * @param {string} params.url - Page URL for labeling
+   * @param {Array} params.rates - Rates from RateCalculator.computeRates()
+   * @param {Array} [params.values] - WebRTC stats values the rates were computed from, used to add codec labels
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatDerivedRates ({ url, rates, values = [], agentId, staticLabels, format }) {
+    if (!Array.isArray(rates) || rates.length === 0) {
+      return ''
+    }
+
+    const families = new Map()
+    const codecs = new Map(values.filter(value => value.type === 'codec').map(value => [value.id, value]))
+    const codecIds = new Map(values.filter(value => value.codecId).map(value => [value.id, value.codecId]))
+
+    rates.forEach(({ type, id, kind, rates: streamRates }) => {
+      const labels = [`pageUrl="${StatsFormatter.escapeLabelValue(url)}"`]
+      if (agentId) {
+        labels.push(`agent_id="${StatsFormatter.escapeLabelValue(agentId)}"`)
+      }
+      labels.push(...StatsFormatter.formatStaticLabels(staticLabels))
+      labels.push(`id="${StatsFormatter.escapeLabelValue(id)}"`)
+      if (kind) {
+        labels.push(`kind="${StatsFormatter.escapeLabelValue(kind)}"`)
+      }
+      labels.push(...StatsFormatter.formatCodecLabels(codecs.get(codecIds.get(id))))
+
+      Object.entries(streamRates).forEach(([key, v]) => {
+        if (!Number.isFinite(v)) {
+          return
         }
 
-        data += `${typeDesc}${name}{${labels.join(',')}} ${v}\n`
+        const name = `${type.replace(/-/g, '_')}_${key}`
+        StatsFormatter._addSample(families, name, StatsFormatter.getFamilyMetadata(name), labels.join(','), v)
       })
     })
 
-    return data
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Format estimated voice quality scores into Prometheus text format
+   * @param {Object} params - Formatting parameters
+   * @param {string} params.url - Page URL for labeling
+   * @param {Array} params.scores - Scores from QualityScorer.scoreConnection()
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatQualityScores ({ url, scores, agentId, staticLabels, format }) {
+    if (!Array.isArray(scores) || scores.length === 0) {
+      return ''
+    }
+
+    const baseLabels = [`pageUrl="${StatsFormatter.escapeLabelValue(url)}"`]
+    if (agentId) {
+      baseLabels.push(`agent_id="${StatsFormatter.escapeLabelValue(agentId)}"`)
+    }
+    baseLabels.push(...StatsFormatter.formatStaticLabels(staticLabels))
+
+    const families = new Map()
+
+    scores.forEach(({ id, direction, codec, rFactor, mos }) => {
+      const labels = [
+        ...baseLabels,
+        `id="${StatsFormatter.escapeLabelValue(id)}"`,
+        `direction="${StatsFormatter.escapeLabelValue(direction)}"`,
+        `codec="${StatsFormatter.escapeLabelValue(codec)}"`
+      ].join(',')
+
+      StatsFormatter._addSample(families, 'webrtc_audio_mos', StatsFormatter.getFamilyMetadata('webrtc_audio_mos'),
+        labels, Math.round(mos * 100) / 100)
+      StatsFormatter._addSample(families, 'webrtc_audio_r_factor', StatsFormatter.getFamilyMetadata('webrtc_audio_r_factor'),
+        labels, Math.round(rFactor * 10) / 10)
+    })
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Format peer connection event counters into Prometheus text format
+   * @param {Object} params - Formatting parameters
+   * @param {string} params.url - Page URL for labeling
+   * @param {Array} params.counters - Counters from ConnectionEventTracker.getCounters()
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatEventCounters ({ url, counters, agentId, staticLabels, format }) {
+    if (!Array.isArray(counters) || counters.length === 0) {
+      return ''
+    }
+
+    const baseLabels = [`pageUrl="${StatsFormatter.escapeLabelValue(url)}"`]
+    if (agentId) {
+      baseLabels.push(`agent_id="${StatsFormatter.escapeLabelValue(agentId)}"`)
+    }
+    baseLabels.push(...StatsFormatter.formatStaticLabels(staticLabels))
+
+    const families = new Map()
+
+    counters.forEach(({ type, state, count, lastTimestamp }) => {
+      const labels = [
+        ...baseLabels,
+        `event="${StatsFormatter.escapeLabelValue(type)}"`,
+        `state="${StatsFormatter.escapeLabelValue(state)}"`
+      ].join(',')
+
+      StatsFormatter._addSample(families, 'peer_connection_events',
+        StatsFormatter.getFamilyMetadata('peer_connection_events', 'counter'), labels, count)
+      // Seconds since epoch, matching Prometheus timestamp conventions
+      StatsFormatter._addSample(families, 'peer_connection_last_event_timestamp',
+        StatsFormatter.getFamilyMetadata('peer_connection_last_event_timestamp'), labels, lastTimestamp / 1000)
+    })
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Format the selected network path as an info metric
+   * @param {Object} params - Formatting parameters
+   * @param {string} params.url - Page URL for labeling
+   * @param {Object} params.path - Path from NetworkPathResolver.resolve()
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatNetworkPath ({ url, path, agentId, staticLabels, format }) {
+    if (!path) {
+      return ''
+    }
+
+    const label = (name, value) => `${name}="${StatsFormatter.escapeLabelValue(value)}"`
+    const labels = [label('pageUrl', url)]
+    if (agentId) {
+      labels.push(label('agent_id', agentId))
+    }
+    labels.push(...StatsFormatter.formatStaticLabels(staticLabels))
+    labels.push(
+      label('local_candidate_type', path.localCandidateType),
+      label('remote_candidate_type', path.remoteCandidateType),
+      label('protocol', path.protocol),
+      label('relay_protocol', path.relayProtocol),
+      label('network_type', path.networkType)
+    )
+
+    const families = new Map()
+    StatsFormatter._addSample(families, 'peer_connection_network_path_info',
+      StatsFormatter.getFamilyMetadata('peer_connection_network_path_info', 'info'), labels.join(','), 1)
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Format cardinality guard statistics as exporter self-metrics
+   * @param {Object} params - Formatting parameters
+   * @param {Object} params.stats - Statistics from CardinalityGuard.getStats()
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatCardinalityStats ({ stats, agentId, staticLabels, format }) {
+    if (!stats) {
+      return ''
+    }
+
+    // Agent-wide series, so no pageUrl label
+    const labels = [
+      ...(agentId ? [`agent_id="${StatsFormatter.escapeLabelValue(agentId)}"`] : []),
+      ...StatsFormatter.formatStaticLabels(staticLabels)
+    ].join(',')
+    const families = new Map()
+
+    StatsFormatter._addSample(families, 'webrtc_exporter_active_series',
+      StatsFormatter.getFamilyMetadata('webrtc_exporter_active_series'), labels, stats.activeSeries)
+    StatsFormatter._addSample(families, 'webrtc_exporter_series_budget',
+      StatsFormatter.getFamilyMetadata('webrtc_exporter_series_budget'), labels, stats.maxSeries)
+    StatsFormatter._addSample(families, 'webrtc_exporter_dropped_samples',
+      StatsFormatter.getFamilyMetadata('webrtc_exporter_dropped_samples', 'counter'), labels, stats.droppedSamples)
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Format negotiated session details into Prometheus info metrics
+   * @param {Object} params - Formatting parameters
+   * @param {string} params.url - Page URL for labeling
+   * @param {Object} params.description - { local, remote } summaries from SessionDescriptionStore
+   * @param {string} [params.agentId] - Optional agent ID for labeling
+   * @param {Object} [params.staticLabels] - Optional user-defined labels added to every series
+   * @param {string} [params.format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Prometheus text format data
+   */
+  static formatSessionDescription ({ url, description, agentId, staticLabels, format }) {
+    if (!description) {
+      return ''
+    }
+
+    const label = (key, value) => `${key}="${StatsFormatter.escapeLabelValue(value ?? '')}"`
+    const baseLabels = [label('pageUrl', url)]
+    if (agentId) {
+      baseLabels.push(label('agent_id', agentId))
+    }
+    baseLabels.push(...StatsFormatter.formatStaticLabels(staticLabels))
+
+    const families = new Map()
+    const addSample = (name, labels, value) => {
+      const metadata = StatsFormatter.getFamilyMetadata(name, name.endsWith('_info') ? 'info' : 'gauge')
+      StatsFormatter._addSample(families, name, metadata, labels.join(','), value)
+    }
+
+    for (const side of ['local', 'remote']) {
+      const summary = description[side]
+      if (!summary) continue
+
+      const sideLabels = [...baseLabels, label('side', side), label('sdp_type', summary.type)]
+      addSample('peer_connection_on_hold', sideLabels, summary.onHold ? 1 : 0)
+
+      summary.media.forEach((section) => {
+        const group = summary.bundle.find(mids => mids.includes(section.mid))
+        const primary = section.codecs.find(codec => codec.name === section.codec) || {}
+        const mediaLabels = [...sideLabels, label('mid', section.mid), label('kind', section.kind)]
+
+        addSample('peer_connection_media_info', [
+          ...mediaLabels,
+          label('direction', section.rejected ? 'rejected' : section.direction),
+          label('codec', section.codec),
+          label('payload_type', primary.payloadType),
+          label('clock_rate', primary.clockRate),
+          label('channels', primary.channels),
+          label('bundle_group', group ? group.join(' ') : '')
+        ], 1)
+
+        section.codecs.forEach((codec) => {
+          addSample('peer_connection_codec_info', [
+            ...mediaLabels,
+            label('codec', codec.name),
+            label('payload_type', codec.payloadType),
+            label('clock_rate', codec.clockRate),
+            label('channels', codec.channels)
+          ], 1)
+        })
+      })
+    }
+
+    return StatsFormatter._renderFamilies(families, format)
+  }
+
+  /**
+   * Terminate an exposition body for the selected format
+   * @param {string} data - Formatted metric families
+   * @param {string} [format='prometheus'] - Exposition format ('prometheus' or 'openmetrics')
+   * @returns {string} Body ready to push
+   */
+  static finalize (data, format) {
+    // OpenMetrics forbids blank lines and requires the EOF marker
+    return format === 'openmetrics' ? `${data}# EOF\n` : `${data}\n`
+  }
+
+  /**
+   * Get exposition metadata for a WebRTC stats field
+   * @param {string} statsType - Stats type (e.g. 'outbound-rtp')
+   * @param {string} field - Field name
+   * @returns {Object} { type, unit, help }, untyped fields default to gauge
+   */
+  static getMetricMetadata (statsType, field) {
+    const catalogue = globalThis.WebRTCExporterMetricCatalogue || self.WebRTCExporterMetricCatalogue
+    const metadata = catalogue?.MetricCatalogue.lookup(statsType, field)
+    return metadata || { type: 'gauge', unit: '', help: '' }
+  }
+
+  /**
+   * Get exposition metadata for a series produced by the exporter
+   * @param {string} name - Metric family name
+   * @param {string} [fallbackType='gauge'] - Type to use when the catalogue is unavailable
+   * @returns {Object} { type, unit, help }
+   */
+  static getFamilyMetadata (name, fallbackType = 'gauge') {
+    const catalogue = globalThis.WebRTCExporterMetricCatalogue || self.WebRTCExporterMetricCatalogue
+    const metadata = catalogue?.MetricCatalogue.lookupFamily(name)
+    return metadata || { type: fallbackType, unit: '', help: '' }
   }
 
   /**
@@ -161,6 +473,42 @@ class StatsFormatter {
       .replace(/\n/g, '\\n')
   }
 
+  /**
+   * Render user-defined static labels
+   * @param {Object} [staticLabels] - Label names mapped to values, validated by the options page
+   * @returns {Array<string>} Label pairs in configuration order
+   */
+  static formatStaticLabels (staticLabels) {
+    if (!staticLabels || typeof staticLabels !== 'object') {
+      return []
+    }
+    return Object.entries(staticLabels)
+      .map(([name, value]) => `${name}="${StatsFormatter.escapeLabelValue(value)}"`)
+  }
+
+  /**
+   * Render the codec of an RTP stream as labels
+   * @param {Object} [codec] - codec stats value referenced by the stream's codecId
+   * @returns {Array<string>} codec_mime_type, clock_rate and channels label pairs that are present
+   */
+  static formatCodecLabels (codec) {
+    if (!codec) {
+      return []
+    }
+
+    const labels = []
+    if (codec.mimeType) {
+      labels.push(`codec_mime_type="${StatsFormatter.escapeLabelValue(codec.mimeType)}"`)
+    }
+    if (Number.isFinite(codec.clockRate)) {
+      labels.push(`clock_rate="${codec.clockRate}"`)
+    }
+    if (Number.isFinite(codec.channels)) {
+      labels.push(`channels="${codec.channels}"`)
+    }
+    return labels
+  }
+
   /**
    * Get supported WebRTC stats types
    * @returns {string[]} Array of supported stats types
@@ -188,8 +536,78 @@ class StatsFormatter {
       'transport'
     ]
   }
+
+  /**
+   * Escape HELP text for the exposition formats
+   * @param {string} text - Help text
+   * @returns {string} Escaped help text
+   */
+  static escapeHelp (text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+  }
+
+  // Private methods
+
+  /**
+   * Add a sample to its metric family
+   * @private
+   */
+  static _addSample (families, name, metadata, labels, value) {
+    if (!families.has(name)) {
+      families.set(name, { metadata, samples: [] })
+    }
+    families.get(name).samples.push([labels, value])
+  }
+
+  /**
+   * Render metric families with HELP, TYPE and (OpenMetrics only) UNIT metadata
+   * @private
+   */
+  static _renderFamilies (families, format) {
+    const openMetrics = format === 'openmetrics'
+    let data = ''
+
+    families.forEach(({ metadata, samples }, name) => {
+      let family = name
+      let sampleName = name
+      let type = metadata.type
+
+      if (type === 'counter' && openMetrics) {
+        family = name.replace(/_total$/, '')
+        sampleName = `${family}_total`
+      } else if (type === 'info') {
+        if (openMetrics) {
+          family = name.replace(/_info$/, '')
+          sampleName = `${family}_info`
+        } else {
+          // The Prometheus text format has no info type
+          type = 'gauge'
+        }
+      }
+
+      if (metadata.help) {
+        data += `# HELP ${family} ${StatsFormatter.escapeHelp(metadata.help)}\n`
+      }
+      data += `# TYPE ${family} ${type}\n`
+      // OpenMetrics requires the family name to end with the unit it declares
+      if (openMetrics && metadata.unit && family.endsWith(`_${metadata.unit}`)) {
+        data += `# UNIT ${family} ${metadata.unit}\n`
+      }
+
+      samples.forEach(([labels, value]) => {
+        data += labels ? `${sampleName}{${labels}} ${value}\n` : `${sampleName} ${value}\n`
+      })
+    })
+
+    return data
+  }
 }
 
+// String fields kept as labels on numeric series when info metrics are enabled
+StatsFormatter.IDENTITY_FIELDS = ['id', 'kind']
+
 // Global export for Chrome extension compatibility
 if (typeof globalThis !== 'undefined') {
   globalThis.WebRTCExporterStatsFormatter = { StatsFormatter }
@@ -7,22 +7,34 @@
  * TabMonitor class for managing tab events and badge updates
  */
 class TabMonitor {
-  constructor (domainManager, connectionTracker, logger) {
+  constructor (domainManager, connectionTracker, logger, qualityScorer = null) {
     this.domainManager = domainManager
     this.connectionTracker = connectionTracker
     this.logger = logger
+    this.qualityScorer = qualityScorer
     this.options = {}
     this.isInitialized = false
     this.resourceTracker = null
     this.badgeConfig = {
       enabledColor: 'rgb(63, 81, 181)',
+      qualityColors: {
+        good: 'rgb(76, 175, 80)',
+        fair: 'rgb(255, 152, 0)',
+        poor: 'rgb(244, 67, 54)'
+      },
+      // Lowest MOS for each color, anything below fair is poor
+      qualityThresholds: {
+        good: 4.0,
+        fair: 3.6
+      },
       textEmpty: '',
       titles: {
         noValidPage: 'WebRTC Internals Exporter (no valid page)',
         base: 'WebRTC Internals Exporter',
         activeConnections: 'WebRTC Internals Exporter\nActive Peer Connections',
         disabled: '(disabled)',
-        unsupportedDomain: '(unsupported domain)'
+        unsupportedDomain: '(unsupported domain)',
+        audioQuality: 'Audio MOS'
       }
     }
   }
@@ -296,18 +308,40 @@ class TabMonitor {
   async _setBadgeForEnabledDomain (tabId, origin) {
     const stats = await this.connectionTracker.getConnectionStats()
     const peerConnections = stats.originCounts[origin] || 0
+    const mos = this.qualityScorer?.getOriginQuality(origin) ?? null
 
-    await chrome.action.setTitle({
-      title: `${this.badgeConfig.titles.activeConnections}: ${peerConnections}`,
-      tabId
-    })
+    let title = `${this.badgeConfig.titles.activeConnections}: ${peerConnections}`
+    if (mos !== null) {
+      title += `\n${this.badgeConfig.titles.audioQuality}: ${mos.toFixed(1)}`
+    }
+
+    await chrome.action.setTitle({ title, tabId })
     await chrome.action.setBadgeText({ text: `${peerConnections}`, tabId })
     await chrome.action.setBadgeBackgroundColor({ 
-      color: this.badgeConfig.enabledColor, 
+      color: this._getQualityColor(mos), 
       tabId 
     })
   }
 
+  /**
+   * Pick the badge color for an estimated MOS
+   * @private
+   */
+  _getQualityColor (mos) {
+    if (mos === null) {
+      return this.badgeConfig.enabledColor
+    }
+
+    const { qualityColors, qualityThresholds } = this.badgeConfig
+    if (mos >= qualityThresholds.good) {
+      return qualityColors.good
+    }
+    if (mos >= qualityThresholds.fair) {
+      return qualityColors.fair
+    }
+    return qualityColors.poor
+  }
+
   /**
    * Set badge for disabled domains
    * @private
@@ -353,10 +387,11 @@ class TabMonitorError extends Error {
  * @param {Object} dependencies.domainManager - Domain manager instance
  * @param {Object} dependencies.connectionTracker - Connection tracker instance
  * @param {Object} dependencies.logger - Logger instance (optional)
+ * @param {Object} dependencies.qualityScorer - Quality scorer for badge colors (optional)
  * @returns {TabMonitor} Configured tab monitor
  */
-function createTabMonitor ({ domainManager, connectionTracker, logger }) {
-  return new TabMonitor(domainManager, connectionTracker, logger)
+function createTabMonitor ({ domainManager, connectionTracker, logger, qualityScorer }) {
+  return new TabMonitor(domainManager, connectionTracker, logger, qualityScorer)
 }
 
 /**
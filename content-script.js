@@ -136,34 +136,26 @@ if (window.location.protocol.startsWith('http')) {
       }
     })
 
-    // Handle stats messages.
-    window.addEventListener('message', async (message) => {
-      const { event, url, id, state, values } = message.data
+    // One port per tab; messages are kept until the background acknowledges them and replayed after a reconnect
+    // Like the per-message lines below, the client only logs with the debug option set
+    const portClient = window.WebRTCExporterPortProtocol.createPortClient({ runtime: chrome.runtime, logger: { log } })
+    const sendToBackground = (event, data) => portClient.send(event, data)
+
+    // Handle stats and event messages.
+    window.addEventListener('message', (message) => {
+      const { event, url, id, state, values, events, side, description } = message.data
       if (event === 'webrtc-internal-exporter:ready') {
         console.log('[webrtc-internal-exporter:content-script] Override script ready, sending options')
         sendOptions()
       } else if (event === 'webrtc-internal-exporter:peer-connection-stats') {
-        console.log('[webrtc-internal-exporter:content-script] Received peer-connection-stats', { url, id, state, valuesCount: values?.length })
         log('peer-connection-stats', { url, id, state, values })
-        try {
-          const response = await chrome.runtime.sendMessage({
-            event: 'peer-connection-stats',
-            data: {
-              url,
-              id,
-              state,
-              values
-            }
-          })
-          if (response?.error) {
-            log(`error: ${response.error}`)
-          } else {
-            console.log('[webrtc-internal-exporter:content-script] Successfully sent stats to background')
-          }
-        } catch (error) {
-          console.error('[webrtc-internal-exporter:content-script] Error sending stats to background:', error.message)
-          log(`error: ${error.message}`)
-        }
+        sendToBackground('peer-connection-stats', { url, id, state, values })
+      } else if (event === 'webrtc-internal-exporter:peer-connection-events') {
+        log('peer-connection-events', { url, id, events })
+        sendToBackground('peer-connection-events', { url, id, events })
+      } else if (event === 'webrtc-internal-exporter:peer-connection-description') {
+        log('peer-connection-description', { url, id, side, description })
+        sendToBackground('peer-connection-description', { url, id, side, description })
       }
     })
   } catch (error) {
@@ -3,6 +3,24 @@
 // Use direct references to shared modules to avoid const declaration conflicts
 
 let currentOptions = {}
+let secretStatus = {}
+
+const CONNECTION_TEST_STEPS = {
+  health: 'Health check',
+  push: 'Test push',
+  delete: 'Cleanup'
+}
+
+const CONNECTION_TEST_HINTS = {
+  auth: 'The Pushgateway rejected the credentials, or no token could be obtained. Check the authentication settings.',
+  not_found: 'Nothing answered at this address. Check the URL, including the path prefix of a reverse proxy.',
+  throttled: 'The Pushgateway is overloaded or rate limiting requests. Try again later.',
+  rejected: 'The Pushgateway rejected the request. Check the URL and the job name.',
+  server_error: 'The Pushgateway failed to handle the request. Check its logs.',
+  host_permission: 'The extension has no host permission for this address, so the browser applied CORS and blocked the request. Allow the extension in the CORS settings of the Pushgateway or use an address the extension may access.',
+  network_error: 'The Pushgateway could not be reached. Check the host name and port and that it is running.'
+}
+const secretStore = window.WebRTCExporterSecrets.createSecretStore()
 
 // Load options from storage
 async function loadOptions () {
@@ -11,12 +29,29 @@ async function loadOptions () {
 
     // Populate form fields
     document.getElementById('url').value = currentOptions.url || ''
+    document.getElementById('failoverUrls').value = (currentOptions.failoverUrls || []).join('\n')
     document.getElementById('username').value = currentOptions.username || ''
-    document.getElementById('password').value = currentOptions.password || ''
+    renderAuth(currentOptions.auth || {})
     document.getElementById('updateInterval').value = currentOptions.updateInterval || 2
     document.getElementById('job').value = currentOptions.job || 'webrtc-internals-exporter'
+    document.getElementById('groupingKey').value = currentOptions.groupingKey || 'job/{job}/peerConnectionId/{id}'
     document.getElementById('agentId').value = currentOptions.agentId || ''
+    document.getElementById('metricsFormat').value = currentOptions.metricsFormat || 'prometheus'
     document.getElementById('gzip').checked = currentOptions.gzip || false
+    document.getElementById('infoMetrics').checked = currentOptions.infoMetrics || false
+    document.getElementById('maxSeries').value = currentOptions.maxSeries || 5000
+    document.getElementById('maxPushSize').value = currentOptions.maxPushSize || 1024
+    document.getElementById('lokiUrl').value = currentOptions.lokiUrl || ''
+    document.getElementById('lokiUsername').value = currentOptions.lokiUsername || ''
+
+    // Render static label rows
+    renderStaticLabels(currentOptions.staticLabels || {})
+
+    // Render additional destination rows
+    renderSinks(currentOptions.sinks || [])
+
+    // Show which secrets are stored, without their values
+    await renderSecretStatus()
 
     // Set enabled stats checkboxes
     const enabledStats = Array.isArray(currentOptions.enabledStats)
@@ -39,6 +74,17 @@ async function saveOptions () {
   try {
     const formData = new FormData(document.getElementById('optionsForm'))
 
+    const staticLabels = collectStaticLabels()
+    const auth = collectAuth()
+    const sinks = collectSinks()
+    const secretChanges = collectSecretChanges()
+    const groupingKey = formData.get('groupingKey').trim()
+    const lokiUrl = formData.get('lokiUrl').trim()
+    const failoverUrls = formData.get('failoverUrls').split('\n').map(url => url.trim()).filter(Boolean)
+    if (!showGroupingKeyErrors(groupingKey) || !showFailoverUrlErrors(failoverUrls) || !showLokiUrlErrors(lokiUrl) || !staticLabels || !auth || !sinks) {
+      return
+    }
+
     // Get enabled stats
     const enabledStats = []
     document.querySelectorAll('input[name="enabledStats"]:checked').forEach(checkbox => {
@@ -47,18 +93,39 @@ async function saveOptions () {
 
     const options = {
       url: formData.get('url'),
+      failoverUrls,
       username: formData.get('username'),
-      password: formData.get('password'),
+      password: '',
+      auth,
       updateInterval: parseInt(formData.get('updateInterval')),
       job: formData.get('job'),
+      groupingKey,
       agentId: formData.get('agentId'),
+      metricsFormat: formData.get('metricsFormat'),
       gzip: formData.has('gzip'),
+      infoMetrics: formData.has('infoMetrics'),
+      maxSeries: parseInt(formData.get('maxSeries')),
+      maxPushSize: parseInt(formData.get('maxPushSize')),
+      staticLabels,
+      sinks,
+      lokiUrl,
+      lokiUsername: formData.get('lokiUsername'),
+      lokiPassword: '',
       enabledStats,
       enabledOrigins: currentOptions.enabledOrigins || {}
     }
 
-    await window.WebRTCExporterStorage.StorageManager.set(options)
-    currentOptions = options
+    // Secrets are stored first so the background finds them when the options change; secrets still held in plain
+    // text by the stored options are moved unless they were replaced or cleared
+    const { SecretStore } = window.WebRTCExporterSecrets
+    await secretStore.update({ ...SecretStore.extractSecrets(currentOptions).secrets, ...secretChanges })
+    // Stored destination auth without a form field may still hold secrets in plain text
+    const { options: syncedOptions } = SecretStore.extractSecrets(options)
+    await window.WebRTCExporterStorage.StorageManager.set(syncedOptions)
+    // Drop the secrets of removed destinations
+    await secretStore.retain(SecretStore.secretNames(syncedOptions))
+    currentOptions = syncedOptions
+    await renderSecretStatus()
 
     // Show success message
     const successMessage = document.getElementById('successMessage')
@@ -154,6 +221,425 @@ function renderDomainsList () {
   })
 }
 
+// Render the static labels editor
+function renderStaticLabels (staticLabels) {
+  const container = document.getElementById('staticLabelsList')
+  container.innerHTML = ''
+
+  Object.entries(staticLabels).forEach(([name, value]) => addStaticLabelRow(name, value))
+}
+
+// Add an editable static label row
+function addStaticLabelRow (name = '', value = '') {
+  addNameValueRow('staticLabelsList', name, value, 'name (e.g. site)', 'value (e.g. london)')
+}
+
+// Add an editable name/value row to a list
+function addNameValueRow (listId, name, value, namePlaceholder, valuePlaceholder) {
+  const row = document.createElement('div')
+  row.className = 'label-row'
+
+  const nameInput = document.createElement('input')
+  nameInput.type = 'text'
+  nameInput.className = 'label-name'
+  nameInput.placeholder = namePlaceholder
+  nameInput.value = name
+
+  const valueInput = document.createElement('input')
+  valueInput.type = 'text'
+  valueInput.className = 'label-value'
+  valueInput.placeholder = valuePlaceholder
+  valueInput.value = value
+
+  const removeButton = document.createElement('button')
+  removeButton.type = 'button'
+  removeButton.className = 'toggle-btn remove-label'
+  removeButton.textContent = 'Remove'
+
+  row.append(nameInput, valueInput, removeButton)
+  document.getElementById(listId).appendChild(row)
+}
+
+// Read and validate the static label rows, returns null and shows the errors if invalid
+function collectStaticLabels () {
+  const staticLabels = {}
+  const errors = []
+
+  document.querySelectorAll('#staticLabelsList .label-row').forEach(row => {
+    const name = row.querySelector('.label-name').value.trim()
+    const value = row.querySelector('.label-value').value.trim()
+    if (!name && !value) {
+      return // Ignore empty rows
+    }
+    if (Object.prototype.hasOwnProperty.call(staticLabels, name)) {
+      errors.push(`Label name "${name}" is used more than once`)
+    }
+    staticLabels[name] = value
+  })
+
+  errors.push(...window.WebRTCExporterConfig.validateConfig({ staticLabels }).errors)
+
+  const errorElement = document.getElementById('staticLabelsError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length > 0 ? null : staticLabels
+}
+
+// Render the Pushgateway authentication fields
+function renderAuth (auth) {
+  document.getElementById('authType').value = auth.type || 'basic'
+  document.getElementById('authTokenUrl').value = auth.tokenUrl || ''
+  document.getElementById('authClientId').value = auth.clientId || ''
+  document.getElementById('authScope').value = auth.scope || ''
+
+  document.getElementById('authHeadersList').innerHTML = ''
+  Object.entries(auth.headers || {}).forEach(([name, value]) => addAuthHeaderRow(name, value))
+
+  showAuthFields()
+}
+
+// Show only the fields of the selected authentication type
+function showAuthFields () {
+  const type = document.getElementById('authType').value
+  document.querySelectorAll('.auth-fields').forEach(fields => {
+    fields.style.display = fields.dataset.authType === type ? 'block' : 'none'
+  })
+}
+
+// Add an editable header row
+function addAuthHeaderRow (name = '', value = '') {
+  addNameValueRow('authHeadersList', name, value, 'header (e.g. X-Scope-OrgID)', 'value (e.g. tenant-1)')
+}
+
+// Read and validate the authentication fields, returns null and shows the errors if invalid
+function collectAuth () {
+  const headers = {}
+  const errors = []
+
+  document.querySelectorAll('#authHeadersList .label-row').forEach(row => {
+    const name = row.querySelector('.label-name').value.trim()
+    const value = row.querySelector('.label-value').value.trim()
+    if (!name && !value) {
+      return // Ignore empty rows
+    }
+    if (Object.keys(headers).some(header => header.toLowerCase() === name.toLowerCase())) {
+      errors.push(`Header "${name}" is used more than once`)
+    }
+    headers[name] = value
+  })
+
+  const auth = {
+    type: document.getElementById('authType').value,
+    token: '',
+    tokenUrl: document.getElementById('authTokenUrl').value.trim(),
+    clientId: document.getElementById('authClientId').value.trim(),
+    clientSecret: '',
+    scope: document.getElementById('authScope').value.trim(),
+    headers
+  }
+
+  errors.push(...window.WebRTCExporterConfig.validateConfig({ auth }).errors)
+  if (auth.type === 'bearer' && !hasSecret('auth.token')) {
+    errors.push('Pushgateway bearer authentication needs a token')
+  }
+  if (auth.type === 'oauth2' && !hasSecret('auth.clientSecret')) {
+    errors.push('Pushgateway OAuth2 authentication needs a client secret')
+  }
+
+  const errorElement = document.getElementById('authError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length > 0 ? null : auth
+}
+
+// Render the additional destinations editor
+function renderSinks (sinks) {
+  const container = document.getElementById('sinksList')
+  container.innerHTML = ''
+
+  sinks.forEach(sink => addSinkRow(sink))
+}
+
+// Add an editable destination row
+function addSinkRow (sink = {}) {
+  const row = document.createElement('div')
+  row.className = 'sink-row'
+  row.dataset.sinkId = sink.id || `sink-${Date.now().toString(36)}`
+
+  const createInput = (type, className, value, placeholder = '') => {
+    const input = document.createElement('input')
+    input.type = type
+    input.className = className
+    input.placeholder = placeholder
+    if (type === 'checkbox') {
+      input.checked = !!value
+    } else {
+      input.value = value ?? ''
+    }
+    return input
+  }
+
+  const typeSelect = document.createElement('select')
+  typeSelect.className = 'sink-type'
+  window.WebRTCExporterConfig.CONSTANTS.SINKS.TYPES.forEach(type => {
+    const option = document.createElement('option')
+    option.value = type
+    option.textContent = type
+    typeSelect.appendChild(option)
+  })
+  typeSelect.value = sink.type || 'pushgateway'
+
+  const queuePolicySelect = document.createElement('select')
+  queuePolicySelect.className = 'sink-queue-policy'
+  queuePolicySelect.title = 'How pushes are queued while the destination is unreachable'
+  const queuePolicies = ['', ...window.WebRTCExporterConfig.CONSTANTS.SINKS.QUEUE_POLICIES]
+  queuePolicies.forEach(policy => {
+    const option = document.createElement('option')
+    option.value = policy
+    option.textContent = policy || 'default queue'
+    queuePolicySelect.appendChild(option)
+  })
+  queuePolicySelect.value = sink.queuePolicy || ''
+
+  const enabledLabel = document.createElement('label')
+  enabledLabel.append(createInput('checkbox', 'sink-enabled', sink.enabled !== false), 'Enabled')
+
+  const gzipLabel = document.createElement('label')
+  gzipLabel.append(createInput('checkbox', 'sink-gzip', sink.gzip), 'gzip')
+
+  const retriesInput = createInput('number', 'sink-retries', sink.retry?.maxRetries ?? 0)
+  retriesInput.min = 0
+  retriesInput.max = window.WebRTCExporterConfig.CONSTANTS.SINKS.MAX_RETRIES
+  retriesInput.title = 'Retries per push'
+
+  const passwordInput = createInput('password', 'sink-password', '', 'password or token (optional)')
+  passwordInput.dataset.secret = `sinks[${row.dataset.sinkId}].password`
+  passwordInput.dataset.unsetPlaceholder = passwordInput.placeholder
+  passwordInput.autocomplete = 'off'
+
+  const clearButton = document.createElement('button')
+  clearButton.type = 'button'
+  clearButton.className = 'toggle-btn clear-secret'
+  clearButton.textContent = 'Clear'
+
+  const passwordField = document.createElement('div')
+  passwordField.className = 'secret-field'
+  passwordField.append(passwordInput, clearButton)
+  showSecretStatus(passwordInput)
+
+  const removeButton = document.createElement('button')
+  removeButton.type = 'button'
+  removeButton.className = 'toggle-btn remove-sink'
+  removeButton.textContent = 'Remove'
+
+  row.append(
+    enabledLabel,
+    createInput('text', 'sink-name', sink.name, 'name (e.g. migration)'),
+    typeSelect,
+    createInput('url', 'sink-url', sink.url, 'http://pushgateway.example.com:9091'),
+    createInput('text', 'sink-username', sink.username, 'username (optional)'),
+    passwordField,
+    gzipLabel,
+    retriesInput,
+    queuePolicySelect,
+    removeButton
+  )
+  document.getElementById('sinksList').appendChild(row)
+}
+
+// Read and validate the destination rows, returns null and shows the errors if invalid
+function collectSinks () {
+  const stored = new Map((currentOptions.sinks || []).map(sink => [sink.id, sink]))
+  const sinks = Array.from(document.querySelectorAll('#sinksList .sink-row')).map(row => ({
+    // Settings without a field in the row are kept as stored
+    auth: stored.get(row.dataset.sinkId)?.auth,
+    failoverUrls: stored.get(row.dataset.sinkId)?.failoverUrls,
+    id: row.dataset.sinkId,
+    name: row.querySelector('.sink-name').value.trim(),
+    type: row.querySelector('.sink-type').value,
+    enabled: row.querySelector('.sink-enabled').checked,
+    url: row.querySelector('.sink-url').value.trim(),
+    username: row.querySelector('.sink-username').value,
+    password: '',
+    gzip: row.querySelector('.sink-gzip').checked,
+    retry: { maxRetries: parseInt(row.querySelector('.sink-retries').value) || 0 },
+    queuePolicy: row.querySelector('.sink-queue-policy').value || undefined
+  }))
+
+  const errors = window.WebRTCExporterConfig.validateSinks(sinks)
+
+  const errorElement = document.getElementById('sinksError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length > 0 ? null : sinks
+}
+
+// Show which secrets are stored; stored values are never read back into the form
+async function renderSecretStatus () {
+  // Secrets still held in plain text by options saved before they were encrypted count as stored
+  const { secrets } = window.WebRTCExporterSecrets.SecretStore.extractSecrets(currentOptions)
+  secretStatus = Object.fromEntries(Object.keys(secrets).map(name => [name, true]))
+  try {
+    Object.assign(secretStatus, await secretStore.getStatus())
+  } catch (error) {
+    console.error('Error loading secret status:', error)
+  }
+
+  document.querySelectorAll('input[data-secret]').forEach(input => {
+    delete input.dataset.cleared
+    showSecretStatus(input)
+  })
+}
+
+// Show whether one secret field is set, clearing the typed value
+function showSecretStatus (input) {
+  const isSet = !!secretStatus[input.dataset.secret] && input.dataset.cleared !== 'true'
+  input.value = ''
+  if (input.dataset.cleared === 'true') {
+    input.placeholder = 'Cleared when saved'
+  } else {
+    input.placeholder = isSet ? 'Set, leave blank to keep' : (input.dataset.unsetPlaceholder || 'Not set')
+  }
+  input.parentElement.querySelector('.clear-secret').style.display = isSet ? '' : 'none'
+}
+
+// Check whether a secret will be stored after saving
+function hasSecret (name) {
+  const input = Array.from(document.querySelectorAll('input[data-secret]')).find(field => field.dataset.secret === name)
+  return input?.value ? true : !!secretStatus[name] && input?.dataset.cleared !== 'true'
+}
+
+// Collect typed and cleared secrets: secret name -> new value, '' removes the secret
+function collectSecretChanges () {
+  const changes = {}
+  document.querySelectorAll('input[data-secret]').forEach(input => {
+    if (input.value !== '') {
+      changes[input.dataset.secret] = input.value
+    } else if (input.dataset.cleared === 'true') {
+      changes[input.dataset.secret] = ''
+    }
+  })
+  return changes
+}
+
+// Run the connection test in the background with the Pushgateway settings of the form, saved or not
+async function testConnection () {
+  const auth = collectAuth()
+  if (!auth) {
+    return
+  }
+
+  const button = document.getElementById('testConnection')
+  const results = document.getElementById('connectionTestResults')
+  button.disabled = true
+  results.style.display = 'block'
+  results.textContent = 'Testing...'
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      event: 'test-connection',
+      data: {
+        options: {
+          url: document.getElementById('url').value.trim(),
+          username: document.getElementById('username').value,
+          auth,
+          job: document.getElementById('job').value,
+          gzip: document.getElementById('gzip').checked
+        },
+        // Typed secrets are tested before they are saved, stored ones are used otherwise
+        secrets: collectSecretChanges()
+      }
+    })
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the extension')
+    }
+    renderConnectionTest(response.report)
+  } catch (error) {
+    results.textContent = `Connection test failed: ${error.message}`
+  } finally {
+    button.disabled = false
+  }
+}
+
+// Render the steps of a connection test report and hints for its problems
+function renderConnectionTest (report) {
+  const results = document.getElementById('connectionTestResults')
+  results.innerHTML = ''
+
+  const summary = document.createElement('div')
+  summary.className = `test-step ${report.ok ? 'ok' : 'failed'}`
+  const summaryText = document.createElement('span')
+  summaryText.className = 'test-outcome'
+  summaryText.textContent = `${report.ok ? 'Connection OK' : 'Connection test failed'} (${report.duration} ms)`
+  summary.append(summaryText)
+  results.append(summary)
+
+  report.steps.forEach(step => {
+    const row = document.createElement('div')
+    row.className = `test-step ${step.skipped ? 'skipped' : step.ok ? 'ok' : 'failed'}`
+
+    const name = document.createElement('span')
+    name.className = 'test-name'
+    name.textContent = CONNECTION_TEST_STEPS[step.name] || step.name
+
+    const outcome = document.createElement('span')
+    outcome.className = 'test-outcome'
+    if (step.skipped) {
+      outcome.textContent = 'Skipped'
+    } else {
+      const result = step.ok ? `${step.status || ''} ${step.statusText || 'OK'}`.trim() : step.message
+      outcome.textContent = `${result}${step.path ? ` (${step.path})` : ''}, ${step.latency} ms`
+    }
+
+    row.append(name, outcome)
+    results.append(row)
+  })
+
+  const problems = new Set(report.steps.map(step => step.problem).filter(Boolean))
+  problems.forEach(problem => {
+    const hint = document.createElement('div')
+    hint.className = 'test-hint'
+    hint.textContent = CONNECTION_TEST_HINTS[problem]
+    results.append(hint)
+  })
+}
+
+// Validate the failover Pushgateway URLs, returns false and shows the errors if invalid
+function showFailoverUrlErrors (failoverUrls) {
+  const { errors } = window.WebRTCExporterConfig.validateConfig({ failoverUrls })
+
+  const errorElement = document.getElementById('failoverUrlsError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length === 0
+}
+
+// Validate the event log Loki URL, returns false and shows the errors if invalid
+function showLokiUrlErrors (lokiUrl) {
+  const { errors } = window.WebRTCExporterConfig.validateConfig({ lokiUrl })
+
+  const errorElement = document.getElementById('lokiUrlError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length === 0
+}
+
+// Validate the grouping key template, returns false and shows the errors if invalid
+function showGroupingKeyErrors (groupingKey) {
+  const errors = window.WebRTCExporterConfig.validateGroupingKey(groupingKey)
+
+  const errorElement = document.getElementById('groupingKeyError')
+  errorElement.textContent = errors.join('. ')
+  errorElement.style.display = errors.length > 0 ? 'block' : 'none'
+
+  return errors.length === 0
+}
+
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
   loadOptions()
@@ -163,6 +649,42 @@ document.addEventListener('DOMContentLoaded', () => {
     saveOptions()
   })
 
+  document.getElementById('addStaticLabel').addEventListener('click', () => addStaticLabelRow())
+
+  document.getElementById('staticLabelsList').addEventListener('click', (e) => {
+    if (e.target.classList.contains('remove-label')) {
+      e.target.closest('.label-row').remove()
+    }
+  })
+
+  document.getElementById('authType').addEventListener('change', showAuthFields)
+
+  document.getElementById('addAuthHeader').addEventListener('click', () => addAuthHeaderRow())
+
+  document.getElementById('authHeadersList').addEventListener('click', (e) => {
+    if (e.target.classList.contains('remove-label')) {
+      e.target.closest('.label-row').remove()
+    }
+  })
+
+  document.getElementById('addSink').addEventListener('click', () => addSinkRow())
+
+  document.getElementById('testConnection').addEventListener('click', testConnection)
+
+  document.getElementById('optionsForm').addEventListener('click', (e) => {
+    if (e.target.classList.contains('clear-secret')) {
+      const input = e.target.parentElement.querySelector('input[data-secret]')
+      input.dataset.cleared = 'true'
+      showSecretStatus(input)
+    }
+  })
+
+  document.getElementById('sinksList').addEventListener('click', (e) => {
+    if (e.target.classList.contains('remove-sink')) {
+      e.target.closest('.sink-row').remove()
+    }
+  })
+
   // Add event delegation for domain toggle buttons
   document.getElementById('domainsList').addEventListener('click', async (e) => {
     console.log('Domain list clicked:', e.target)
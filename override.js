@@ -1,5 +1,7 @@
 class WebrtcInternalsExporter {
   peerConnections = new Map()
+  pendingEvents = new Map()
+  pendingDescriptions = new Map()
 
   url = ''
   enabled = false
@@ -19,11 +21,36 @@ class WebrtcInternalsExporter {
     window.postMessage({ event: 'webrtc-internal-exporter:ready' })
   }
 
+  // Events are buffered until options arrive so early signaling is not lost.
+  static MAX_PENDING_EVENTS = 100
+
+  // Formats that carry no media of their own and never count as the negotiated codec.
+  static AUXILIARY_CODECS = ['rtx', 'red', 'ulpfec', 'flexfec-03', 'telephone-event', 'cn']
+
+  // Stats types sent regardless of enabledStats so the background can join them into RTP series;
+  // the background drops them again unless they are enabled.
+  static SUPPORTING_STATS = ['codec', 'transport', 'candidate-pair', 'local-candidate', 'remote-candidate']
+
+  // Static RTP payload types (RFC 3551) that may appear without an rtpmap line.
+  static STATIC_PAYLOAD_TYPES = {
+    0: { name: 'PCMU', clockRate: 8000, channels: 1 },
+    8: { name: 'PCMA', clockRate: 8000, channels: 1 },
+    9: { name: 'G722', clockRate: 8000, channels: 1 },
+    13: { name: 'CN', clockRate: 8000, channels: 1 },
+    18: { name: 'G729', clockRate: 8000, channels: 1 }
+  }
+
   static log (...args) {
     // Always log RTCPeerConnection creation for debugging
     console.log.apply(null, ['[webrtc-internal-exporter:override]', ...args])
   }
 
+  // Collection runs on wall clock ticks shared by every connection and tab, so the background can push
+  // all of them together and with aligned timestamps.
+  static nextCollectionDelay (now, interval) {
+    return interval - (now % interval)
+  }
+
   static randomId () {
     if ('randomUUID' in window.crypto) {
       return window.crypto.randomUUID()
@@ -36,28 +63,219 @@ class WebrtcInternalsExporter {
     const id = WebrtcInternalsExporter.randomId()
     WebrtcInternalsExporter.log(`Adding RTCPeerConnection with ID: ${id}, enabled: ${this.enabled}, url: ${this.url}`)
     this.peerConnections.set(id, pc)
+    this.pendingEvents.set(id, [])
+    this.pendingDescriptions.set(id, {})
+    this.trackEvents(id, pc)
+    this.wrapDescriptions(id, pc)
     pc.addEventListener('connectionstatechange', () => {
       WebrtcInternalsExporter.log(`Connection state changed for ${id}: ${pc.connectionState}`)
       if (pc.connectionState === 'closed') {
+        this.flushEvents(id)
         this.peerConnections.delete(id)
+        this.pendingEvents.delete(id)
+        this.pendingDescriptions.delete(id)
       }
     })
     this.collectStats(id)
   }
 
+  trackEvents (id, pc) {
+    const stateEvents = {
+      connectionstatechange: 'connectionState',
+      iceconnectionstatechange: 'iceConnectionState',
+      icegatheringstatechange: 'iceGatheringState',
+      signalingstatechange: 'signalingState'
+    }
+
+    Object.entries(stateEvents).forEach(([type, property]) => {
+      pc.addEventListener(type, () => this.recordEvent(id, type, { state: pc[property] }))
+    })
+
+    pc.addEventListener('negotiationneeded', () => this.recordEvent(id, 'negotiationneeded'))
+
+    pc.addEventListener('icecandidateerror', (event) => {
+      // The candidate address is deliberately left out, it identifies the agent's network.
+      this.recordEvent(id, 'icecandidateerror', {
+        errorCode: event.errorCode,
+        errorText: event.errorText,
+        url: event.url
+      })
+    })
+
+    pc.addEventListener('track', (event) => {
+      const { track, streams = [] } = event
+      this.recordEvent(id, 'track', { kind: track.kind, trackId: track.id })
+      streams.forEach((stream) => {
+        stream.addEventListener('removetrack', ({ track: removed }) => {
+          this.recordEvent(id, 'removetrack', { kind: removed.kind, trackId: removed.id })
+        })
+      })
+    })
+  }
+
+  wrapDescriptions (id, pc) {
+    const methods = {
+      setLocalDescription: ['local', 'localDescription'],
+      setRemoteDescription: ['remote', 'remoteDescription']
+    }
+
+    Object.entries(methods).forEach(([method, [side, property]]) => {
+      const original = pc[method]
+      if (typeof original !== 'function') return
+
+      // Read the applied description back from the connection so implicit
+      // setLocalDescription() calls are covered. The raw SDP never leaves the page.
+      pc[method] = (...args) => {
+        const result = original.apply(pc, args)
+        Promise.resolve(result).then(() => {
+          this.recordDescription(id, side, pc[property])
+        }).catch(() => {})
+        return result
+      }
+    })
+  }
+
+  recordDescription (id, side, description) {
+    const pending = this.pendingDescriptions.get(id)
+    if (!pending || !description || !description.sdp) return
+
+    try {
+      pending[side] = {
+        type: description.type,
+        ...WebrtcInternalsExporter.parseSdp(description.sdp)
+      }
+    } catch (error) {
+      WebrtcInternalsExporter.log(`SDP parse error for ${id}: ${error.message}`)
+      return
+    }
+    this.flushDescriptions(id)
+  }
+
+  flushDescriptions (id) {
+    const pending = this.pendingDescriptions.get(id)
+    if (!pending || !this.url || !this.enabled) return
+
+    Object.entries(pending).forEach(([side, description]) => {
+      window.postMessage({
+        event: 'webrtc-internal-exporter:peer-connection-description',
+        url: window.location.href,
+        id,
+        side,
+        description
+      })
+    })
+    this.pendingDescriptions.set(id, {})
+  }
+
+  static parseSdp (sdp) {
+    const bundle = []
+    const media = []
+    let sessionDirection = null
+    let current = null
+
+    sdp.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('m=')) {
+        const [kind, port, , ...formats] = line.slice(2).trim().split(/\s+/)
+        current = {
+          mid: null,
+          kind,
+          port: parseInt(port, 10),
+          direction: null,
+          formats: formats.map((pt) => parseInt(pt, 10)),
+          rtpmap: {}
+        }
+        media.push(current)
+      } else if (line.startsWith('a=group:BUNDLE')) {
+        bundle.push(line.slice('a=group:BUNDLE'.length).trim().split(/\s+/).filter(Boolean))
+      } else if (/^a=(sendrecv|sendonly|recvonly|inactive)\s*$/.test(line)) {
+        const direction = line.slice(2).trim()
+        if (current) {
+          current.direction = direction
+        } else {
+          sessionDirection = direction
+        }
+      } else if (current && line.startsWith('a=mid:')) {
+        current.mid = line.slice('a=mid:'.length).trim()
+      } else if (current && line.startsWith('a=rtpmap:')) {
+        const [pt, encoding = ''] = line.slice('a=rtpmap:'.length).trim().split(/\s+/)
+        const [name, clockRate, channels] = encoding.split('/')
+        current.rtpmap[parseInt(pt, 10)] = {
+          name,
+          clockRate: parseInt(clockRate, 10) || undefined,
+          channels: parseInt(channels, 10) || undefined
+        }
+      }
+    })
+
+    const summaries = media.map(({ mid, kind, port, direction, formats, rtpmap }) => {
+      const codecs = formats
+        .map((payloadType) => {
+          const codec = rtpmap[payloadType] || WebrtcInternalsExporter.STATIC_PAYLOAD_TYPES[payloadType]
+          return codec ? { payloadType, ...codec } : null
+        })
+        .filter(Boolean)
+      const primary = codecs.find(({ name }) => !WebrtcInternalsExporter.AUXILIARY_CODECS.includes(name.toLowerCase()))
+
+      return {
+        mid,
+        kind,
+        direction: direction || sessionDirection || 'sendrecv',
+        rejected: port === 0,
+        codec: primary ? primary.name : null,
+        codecs
+      }
+    })
+
+    return {
+      bundle,
+      media: summaries,
+      onHold: summaries.some(({ kind, direction, rejected }) =>
+        !rejected &&
+        (kind === 'audio' || kind === 'video') &&
+        (direction === 'sendonly' || direction === 'inactive'))
+    }
+  }
+
+  recordEvent (id, type, detail = {}) {
+    const events = this.pendingEvents.get(id)
+    if (!events) return
+
+    events.push({ type, timestamp: Date.now(), ...detail })
+    if (events.length > WebrtcInternalsExporter.MAX_PENDING_EVENTS) {
+      events.shift()
+    }
+    this.flushEvents(id)
+  }
+
+  flushEvents (id) {
+    const events = this.pendingEvents.get(id)
+    if (!events || events.length === 0 || !this.url || !this.enabled) return
+
+    this.pendingEvents.set(id, [])
+    window.postMessage({
+      event: 'webrtc-internal-exporter:peer-connection-events',
+      url: window.location.href,
+      id,
+      events
+    })
+  }
+
   async collectStats (id) {
     const pc = this.peerConnections.get(id)
     if (!pc) return
 
     WebrtcInternalsExporter.log(`collectStats for ${id}: enabled=${this.enabled}, url=${this.url}, enabledStats=${JSON.stringify(this.enabledStats)}`)
 
+    this.flushEvents(id)
+    this.flushDescriptions(id)
+
     if (this.url && this.enabled) {
       try {
         const stats = await pc.getStats()
         const allStats = [...stats.values()]
         const values = allStats.filter(
           (v) =>
-            ['peer-connection', ...this.enabledStats].indexOf(v.type) !== -1
+            ['peer-connection', ...this.enabledStats, ...WebrtcInternalsExporter.SUPPORTING_STATS].indexOf(v.type) !== -1
         )
         WebrtcInternalsExporter.log(`Collected ${allStats.length} total stats, filtered to ${values.length} matching types`)
         window.postMessage(
@@ -77,8 +295,10 @@ class WebrtcInternalsExporter {
 
     if (pc.connectionState === 'closed') {
       this.peerConnections.delete(id)
+      this.pendingEvents.delete(id)
+      this.pendingDescriptions.delete(id)
     } else {
-      setTimeout(this.collectStats.bind(this), this.updateInterval, id)
+      setTimeout(this.collectStats.bind(this), WebrtcInternalsExporter.nextCollectionDelay(Date.now(), this.updateInterval), id)
     }
   }
 }
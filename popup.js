@@ -39,7 +39,9 @@ async function updatePopup () {
     const localData = await window.WebRTCExporterStorage.StorageManager.getLocal([
       window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.PEER_CONNECTIONS_PER_ORIGIN,
       window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.MESSAGES_SENT,
-      window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.BYTES_SENT
+      window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.BYTES_SENT,
+      window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.EXPORT_STATUS,
+      window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.ACTIVE_ENDPOINTS
     ])
 
     // Count active connections for current origin and total
@@ -60,6 +62,22 @@ async function updatePopup () {
     const bytes = localData[window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.BYTES_SENT] || 0
     const formattedBytes = formatBytes(bytes)
     document.getElementById('bytesSent').textContent = formattedBytes
+
+    const exportStatus = describeExportStatus(localData[window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.EXPORT_STATUS])
+    const exportStatusEl = document.getElementById('exportStatus')
+    exportStatusEl.textContent = exportStatus.text
+    exportStatusEl.className = `stat-value ${exportStatus.className}`
+    const exportHintEl = document.getElementById('exportStatusHint')
+    exportHintEl.textContent = exportStatus.hint
+    exportHintEl.style.display = exportStatus.hint ? 'block' : 'none'
+
+    // The Pushgateway endpoint pushes currently go to, which changes when failing over
+    const activeEndpoints = localData[window.WebRTCExporterConfig.CONSTANTS.STORAGE_KEYS.ACTIVE_ENDPOINTS] || {}
+    const activeEndpoint = describeActiveEndpoint(activeEndpoints.primary)
+    const activeEndpointEl = document.getElementById('activeEndpoint')
+    activeEndpointEl.textContent = activeEndpoint.text
+    activeEndpointEl.title = activeEndpoint.title
+    activeEndpointEl.className = `stat-value ${activeEndpoint.className}`
   } catch (error) {
     console.error('Error updating popup:', error)
     document.getElementById('currentStatus').textContent = 'Error loading status'
@@ -67,6 +85,53 @@ async function updatePopup () {
   }
 }
 
+// Hints for responses that will not go away by retrying
+const CONFIG_ERROR_HINTS = {
+  401: 'The destination rejected the credentials. Check the username and password in the options.',
+  403: 'The credentials are not allowed to push. Check their permissions on the destination.',
+  404: 'The destination URL was not found. Check the URL in the options.'
+}
+
+// Describe the outcome of the last push as recorded by the stats callback
+function describeExportStatus (exportStatus) {
+  if (!exportStatus) {
+    return { text: '-', className: '', hint: '' }
+  }
+
+  const { state, status, error, retryAfter } = exportStatus
+  switch (state) {
+    case 'ok':
+      return { text: 'OK', className: '', hint: '' }
+    case 'throttled':
+      return {
+        text: `Throttled (${status})`,
+        className: 'warning',
+        hint: retryAfter ? `The destination asked to retry in ${Math.ceil(retryAfter / 1000)}s.` : ''
+      }
+    case 'config_error':
+      return { text: `Failing (${status})`, className: 'error', hint: CONFIG_ERROR_HINTS[status] || error }
+    default:
+      return { text: status ? `Failing (${status})` : 'Unreachable', className: 'error', hint: error || '' }
+  }
+}
+
+// Describe the endpoint a sink pushes to as stored by the background
+function describeActiveEndpoint (endpoint) {
+  if (!endpoint?.url) {
+    return { text: '-', title: '', className: '' }
+  }
+
+  let host = endpoint.url
+  try {
+    host = new URL(endpoint.url).host
+  } catch (error) {
+    // Show the URL as configured
+  }
+  return endpoint.failedOver
+    ? { text: `${host} (failover)`, title: endpoint.url, className: 'warning' }
+    : { text: host, title: endpoint.url, className: '' }
+}
+
 function formatBytes (bytes) {
   if (bytes === 0) return '0 B'
 
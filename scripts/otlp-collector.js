@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in OTLP/HTTP Collector
+ * Receives JSON metric exports on /v1/metrics and prints what arrived, for testing the OTLP sink without a real collector
+ *
+ * Usage: node scripts/otlp-collector.js [port]
+ * Then add an "otlp" destination with URL http://localhost:4318 on the options page.
+ */
+
+const http = require('http')
+const zlib = require('zlib')
+
+const DEFAULT_PORT = 4318
+const METRICS_PATH = '/v1/metrics'
+
+/**
+ * Check an ExportMetricsServiceRequest and summarize its metrics
+ * @param {Object} payload - Parsed request body
+ * @returns {Object} { resource, metrics: [{ name, kind, points }] }
+ */
+function summarizeExport (payload) {
+  if (!payload || !Array.isArray(payload.resourceMetrics)) {
+    throw new Error('resourceMetrics must be an array')
+  }
+
+  const resource = {}
+  const metrics = []
+
+  payload.resourceMetrics.forEach(({ resource: { attributes = [] } = {}, scopeMetrics = [] }) => {
+    attributes.forEach(({ key, value }) => {
+      resource[key] = value.stringValue ?? value.arrayValue?.values.map(item => item.stringValue)
+    })
+
+    scopeMetrics.forEach(({ metrics: scopeMetricList = [] }) => {
+      scopeMetricList.forEach(metric => {
+        const kind = ['sum', 'gauge', 'histogram', 'summary'].find(key => metric[key])
+        if (!metric.name || !kind) {
+          throw new Error(`Metric ${metric.name || '(unnamed)'} has no name or data`)
+        }
+
+        const points = metric[kind].dataPoints || []
+        points.forEach(point => {
+          if (!/^\d+$/.test(point.timeUnixNano)) {
+            throw new Error(`Metric ${metric.name} has a data point without timeUnixNano`)
+          }
+        })
+        metrics.push({ name: metric.name, kind, points: points.length })
+      })
+    })
+  })
+
+  return { resource, metrics }
+}
+
+/**
+ * Create the collector HTTP server
+ * @param {Object} [options] - Collector options
+ * @param {Function} [options.log] - Output function, defaults to console.log
+ * @param {Function} [options.onExport] - Called with (payload, summary) for every accepted export
+ * @returns {http.Server} Server, not yet listening
+ */
+function createCollector ({ log = console.log, onExport } = {}) {
+  return http.createServer((request, response) => {
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(body))
+    }
+
+    if (request.method !== 'POST' || request.url !== METRICS_PATH) {
+      return reply(404, { code: 5, message: `Only POST ${METRICS_PATH} is served` })
+    }
+
+    const chunks = []
+    request.on('data', chunk => chunks.push(chunk))
+    request.on('end', () => {
+      try {
+        let body = Buffer.concat(chunks)
+        if (request.headers['content-encoding'] === 'gzip') {
+          body = zlib.gunzipSync(body)
+        }
+
+        const payload = JSON.parse(body.toString('utf8'))
+        const summary = summarizeExport(payload)
+        log(`${new Date().toISOString()} ${summary.resource['service.instance.id'] || summary.resource['service.name'] || 'unknown'}: ${summary.metrics.length} metrics`)
+        summary.metrics.forEach(({ name, kind, points }) => log(`  ${name} (${kind}) ${points} points`))
+
+        onExport?.(payload, summary)
+        reply(200, {})
+      } catch (error) {
+        log(`Rejected export: ${error.message}`)
+        reply(400, { code: 3, message: error.message })
+      }
+    })
+  })
+}
+
+function main () {
+  const port = Number(process.argv[2]) || DEFAULT_PORT
+  createCollector().listen(port, () => {
+    console.log(`Stand-in OTLP collector listening on http://localhost:${port}${METRICS_PATH}`)
+  })
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  createCollector,
+  summarizeExport
+}
@@ -6,12 +6,32 @@
 // Default extension options - centralized to eliminate duplication
 const DEFAULT_OPTIONS = {
   url: 'http://localhost:9091',
+  failoverUrls: [],
   username: '',
   password: '',
+  auth: {
+    type: 'basic',
+    token: '',
+    tokenUrl: '',
+    clientId: '',
+    clientSecret: '',
+    scope: '',
+    headers: {}
+  },
   updateInterval: 2,
   gzip: false,
   job: 'webrtc-internals-exporter',
+  groupingKey: 'job/{job}/peerConnectionId/{id}',
   agentId: '',
+  metricsFormat: 'prometheus',
+  infoMetrics: false,
+  maxSeries: 5000,
+  maxPushSize: 1024,
+  staticLabels: {},
+  sinks: [],
+  lokiUrl: '',
+  lokiUsername: '',
+  lokiPassword: '',
   enabledOrigins: {},
   enabledStats: ['inbound-rtp', 'remote-inbound-rtp', 'outbound-rtp']
 }
@@ -32,10 +52,13 @@ const CONSTANTS = {
     OPTIONS: 'options',
     PEER_CONNECTIONS_PER_ORIGIN: 'peerConnectionsPerOrigin',
     PEER_CONNECTIONS_LAST_UPDATE: 'peerConnectionsLastUpdate',
+    PEER_CONNECTIONS_DESCRIPTIONS: 'peerConnectionsDescriptions',
     MESSAGES_SENT: 'messagesSent',
     BYTES_SENT: 'bytesSent',
     TOTAL_TIME: 'totalTime',
-    ERRORS: 'errors'
+    ERRORS: 'errors',
+    EXPORT_STATUS: 'exportStatus',
+    ACTIVE_ENDPOINTS: 'activeEndpoints'
   },
 
   // Network and retry configuration
@@ -74,6 +97,39 @@ const CONSTANTS = {
     'transport'
   ],
 
+  // Exposition formats for pushed metrics
+  METRICS_FORMATS: ['prometheus', 'openmetrics'],
+
+  // User-defined static labels
+  LABELS: {
+    NAME_PATTERN: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+    // Set by the exporter or the Pushgateway grouping key
+    RESERVED: ['job', 'instance', 'peerConnectionId', 'pageUrl', 'agent_id', 'id', 'kind', 'type', 'state'],
+    MAX_VALUE_LENGTH: 128
+  },
+
+  // Exporter sink authentication; 'basic' uses the destination's username and password
+  AUTH: {
+    TYPES: ['basic', 'bearer', 'oauth2'],
+    // RFC 9110 field name token
+    HEADER_NAME_PATTERN: /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/,
+    // Set by the clients themselves
+    RESERVED_HEADERS: ['content-type', 'content-encoding', 'content-length']
+  },
+
+  // Pushgateway grouping key template placeholders
+  GROUPING_KEY_PLACEHOLDERS: ['job', 'id', 'agentId', 'origin'],
+
+  // Additional export destinations
+  SINKS: {
+    TYPES: ['pushgateway', 'remote_write', 'otlp', 'influxdb'],
+    // Used by the destination built from the main Pushgateway options
+    RESERVED_IDS: ['primary'],
+    // Circuit breaker queue policies; a sink without one uses the default of its type
+    QUEUE_POLICIES: ['fifo', 'drop_oldest', 'latest_per_key'],
+    MAX_RETRIES: 5
+  },
+
   // Quality limitation reasons mapping
   QUALITY_LIMITATION_REASONS: {
     none: 0,
@@ -101,6 +157,194 @@ function getDefaultOptions (overrides = {}) {
   return { ...DEFAULT_OPTIONS, ...overrides }
 }
 
+/**
+ * Validate a static label name against the Prometheus label name rules
+ * @param {string} name - Label name
+ * @returns {string|null} Error message or null if the name is valid
+ */
+function validateLabelName (name) {
+  if (typeof name !== 'string' || !CONSTANTS.LABELS.NAME_PATTERN.test(name)) {
+    return `Label name "${name}" must match ${CONSTANTS.LABELS.NAME_PATTERN.source}`
+  }
+  if (name.startsWith('__')) {
+    return `Label name "${name}" must not start with __ (reserved for Prometheus)`
+  }
+  if (CONSTANTS.LABELS.RESERVED.includes(name)) {
+    return `Label name "${name}" is reserved by the exporter`
+  }
+  return null
+}
+
+/**
+ * Validate a Pushgateway grouping key template such as 'job/{job}/agent_id/{agentId}/peerConnectionId/{id}'
+ * @param {string} template - Grouping key template
+ * @returns {string[]} Error messages, empty if the template is valid
+ */
+function validateGroupingKey (template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return ['Grouping key must be a non-empty string']
+  }
+
+  const segments = template.replace(/^\/+|\/+$/g, '').split('/')
+  if (segments.length % 2 !== 0) {
+    return ['Grouping key must alternate label names and values']
+  }
+  if (segments[0] !== 'job') {
+    return ['Grouping key must start with job']
+  }
+
+  const errors = []
+  const names = new Set()
+  for (let i = 0; i < segments.length; i += 2) {
+    const [name, value] = [segments[i], segments[i + 1]]
+    if (!CONSTANTS.LABELS.NAME_PATTERN.test(name) || name.startsWith('__')) {
+      errors.push(`Grouping key label "${name}" is not a valid label name`)
+    } else if (names.has(name)) {
+      errors.push(`Grouping key label "${name}" is used more than once`)
+    }
+    names.add(name)
+
+    const placeholders = value.match(/\{[^}]*\}/g) || []
+    placeholders
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(placeholder => !CONSTANTS.GROUPING_KEY_PLACEHOLDERS.includes(placeholder))
+      .forEach(placeholder => errors.push(`Unknown grouping key placeholder {${placeholder}}`))
+  }
+
+  return errors
+}
+
+/**
+ * Validate the authentication of a destination
+ * @param {Object} auth - Auth configuration { type, token, tokenUrl, clientId, clientSecret, scope, headers }
+ * @param {string} name - Destination name for the error messages
+ * @returns {string[]} Error messages, empty if the configuration is valid
+ */
+function validateAuth (auth, name) {
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    return [`${name} authentication must be an object`]
+  }
+
+  const errors = []
+  const type = auth.type || 'basic'
+  if (!CONSTANTS.AUTH.TYPES.includes(type)) {
+    errors.push(`${name} authentication must be one of ${CONSTANTS.AUTH.TYPES.join(', ')}`)
+  }
+
+  // Tokens and client secrets are kept in the secret store, not in the options, so only their fields are checked here
+  if (type === 'oauth2') {
+    let protocol = null
+    try {
+      protocol = new URL(auth.tokenUrl).protocol
+    } catch (error) {
+      // Reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push(`${name} OAuth2 token URL must be an http(s) URL`)
+    }
+    if (!auth.clientId) {
+      errors.push(`${name} OAuth2 authentication needs a client ID`)
+    }
+  }
+
+  const headers = auth.headers || {}
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    errors.push(`${name} headers must be an object`)
+  } else {
+    Object.entries(headers).forEach(([header, value]) => {
+      if (!CONSTANTS.AUTH.HEADER_NAME_PATTERN.test(header)) {
+        errors.push(`${name} header name "${header}" is not a valid HTTP header name`)
+      } else if (CONSTANTS.AUTH.RESERVED_HEADERS.includes(header.toLowerCase())) {
+        errors.push(`${name} header "${header}" is set by the exporter`)
+      } else if (typeof value !== 'string' || value === '' || /[\r\n]/.test(value)) {
+        errors.push(`${name} header "${header}" must have a single-line value`)
+      }
+    })
+  }
+
+  return errors
+}
+
+/**
+ * Validate the failover endpoints of a destination
+ * @param {Array} urls - Endpoint URLs tried in order after the destination URL
+ * @param {string} name - Destination name for the error messages
+ * @returns {string[]} Error messages, empty if all URLs are valid
+ */
+function validateFailoverUrls (urls, name) {
+  if (!Array.isArray(urls)) {
+    return [`${name} failover URLs must be an array`]
+  }
+
+  return urls.filter(url => {
+    try {
+      return !['http:', 'https:'].includes(new URL(url).protocol)
+    } catch (error) {
+      return true
+    }
+  }).map(url => `${name} failover URL "${url}" must be an http(s) URL`)
+}
+
+/**
+ * Validate the additional export destinations
+ * @param {Array} sinks - Sink configurations { id, name, type, enabled, url, failoverUrls, username, password, auth, gzip, retry }
+ * @returns {string[]} Error messages, empty if all sinks are valid
+ */
+function validateSinks (sinks) {
+  if (!Array.isArray(sinks)) {
+    return ['Export destinations must be an array']
+  }
+
+  const errors = []
+  const ids = new Set()
+  sinks.forEach((sink, index) => {
+    const name = `Destination "${sink?.name || sink?.id || index + 1}"`
+    if (!sink || typeof sink.id !== 'string' || sink.id === '') {
+      errors.push(`${name} must have an ID`)
+      return
+    }
+    if (ids.has(sink.id) || CONSTANTS.SINKS.RESERVED_IDS.includes(sink.id)) {
+      errors.push(`${name} ID "${sink.id}" is already in use`)
+    }
+    ids.add(sink.id)
+
+    if (!CONSTANTS.SINKS.TYPES.includes(sink.type)) {
+      errors.push(`${name} type must be one of ${CONSTANTS.SINKS.TYPES.join(', ')}`)
+    }
+
+    let protocol = null
+    try {
+      protocol = new URL(sink.url).protocol
+    } catch (error) {
+      // Reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push(`${name} URL must be an http(s) URL`)
+    } else if (sink.type === 'influxdb' && !new URL(sink.url).searchParams.get('bucket')) {
+      errors.push(`${name} URL must name the bucket, e.g. ?org=my-org&bucket=webrtc`)
+    }
+
+    if (sink.failoverUrls !== undefined) {
+      errors.push(...validateFailoverUrls(sink.failoverUrls, name))
+    }
+
+    if (sink.auth !== undefined) {
+      errors.push(...validateAuth(sink.auth, name))
+    }
+
+    if (sink.queuePolicy && !CONSTANTS.SINKS.QUEUE_POLICIES.includes(sink.queuePolicy)) {
+      errors.push(`${name} queue policy must be one of ${CONSTANTS.SINKS.QUEUE_POLICIES.join(', ')}`)
+    }
+
+    const maxRetries = sink.retry?.maxRetries
+    if (maxRetries !== undefined && (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > CONSTANTS.SINKS.MAX_RETRIES)) {
+      errors.push(`${name} retries must be between 0 and ${CONSTANTS.SINKS.MAX_RETRIES}`)
+    }
+  })
+
+  return errors
+}
+
 /**
  * Validate configuration object against schema
  * @param {Object} config - Configuration to validate
@@ -113,6 +357,14 @@ function validateConfig (config) {
     errors.push('URL must be a string')
   }
 
+  if (config.failoverUrls !== undefined) {
+    errors.push(...validateFailoverUrls(config.failoverUrls, 'Pushgateway'))
+  }
+
+  if (config.auth !== undefined) {
+    errors.push(...validateAuth(config.auth, 'Pushgateway'))
+  }
+
   if (config.updateInterval && (typeof config.updateInterval !== 'number' || config.updateInterval < 1)) {
     errors.push('Update interval must be a positive number')
   }
@@ -121,6 +373,53 @@ function validateConfig (config) {
     errors.push('Enabled stats must be an array')
   }
 
+  if (config.metricsFormat && !CONSTANTS.METRICS_FORMATS.includes(config.metricsFormat)) {
+    errors.push('Metrics format must be prometheus or openmetrics')
+  }
+
+  if (config.maxSeries !== undefined && (!Number.isInteger(config.maxSeries) || config.maxSeries < 1)) {
+    errors.push('Series budget must be a positive integer')
+  }
+
+  if (config.maxPushSize !== undefined && (!Number.isInteger(config.maxPushSize) || config.maxPushSize < 1)) {
+    errors.push('Maximum push size must be a positive number of KiB')
+  }
+
+  if (config.groupingKey !== undefined) {
+    errors.push(...validateGroupingKey(config.groupingKey))
+  }
+
+  if (config.staticLabels !== undefined) {
+    if (!config.staticLabels || typeof config.staticLabels !== 'object' || Array.isArray(config.staticLabels)) {
+      errors.push('Static labels must be an object')
+    } else {
+      Object.entries(config.staticLabels).forEach(([name, value]) => {
+        const error = validateLabelName(name)
+        if (error) {
+          errors.push(error)
+        } else if (typeof value !== 'string' || value.length === 0 || value.length > CONSTANTS.LABELS.MAX_VALUE_LENGTH) {
+          errors.push(`Label "${name}" must have a value of 1-${CONSTANTS.LABELS.MAX_VALUE_LENGTH} characters`)
+        }
+      })
+    }
+  }
+
+  if (config.sinks !== undefined) {
+    errors.push(...validateSinks(config.sinks))
+  }
+
+  if (config.lokiUrl) {
+    let protocol = null
+    try {
+      protocol = new URL(config.lokiUrl).protocol
+    } catch (error) {
+      // Reported below
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push('Event log Loki URL must be an http(s) URL')
+    }
+  }
+
   if (config.enabledOrigins && typeof config.enabledOrigins !== 'object') {
     errors.push('Enabled origins must be an object')
   }
@@ -138,6 +437,10 @@ if (typeof globalThis !== 'undefined') {
     CONSTANTS,
     CONFIG_VERSION,
     getDefaultOptions,
+    validateLabelName,
+    validateGroupingKey,
+    validateSinks,
+    validateAuth,
     validateConfig
   }
 } else if (typeof window !== 'undefined') {
@@ -146,6 +449,10 @@ if (typeof globalThis !== 'undefined') {
     CONSTANTS,
     CONFIG_VERSION,
     getDefaultOptions,
+    validateLabelName,
+    validateGroupingKey,
+    validateSinks,
+    validateAuth,
     validateConfig
   }
 } else if (typeof self !== 'undefined') {
@@ -154,6 +461,10 @@ if (typeof globalThis !== 'undefined') {
     CONSTANTS,
     CONFIG_VERSION,
     getDefaultOptions,
+    validateLabelName,
+    validateGroupingKey,
+    validateSinks,
+    validateAuth,
     validateConfig
   }
 }
@@ -0,0 +1,295 @@
+/**
+ * Port protocol for WebRTC Stats Exporter
+ * Versioned messages between the content script of a tab and the background over a long-lived runtime port
+ *
+ * Content script to background:
+ * - { v, type: 'hello', session } when the port is connected
+ * - { v, type: 'message', seq, event, data } for each message, seq counting up from 1 within the session
+ * Background to content script:
+ * - { v, type: 'welcome', session, lastSeq } with the last message of the session the background accepted
+ * - { v, type: 'ack', seq, success, error } once a message was handled
+ * - { v, type: 'error', reason, supportedVersions } before disconnecting a port it cannot talk to
+ */
+
+const PORT_NAME = 'webrtc-exporter'
+const PROTOCOL_VERSION = 1
+
+/**
+ * PortClient class for sending messages to the background
+ * Messages are kept until the background acknowledges them. When the port disconnects, e.g. because the service
+ * worker was stopped, the client reconnects while messages are waiting and replays the ones the background has not
+ * accepted. Without waiting messages it reconnects with the next message, so an idle tab does not keep the service
+ * worker awake.
+ */
+class PortClient {
+  constructor (runtime, options = {}) {
+    this.runtime = runtime
+    this.logger = options.logger || null
+    this.session = options.session || PortClient.createSession()
+    this.maxBufferSize = options.maxBufferSize || PortClient.DEFAULT_MAX_BUFFER_SIZE
+    this.port = null
+    this.ready = false
+    this.seq = 0
+    this.buffer = []
+    this.reconnectTimer = null
+    this.reconnectDelay = PortClient.RECONNECT_BASE_DELAY
+    this.isDestroyed = false
+    this.stats = {
+      sent: 0,
+      acknowledged: 0,
+      failed: 0,
+      replayed: 0,
+      dropped: 0,
+      reconnects: 0
+    }
+  }
+
+  /**
+   * Send a message to the background
+   * @param {string} event - Event type, e.g. 'peer-connection-stats'
+   * @param {Object} data - Message data
+   * @returns {number|null} Sequence number of the message, null if the client was destroyed
+   */
+  send (event, data) {
+    if (this.isDestroyed) {
+      return null
+    }
+
+    const entry = { seq: ++this.seq, event, data, posted: false }
+    this.buffer.push(entry)
+    this.stats.sent++
+
+    // Keep the latest messages while the background is unreachable
+    if (this.buffer.length > this.maxBufferSize) {
+      const dropped = this.buffer.shift()
+      this.stats.dropped++
+      this.logger?.log(`Dropped ${dropped.event} message ${dropped.seq}, ${this.maxBufferSize} messages are waiting`)
+    }
+
+    if (this.ready) {
+      this._post(entry)
+    } else if (!this.port && !this.reconnectTimer) {
+      this._connect()
+    }
+
+    return entry.seq
+  }
+
+  /**
+   * Get client statistics
+   * @returns {Object} Statistics about sent, acknowledged and replayed messages
+   */
+  getStats () {
+    return {
+      connected: this.ready,
+      waiting: this.buffer.length,
+      ...this.stats
+    }
+  }
+
+  /**
+   * Disconnect and drop waiting messages
+   */
+  destroy () {
+    this.isDestroyed = true
+    this._cancelReconnect()
+    if (this.port) {
+      try {
+        this.port.disconnect()
+      } catch (error) {
+        // Already disconnected
+      }
+    }
+    this.port = null
+    this.ready = false
+    this.buffer = []
+  }
+
+  /**
+   * Create a session ID for the messages of one content script
+   * @returns {string} Random session ID
+   */
+  static createSession () {
+    if (globalThis.crypto?.randomUUID) {
+      return globalThis.crypto.randomUUID()
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+  }
+
+  // Private methods
+
+  /**
+   * Connect a port and introduce the session
+   * @private
+   */
+  _connect () {
+    let port
+    try {
+      port = this.runtime.connect({ name: PORT_NAME })
+    } catch (error) {
+      // The extension was reloaded or removed; this content script can never reach the background again
+      if (!this.runtime?.id) {
+        this.logger?.log(`Extension context invalidated, dropping ${this.buffer.length} messages`)
+        this.destroy()
+        return
+      }
+      this.logger?.log(`Failed to connect to the background: ${error.message}`)
+      this._scheduleReconnect()
+      return
+    }
+
+    this.port = port
+    port.onMessage.addListener(message => this._onMessage(port, message))
+    port.onDisconnect.addListener(() => this._onDisconnect(port))
+    port.postMessage({ v: PROTOCOL_VERSION, type: 'hello', session: this.session })
+  }
+
+  /**
+   * Handle a message of the background
+   * @private
+   */
+  _onMessage (port, message) {
+    if (port !== this.port || !message || typeof message !== 'object') {
+      return
+    }
+
+    if (message.type === 'error') {
+      this.logger?.log(`Background refused the port (${message.reason}), supported protocol versions: ${(message.supportedVersions || []).join(', ')}`)
+      this.destroy()
+      return
+    }
+    if (message.v !== PROTOCOL_VERSION) {
+      this.logger?.log(`Ignored ${message.type} message of protocol version ${message.v}`)
+      return
+    }
+
+    if (message.type === 'welcome') {
+      this.ready = true
+      this.reconnectDelay = PortClient.RECONNECT_BASE_DELAY
+
+      // Messages accepted before the port disconnected only lost their acknowledgement
+      const accepted = this.buffer.filter(entry => entry.seq <= message.lastSeq)
+      this.stats.acknowledged += accepted.length
+      this.buffer = this.buffer.filter(entry => entry.seq > message.lastSeq)
+      this.buffer.forEach(entry => this._post(entry))
+    } else if (message.type === 'ack') {
+      const index = this.buffer.findIndex(entry => entry.seq === message.seq)
+      if (index !== -1) {
+        const [entry] = this.buffer.splice(index, 1)
+        if (message.success) {
+          this.stats.acknowledged++
+        } else {
+          this.stats.failed++
+          this.logger?.log(`error: ${entry.event} ${message.error}`)
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a disconnected port
+   * @private
+   */
+  _onDisconnect (port) {
+    // Reading lastError marks it as checked
+    const error = this.runtime.lastError
+    if (port !== this.port) {
+      return
+    }
+
+    this.port = null
+    this.ready = false
+    this.logger?.log(`Port disconnected${error?.message ? `: ${error.message}` : ''}, ${this.buffer.length} messages waiting`)
+
+    if (this.buffer.length > 0 && !this.isDestroyed) {
+      this._scheduleReconnect()
+    }
+  }
+
+  /**
+   * Post a message over the connected port
+   * @private
+   */
+  _post (entry) {
+    if (entry.posted) {
+      this.stats.replayed++
+    }
+    entry.posted = true
+
+    try {
+      this.port.postMessage({ v: PROTOCOL_VERSION, type: 'message', seq: entry.seq, event: entry.event, data: entry.data })
+    } catch (error) {
+      // The disconnect handler reconnects and replays it
+      this.logger?.log(`Failed to post ${entry.event} message ${entry.seq}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Reconnect after an exponentially growing delay
+   * @private
+   */
+  _scheduleReconnect () {
+    if (this.reconnectTimer) {
+      return
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.stats.reconnects++
+      this._connect()
+    }, this.reconnectDelay)
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, PortClient.RECONNECT_MAX_DELAY)
+  }
+
+  /**
+   * Cancel a scheduled reconnect
+   * @private
+   */
+  _cancelReconnect () {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+  }
+}
+
+PortClient.DEFAULT_MAX_BUFFER_SIZE = 200
+PortClient.RECONNECT_BASE_DELAY = 500
+PortClient.RECONNECT_MAX_DELAY = 30000
+
+/**
+ * Create a PortClient on the extension runtime
+ * @param {Object} [dependencies] - Dependencies, defaulting to the extension APIs
+ * @param {Object} [dependencies.runtime] - Runtime with connect(), defaults to chrome.runtime
+ * @param {Object} [dependencies.logger] - Logger instance (optional)
+ * @param {Object} [options] - Client options
+ * @param {number} [options.maxBufferSize=200] - Messages kept while the background is unreachable, oldest are dropped first
+ * @returns {PortClient} Configured port client
+ */
+function createPortClient ({ runtime = typeof chrome !== 'undefined' ? chrome.runtime : null, logger = null } = {}, options = {}) {
+  return new PortClient(runtime, { ...options, logger })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterPortProtocol = {
+    PORT_NAME,
+    PROTOCOL_VERSION,
+    PortClient,
+    createPortClient
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterPortProtocol = {
+    PORT_NAME,
+    PROTOCOL_VERSION,
+    PortClient,
+    createPortClient
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterPortProtocol = {
+    PORT_NAME,
+    PROTOCOL_VERSION,
+    PortClient,
+    createPortClient
+  }
+}
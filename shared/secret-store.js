@@ -0,0 +1,395 @@
+/**
+ * Secret store for WebRTC Stats Exporter
+ * Keeps passwords, tokens and client secrets encrypted in chrome.storage.local instead of synced options
+ */
+
+/**
+ * SecretStore class for encrypting secrets at rest
+ * Secrets are encrypted with AES-GCM under a key that is generated on first use and kept in local storage next to
+ * them, so they never leave the device through sync storage. Each secret is named after its place in the options,
+ * e.g. 'password', 'auth.token' or 'sinks[migration].password'.
+ */
+class SecretStore {
+  constructor (storage, options = {}) {
+    this.storage = storage
+    this.crypto = options.crypto || null
+    this.logger = options.logger || null
+    this.keyPromise = null
+    this.cache = null
+    this.storageEvents = options.storageEvents || null
+    this.storageListener = null
+
+    // Secrets written by another extension page make cached values stale
+    if (this.storageEvents) {
+      this.storageListener = (changes, areaName) => {
+        if (areaName === 'local' && (changes[SecretStore.STORAGE_KEY] || changes[SecretStore.KEY_STORAGE_KEY])) {
+          this.invalidate()
+        }
+      }
+      this.storageEvents.addListener(this.storageListener)
+    }
+  }
+
+  /**
+   * Check whether WebCrypto is available
+   * @returns {boolean} True if secrets can be encrypted
+   */
+  isAvailable () {
+    return !!this.crypto?.subtle && !!this.storage
+  }
+
+  /**
+   * Get the names of the stored secrets without decrypting them
+   * @returns {Promise<Object>} Secret name -> true
+   */
+  async getStatus () {
+    const encrypted = await this._readEncrypted()
+    return Object.fromEntries(Object.keys(encrypted).map(name => [name, true]))
+  }
+
+  /**
+   * Get all secrets, decrypted
+   * A secret that cannot be decrypted, e.g. because the key was removed, is left out.
+   * @returns {Promise<Object>} Secret name -> value
+   */
+  async getSecrets () {
+    if (this.cache) {
+      return { ...this.cache }
+    }
+
+    const encrypted = await this._readEncrypted()
+    const secrets = {}
+    for (const [name, record] of Object.entries(encrypted)) {
+      try {
+        secrets[name] = await this._decrypt(record)
+      } catch (error) {
+        this.logger?.log(`Failed to decrypt secret ${name}: ${error.message}`)
+      }
+    }
+
+    this.cache = secrets
+    return { ...secrets }
+  }
+
+  /**
+   * Fill the secret fields of options with the decrypted secrets
+   * @param {Object} options - Extension options without secrets
+   * @param {Object} [overrides] - Secret name -> value used instead of the stored one, e.g. typed but not saved yet
+   * @returns {Promise<Object>} Copy of the options with the secrets filled in
+   */
+  async resolveOptions (options, overrides = {}) {
+    return SecretStore.applySecrets(options, { ...await this.getSecrets(), ...overrides })
+  }
+
+  /**
+   * Store, replace and remove secrets in one write
+   * @param {Object} [set] - Secret name -> new value; empty values remove the secret
+   * @param {Array<string>} [remove] - Names of secrets to remove
+   * @returns {Promise<void>}
+   */
+  async update (set = {}, remove = []) {
+    if (Object.keys(set).length === 0 && remove.length === 0) {
+      return
+    }
+    if (!this.isAvailable()) {
+      throw new SecretStoreError('WebCrypto is not available')
+    }
+
+    const encrypted = await this._readEncrypted()
+    for (const [name, value] of Object.entries(set)) {
+      if (typeof value === 'string' && value !== '') {
+        encrypted[name] = await this._encrypt(value)
+      } else {
+        delete encrypted[name]
+      }
+    }
+    remove.forEach(name => delete encrypted[name])
+
+    await this.storage.set({ [SecretStore.STORAGE_KEY]: encrypted })
+    this.invalidate()
+  }
+
+  /**
+   * Remove every secret not listed, e.g. of destinations that were removed
+   * @param {Array<string>} names - Secret names to keep
+   * @returns {Promise<number>} Number of removed secrets
+   */
+  async retain (names) {
+    const encrypted = await this._readEncrypted()
+    const removed = Object.keys(encrypted).filter(name => !names.includes(name))
+    if (removed.length > 0) {
+      await this.update({}, removed)
+    }
+    return removed.length
+  }
+
+  /**
+   * Move plain text secrets out of options, e.g. options saved before secrets were encrypted
+   * @param {Object} options - Options that may contain secrets
+   * @returns {Promise<Object>} { options, moved }: the options without secrets and the names of the moved secrets
+   */
+  async migrate (options) {
+    const { options: stripped, secrets } = SecretStore.extractSecrets(options)
+    const moved = Object.keys(secrets)
+    if (moved.length > 0) {
+      await this.update(secrets)
+      this.logger?.log(`Moved ${moved.length} secrets out of synced options`)
+    }
+    return { options: stripped, moved }
+  }
+
+  /**
+   * Drop decrypted secrets from memory
+   */
+  invalidate () {
+    this.cache = null
+  }
+
+  /**
+   * Stop watching storage and drop decrypted secrets from memory
+   */
+  destroy () {
+    if (this.storageListener) {
+      this.storageEvents.removeListener(this.storageListener)
+      this.storageListener = null
+    }
+    this.invalidate()
+    this.keyPromise = null
+  }
+
+  /**
+   * Names of every secret the options can hold
+   * @param {Object} options - Extension options
+   * @returns {Array<string>} Secret names
+   */
+  static secretNames (options = {}) {
+    const sinks = Array.isArray(options.sinks) ? options.sinks : []
+    return [
+      ...SecretStore.DESTINATION_SECRETS,
+      ...SecretStore.OPTION_SECRETS,
+      ...sinks.flatMap(sink => SecretStore.DESTINATION_SECRETS.map(field => `sinks[${sink.id}].${field}`))
+    ]
+  }
+
+  /**
+   * Split options into options without secrets and the secrets they held
+   * @param {Object} options - Extension options
+   * @returns {Object} { options, secrets }: options with emptied secret fields and secret name -> value
+   */
+  static extractSecrets (options = {}) {
+    const stripped = SecretStore._copyOptions(options)
+    const secrets = {}
+
+    SecretStore.secretNames(options).forEach(name => {
+      const { target, field } = SecretStore._locate(stripped, name)
+      if (typeof target?.[field] === 'string' && target[field] !== '') {
+        secrets[name] = target[field]
+        target[field] = ''
+      }
+    })
+
+    return { options: stripped, secrets }
+  }
+
+  /**
+   * Fill the secret fields of options
+   * @param {Object} options - Extension options without secrets
+   * @param {Object} secrets - Secret name -> value, see getSecrets()
+   * @returns {Object} Copy of the options with the secrets filled in
+   */
+  static applySecrets (options = {}, secrets = {}) {
+    const applied = SecretStore._copyOptions(options)
+
+    Object.entries(secrets).forEach(([name, value]) => {
+      const { target, field } = SecretStore._locate(applied, name, true)
+      if (target) {
+        target[field] = value
+      }
+    })
+
+    return applied
+  }
+
+  // Private methods
+
+  /**
+   * Copy options deeply enough to change their secret fields
+   * @private
+   */
+  static _copyOptions (options) {
+    const copy = { ...options }
+    if (options.auth) {
+      copy.auth = { ...options.auth }
+    }
+    if (Array.isArray(options.sinks)) {
+      copy.sinks = options.sinks.map(sink => ({ ...sink, ...(sink.auth && { auth: { ...sink.auth } }) }))
+    }
+    return copy
+  }
+
+  /**
+   * Find the object and field a secret name points to
+   * @param {boolean} [create] - Create a missing auth object
+   * @private
+   */
+  static _locate (options, name, create = false) {
+    let target = options
+    let path = name
+
+    const sinkMatch = /^sinks\[(.+)\]\.([^[\]]+)$/.exec(name)
+    if (sinkMatch) {
+      target = (options.sinks || []).find(sink => sink.id === sinkMatch[1])
+      path = sinkMatch[2]
+    }
+
+    const parts = path.split('.')
+    const field = parts.pop()
+    for (const part of parts) {
+      if (!target) {
+        break
+      }
+      if (create && !target[part]) {
+        target[part] = {}
+      }
+      target = target[part]
+    }
+
+    return { target, field }
+  }
+
+  /**
+   * Read the encrypted secrets
+   * @private
+   */
+  async _readEncrypted () {
+    if (!this.storage) {
+      return {}
+    }
+    const stored = await this.storage.get(SecretStore.STORAGE_KEY)
+    return { ...stored[SecretStore.STORAGE_KEY] }
+  }
+
+  /**
+   * Get the encryption key, generating and storing it on first use
+   * @private
+   */
+  _getKey () {
+    if (!this.keyPromise) {
+      this.keyPromise = (async () => {
+        const algorithm = { name: SecretStore.ALGORITHM, length: SecretStore.KEY_LENGTH }
+        const stored = await this.storage.get(SecretStore.KEY_STORAGE_KEY)
+        const jwk = stored[SecretStore.KEY_STORAGE_KEY]
+        if (jwk) {
+          return this.crypto.subtle.importKey('jwk', jwk, algorithm, true, ['encrypt', 'decrypt'])
+        }
+
+        const key = await this.crypto.subtle.generateKey(algorithm, true, ['encrypt', 'decrypt'])
+        await this.storage.set({ [SecretStore.KEY_STORAGE_KEY]: await this.crypto.subtle.exportKey('jwk', key) })
+        return key
+      })().catch((error) => {
+        this.keyPromise = null
+        throw new SecretStoreError(`Failed to load the encryption key: ${error.message}`, error)
+      })
+    }
+    return this.keyPromise
+  }
+
+  /**
+   * Encrypt a value
+   * @private
+   */
+  async _encrypt (value) {
+    const key = await this._getKey()
+    const iv = this.crypto.getRandomValues(new Uint8Array(SecretStore.IV_LENGTH))
+    const data = await this.crypto.subtle.encrypt({ name: SecretStore.ALGORITHM, iv }, key, new TextEncoder().encode(value))
+    return { iv: SecretStore._toBase64(iv), data: SecretStore._toBase64(new Uint8Array(data)) }
+  }
+
+  /**
+   * Decrypt a value
+   * @private
+   */
+  async _decrypt ({ iv, data }) {
+    const key = await this._getKey()
+    const decrypted = await this.crypto.subtle.decrypt(
+      { name: SecretStore.ALGORITHM, iv: SecretStore._fromBase64(iv) },
+      key,
+      SecretStore._fromBase64(data)
+    )
+    return new TextDecoder().decode(decrypted)
+  }
+
+  /**
+   * @private
+   */
+  static _toBase64 (bytes) {
+    return btoa(String.fromCharCode(...bytes))
+  }
+
+  /**
+   * @private
+   */
+  static _fromBase64 (text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0))
+  }
+}
+
+SecretStore.STORAGE_KEY = 'secrets'
+SecretStore.KEY_STORAGE_KEY = 'secretKey'
+SecretStore.ALGORITHM = 'AES-GCM'
+SecretStore.KEY_LENGTH = 256
+SecretStore.IV_LENGTH = 12
+// Secret fields of the Pushgateway and of each additional destination
+SecretStore.DESTINATION_SECRETS = ['password', 'auth.token', 'auth.clientSecret']
+// Other secret fields of the options
+SecretStore.OPTION_SECRETS = ['lokiPassword']
+
+/**
+ * Custom error class for secret store errors
+ */
+class SecretStoreError extends Error {
+  constructor (message, originalError = null) {
+    super(message)
+    this.name = 'SecretStoreError'
+    this.originalError = originalError
+  }
+}
+
+/**
+ * Create a SecretStore on the extension's local storage
+ * @param {Object} [dependencies] - Dependencies, defaulting to the extension APIs
+ * @param {Object} [dependencies.storage] - Storage area with get() and set(), defaults to chrome.storage.local
+ * @param {Object} [dependencies.storageEvents] - Storage change event, defaults to chrome.storage.onChanged
+ * @param {Crypto} [dependencies.crypto] - WebCrypto implementation, defaults to the global one
+ * @param {Object} [dependencies.logger] - Logger instance (optional)
+ * @returns {SecretStore} Configured secret store
+ */
+function createSecretStore ({
+  storage = typeof chrome !== 'undefined' ? chrome.storage?.local : null,
+  storageEvents = typeof chrome !== 'undefined' ? chrome.storage?.onChanged : null,
+  crypto = globalThis.crypto,
+  logger = null
+} = {}) {
+  return new SecretStore(storage, { storageEvents, crypto, logger })
+}
+
+// Global export for Chrome extension compatibility
+if (typeof globalThis !== 'undefined') {
+  globalThis.WebRTCExporterSecrets = {
+    SecretStore,
+    SecretStoreError,
+    createSecretStore
+  }
+} else if (typeof window !== 'undefined') {
+  window.WebRTCExporterSecrets = {
+    SecretStore,
+    SecretStoreError,
+    createSecretStore
+  }
+} else if (typeof self !== 'undefined') {
+  self.WebRTCExporterSecrets = {
+    SecretStore,
+    SecretStoreError,
+    createSecretStore
+  }
+}
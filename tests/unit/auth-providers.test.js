@@ -0,0 +1,158 @@
+/**
+ * Unit tests for AuthProviders module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('AuthProviders', () => {
+  let StaticAuthProvider, OAuth2ClientCredentialsProvider, AuthProviderError, createAuthProvider
+  let mockLogger, mockFetch
+
+  const oauth2 = {
+    type: 'oauth2',
+    tokenUrl: 'https://auth.example.com/oauth2/token',
+    clientId: 'exporter',
+    clientSecret: 's3cr:et',
+    scope: 'metrics.write',
+    headers: { 'X-Scope-OrgID': 'tenant-1' }
+  }
+
+  const tokenResponse = (payload, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Bad Request',
+    json: jest.fn().mockResolvedValue(payload)
+  })
+
+  beforeAll(() => {
+    // Load the auth providers module directly
+    const modulePath = path.join(__dirname, '../../background/auth-providers.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterAuth
+    StaticAuthProvider = exports.StaticAuthProvider
+    OAuth2ClientCredentialsProvider = exports.OAuth2ClientCredentialsProvider
+    AuthProviderError = exports.AuthProviderError
+    createAuthProvider = exports.createAuthProvider
+  })
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn() }
+    mockFetch = jest.fn().mockResolvedValue(tokenResponse({ access_token: 'token-1', token_type: 'bearer', expires_in: 300 }))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('createAuthProvider', () => {
+    test('should leave basic auth to the clients unless there are headers to add', async () => {
+      expect(createAuthProvider({ logger: mockLogger }, { type: 'basic', headers: {} })).toBeNull()
+      expect(createAuthProvider({ logger: mockLogger }, undefined)).toBeNull()
+
+      const provider = createAuthProvider({ logger: mockLogger }, { type: 'basic', headers: { 'X-Tenant': 't1' } })
+      expect(provider).toBeInstanceOf(StaticAuthProvider)
+      await expect(provider.getHeaders()).resolves.toEqual({ 'X-Tenant': 't1' })
+    })
+
+    test('should send a static bearer token with the extra headers', async () => {
+      const provider = createAuthProvider({ logger: mockLogger }, { type: 'bearer', token: 'abc', headers: { 'X-Tenant': 't1' } })
+
+      await expect(provider.getHeaders()).resolves.toEqual({ 'X-Tenant': 't1', Authorization: 'Bearer abc' })
+      expect(provider.getStats()).toEqual({ type: 'bearer', headers: ['X-Tenant', 'Authorization'] })
+    })
+
+    test('should create an OAuth2 client credentials provider', () => {
+      const provider = createAuthProvider({ logger: mockLogger, fetch: mockFetch }, oauth2)
+
+      expect(provider).toBeInstanceOf(OAuth2ClientCredentialsProvider)
+      expect(provider.scope).toBe('metrics.write')
+    })
+  })
+
+  describe('OAuth2ClientCredentialsProvider', () => {
+    let provider
+
+    beforeEach(() => {
+      provider = createAuthProvider({ logger: mockLogger, fetch: mockFetch }, oauth2)
+    })
+
+    test('should request a token with the client credentials grant', async () => {
+      await expect(provider.getHeaders()).resolves.toEqual({ 'X-Scope-OrgID': 'tenant-1', Authorization: 'Bearer token-1' })
+
+      const [url, request] = mockFetch.mock.calls[0]
+      expect(url).toBe('https://auth.example.com/oauth2/token')
+      expect(request.method).toBe('POST')
+      expect(request.body).toBe('grant_type=client_credentials&scope=metrics.write')
+      expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('exporter:s3cr%3Aet').toString('base64')}`)
+      expect(mockLogger.log).toHaveBeenCalledWith('Obtained access token from https://auth.example.com/oauth2/token, valid for 300s')
+    })
+
+    test('should reuse the token until it is about to expire', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000)
+      await provider.getHeaders()
+      await provider.getHeaders()
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+
+      // Less than the one minute refresh margin left
+      now.mockReturnValue(1000000 + 241000)
+      mockFetch.mockResolvedValueOnce(tokenResponse({ access_token: 'token-2', expires_in: 300 }))
+
+      await expect(provider.getHeaders()).resolves.toEqual(expect.objectContaining({ Authorization: 'Bearer token-2' }))
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+    })
+
+    test('should share one token request between concurrent requests', async () => {
+      const headers = await Promise.all([provider.getHeaders(), provider.getHeaders(), provider.getHeaders()])
+
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+      expect(headers.map(h => h.Authorization)).toEqual(['Bearer token-1', 'Bearer token-1', 'Bearer token-1'])
+    })
+
+    test('should request a new token after being invalidated', async () => {
+      await provider.getHeaders()
+      provider.invalidate()
+      await provider.getHeaders()
+
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+      expect(provider.getStats()).toEqual(expect.objectContaining({ type: 'oauth2', hasToken: true, tokenRequests: 2, tokenErrors: 0 }))
+    })
+
+    test('should keep a token without expiry until it is invalidated', async () => {
+      mockFetch.mockResolvedValueOnce(tokenResponse({ access_token: 'forever', token_type: 'MAC' }))
+
+      await expect(provider.getHeaders()).resolves.toEqual(expect.objectContaining({ Authorization: 'MAC forever' }))
+      expect(provider.getStats().tokenExpiresAt).toBe(Infinity)
+    })
+
+    test('should report a rejected client as a configuration error', async () => {
+      mockFetch.mockResolvedValueOnce(tokenResponse({ error: 'invalid_client', error_description: 'Client authentication failed' }, 400))
+
+      const error = await provider.getHeaders().catch(e => e)
+
+      expect(error).toBeInstanceOf(AuthProviderError)
+      expect(error.message).toBe('Token request failed: Client authentication failed')
+      expect(error.status).toBe(401)
+      expect(provider.getStats().tokenErrors).toBe(1)
+    })
+
+    test('should report unreachable token endpoints and responses without a token', async () => {
+      mockFetch.mockRejectedValueOnce(new Error('Failed to fetch'))
+      await expect(provider.getHeaders()).rejects.toThrow('Token request failed: Failed to fetch')
+
+      mockFetch.mockResolvedValueOnce(tokenResponse({ token_type: 'bearer' }))
+      await expect(provider.getHeaders()).rejects.toThrow(AuthProviderError)
+
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', json: jest.fn().mockRejectedValue(new Error('not json')) })
+      const error = await provider.getHeaders().catch(e => e)
+      expect(error.message).toBe('Token request failed: 503 Service Unavailable')
+      expect(error.status).toBe(503)
+    })
+  })
+})
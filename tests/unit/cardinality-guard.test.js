@@ -0,0 +1,126 @@
+/**
+ * Unit tests for CardinalityGuard module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('CardinalityGuard', () => {
+  let CardinalityGuard, CardinalityGuardError, createCardinalityGuard
+  let guard, mockLogger
+
+  const body = [
+    '# HELP inbound_rtp_jitter Packet jitter',
+    '# TYPE inbound_rtp_jitter gauge',
+    'inbound_rtp_jitter{pageUrl="https://example.com",id="A"} 0.01',
+    'inbound_rtp_jitter{pageUrl="https://example.com",id="B"} 0.02',
+    '# TYPE inbound_rtp_packetsLost gauge',
+    'inbound_rtp_packetsLost{pageUrl="https://example.com",id="C"} 3',
+    ''
+  ].join('\n')
+
+  beforeAll(() => {
+    // Load the cardinality guard module directly
+    const modulePath = path.join(__dirname, '../../background/cardinality-guard.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterCardinalityGuard
+    CardinalityGuard = exports.CardinalityGuard
+    CardinalityGuardError = exports.CardinalityGuardError
+    createCardinalityGuard = exports.createCardinalityGuard
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn()
+    }
+    guard = new CardinalityGuard(mockLogger)
+  })
+
+  afterEach(() => {
+    guard.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('normalizePageUrl', () => {
+    test('should drop query strings and fragments', () => {
+      expect(CardinalityGuard.normalizePageUrl('https://teams.microsoft.com/v2/?ctx=chat&token=abc#call'))
+        .toBe('https://teams.microsoft.com/v2/')
+      expect(CardinalityGuard.normalizePageUrl('https://example.com/?room=1')).toBe('https://example.com')
+    })
+
+    test('should template identifier path segments', () => {
+      expect(CardinalityGuard.normalizePageUrl('https://meet.google.com/abc-defg-hij?authuser=1'))
+        .toBe('https://meet.google.com/:id')
+      expect(CardinalityGuard.normalizePageUrl('https://app.example.com/calls/12345/room/550e8400-e29b-41d4-a716-446655440000'))
+        .toBe('https://app.example.com/calls/:id/room/:id')
+      expect(CardinalityGuard.normalizePageUrl('https://example.com/j/a1b2c3d4e5'))
+        .toBe('https://example.com/j/:id')
+    })
+
+    test('should keep descriptive path segments', () => {
+      expect(CardinalityGuard.normalizePageUrl('https://app.slack.com/client/huddle'))
+        .toBe('https://app.slack.com/client/huddle')
+    })
+
+    test('should return empty string for invalid URLs', () => {
+      expect(CardinalityGuard.normalizePageUrl('not a url')).toBe('')
+    })
+  })
+
+  describe('filterSeries', () => {
+    test('should pass data through within budget', () => {
+      expect(guard.filterSeries(body)).toBe(body)
+      expect(guard.getStats()).toEqual(expect.objectContaining({ activeSeries: 3, droppedSamples: 0 }))
+    })
+
+    test('should drop new series and their orphaned metadata over budget', () => {
+      const result = guard.filterSeries(body, { maxSeries: 2 })
+
+      expect(result).toContain('id="B"} 0.02')
+      expect(result).not.toContain('inbound_rtp_packetsLost')
+      expect(guard.getStats()).toEqual(expect.objectContaining({ activeSeries: 2, maxSeries: 2, droppedSamples: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('Series budget of 2 exceeded, dropping samples of new series until the window resets')
+    })
+
+    test('should keep series already seen in the window', () => {
+      guard.filterSeries(body, { maxSeries: 3 })
+
+      const result = guard.filterSeries(`${body}inbound_rtp_jitter{pageUrl="https://example.com",id="D"} 0.03\n`)
+
+      expect(result).toContain('id="C"} 3')
+      expect(result).not.toContain('id="D"')
+      expect(guard.getStats().droppedSamples).toBe(1)
+    })
+
+    test('should reset the budget when the window expires', () => {
+      jest.useFakeTimers()
+      guard.filterSeries(body, { maxSeries: 1, windowMs: 2000 })
+      expect(guard.getStats().droppedInWindow).toBe(2)
+
+      jest.advanceTimersByTime(2000)
+      guard.filterSeries('inbound_rtp_jitter{id="Z"} 1\n')
+
+      expect(guard.getStats()).toEqual(expect.objectContaining({ activeSeries: 1, droppedInWindow: 0, droppedSamples: 2 }))
+    })
+
+    test('should throw for invalid input', () => {
+      expect(() => guard.filterSeries(null)).toThrow(CardinalityGuardError)
+    })
+  })
+
+  describe('createCardinalityGuard', () => {
+    test('should create guard with dependencies and options', () => {
+      const created = createCardinalityGuard({ logger: mockLogger }, { maxSeries: 100, windowMs: 5000 })
+
+      expect(created).toBeInstanceOf(CardinalityGuard)
+      expect(created.logger).toBe(mockLogger)
+      expect(created.getStats()).toEqual(expect.objectContaining({ maxSeries: 100, windowMs: 5000 }))
+    })
+  })
+})
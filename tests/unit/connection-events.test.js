@@ -0,0 +1,194 @@
+/**
+ * Unit tests for ConnectionEventTracker module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('ConnectionEventTracker', () => {
+  let ConnectionEventTracker, ConnectionEventError, createConnectionEventTracker
+  let tracker, mockLogger
+
+  beforeAll(() => {
+    // Load the connection events module directly
+    const modulePath = path.join(__dirname, '../../background/connection-events.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterConnectionEvents
+    ConnectionEventTracker = exports.ConnectionEventTracker
+    ConnectionEventError = exports.ConnectionEventError
+    createConnectionEventTracker = exports.createConnectionEventTracker
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn()
+    }
+    tracker = new ConnectionEventTracker(mockLogger, { maxEventsPerConnection: 3 })
+  })
+
+  afterEach(() => {
+    tracker.destroy()
+  })
+
+  describe('recordEvents', () => {
+    test('should count events by type and state', () => {
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com/abc',
+        events: [
+          { type: 'iceconnectionstatechange', timestamp: 1000, state: 'checking' },
+          { type: 'iceconnectionstatechange', timestamp: 2000, state: 'disconnected' },
+          { type: 'iceconnectionstatechange', timestamp: 3000, state: 'disconnected' }
+        ]
+      })
+
+      expect(tracker.getCounters('conn-1')).toEqual([
+        { type: 'iceconnectionstatechange', state: 'checking', count: 1, lastTimestamp: 1000 },
+        { type: 'iceconnectionstatechange', state: 'disconnected', count: 2, lastTimestamp: 3000 }
+      ])
+    })
+
+    test('should key ice candidate errors by error code and tracks by kind', () => {
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com/abc',
+        events: [
+          { type: 'icecandidateerror', timestamp: 1000, errorCode: 701, errorText: 'STUN host lookup failed' },
+          { type: 'track', timestamp: 1100, kind: 'audio', trackId: 't1' },
+          { type: 'negotiationneeded', timestamp: 1200 }
+        ]
+      })
+
+      const counters = tracker.getCounters('conn-1')
+      expect(counters).toContainEqual({ type: 'icecandidateerror', state: '701', count: 1, lastTimestamp: 1000 })
+      expect(counters).toContainEqual({ type: 'track', state: 'audio', count: 1, lastTimestamp: 1100 })
+      expect(counters).toContainEqual({ type: 'negotiationneeded', state: '', count: 1, lastTimestamp: 1200 })
+    })
+
+    test('should reject unknown or malformed events', () => {
+      const recorded = tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com/abc',
+        events: [
+          { type: 'unknown', timestamp: 1000 },
+          { type: 'track' },
+          null,
+          { type: 'signalingstatechange', timestamp: 1000, state: 'stable', address: '10.0.0.1' }
+        ]
+      })
+
+      expect(recorded).toEqual([{ type: 'signalingstatechange', timestamp: 1000, state: 'stable' }])
+      expect(tracker.getStats()).toEqual(expect.objectContaining({ totalEvents: 1, rejectedEvents: 3 }))
+    })
+
+    test('should throw for invalid batches', () => {
+      expect(() => tracker.recordEvents({ id: '', events: [] })).toThrow(ConnectionEventError)
+      expect(() => tracker.recordEvents({ id: 'conn-1', events: 'nope' })).toThrow('Events must be an array')
+    })
+
+    test('should bound the event stream per connection', () => {
+      const events = [1, 2, 3, 4, 5].map(n => ({ type: 'negotiationneeded', timestamp: n }))
+
+      tracker.recordEvents({ id: 'conn-1', url: 'https://meet.google.com', events })
+
+      expect(tracker.getEvents('conn-1').map(e => e.timestamp)).toEqual([3, 4, 5])
+      expect(tracker.getCounters('conn-1')[0].count).toBe(5)
+    })
+  })
+
+  describe('getEvents', () => {
+    test('should filter events by timestamp', () => {
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        events: [
+          { type: 'connectionstatechange', timestamp: 1000, state: 'connecting' },
+          { type: 'connectionstatechange', timestamp: 2000, state: 'connected' }
+        ]
+      })
+
+      expect(tracker.getEvents('conn-1', 1000)).toEqual([
+        { type: 'connectionstatechange', timestamp: 2000, state: 'connected' }
+      ])
+    })
+
+    test('should return empty results for unknown connections', () => {
+      expect(tracker.getEvents('missing')).toEqual([])
+      expect(tracker.getCounters('missing')).toEqual([])
+    })
+  })
+
+  describe('onEvent', () => {
+    test('should stream recorded events to listeners', () => {
+      const listener = jest.fn()
+      const unsubscribe = tracker.onEvent(listener)
+
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        events: [{ type: 'iceconnectionstatechange', timestamp: 1000, state: 'failed' }]
+      })
+
+      expect(listener).toHaveBeenCalledWith({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        event: { type: 'iceconnectionstatechange', timestamp: 1000, state: 'failed' }
+      })
+
+      unsubscribe()
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        events: [{ type: 'negotiationneeded', timestamp: 2000 }]
+      })
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+
+    test('should isolate listener errors', () => {
+      tracker.onEvent(() => {
+        throw new Error('listener failed')
+      })
+
+      expect(() => tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        events: [{ type: 'negotiationneeded', timestamp: 1000 }]
+      })).not.toThrow()
+      expect(mockLogger.log).toHaveBeenCalledWith('Error in connection event listener: listener failed')
+    })
+
+    test('should reject non-function listeners', () => {
+      expect(() => tracker.onEvent('nope')).toThrow('Listener must be a function')
+    })
+  })
+
+  describe('removeConnection', () => {
+    test('should forget connection state', () => {
+      tracker.recordEvents({
+        id: 'conn-1',
+        url: 'https://meet.google.com',
+        events: [{ type: 'negotiationneeded', timestamp: 1000 }]
+      })
+
+      expect(tracker.removeConnection('conn-1')).toBe(true)
+      expect(tracker.getCounters('conn-1')).toEqual([])
+      expect(tracker.removeConnection('conn-1')).toBe(false)
+    })
+  })
+
+  describe('createConnectionEventTracker', () => {
+    test('should create tracker with dependencies', () => {
+      const created = createConnectionEventTracker({ logger: mockLogger })
+
+      expect(created).toBeInstanceOf(ConnectionEventTracker)
+      expect(created.logger).toBe(mockLogger)
+      expect(created.maxEventsPerConnection).toBe(100)
+    })
+  })
+})
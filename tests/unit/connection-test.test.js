@@ -0,0 +1,146 @@
+/**
+ * Unit tests for ConnectionTest module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('ConnectionTester', () => {
+  let ConnectionTester, ConnectionTestError, createConnectionTester, createConnectionTestHandler
+  let tester, mockLogger, client, authProvider, authProviderFactory, secretStore, permissions
+
+  const options = { url: 'http://pushgateway:9091/', username: 'user', auth: { type: 'basic', headers: {} }, job: 'webrtc', gzip: true }
+
+  const httpError = (message, status) => Object.assign(new Error(message), { status })
+
+  beforeAll(() => {
+    // Load the connection test module directly
+    const modulePath = path.join(__dirname, '../../background/connection-test.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterConnectionTest
+    ConnectionTester = exports.ConnectionTester
+    ConnectionTestError = exports.ConnectionTestError
+    createConnectionTester = exports.createConnectionTester
+    createConnectionTestHandler = exports.createConnectionTestHandler
+  })
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn() }
+    client = {
+      probeEndpoint: jest.fn().mockResolvedValue({ status: 200, statusText: 'OK', latency: 5 }),
+      sendMetrics: jest.fn(async ({ statsCallback }) => statsCallback({ success: true, status: 200 })),
+      deleteMetrics: jest.fn(async ({ statsCallback }) => statsCallback({ success: true, status: 202 })),
+      setAuthProvider: jest.fn()
+    }
+    authProvider = { destroy: jest.fn() }
+    authProviderFactory = jest.fn().mockReturnValue(authProvider)
+    secretStore = { resolveOptions: jest.fn(async (resolved) => ({ ...resolved, password: 'decrypted' })) }
+    permissions = { contains: jest.fn().mockResolvedValue(true) }
+    tester = createConnectionTester({ logger: mockLogger, createClient: () => client, authProviderFactory, secretStore, permissions })
+  })
+
+  describe('run', () => {
+    test('should probe, push a test metric and delete it with the configured credentials', async () => {
+      const report = await tester.run(options, { password: 'typed' })
+
+      expect(report).toEqual({
+        ok: true,
+        url: 'http://pushgateway:9091',
+        hostPermission: true,
+        duration: expect.any(Number),
+        steps: [
+          expect.objectContaining({ name: 'health', ok: true, status: 200, statusText: 'OK', path: '/-/healthy', latency: expect.any(Number) }),
+          expect.objectContaining({ name: 'push', ok: true, status: 200 }),
+          expect.objectContaining({ name: 'delete', ok: true, status: 202 })
+        ]
+      })
+      expect(secretStore.resolveOptions).toHaveBeenCalledWith(options, { password: 'typed' })
+      expect(permissions.contains).toHaveBeenCalledWith({ origins: ['http://pushgateway:9091/*'] })
+      expect(client.probeEndpoint).toHaveBeenCalledWith('http://pushgateway:9091', '/-/healthy', { username: 'user', password: 'decrypted' })
+
+      const [push] = client.sendMetrics.mock.calls[0]
+      expect(push).toEqual(expect.objectContaining({ url: 'http://pushgateway:9091', job: 'webrtc', username: 'user', password: 'decrypted', gzip: true, data: ConnectionTester.TEST_METRIC }))
+      expect(push.id).toMatch(/^connection-test-/)
+      expect(client.deleteMetrics).toHaveBeenCalledWith(expect.objectContaining({ id: push.id, job: 'webrtc' }))
+
+      expect(authProviderFactory).toHaveBeenCalledWith({ logger: mockLogger }, options.auth)
+      expect(client.setAuthProvider).toHaveBeenCalledWith(authProvider)
+      expect(authProvider.destroy).toHaveBeenCalled()
+      expect(mockLogger.log).toHaveBeenCalledWith('Connection test of http://pushgateway:9091 passed: health 200, push 200, delete 202')
+    })
+
+    test('should fall back to /-/ready when /-/healthy is not routed', async () => {
+      client.probeEndpoint.mockResolvedValueOnce({ status: 404, statusText: 'Not Found' })
+
+      const report = await tester.run(options)
+
+      expect(client.probeEndpoint).toHaveBeenLastCalledWith('http://pushgateway:9091', '/-/ready', expect.any(Object))
+      expect(report.steps[0]).toEqual(expect.objectContaining({ ok: true, path: '/-/ready' }))
+    })
+
+    test('should report rejected credentials and skip the cleanup', async () => {
+      client.probeEndpoint.mockResolvedValue({ status: 401, statusText: 'Unauthorized' })
+      client.sendMetrics.mockRejectedValue(httpError('Pushgateway request failed: 401 Unauthorized', 401))
+
+      const report = await tester.run(options)
+
+      expect(report.ok).toBe(false)
+      expect(report.steps.map(step => [step.name, step.ok, step.skipped, step.problem])).toEqual([
+        ['health', false, false, 'auth'],
+        ['push', false, false, 'auth'],
+        ['delete', false, true, null]
+      ])
+      expect(report.steps[1].message).toBe('Pushgateway request failed: 401 Unauthorized')
+      expect(tester.getStats()).toEqual({ tests: 1, failedTests: 1 })
+    })
+
+    test('should report a blocked request without host permission and skip the push', async () => {
+      permissions.contains.mockResolvedValue(false)
+      client.probeEndpoint.mockRejectedValue(httpError('Network request failed: Failed to fetch', 0))
+
+      const report = await tester.run({ ...options, url: 'https://pushgateway.example.com' })
+
+      expect(report.hostPermission).toBe(false)
+      expect(report.steps[0].problem).toBe('host_permission')
+      expect(report.steps.slice(1).every(step => step.skipped)).toBe(true)
+      expect(client.sendMetrics).not.toHaveBeenCalled()
+    })
+
+    test('should treat a failed token request as an authentication problem', () => {
+      expect(ConnectionTester.classifyProblem(new Error('Authentication failed: Token request failed: Failed to fetch'), true)).toBe('auth')
+      expect(ConnectionTester.classifyProblem(httpError('Network request failed', 0), true)).toBe('network_error')
+      expect(ConnectionTester.classifyProblem(httpError('Bad Request', 400), true)).toBe('rejected')
+      expect(ConnectionTester.classifyProblem(httpError('Service Unavailable', 503), true)).toBe('throttled')
+      expect(ConnectionTester.classifyProblem(httpError('Bad Gateway', 502), null)).toBe('server_error')
+    })
+
+    test('should reject URLs that are not http(s)', async () => {
+      await expect(tester.run({ url: '' })).rejects.toThrow(ConnectionTestError)
+      await expect(tester.run({ url: 'ftp://pushgateway' })).rejects.toThrow('Enter an http(s) Pushgateway URL to test')
+      expect(tester.getStats().tests).toBe(0)
+    })
+  })
+
+  describe('createConnectionTestHandler', () => {
+    test('should only run tests for extension pages', async () => {
+      const handler = createConnectionTestHandler(tester, 'chrome-extension://abc/')
+
+      await expect(handler({ options }, { url: 'https://meet.google.com/xyz' })).rejects.toThrow('Connection tests can only be started from the options page')
+
+      const { report } = await handler({ options, secrets: {} }, { url: 'chrome-extension://abc/options.html' })
+      expect(report.ok).toBe(true)
+    })
+  })
+
+  describe('createConnectionTester', () => {
+    test('should require a client factory', () => {
+      expect(() => createConnectionTester({ logger: mockLogger })).toThrow(ConnectionTestError)
+    })
+  })
+})
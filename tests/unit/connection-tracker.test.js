@@ -65,6 +65,36 @@ describe('ConnectionTracker', () => {
   })
 
   describe('setPeerConnectionLastUpdate', () => {
+    test('should store the grouping key the connection was pushed to', async () => {
+      const groupingKey = { job: 'webrtc', agent_id: 'agent-1', peerConnectionId: 'conn-1' }
+      const timestamp = Date.now()
+
+      mockStorageManager.getLocal.mockResolvedValue({})
+      mockStorageManager.setLocal.mockResolvedValue()
+
+      await tracker.setPeerConnectionLastUpdate({ id: 'conn-1', origin: 'https://meet.google.com', groupingKey }, timestamp)
+
+      expect(mockStorageManager.setLocal).toHaveBeenCalledWith({
+        peerConnectionsLastUpdate: {
+          'conn-1': { origin: 'https://meet.google.com', lastUpdate: timestamp, groupingKey }
+        }
+      })
+    })
+
+    test('should report whether the update started tracking the connection', async () => {
+      const connection = { id: 'conn-1', origin: 'https://teams.microsoft.com' }
+      mockStorageManager.setLocal.mockResolvedValue()
+
+      mockStorageManager.getLocal.mockResolvedValue({})
+      await expect(tracker.setPeerConnectionLastUpdate(connection, 1000)).resolves.toBe(true)
+
+      mockStorageManager.getLocal.mockResolvedValue({
+        peerConnectionsLastUpdate: { 'conn-1': { origin: 'https://teams.microsoft.com', lastUpdate: 1000 } }
+      })
+      await expect(tracker.setPeerConnectionLastUpdate(connection, 2000)).resolves.toBe(false)
+      await expect(tracker.setPeerConnectionLastUpdate(connection, 0)).resolves.toBe(false)
+    })
+
     test('should add new connection', async () => {
       const connection = { id: 'conn-1', origin: 'https://teams.microsoft.com' }
       const timestamp = Date.now()
@@ -256,6 +286,49 @@ describe('ConnectionTracker', () => {
     })
   })
 
+  describe('getGroupingKey', () => {
+    test('should return the stored grouping key', async () => {
+      const groupingKey = { job: 'webrtc', peerConnectionId: 'conn-1' }
+      mockStorageManager.getLocal.mockResolvedValue({
+        peerConnectionsLastUpdate: {
+          'conn-1': { origin: 'https://meet.google.com', lastUpdate: Date.now(), groupingKey }
+        }
+      })
+
+      expect(await tracker.getGroupingKey('conn-1')).toEqual(groupingKey)
+      expect(await tracker.getGroupingKey('conn-2')).toBeNull()
+    })
+
+    test('should return null when storage fails', async () => {
+      mockStorageManager.getLocal.mockRejectedValue(new Error('Storage error'))
+
+      expect(await tracker.getGroupingKey('conn-1')).toBeNull()
+    })
+  })
+
+  describe('getConnectionsByGroupingKey', () => {
+    test('should return the other connections pushed to the same group', async () => {
+      const shared = { job: 'webrtc', agent_id: 'agent-1' }
+      mockStorageManager.getLocal.mockResolvedValue({
+        peerConnectionsLastUpdate: {
+          'conn-1': { origin: 'https://meet.google.com', lastUpdate: Date.now(), groupingKey: shared },
+          'conn-2': { origin: 'https://meet.google.com', lastUpdate: Date.now(), groupingKey: { ...shared } },
+          'conn-3': { origin: 'https://meet.google.com', lastUpdate: Date.now(), groupingKey: { job: 'webrtc', peerConnectionId: 'conn-3' } },
+          'conn-4': { origin: 'https://meet.google.com', lastUpdate: Date.now() }
+        }
+      })
+
+      expect(await tracker.getConnectionsByGroupingKey(shared, 'conn-1')).toEqual(['conn-2'])
+      expect(await tracker.getConnectionsByGroupingKey({ job: 'webrtc', peerConnectionId: 'conn-3' }, 'conn-3')).toEqual([])
+    })
+
+    test('should return no connections when storage fails', async () => {
+      mockStorageManager.getLocal.mockRejectedValue(new Error('Storage error'))
+
+      expect(await tracker.getConnectionsByGroupingKey({ job: 'webrtc' })).toEqual([])
+    })
+  })
+
   describe('cleanupStaleConnections', () => {
     test('should identify and cleanup stale connections', async () => {
       const now = Date.now()
@@ -283,7 +356,8 @@ describe('ConnectionTracker', () => {
       })
       expect(mockCleanupCallback).toHaveBeenCalledWith({
         id: 'stale-conn',
-        origin: 'https://teams.microsoft.com'
+        origin: 'https://teams.microsoft.com',
+        staleDuration: expect.any(Number)
       })
       expect(mockLogger.log).toHaveBeenCalledWith(
         expect.stringContaining('Removing stale peer connection: stale-conn https://teams.microsoft.com')
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for EndpointFailover module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('EndpointFailover', () => {
+  let EndpointFailover, createEndpointFailover
+  let failover, mockLogger, checkHealth
+
+  const endpoints = ['http://dc1:9091', 'http://dc2:9091', 'http://dc3:9091']
+
+  beforeAll(() => {
+    // Load the endpoint failover module directly
+    const modulePath = path.join(__dirname, '../../background/endpoint-failover.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterEndpointFailover
+    EndpointFailover = exports.EndpointFailover
+    createEndpointFailover = exports.createEndpointFailover
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    mockLogger = { log: jest.fn() }
+    checkHealth = jest.fn().mockResolvedValue(true)
+    failover = createEndpointFailover({ logger: mockLogger, checkHealth }, { endpoints, probeInterval: 1000 })
+  })
+
+  afterEach(() => {
+    failover.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('getActiveEndpoint', () => {
+    test('should start on the first endpoint without probing', () => {
+      expect(failover.getActiveEndpoint()).toBe('http://dc1:9091')
+      expect(failover.isFailedOver()).toBe(false)
+      expect(failover.probeTimer).toBeNull()
+    })
+
+    test('should ignore empty and duplicate URLs', () => {
+      failover.setEndpoints(['', 'http://dc1:9091', 'http://dc1:9091', 'http://dc2:9091'])
+
+      expect(failover.getStats().endpoints.map(endpoint => endpoint.url)).toEqual(['http://dc1:9091', 'http://dc2:9091'])
+    })
+  })
+
+  describe('failover', () => {
+    test('should switch to the next healthy endpoint and notify listeners', () => {
+      const listener = jest.fn()
+      failover.onChange(listener)
+
+      expect(failover.failover('failing')).toBe(true)
+
+      expect(failover.getActiveEndpoint()).toBe('http://dc2:9091')
+      expect(listener).toHaveBeenCalledWith({ url: 'http://dc2:9091', previousUrl: 'http://dc1:9091', reason: 'failover', failedOver: true })
+      expect(failover.getStats()).toEqual(expect.objectContaining({ failovers: 1, activeEndpoint: 'http://dc2:9091' }))
+      expect(failover.getStats().endpoints[0]).toEqual(expect.objectContaining({ healthy: false, consecutiveFailures: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('Endpoint http://dc1:9091 is failing, failing over to http://dc2:9091')
+    })
+
+    test('should stay on the active endpoint when no other endpoint is healthy', () => {
+      failover.failover()
+      failover.failover()
+      failover.failover()
+
+      expect(failover.failover()).toBe(false)
+      expect(failover.getActiveEndpoint()).toBe('http://dc3:9091')
+    })
+
+    test('should not fail over with a single endpoint', () => {
+      failover.setEndpoints(['http://dc1:9091'])
+
+      expect(failover.failover()).toBe(false)
+      expect(failover.getActiveEndpoint()).toBe('http://dc1:9091')
+    })
+  })
+
+  describe('probe', () => {
+    test('should fail back to the preferred endpoint once it is healthy again', async () => {
+      const listener = jest.fn()
+      checkHealth.mockResolvedValueOnce(false)
+      failover.failover()
+      failover.onChange(listener)
+
+      await expect(failover.probe()).resolves.toBe('http://dc2:9091')
+      expect(listener).not.toHaveBeenCalled()
+
+      await expect(failover.probe()).resolves.toBe('http://dc1:9091')
+      expect(checkHealth).toHaveBeenCalledWith('http://dc1:9091')
+      expect(listener).toHaveBeenCalledWith({ url: 'http://dc1:9091', previousUrl: 'http://dc2:9091', reason: 'failback', failedOver: false })
+      expect(failover.getStats()).toEqual(expect.objectContaining({ failbacks: 1, probes: 2 }))
+    })
+
+    test('should probe periodically while failed over and stop after failing back', async () => {
+      failover.failover()
+      expect(failover.probeTimer).not.toBeNull()
+
+      jest.advanceTimersByTime(1000)
+      await failover.probing
+
+      expect(checkHealth).toHaveBeenCalledWith('http://dc1:9091')
+      expect(failover.getActiveEndpoint()).toBe('http://dc1:9091')
+      expect(failover.probeTimer).toBeNull()
+    })
+
+    test('should fail over to a recovered endpoint when the active one is down', async () => {
+      failover.failover()
+      failover.failover()
+      failover.failover()
+      checkHealth.mockImplementation(async url => url === 'http://dc3:9091')
+
+      await expect(failover.probe()).resolves.toBe('http://dc3:9091')
+
+      checkHealth.mockImplementation(async url => url === 'http://dc2:9091')
+      await expect(failover.probe()).resolves.toBe('http://dc2:9091')
+    })
+
+    test('should treat a throwing health check as unhealthy', async () => {
+      failover.failover()
+      checkHealth.mockRejectedValue(new Error('timeout'))
+
+      await expect(failover.probe()).resolves.toBe('http://dc2:9091')
+      expect(mockLogger.log).toHaveBeenCalledWith('Probe of http://dc1:9091 failed: timeout')
+    })
+
+    test('should not probe without a health check', async () => {
+      const unprobed = new EndpointFailover(mockLogger, { endpoints })
+      unprobed.failover()
+
+      expect(unprobed.probeTimer).toBeNull()
+      await expect(unprobed.probe()).resolves.toBe('http://dc2:9091')
+      unprobed.destroy()
+    })
+  })
+
+  describe('recordSuccess', () => {
+    test('should mark the active endpoint healthy', () => {
+      failover.failover()
+      failover.failover()
+      failover.recordSuccess()
+
+      expect(failover.getStats().endpoints[2]).toEqual(expect.objectContaining({ healthy: true, consecutiveFailures: 0, lastSuccess: expect.any(Number) }))
+    })
+  })
+
+  describe('setEndpoints', () => {
+    test('should keep the active endpoint and its health when it is still listed', () => {
+      failover.failover()
+
+      failover.setEndpoints(['http://dc2:9091', 'http://dc1:9091'])
+
+      expect(failover.getActiveEndpoint()).toBe('http://dc2:9091')
+      expect(failover.getStats().endpoints[1].healthy).toBe(false)
+    })
+
+    test('should move to the first endpoint when the active one is removed', () => {
+      const listener = jest.fn()
+      failover.failover()
+      failover.onChange(listener)
+
+      failover.setEndpoints(['http://dc1:9091', 'http://dc3:9091'])
+
+      expect(failover.getActiveEndpoint()).toBe('http://dc1:9091')
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ url: 'http://dc1:9091', previousUrl: 'http://dc2:9091', reason: 'reconfigured' }))
+    })
+  })
+
+  describe('onChange', () => {
+    test('should reject non-function listeners and survive throwing ones', () => {
+      expect(() => failover.onChange('nope')).toThrow('Listener must be a function')
+
+      const listener = jest.fn()
+      failover.onChange(() => { throw new Error('listener failed') })
+      failover.onChange(listener)
+      failover.failover()
+
+      expect(listener).toHaveBeenCalled()
+      expect(mockLogger.log).toHaveBeenCalledWith('Error in endpoint change listener: listener failed')
+    })
+  })
+})
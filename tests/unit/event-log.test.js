@@ -0,0 +1,210 @@
+/**
+ * Unit tests for EventLog module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('EventLogPipeline', () => {
+  let EventLogPipeline, EventLogError, createEventLogPipeline
+  let pipeline, mockClient, mockLogger
+
+  const options = {
+    lokiUrl: 'http://loki:3100',
+    lokiUsername: 'user',
+    lokiPassword: 'pass',
+    job: 'webrtc',
+    agentId: 'agent-7',
+    staticLabels: { site: 'lisbon' }
+  }
+
+  beforeAll(() => {
+    // Load the event log module directly
+    const modulePath = path.join(__dirname, '../../background/event-log.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterEventLog
+    EventLogPipeline = exports.EventLogPipeline
+    EventLogError = exports.EventLogError
+    createEventLogPipeline = exports.createEventLogPipeline
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    mockLogger = { log: jest.fn() }
+    mockClient = { sendDataWithRetry: jest.fn().mockResolvedValue('') }
+    pipeline = createEventLogPipeline({
+      logger: mockLogger,
+      client: mockClient,
+      resolveGroupingKey: ({ id }) => ({ job: 'webrtc', peerConnectionId: id })
+    }, { maxBufferSize: 3 })
+    pipeline.updateOptions(options)
+  })
+
+  afterEach(() => {
+    pipeline.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('record', () => {
+    test('should label events like the metrics of the connection', () => {
+      const entry = pipeline.record('connection_new', { id: 'pc-1', origin: 'https://example.com', timestamp: 1000 })
+
+      expect(entry).toEqual({
+        labels: { job: 'webrtc', agent_id: 'agent-7', site: 'lisbon', peerConnectionId: 'pc-1' },
+        timestamp: 1000,
+        line: JSON.stringify({ event: 'connection_new', peerConnectionId: 'pc-1', origin: 'https://example.com' })
+      })
+    })
+
+    test('should prefer the grouping key the connection was pushed to', () => {
+      const groupingKey = { job: 'old-job', peerConnectionId: 'pc-1' }
+
+      expect(pipeline.record('connection_closed', { id: 'pc-1', groupingKey }).labels)
+        .toEqual({ job: 'old-job', agent_id: 'agent-7', site: 'lisbon', peerConnectionId: 'pc-1' })
+    })
+
+    test('should do nothing without a Loki URL', () => {
+      pipeline.updateOptions({ ...options, lokiUrl: '' })
+
+      expect(pipeline.record('connection_new', { id: 'pc-1' })).toBeNull()
+      expect(pipeline.getStats()).toEqual(expect.objectContaining({ enabled: false, recordedEvents: 0 }))
+    })
+
+    test('should drop the oldest events beyond the buffer size', () => {
+      for (let i = 0; i < 5; i++) {
+        pipeline.record('connection_new', { id: `pc-${i}` })
+      }
+
+      expect(pipeline.buffer.map(entry => JSON.parse(entry.line).peerConnectionId)).toEqual(['pc-2', 'pc-3', 'pc-4'])
+      expect(pipeline.getStats().droppedEvents).toBe(2)
+    })
+  })
+
+  describe('recordConnectionEvent', () => {
+    test('should log state changes from the connection event stream', () => {
+      const entry = pipeline.recordConnectionEvent({
+        id: 'pc-1',
+        url: 'https://example.com/room?x=1',
+        event: { type: 'iceconnectionstatechange', state: 'disconnected', timestamp: 2000 }
+      })
+
+      expect(entry.timestamp).toBe(2000)
+      expect(JSON.parse(entry.line)).toEqual({
+        event: 'state_change',
+        peerConnectionId: 'pc-1',
+        origin: 'https://example.com',
+        eventType: 'iceconnectionstatechange',
+        state: 'disconnected'
+      })
+    })
+
+    test('should ignore events that are not state changes', () => {
+      expect(pipeline.recordConnectionEvent({ id: 'pc-1', url: 'https://example.com', event: { type: 'track', timestamp: 1 } })).toBeNull()
+    })
+  })
+
+  describe('recordCircuitStateChange', () => {
+    test('should log circuit breaker trips without connection labels', () => {
+      const entry = pipeline.recordCircuitStateChange({
+        sink: 'primary',
+        name: 'Pushgateway',
+        type: 'pushgateway',
+        state: 'OPEN',
+        previousState: 'CLOSED',
+        consecutiveFailures: 5,
+        queueSize: 0
+      })
+
+      expect(entry.labels).toEqual({ job: 'webrtc', agent_id: 'agent-7', site: 'lisbon' })
+      expect(JSON.parse(entry.line)).toEqual({
+        event: 'circuit_open',
+        sink: 'primary',
+        sinkName: 'Pushgateway',
+        sinkType: 'pushgateway',
+        state: 'OPEN',
+        previousState: 'CLOSED',
+        consecutiveFailures: 5,
+        queueSize: 0
+      })
+    })
+  })
+
+  describe('flush', () => {
+    test('should push buffered events as streams after the flush interval', async () => {
+      pipeline.record('connection_new', { id: 'pc-1', timestamp: 2000 })
+      pipeline.record('connection_new', { id: 'pc-2', timestamp: 1500 })
+      pipeline.record('connection_closed', { id: 'pc-1', timestamp: 1000 })
+
+      jest.advanceTimersByTime(EventLogPipeline.DEFAULT_FLUSH_INTERVAL)
+      // The scheduled flush is still pending, so this joins it
+      await expect(pipeline.flush()).resolves.toBe(3)
+
+      expect(mockClient.sendDataWithRetry).toHaveBeenCalledTimes(1)
+      const [request, maxRetries] = mockClient.sendDataWithRetry.mock.calls[0]
+      expect(maxRetries).toBe(2)
+      expect(request).toEqual({
+        url: 'http://loki:3100',
+        username: 'user',
+        password: 'pass',
+        streams: [
+          {
+            stream: { job: 'webrtc', agent_id: 'agent-7', site: 'lisbon', peerConnectionId: 'pc-1' },
+            values: [
+              ['1000000000', expect.stringContaining('connection_closed')],
+              ['2000000000', expect.stringContaining('connection_new')]
+            ]
+          },
+          {
+            stream: { job: 'webrtc', agent_id: 'agent-7', site: 'lisbon', peerConnectionId: 'pc-2' },
+            values: [['1500000000', expect.stringContaining('connection_new')]]
+          }
+        ]
+      })
+      expect(pipeline.getStats()).toEqual(expect.objectContaining({ pushedEvents: 3, bufferedEvents: 0 }))
+    })
+
+    test('should use the Loki password from the secret store', async () => {
+      const secretStore = { getSecrets: jest.fn().mockResolvedValue({ lokiPassword: 'decrypted' }) }
+      pipeline.destroy()
+      pipeline = createEventLogPipeline({ logger: mockLogger, client: mockClient, secretStore })
+      pipeline.updateOptions({ ...options, lokiPassword: '' })
+      pipeline.record('connection_new', { id: 'pc-1' })
+
+      await pipeline.flush()
+
+      expect(mockClient.sendDataWithRetry).toHaveBeenCalledWith(expect.objectContaining({ username: 'user', password: 'decrypted' }), 2, expect.any(Number))
+    })
+
+    test('should keep events for the next flush when Loki is unreachable', async () => {
+      mockClient.sendDataWithRetry.mockRejectedValueOnce(new Error('Network error'))
+      pipeline.record('connection_new', { id: 'pc-1' })
+
+      await expect(pipeline.flush()).resolves.toBe(0)
+      expect(pipeline.getStats()).toEqual(expect.objectContaining({ bufferedEvents: 1, failedPushes: 1 }))
+
+      await expect(pipeline.flush()).resolves.toBe(1)
+    })
+
+    test('should drop batches Loki rejects', async () => {
+      mockClient.sendDataWithRetry.mockRejectedValueOnce(Object.assign(new Error('Loki push failed: 400 Bad Request'), { status: 400, isRetryable: () => false }))
+      pipeline.record('connection_new', { id: 'pc-1' })
+
+      await pipeline.flush()
+
+      expect(pipeline.getStats()).toEqual(expect.objectContaining({ bufferedEvents: 0, droppedEvents: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('Event log push rejected, dropped 1 events: Loki push failed: 400 Bad Request')
+    })
+  })
+
+  describe('createEventLogPipeline', () => {
+    test('should require a client', () => {
+      expect(() => createEventLogPipeline({ logger: mockLogger })).toThrow(EventLogError)
+    })
+  })
+})
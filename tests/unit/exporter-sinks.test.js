@@ -0,0 +1,439 @@
+/**
+ * Unit tests for ExporterSinks module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('ExporterSinkManager', () => {
+  let ExporterSinkManager, ExporterSinkError, createExporterSinkManager
+  let manager, mockLogger, mockStatsCallback, circuitBreakerFactory, clients, sinkType
+
+  const options = {
+    url: 'http://primary:9091',
+    username: 'user',
+    password: 'pass',
+    gzip: true,
+    job: 'webrtc',
+    metricsFormat: 'openmetrics',
+    sinks: [{ id: 'migration', name: 'Migration', url: 'http://secondary:9091' }]
+  }
+
+  beforeAll(() => {
+    // Load the exporter sinks module directly
+    const modulePath = path.join(__dirname, '../../background/exporter-sinks.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterSinks
+    ExporterSinkManager = exports.ExporterSinkManager
+    ExporterSinkError = exports.ExporterSinkError
+    createExporterSinkManager = exports.createExporterSinkManager
+  })
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn() }
+    mockStatsCallback = jest.fn()
+    clients = []
+    sinkType = {
+      createClient: jest.fn(() => {
+        const client = {
+          sendData: jest.fn().mockResolvedValue('ok'),
+          sendDataWithRetry: jest.fn().mockResolvedValue('ok after retry'),
+          setNetworkCircuitBreaker: jest.fn(),
+          getStats: jest.fn().mockReturnValue({ requestCount: 1 })
+        }
+        clients.push(client)
+        return client
+      }),
+      buildRequest: jest.fn((sink, context) => ({ url: sink.url, ...context }))
+    }
+    circuitBreakerFactory = jest.fn(() => ({ destroy: jest.fn(), clearQueue: jest.fn(), setQueuePolicy: jest.fn() }))
+
+    manager = createExporterSinkManager({ logger: mockLogger, statsCallback: mockStatsCallback, circuitBreakerFactory })
+    manager.registerSinkType('pushgateway', sinkType)
+  })
+
+  afterEach(() => {
+    manager.destroy()
+  })
+
+  describe('resolveSinks', () => {
+    test('should build the primary sink from the main Pushgateway options', () => {
+      const [primary, migration] = ExporterSinkManager.resolveSinks(options)
+
+      expect(primary).toEqual({
+        id: 'primary',
+        name: 'Pushgateway',
+        type: 'pushgateway',
+        enabled: true,
+        url: 'http://primary:9091',
+        failoverUrls: undefined,
+        username: 'user',
+        password: 'pass',
+        auth: undefined,
+        gzip: true,
+        retry: { maxRetries: 0, baseDelay: 1000 }
+      })
+      expect(migration).toEqual(expect.objectContaining({ id: 'migration', type: 'pushgateway', enabled: true }))
+    })
+
+    test('should disable the primary sink without a URL', () => {
+      expect(ExporterSinkManager.resolveSinks({ url: '' })[0].enabled).toBe(false)
+    })
+  })
+
+  describe('send', () => {
+    test('should send to every enabled sink through its own client and circuit breaker', async () => {
+      const outcomes = await manager.send('POST', { id: 'pc-1', origin: 'https://example.com', data: 'metrics', groupingKey: { job: 'webrtc' } }, options)
+
+      expect(outcomes).toEqual([{ sink: 'primary', result: 'ok' }, { sink: 'migration', result: 'ok' }])
+      expect(clients).toHaveLength(2)
+      expect(circuitBreakerFactory).toHaveBeenCalledTimes(2)
+      expect(clients[0].setNetworkCircuitBreaker).toHaveBeenCalledWith(circuitBreakerFactory.mock.results[0].value)
+      expect(sinkType.buildRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'migration', url: 'http://secondary:9091' }),
+        {
+          method: 'POST',
+          id: 'pc-1',
+          origin: 'https://example.com',
+          data: 'metrics',
+          groupingKey: { job: 'webrtc' },
+          job: 'webrtc',
+          agentId: undefined,
+          format: 'openmetrics',
+          statsCallback: mockStatsCallback
+        }
+      )
+    })
+
+    test('should mark every request of a split batched push with its part', async () => {
+      sinkType.buildRequest.mockImplementation((sink, { data }) => ({ url: sink.url, data }))
+
+      await manager.send('POST', { id: 'pc-1,pc-2', data: 'b 1', groupingKey: { job: 'webrtc' }, batchPart: 1 }, options)
+      await manager.send('POST', { id: 'pc-1,pc-2', data: 'a 1', groupingKey: { job: 'webrtc' }, batchPart: 0 }, options)
+
+      expect(clients[0].sendData).toHaveBeenNthCalledWith(1, { url: 'http://primary:9091', data: 'b 1', batchPart: 1 })
+      expect(clients[0].sendData).toHaveBeenNthCalledWith(2, { url: 'http://primary:9091', data: 'a 1' })
+    })
+
+    test('should reuse sink clients across pushes', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, options)
+
+      expect(sinkType.createClient).toHaveBeenCalledTimes(2)
+      expect(clients[1].sendData).toHaveBeenCalledTimes(2)
+    })
+
+    test('should skip disabled sinks and destroy removed ones', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+      const migrationBreaker = circuitBreakerFactory.mock.results[1].value
+
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, { ...options, sinks: [{ ...options.sinks[0], enabled: false }] })
+      expect(clients[1].sendData).toHaveBeenCalledTimes(1)
+      expect(migrationBreaker.destroy).not.toHaveBeenCalled()
+
+      await manager.send('POST', { id: 'pc-1', data: 'c' }, { ...options, sinks: [] })
+      expect(migrationBreaker.clearQueue).toHaveBeenCalled()
+      expect(migrationBreaker.destroy).toHaveBeenCalled()
+      expect(Object.keys(manager.getStats().sinks)).toEqual(['primary'])
+    })
+
+    test('should give each circuit breaker the queue policy of its sink or sink type', async () => {
+      manager.registerSinkType('pushgateway', { ...sinkType, queuePolicy: 'latest_per_key' })
+      const sinks = [{ ...options.sinks[0], queuePolicy: 'fifo' }]
+
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, { ...options, sinks })
+      expect(circuitBreakerFactory.mock.calls[0][1]).toEqual(expect.objectContaining({ queueName: 'primary', queuePolicy: 'latest_per_key' }))
+      expect(circuitBreakerFactory.mock.calls[1][1]).toEqual(expect.objectContaining({ queueName: 'migration', queuePolicy: 'fifo' }))
+
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, { ...options, sinks: [{ ...sinks[0], queuePolicy: 'drop_oldest' }] })
+      expect(circuitBreakerFactory.mock.results[1].value.setQueuePolicy).toHaveBeenCalledWith('drop_oldest')
+    })
+
+    test('should apply the retry policy of the sink', async () => {
+      const sinks = [{ ...options.sinks[0], retry: { maxRetries: 2 } }]
+
+      const outcomes = await manager.send('POST', { id: 'pc-1', data: 'a' }, { ...options, sinks })
+
+      expect(clients[1].sendDataWithRetry).toHaveBeenCalledWith(expect.any(Object), 2, 1000)
+      expect(outcomes[1].result).toBe('ok after retry')
+    })
+
+    test('should report a failing sink without failing the push', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+      const error = new Error('connection refused')
+      clients[1].sendData.mockRejectedValue(error)
+
+      const outcomes = await manager.send('POST', { id: 'pc-1', data: 'b' }, options)
+
+      expect(outcomes[1]).toEqual({ sink: 'migration', error })
+      expect(mockLogger.log).toHaveBeenCalledWith('POST pc-1 to sink Migration failed: connection refused')
+    })
+
+    test('should fail when every sink failed', async () => {
+      sinkType.createClient.mockImplementation(() => ({
+        sendData: jest.fn().mockRejectedValue(new Error('Network error')),
+        setNetworkCircuitBreaker: jest.fn()
+      }))
+
+      await expect(manager.send('DELETE', { id: 'pc-1' }, options)).rejects.toThrow('Network error')
+    })
+
+    test('should throw without an enabled sink or for unknown sink types', async () => {
+      await expect(manager.send('POST', { id: 'pc-1', data: 'a' }, { url: '' }))
+        .rejects.toThrow(ExporterSinkError)
+      await expect(manager.send('POST', { id: 'pc-1', data: 'a' }, { url: '', sinks: [{ id: 'x', type: 'unknown', url: 'http://x' }] }))
+        .rejects.toThrow('Unknown sink type: unknown')
+    })
+  })
+
+  describe('restoreQueues', () => {
+    test('should restore the persisted queue of every enabled sink', async () => {
+      const queueStore = { retain: jest.fn().mockResolvedValue(2) }
+      circuitBreakerFactory.mockImplementation(() => ({
+        destroy: jest.fn(),
+        clearQueue: jest.fn(), setQueuePolicy: jest.fn(),
+        restoreQueue: jest.fn().mockResolvedValue(3)
+      }))
+      manager = createExporterSinkManager({ logger: mockLogger, statsCallback: mockStatsCallback, circuitBreakerFactory, queueStore })
+      manager.registerSinkType('pushgateway', sinkType)
+
+      await expect(manager.restoreQueues(options)).resolves.toBe(6)
+
+      expect(queueStore.retain).toHaveBeenCalledWith(['primary', 'migration'])
+      expect(circuitBreakerFactory).toHaveBeenCalledWith(clients[0], expect.objectContaining({ queueStore, queueName: 'primary' }), expect.any(Object))
+      const { restoreRequest } = circuitBreakerFactory.mock.calls[0][1]
+      expect(restoreRequest({ id: 'pc-1' })).toEqual({ id: 'pc-1', statsCallback: mockStatsCallback })
+    })
+
+    test('should do nothing without a queue store', async () => {
+      await expect(manager.restoreQueues(options)).resolves.toBe(0)
+      expect(circuitBreakerFactory).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('onCircuitStateChange', () => {
+    test('should report circuit breaker transitions with the sink they belong to', async () => {
+      const breakerListeners = []
+      circuitBreakerFactory.mockImplementation(() => ({
+        destroy: jest.fn(),
+        clearQueue: jest.fn(), setQueuePolicy: jest.fn(),
+        onStateChange: jest.fn(listener => breakerListeners.push(listener))
+      }))
+      const listener = jest.fn()
+      manager.onCircuitStateChange(listener)
+
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+      breakerListeners[1]({ state: 'OPEN', previousState: 'CLOSED', consecutiveFailures: 5, queueSize: 0 })
+
+      expect(listener).toHaveBeenCalledWith({
+        sink: 'migration',
+        name: 'Migration',
+        type: 'pushgateway',
+        state: 'OPEN',
+        previousState: 'CLOSED',
+        consecutiveFailures: 5,
+        queueSize: 0
+      })
+    })
+  })
+
+  describe('endpoint failover', () => {
+    let failovers, breakerListeners
+
+    beforeEach(() => {
+      failovers = []
+      breakerListeners = []
+      const failoverFactory = jest.fn((dependencies, { endpoints }) => {
+        const changeListeners = []
+        const failover = {
+          dependencies,
+          endpoints,
+          active: endpoints[0],
+          getActiveEndpoint: jest.fn(() => failover.active),
+          isFailedOver: jest.fn(() => failover.active !== failover.endpoints[0]),
+          setEndpoints: jest.fn(),
+          recordSuccess: jest.fn(),
+          getStats: jest.fn(() => ({ activeEndpoint: failover.active })),
+          destroy: jest.fn(),
+          onChange: jest.fn(listener => changeListeners.push(listener)),
+          failover: jest.fn(() => {
+            failover.active = failover.endpoints[1]
+            changeListeners.forEach(listener => listener({ url: failover.active, previousUrl: failover.endpoints[0], reason: 'failover', failedOver: true }))
+            return true
+          })
+        }
+        failovers.push(failover)
+        return failover
+      })
+      circuitBreakerFactory.mockImplementation(() => ({
+        state: 'CLOSED',
+        destroy: jest.fn(),
+        clearQueue: jest.fn(),
+        setQueuePolicy: jest.fn(),
+        reset: jest.fn(),
+        onStateChange: jest.fn(listener => breakerListeners.push(listener))
+      }))
+      manager = createExporterSinkManager({ logger: mockLogger, statsCallback: mockStatsCallback, circuitBreakerFactory, failoverFactory })
+      manager.registerSinkType('pushgateway', sinkType)
+    })
+
+    const failoverOptions = { ...options, failoverUrls: ['http://dc2:9091'] }
+
+    test('should send to the active endpoint and record successes', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, failoverOptions)
+
+      expect(failovers[0].endpoints).toEqual(['http://primary:9091', 'http://dc2:9091'])
+      expect(failovers[0].recordSuccess).toHaveBeenCalled()
+
+      failovers[0].active = 'http://dc2:9091'
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, failoverOptions)
+
+      expect(sinkType.buildRequest).toHaveBeenNthCalledWith(3, expect.objectContaining({ id: 'primary', url: 'http://dc2:9091' }), expect.any(Object))
+      expect(failovers[0].setEndpoints).toHaveBeenCalledWith(['http://primary:9091', 'http://dc2:9091'])
+    })
+
+    test('should point queued requests at the active endpoint when they are sent', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, failoverOptions)
+      const { prepareRequest } = circuitBreakerFactory.mock.calls[0][1]
+
+      failovers[0].active = 'http://dc2:9091'
+
+      expect(prepareRequest({ url: 'http://primary:9091', id: 'pc-1' })).toEqual({ url: 'http://dc2:9091', id: 'pc-1' })
+    })
+
+    test('should fail over when the circuit opens and reset the breaker for the new endpoint', async () => {
+      const listener = jest.fn()
+      manager.onEndpointChange(listener)
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, failoverOptions)
+      const breaker = circuitBreakerFactory.mock.results[0].value
+
+      breaker.state = 'OPEN'
+      breakerListeners[0]({ state: 'OPEN', previousState: 'CLOSED', consecutiveFailures: 5, queueSize: 0 })
+      expect(failovers[0].failover).not.toHaveBeenCalled()
+      await Promise.resolve()
+
+      expect(failovers[0].failover).toHaveBeenCalledWith('failing')
+      expect(breaker.reset).toHaveBeenCalled()
+      expect(listener).toHaveBeenCalledWith({
+        sink: 'primary',
+        name: 'Pushgateway',
+        type: 'pushgateway',
+        url: 'http://dc2:9091',
+        previousUrl: 'http://primary:9091',
+        reason: 'failover',
+        failedOver: true
+      })
+      expect(manager.getActiveEndpoints().primary).toEqual({ name: 'Pushgateway', url: 'http://dc2:9091', failedOver: true })
+    })
+
+    test('should probe endpoints with the sink client and destroy the failover with the sink', async () => {
+      const checkHealth = jest.fn().mockResolvedValue(true)
+      sinkType.createClient.mockImplementationOnce(() => ({ sendData: jest.fn().mockResolvedValue('ok'), setNetworkCircuitBreaker: jest.fn(), checkHealth }))
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, failoverOptions)
+
+      await expect(failovers[0].dependencies.checkHealth('http://dc2:9091')).resolves.toBe(true)
+      expect(checkHealth).toHaveBeenCalledWith('http://dc2:9091')
+      expect(failovers[1].dependencies.checkHealth).toBeNull()
+      expect(manager.getStats().sinks.primary.failover).toEqual({ activeEndpoint: 'http://primary:9091' })
+
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, { ...failoverOptions, sinks: [] })
+      expect(failovers[1].destroy).toHaveBeenCalled()
+    })
+  })
+
+  describe('authentication', () => {
+    test('should give each client an auth provider for its sink and replace it only when the configuration changed', async () => {
+      const providers = []
+      const authProviderFactory = jest.fn((dependencies, auth) => {
+        const provider = { auth, destroy: jest.fn() }
+        providers.push(provider)
+        return provider
+      })
+      sinkType.createClient.mockImplementation(() => {
+        const client = { sendData: jest.fn().mockResolvedValue('ok'), setNetworkCircuitBreaker: jest.fn(), setAuthProvider: jest.fn() }
+        clients.push(client)
+        return client
+      })
+      manager = createExporterSinkManager({ logger: mockLogger, statsCallback: mockStatsCallback, circuitBreakerFactory, authProviderFactory })
+      manager.registerSinkType('pushgateway', sinkType)
+      const auth = { type: 'bearer', token: 'abc', headers: {} }
+
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, { ...options, auth })
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, { ...options, auth: { ...auth } })
+
+      expect(authProviderFactory).toHaveBeenCalledTimes(2)
+      expect(authProviderFactory).toHaveBeenCalledWith(expect.objectContaining({ logger: expect.any(Object) }), auth)
+      expect(clients[0].setAuthProvider).toHaveBeenCalledWith(providers[0])
+      expect(providers[1].auth).toBeUndefined()
+
+      await manager.send('POST', { id: 'pc-1', data: 'c' }, { ...options, auth: { ...auth, token: 'rotated' } })
+
+      expect(providers[0].destroy).toHaveBeenCalled()
+      expect(clients[0].setAuthProvider).toHaveBeenLastCalledWith(providers[2])
+      expect(providers[2].auth.token).toBe('rotated')
+    })
+  })
+
+  describe('secrets', () => {
+    let secretStore, password
+
+    beforeEach(() => {
+      password = 'decrypted'
+      secretStore = {
+        resolveOptions: jest.fn(async resolved => ({ ...resolved, password, sinks: resolved.sinks.map(sink => ({ ...sink, password: 'sink-secret' })) }))
+      }
+      manager = createExporterSinkManager({ logger: mockLogger, statsCallback: mockStatsCallback, circuitBreakerFactory, secretStore })
+      manager.registerSinkType('pushgateway', sinkType)
+    })
+
+    test('should decrypt the secrets of every sink for each push', async () => {
+      const withoutSecrets = { ...options, password: '' }
+
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, withoutSecrets)
+
+      expect(secretStore.resolveOptions).toHaveBeenCalledWith(withoutSecrets)
+      expect(sinkType.buildRequest).toHaveBeenCalledWith(expect.objectContaining({ id: 'primary', password: 'decrypted' }), expect.any(Object))
+      expect(sinkType.buildRequest).toHaveBeenCalledWith(expect.objectContaining({ id: 'migration', password: 'sink-secret' }), expect.any(Object))
+    })
+
+    test('should persist queued requests without the password and send them with the current one', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+      const { persistRequest, prepareRequest } = circuitBreakerFactory.mock.calls[0][1]
+
+      const persisted = persistRequest({ url: 'http://primary:9091', id: 'pc-1', password: 'decrypted' })
+      expect(persisted).toEqual({ url: 'http://primary:9091', id: 'pc-1', secretFields: ['password'] })
+      expect(persistRequest({ url: 'http://primary:9091', id: 'pc-2' })).toEqual({ url: 'http://primary:9091', id: 'pc-2' })
+
+      password = 'rotated'
+      await manager.send('POST', { id: 'pc-1', data: 'b' }, options)
+
+      expect(prepareRequest(persisted)).toEqual({ url: 'http://primary:9091', id: 'pc-1', password: 'rotated' })
+    })
+  })
+
+  describe('registerSinkType', () => {
+    test('should reject incomplete definitions', () => {
+      expect(() => manager.registerSinkType('broken', { createClient: jest.fn() })).toThrow(ExporterSinkError)
+    })
+  })
+
+  describe('getStats', () => {
+    test('should report sink types and per-sink client stats', async () => {
+      await manager.send('POST', { id: 'pc-1', data: 'a' }, options)
+
+      expect(manager.getStats()).toEqual({
+        sinkTypes: ['pushgateway'],
+        sinks: {
+          primary: { type: 'pushgateway', requestCount: 1 },
+          migration: { type: 'pushgateway', requestCount: 1 }
+        }
+      })
+    })
+  })
+})
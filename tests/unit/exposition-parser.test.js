@@ -0,0 +1,88 @@
+/**
+ * Unit tests for ExpositionParser module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('ExpositionParser', () => {
+  let ExpositionParser
+
+  beforeAll(() => {
+    // Load the exposition parser module directly
+    const modulePath = path.join(__dirname, '../../background/exposition-parser.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    ExpositionParser = global.WebRTCExporterExpositionParser.ExpositionParser
+  })
+
+  describe('parse', () => {
+    test('should group samples under their family metadata', () => {
+      const families = ExpositionParser.parse([
+        '# HELP inbound_rtp_jitter Packet jitter\\nmeasured in seconds',
+        '# TYPE inbound_rtp_jitter gauge',
+        '# UNIT inbound_rtp_jitter seconds',
+        'inbound_rtp_jitter{pageUrl="https://example.com",id="IT1"} 0.01',
+        '# TYPE inbound_rtp_packetsReceived counter',
+        'inbound_rtp_packetsReceived_total{id="IT1"} 42',
+        'webrtc_exporter_active_series 3',
+        '# EOF',
+        ''
+      ].join('\n'))
+
+      expect(families).toEqual([
+        {
+          name: 'inbound_rtp_jitter',
+          type: 'gauge',
+          help: 'Packet jitter\nmeasured in seconds',
+          unit: 'seconds',
+          samples: [{ name: 'inbound_rtp_jitter', labels: { pageUrl: 'https://example.com', id: 'IT1' }, value: 0.01 }]
+        },
+        {
+          name: 'inbound_rtp_packetsReceived',
+          type: 'counter',
+          help: '',
+          unit: '',
+          samples: [{ name: 'inbound_rtp_packetsReceived_total', labels: { id: 'IT1' }, value: 42 }]
+        },
+        {
+          name: 'webrtc_exporter_active_series',
+          type: 'unknown',
+          help: '',
+          unit: '',
+          samples: [{ name: 'webrtc_exporter_active_series', labels: {}, value: 3 }]
+        }
+      ])
+    })
+
+    test('should return no families for empty input', () => {
+      expect(ExpositionParser.parse('')).toEqual([])
+      expect(ExpositionParser.parse(undefined)).toEqual([])
+    })
+  })
+
+  describe('parseSample', () => {
+    test('should undo label value escapes and keep spaces and commas in values', () => {
+      expect(ExpositionParser.parseSample('m{a="x\\"y",b="back\\\\slash\\nline",c="one, two"} 1')).toEqual({
+        name: 'm',
+        labels: { a: 'x"y', b: 'back\\slash\nline', c: 'one, two' },
+        value: 1
+      })
+    })
+
+    test('should parse special values', () => {
+      expect(ExpositionParser.parseSample('m +Inf').value).toBe(Infinity)
+      expect(ExpositionParser.parseSample('m -Inf').value).toBe(-Infinity)
+      expect(ExpositionParser.parseSample('m NaN').value).toBeNaN()
+    })
+
+    test('should reject malformed lines', () => {
+      expect(ExpositionParser.parseSample('m{a="unterminated} 1')).toBeNull()
+      expect(ExpositionParser.parseSample('novalue')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for InfluxDBClient module
+ */
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+
+describe('InfluxDBClient', () => {
+  let InfluxDBClient, InfluxDBError, influxdbSinkType, PushgatewayClient
+  let client
+  let mockFetch
+
+  const exposition = [
+    '# HELP inbound_rtp_jitter Packet jitter',
+    '# TYPE inbound_rtp_jitter gauge',
+    'inbound_rtp_jitter{pageUrl="https://example.com",id="IT1"} 0.01',
+    ''
+  ].join('\n')
+
+  const request = {
+    method: 'POST',
+    url: 'http://influxdb:8086?org=sites&bucket=webrtc',
+    job: 'webrtc',
+    id: 'pc-1',
+    data: exposition,
+    timestamp: 1000
+  }
+
+  beforeAll(() => {
+    global.fetch = jest.fn()
+    mockFetch = global.fetch
+
+    // Load the modules the client builds on, then the client itself
+    const load = (file) => {
+      const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', 'fetch', moduleCode)
+      moduleFunction(global, global, global, global, console, mockFetch)
+    }
+    load('pushgateway-client.js')
+    load('exposition-parser.js')
+    load('line-protocol-formatter.js')
+    load('influxdb-client.js')
+
+    PushgatewayClient = global.WebRTCExporterPushgateway.PushgatewayClient
+    const exports = global.WebRTCExporterInfluxDB
+    InfluxDBClient = exports.InfluxDBClient
+    InfluxDBError = exports.InfluxDBError
+    influxdbSinkType = exports.influxdbSinkType
+  })
+
+  beforeEach(() => {
+    client = new InfluxDBClient()
+    jest.clearAllMocks()
+    mockFetch.mockResolvedValue({ ok: true, status: 204, text: jest.fn().mockResolvedValue('') })
+  })
+
+  describe('resolveEndpoint', () => {
+    test('should add the write path to base URLs and request nanosecond precision', () => {
+      expect(InfluxDBClient.resolveEndpoint('http://influxdb:8086?org=sites&bucket=webrtc'))
+        .toBe('http://influxdb:8086/api/v2/write?org=sites&bucket=webrtc&precision=ns')
+      expect(InfluxDBClient.resolveEndpoint('http://telegraf:8186/api/v2/write?bucket=webrtc&precision=s'))
+        .toBe('http://telegraf:8186/api/v2/write?bucket=webrtc&precision=ns')
+    })
+  })
+
+  describe('sendData', () => {
+    test('should POST line protocol with the grouping key as tags and token auth', async () => {
+      await client.sendData({ ...request, groupingKey: { job: 'webrtc', agent_id: 'agent-7' }, token: 'secret' })
+
+      const [url, { method, headers, body }] = mockFetch.mock.calls[0]
+      expect(url).toBe('http://influxdb:8086/api/v2/write?org=sites&bucket=webrtc&precision=ns')
+      expect(method).toBe('POST')
+      expect(headers).toEqual({ 'Content-Type': 'text/plain; charset=utf-8', Authorization: 'Token secret' })
+      expect(body).toBe('inbound_rtp,agent_id=agent-7,id=IT1,job=webrtc,pageUrl=https://example.com jitter=0.01 1000000000\n')
+    })
+
+    test('should gzip the body through pako when enabled', async () => {
+      global.pako = { gzip: (data) => zlib.gzipSync(data) }
+      try {
+        await client.sendData({ ...request, gzip: true })
+      } finally {
+        delete global.pako
+      }
+
+      const { headers, body } = mockFetch.mock.calls[0][1]
+      expect(headers['Content-Encoding']).toBe('gzip')
+      expect(zlib.gunzipSync(body).toString()).toBe('inbound_rtp,id=IT1,job=webrtc,pageUrl=https://example.com,peerConnectionId=pc-1 jitter=0.01 1000000000\n')
+    })
+
+    test('should skip DELETE requests and pushes without values', async () => {
+      await expect(client.sendData({ ...request, method: 'DELETE', data: undefined })).resolves.toBe('')
+      await expect(client.sendData({ ...request, data: 'inbound_rtp_jitter NaN\n' })).resolves.toBe('')
+      expect(mockFetch).not.toHaveBeenCalled()
+    })
+
+    test('should throw InfluxDBError on error responses and not retry them', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        text: jest.fn().mockResolvedValue('{"code":"unauthorized"}')
+      })
+
+      const error = await client.sendDataWithRetry(request, 2, 1).catch(e => e)
+
+      expect(error).toBeInstanceOf(InfluxDBError)
+      expect(error.message).toBe('InfluxDB write failed: 401 Unauthorized')
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('influxdbSinkType', () => {
+    test('should create a client and pass the password as the token', () => {
+      expect(influxdbSinkType.createClient()).toBeInstanceOf(PushgatewayClient)
+      expect(influxdbSinkType.buildRequest(
+        { url: request.url, username: 'ignored', password: 'secret', gzip: true },
+        { method: 'POST', job: 'webrtc', id: 'pc-1', groupingKey: { job: 'webrtc' }, data: 'metrics', format: 'prometheus', timestamp: 1000 }
+      )).toEqual({
+        method: 'POST',
+        url: request.url,
+        job: 'webrtc',
+        id: 'pc-1',
+        groupingKey: { job: 'webrtc' },
+        token: 'secret',
+        gzip: true,
+        data: 'metrics',
+        timestamp: 1000
+      })
+    })
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for LineProtocolFormatter module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('LineProtocolFormatter', () => {
+  let LineProtocolFormatter, ExpositionParser
+
+  beforeAll(() => {
+    // Load the stats formatter for the stats types, the parser and the formatter itself
+    const load = (file) => {
+      const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+      moduleFunction(global, global, global, global, console)
+    }
+    load('stats-formatter.js')
+    load('exposition-parser.js')
+    load('line-protocol-formatter.js')
+
+    LineProtocolFormatter = global.WebRTCExporterLineProtocol.LineProtocolFormatter
+    ExpositionParser = global.WebRTCExporterExpositionParser.ExpositionParser
+  })
+
+  describe('format', () => {
+    test('should write one line per stats object with its metrics as fields', () => {
+      const families = ExpositionParser.parse([
+        '# TYPE inbound_rtp_jitter gauge',
+        'inbound_rtp_jitter{pageUrl="https://example.com",id="IT1",kind="audio"} 0.01',
+        'inbound_rtp_jitter{pageUrl="https://example.com",id="IT2",kind="video"} 0.02',
+        '# TYPE inbound_rtp_packetsReceived counter',
+        'inbound_rtp_packetsReceived{pageUrl="https://example.com",id="IT1",kind="audio"} 1200',
+        'inbound_rtp_packetsReceived{pageUrl="https://example.com",id="IT2",kind="video"} NaN',
+        '# TYPE remote_inbound_rtp_roundTripTime gauge',
+        'remote_inbound_rtp_roundTripTime{pageUrl="https://example.com",id="RI1"} 0.05',
+        ''
+      ].join('\n'))
+
+      expect(LineProtocolFormatter.format(families, {
+        tags: { job: 'webrtc', peerConnectionId: 'pc-1' },
+        timestamp: 1760000000123.4
+      })).toBe([
+        'inbound_rtp,id=IT1,job=webrtc,kind=audio,pageUrl=https://example.com,peerConnectionId=pc-1 jitter=0.01,packetsReceived=1200 1760000000123000000',
+        'inbound_rtp,id=IT2,job=webrtc,kind=video,pageUrl=https://example.com,peerConnectionId=pc-1 jitter=0.02 1760000000123000000',
+        'remote_inbound_rtp,id=RI1,job=webrtc,pageUrl=https://example.com,peerConnectionId=pc-1 roundTripTime=0.05 1760000000123000000',
+        ''
+      ].join('\n'))
+    })
+
+    test('should escape tags and leave out empty tag values', () => {
+      const families = [{
+        name: 'outbound_rtp_bytesSent',
+        samples: [{ labels: { pageUrl: 'https://example.com/a b,c=d', rid: '' }, value: 10 }]
+      }]
+
+      expect(LineProtocolFormatter.format(families, { timestamp: 1 }))
+        .toBe('outbound_rtp,pageUrl=https://example.com/a\\ b\\,c\\=d bytesSent=10 1000000\n')
+    })
+
+    test('should return an empty string without finite values', () => {
+      expect(LineProtocolFormatter.format([{ name: 'inbound_rtp_jitter', samples: [{ labels: {}, value: NaN }] }])).toBe('')
+    })
+  })
+
+  describe('resolveMeasurement', () => {
+    test('should map families to stats type measurements', () => {
+      expect(LineProtocolFormatter.resolveMeasurement('remote_inbound_rtp_jitter')).toEqual({ measurement: 'remote_inbound_rtp', field: 'jitter' })
+      expect(LineProtocolFormatter.resolveMeasurement('candidate_pair_currentRoundTripTime')).toEqual({ measurement: 'candidate_pair', field: 'currentRoundTripTime' })
+      expect(LineProtocolFormatter.resolveMeasurement('webrtc_inbound_rtp_info')).toEqual({ measurement: 'inbound_rtp', field: 'info' })
+    })
+
+    test('should put exporter series in the webrtc measurement', () => {
+      expect(LineProtocolFormatter.resolveMeasurement('webrtc_audio_mos')).toEqual({ measurement: 'webrtc', field: 'audio_mos' })
+    })
+  })
+})
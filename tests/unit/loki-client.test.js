@@ -0,0 +1,79 @@
+/**
+ * Unit tests for LokiClient module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('LokiClient', () => {
+  let LokiClient, LokiError
+  let client
+  let mockFetch
+
+  const streams = [{ stream: { job: 'webrtc' }, values: [['1000000000', '{"event":"connection_new"}']] }]
+
+  beforeAll(() => {
+    global.fetch = jest.fn()
+    mockFetch = global.fetch
+    global.btoa = jest.fn((str) => Buffer.from(str).toString('base64'))
+
+    // Load the Pushgateway client the Loki client builds on, then the client itself
+    const load = (file) => {
+      const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', 'fetch', 'btoa', moduleCode)
+      moduleFunction(global, global, global, global, console, mockFetch, global.btoa)
+    }
+    load('pushgateway-client.js')
+    load('loki-client.js')
+
+    LokiClient = global.WebRTCExporterLoki.LokiClient
+    LokiError = global.WebRTCExporterLoki.LokiError
+  })
+
+  beforeEach(() => {
+    client = new LokiClient()
+    jest.clearAllMocks()
+  })
+
+  test('should append the push path to base URLs only', () => {
+    expect(LokiClient.resolveEndpoint('http://loki:3100')).toBe('http://loki:3100/loki/api/v1/push')
+    expect(LokiClient.resolveEndpoint('https://logs.example.net/loki/api/v1/push')).toBe('https://logs.example.net/loki/api/v1/push')
+  })
+
+  test('should POST the streams as JSON with basic auth', async () => {
+    mockFetch.mockResolvedValue({ ok: true, status: 204, text: jest.fn().mockResolvedValue('') })
+
+    await client.sendData({ url: 'http://loki:3100', username: 'user', password: 'pass', streams })
+
+    const [url, request] = mockFetch.mock.calls[0]
+    expect(url).toBe('http://loki:3100/loki/api/v1/push')
+    expect(request.method).toBe('POST')
+    expect(request.headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from('user:pass').toString('base64')}`
+    })
+    expect(JSON.parse(request.body)).toEqual({ streams })
+    expect(client.getStats().requestCount).toBe(1)
+  })
+
+  test('should throw LokiError on error responses and not retry them', async () => {
+    mockFetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      text: jest.fn().mockResolvedValue('entry too far behind')
+    })
+
+    const error = await client.sendDataWithRetry({ url: 'http://loki:3100', streams }, 2, 1).catch(e => e)
+
+    expect(error).toBeInstanceOf(LokiError)
+    expect(error.message).toBe('Loki push failed: 400 Bad Request')
+    expect(error.responseText).toBe('entry too far behind')
+    expect(mockFetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('should reject requests without a URL or streams', async () => {
+    await expect(client.sendData({ streams })).rejects.toThrow(LokiError)
+    await expect(client.sendData({ url: 'http://loki:3100' })).rejects.toThrow('Streams must be an array')
+  })
+})
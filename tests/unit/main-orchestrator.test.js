@@ -67,7 +67,8 @@ describe('Main Orchestrator', () => {
         CONSTANTS: {
           LOGGING: { PREFIX: '[WebRTC-Exporter' },
           EXTENSION: { ALARM_NAME: 'cleanup-alarm' },
-          UPDATE_INTERVALS: { CLEANUP_INTERVAL_MINUTES: 60 }
+          UPDATE_INTERVALS: { CLEANUP_INTERVAL_MINUTES: 60 },
+          STORAGE_KEYS: { ACTIVE_ENDPOINTS: 'activeEndpoints' }
         },
         DEFAULT_OPTIONS: {
           url: 'http://localhost:9091',
@@ -90,11 +91,35 @@ describe('Main Orchestrator', () => {
         }
       },
       WebRTCExporterPushgateway: {
-        PushgatewayClient: jest.fn().mockImplementation(() => ({
-          sendData: jest.fn().mockResolvedValue({ success: true })
-        })),
+        PushgatewayClient: {
+          resolveGroupingKey: jest.fn((template, { job, id }) => ({ job, peerConnectionId: id }))
+        },
+        pushgatewaySinkType: { createClient: jest.fn(), buildRequest: jest.fn() },
         createStatsCallback: jest.fn().mockReturnValue(jest.fn())
       },
+      WebRTCExporterSinks: {
+        createExporterSinkManager: jest.fn().mockImplementation(() => ({
+          registerSinkType: jest.fn(),
+          onCircuitStateChange: jest.fn(),
+          onEndpointChange: jest.fn(),
+          getActiveEndpoints: jest.fn().mockReturnValue({}),
+          restoreQueues: jest.fn().mockResolvedValue(0),
+          send: jest.fn().mockResolvedValue([{ sink: 'primary', result: '' }]),
+          getStats: jest.fn().mockReturnValue({ sinks: {} })
+        }))
+      },
+      WebRTCExporterLoki: {
+        LokiClient: jest.fn()
+      },
+      WebRTCExporterEventLog: {
+        createEventLogPipeline: jest.fn().mockImplementation(() => ({
+          record: jest.fn(),
+          recordConnectionEvent: jest.fn(),
+          recordCircuitStateChange: jest.fn(),
+          updateOptions: jest.fn(),
+          getStats: jest.fn().mockReturnValue({ enabled: false })
+        }))
+      },
       WebRTCExporterOptionsManager: {
         createOptionsManager: jest.fn().mockImplementation(() => ({
           initialize: jest.fn().mockResolvedValue({}),
@@ -104,6 +129,8 @@ describe('Main Orchestrator', () => {
       WebRTCExporterConnectionTracker: {
         createConnectionTrackerWithCleanup: jest.fn().mockImplementation(() => ({
           setPeerConnectionLastUpdate: jest.fn().mockResolvedValue(),
+          getGroupingKey: jest.fn().mockResolvedValue(null),
+          getConnectionsByGroupingKey: jest.fn().mockResolvedValue([]),
           cleanupStaleConnections: jest.fn().mockResolvedValue([]),
           getStats: jest.fn().mockReturnValue({ originCounts: {} })
         }))
@@ -203,7 +230,7 @@ describe('Main Orchestrator', () => {
       await app.initialize()
       
       expect(app.isInitialized).toBe(true)
-      expect(app.modules).toHaveProperty('pushgatewayClient')
+      expect(app.modules).toHaveProperty('sinkManager')
       expect(app.modules).toHaveProperty('optionsManager')
       expect(app.modules).toHaveProperty('connectionTracker')
       expect(app.modules).toHaveProperty('tabMonitor')
@@ -214,6 +241,54 @@ describe('Main Orchestrator', () => {
       consoleSpy.mockRestore()
     })
 
+    test('should register the pushgateway sink type with per-sink circuit breakers', async () => {
+      await app.initialize()
+
+      expect(global.self.WebRTCExporterSinks.createExporterSinkManager).toHaveBeenCalledWith(
+        expect.objectContaining({ logger: app.logger, statsCallback: app.modules.statsCallback }),
+        expect.objectContaining({ circuitBreaker: expect.objectContaining({ failureThreshold: 5 }) })
+      )
+      expect(app.modules.sinkManager.registerSinkType).toHaveBeenCalledWith(
+        'pushgateway',
+        global.self.WebRTCExporterPushgateway.pushgatewaySinkType
+      )
+    })
+
+    test('should restore queued pushes once the options are loaded', async () => {
+      const queueStore = { load: jest.fn() }
+      global.self.indexedDB = {}
+      global.self.WebRTCExporterOfflineQueue = { createOfflineQueueStore: jest.fn().mockReturnValue(queueStore) }
+
+      await app.initialize()
+
+      expect(global.self.WebRTCExporterOfflineQueue.createOfflineQueueStore).toHaveBeenCalledWith({ logger: app.logger, indexedDB: global.self.indexedDB })
+      expect(global.self.WebRTCExporterSinks.createExporterSinkManager).toHaveBeenCalledWith(
+        expect.objectContaining({ queueStore }),
+        expect.any(Object)
+      )
+      expect(app.modules.sinkManager.restoreQueues).toHaveBeenCalledWith(app.options)
+      expect(mockChrome.storage.local.set).toHaveBeenCalledWith({ activeEndpoints: {} })
+
+      delete global.self.indexedDB
+      delete global.self.WebRTCExporterOfflineQueue
+    })
+
+    test('should move plain text secrets out of the synced options', async () => {
+      const secretStore = {
+        migrate: jest.fn().mockResolvedValue({ options: { url: 'http://localhost:9091', password: '' }, moved: ['password'] })
+      }
+      global.self.WebRTCExporterSecrets = { createSecretStore: jest.fn().mockReturnValue(secretStore) }
+
+      await app.initialize()
+
+      expect(global.self.WebRTCExporterSinks.createExporterSinkManager).toHaveBeenCalledWith(expect.objectContaining({ secretStore }), expect.any(Object))
+      expect(global.self.WebRTCExporterEventLog.createEventLogPipeline).toHaveBeenCalledWith(expect.objectContaining({ secretStore }))
+      expect(secretStore.migrate).toHaveBeenCalledWith({})
+      expect(global.self.WebRTCExporterStorage.StorageManager.set).toHaveBeenCalledWith({ url: 'http://localhost:9091', password: '' })
+
+      delete global.self.WebRTCExporterSecrets
+    })
+
     test('should handle initialization errors gracefully', async () => {
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation()
       global.self.WebRTCExporterOptionsManager.createOptionsManager.mockImplementationOnce(() => {
@@ -250,25 +325,20 @@ describe('Main Orchestrator', () => {
     })
 
     test('should send data successfully', async () => {
-      const mockResult = { success: true, statusCode: 200 }
-      app.modules.pushgatewayClient.sendData.mockResolvedValue(mockResult)
+      const mockResult = [{ sink: 'primary', result: '' }]
+      app.modules.sinkManager.send.mockResolvedValue(mockResult)
       
       const result = await app.sendData('POST', { id: 'conn-1', origin: 'https://example.com' }, 'test-data')
       
-      expect(app.modules.pushgatewayClient.sendData).toHaveBeenCalledWith({
-        method: 'POST',
-        url: 'http://test.com',
-        job: 'test-job',
+      expect(app.modules.sinkManager.send).toHaveBeenCalledWith('POST', {
         id: 'conn-1',
-        username: 'user',
-        password: 'pass',
-        gzip: false,
+        origin: 'https://example.com',
         data: 'test-data',
-        statsCallback: app.modules.statsCallback
-      })
+        groupingKey: { job: 'test-job', peerConnectionId: 'conn-1' }
+      }, app.options)
       
       expect(app.modules.connectionTracker.setPeerConnectionLastUpdate).toHaveBeenCalledWith(
-        { id: 'conn-1', origin: 'https://example.com' },
+        { id: 'conn-1', origin: 'https://example.com', groupingKey: { job: 'test-job', peerConnectionId: 'conn-1' } },
         expect.any(Number)
       )
       
@@ -280,14 +350,110 @@ describe('Main Orchestrator', () => {
       await app.sendData('DELETE', { id: 'conn-1', origin: 'https://example.com' })
       
       expect(app.modules.connectionTracker.setPeerConnectionLastUpdate).toHaveBeenCalledWith(
-        { id: 'conn-1', origin: 'https://example.com' },
+        expect.objectContaining({ id: 'conn-1', origin: 'https://example.com' }),
         0
       )
     })
 
+    test('should DELETE the grouping key the connection was pushed to', async () => {
+      const pushedKey = { job: 'old-job', agent_id: 'agent-1', peerConnectionId: 'conn-1' }
+      app.modules.connectionTracker.getGroupingKey.mockResolvedValue(pushedKey)
+
+      await app.sendData('DELETE', { id: 'conn-1', origin: 'https://example.com' })
+
+      expect(app.modules.connectionTracker.getGroupingKey).toHaveBeenCalledWith('conn-1')
+      expect(app.modules.sinkManager.send).toHaveBeenCalledWith(
+        'DELETE',
+        expect.objectContaining({ groupingKey: pushedKey }),
+        app.options
+      )
+    })
+
+    test('should keep a group shared with live connections until its last connection closes', async () => {
+      const shared = { job: 'test-job', agent_id: 'agent-1' }
+      const origin = 'https://example.com'
+      const tracked = new Map()
+      Object.assign(app.modules.connectionTracker, {
+        setPeerConnectionLastUpdate: jest.fn(async ({ id, groupingKey }, lastUpdate) => {
+          lastUpdate ? tracked.set(id, groupingKey) : tracked.delete(id)
+        }),
+        getGroupingKey: jest.fn(async (id) => tracked.get(id) || null),
+        getConnectionsByGroupingKey: jest.fn(async (groupingKey, excludeId) => [...tracked]
+          .filter(([id, key]) => id !== excludeId && JSON.stringify(key) === JSON.stringify(groupingKey))
+          .map(([id]) => id))
+      })
+      await app._trackConnections('POST', [{ id: 'conn-1', origin }, { id: 'conn-2', origin }], shared)
+
+      await expect(app.sendData('DELETE', { id: 'conn-1', origin })).resolves.toEqual({ deleted: false, sharedWith: 1 })
+      expect(app.modules.sinkManager.send).not.toHaveBeenCalled()
+      expect([...tracked.keys()]).toEqual(['conn-2'])
+
+      await app.sendData('DELETE', { id: 'conn-2', origin })
+      expect(app.modules.sinkManager.send).toHaveBeenCalledTimes(1)
+      expect(app.modules.sinkManager.send).toHaveBeenCalledWith('DELETE', expect.objectContaining({ id: 'conn-2', groupingKey: shared }), app.options)
+      expect(tracked.size).toBe(0)
+    })
+
+    test('should send a batched push with the IDs of its connections and track them', async () => {
+      const shared = { job: 'test-job', agent_id: 'agent-1' }
+      const connections = [{ id: 'conn-1', origin: 'https://example.com' }, { id: 'conn-2', origin: 'https://example.com' }]
+
+      await app._sendBatch({ connections, groupingKey: shared, data: 'data', part: 1, timestamp: 4031 })
+
+      expect(app.modules.sinkManager.send).toHaveBeenCalledWith('POST', {
+        id: 'conn-1,conn-2',
+        origin: 'https://example.com',
+        data: 'data',
+        groupingKey: shared,
+        timestamp: 4031,
+        batchPart: 1
+      }, app.options)
+      expect(app.modules.connectionTracker.setPeerConnectionLastUpdate).toHaveBeenCalledTimes(2)
+    })
+
+    test('should log new, closed and stale connections to the event log', async () => {
+      const groupingKey = { job: 'test-job', peerConnectionId: 'conn-1' }
+      app.modules.connectionTracker.setPeerConnectionLastUpdate.mockResolvedValueOnce(true)
+
+      await app.sendData('POST', { id: 'conn-1', origin: 'https://example.com' }, 'data')
+      await app.sendData('POST', { id: 'conn-1', origin: 'https://example.com' }, 'data')
+      await app.sendData('DELETE', { id: 'conn-1', origin: 'https://example.com' })
+      await app.sendData('DELETE', { id: 'conn-2', origin: 'https://example.com', reason: 'stale', staleDuration: 90000 })
+
+      expect(app.modules.eventLog.record.mock.calls).toEqual([
+        ['connection_new', { id: 'conn-1', origin: 'https://example.com', groupingKey }],
+        ['connection_closed', { id: 'conn-1', origin: 'https://example.com', groupingKey, staleDuration: undefined }],
+        ['connection_stale', {
+          id: 'conn-2',
+          origin: 'https://example.com',
+          groupingKey: { job: 'test-job', peerConnectionId: 'conn-2' },
+          staleDuration: 90000
+        }]
+      ])
+    })
+
+    test('should drop the per-connection state once the DELETE went out', async () => {
+      const collaborators = ['connectionEvents', 'sessionDescriptions', 'rateCalculator', 'qualityScorer']
+      collaborators.forEach(name => { app.modules[name] = { removeConnection: jest.fn() } })
+
+      app.modules.sinkManager.send.mockRejectedValueOnce(new Error('Network error'))
+      await expect(app.sendData('DELETE', { id: 'conn-1', origin: 'https://example.com' })).rejects.toThrow('Network error')
+      collaborators.forEach(name => expect(app.modules[name].removeConnection).not.toHaveBeenCalled())
+
+      await app.sendData('DELETE', { id: 'conn-1', origin: 'https://example.com' })
+      collaborators.forEach(name => expect(app.modules[name].removeConnection).toHaveBeenCalledWith('conn-1'))
+    })
+
+    test('should pass sink circuit breaker transitions to the event log', () => {
+      const [listener] = app.modules.sinkManager.onCircuitStateChange.mock.calls[0]
+      listener({ sink: 'primary', state: 'OPEN', previousState: 'CLOSED' })
+
+      expect(app.modules.eventLog.recordCircuitStateChange).toHaveBeenCalledWith({ sink: 'primary', state: 'OPEN', previousState: 'CLOSED' })
+    })
+
     test('should handle sendData errors', async () => {
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation()
-      app.modules.pushgatewayClient.sendData.mockRejectedValue(new Error('Network error'))
+      app.modules.sinkManager.send.mockRejectedValue(new Error('Network error'))
       
       await expect(app.sendData('POST', { id: 'conn-1', origin: 'https://example.com' }, 'data'))
         .rejects.toThrow('Network error')
@@ -46,7 +46,8 @@ describe('MessageHandler', () => {
 
     // Mock stats formatter
     mockStatsFormatter = {
-      formatStats: jest.fn().mockReturnValue('formatted-data')
+      formatStats: jest.fn().mockReturnValue('formatted-data'),
+      finalize: jest.fn((data, format) => format === 'openmetrics' ? `${data}# EOF\n` : `${data}\n`)
     }
 
     // Mock connection sender
@@ -191,6 +192,36 @@ describe('MessageHandler', () => {
       })
     })
 
+    test('should stamp pushes with the latest stats timestamp of the report', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://teams.microsoft.com/call/123',
+        id: 'conn-1',
+        state: 'connected',
+        values: [
+          { type: 'inbound-rtp', id: 'IT1', timestamp: 1760000000100 },
+          { type: 'outbound-rtp', id: 'OT1', timestamp: 1760000000123.5 }
+        ]
+      })
+
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://teams.microsoft.com', timestamp: 1760000000123.5 },
+        'formatted-data\n'
+      )
+    })
+
+    test('should report stats left to the push batcher as batched', async () => {
+      mockConnectionSender.mockResolvedValueOnce({ batched: true, pending: 2 })
+
+      const result = await handler.handlePeerConnectionStats({
+        url: 'https://teams.microsoft.com/call/123',
+        id: 'conn-1',
+        state: 'connected',
+        values: { some: 'stats' }
+      })
+
+      expect(result).toEqual(expect.objectContaining({ success: true, action: 'batched' }))
+    })
+
     test('should handle closed connection', async () => {
       const data = {
         url: 'https://teams.microsoft.com/call/123',
@@ -257,6 +288,427 @@ describe('MessageHandler', () => {
     })
   })
 
+  describe('metrics format', () => {
+    test('should pass the configured format to formatters and finalize the body', async () => {
+      handler.options = { agentId: 'test-agent', metricsFormat: 'openmetrics' }
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', packetsSent: 10 }]
+      })
+
+      expect(mockStatsFormatter.formatStats).toHaveBeenCalledWith(expect.objectContaining({ format: 'openmetrics' }))
+      expect(mockStatsFormatter.finalize).toHaveBeenCalledWith('formatted-data', 'openmetrics')
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'formatted-data# EOF\n'
+      )
+    })
+
+    test('should pass enabled stats types to the stats formatter', async () => {
+      handler.options = { enabledStats: ['inbound-rtp'] }
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values: [{ type: 'inbound-rtp', codecId: 'C1' }, { type: 'codec', id: 'C1', mimeType: 'audio/opus' }]
+      })
+
+      expect(mockStatsFormatter.formatStats).toHaveBeenCalledWith(expect.objectContaining({ enabledStats: ['inbound-rtp'] }))
+    })
+
+    test('should pass static labels to the stats formatter', async () => {
+      handler.options = { staticLabels: { site: 'london' } }
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', packetsSent: 10 }]
+      })
+
+      expect(mockStatsFormatter.formatStats).toHaveBeenCalledWith(expect.objectContaining({ staticLabels: { site: 'london' } }))
+    })
+
+    test('should pass the info metrics option to the stats formatter', async () => {
+      handler.options = { infoMetrics: true }
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', packetsSent: 10 }]
+      })
+
+      expect(mockStatsFormatter.formatStats).toHaveBeenCalledWith(expect.objectContaining({ infoMetrics: true }))
+    })
+  })
+
+  describe('peer connection events', () => {
+    let mockEventTracker
+
+    beforeEach(() => {
+      mockEventTracker = {
+        recordEvents: jest.fn().mockReturnValue([{ type: 'negotiationneeded', timestamp: 1000 }]),
+        getCounters: jest.fn().mockReturnValue([{ type: 'negotiationneeded', state: '', count: 1, lastTimestamp: 1000 }]),
+        removeConnection: jest.fn()
+      }
+      mockStatsFormatter.formatEventCounters = jest.fn().mockReturnValue('event-counters\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, { eventTracker: mockEventTracker })
+      handler.options = { agentId: 'test-agent' }
+    })
+
+    test('should record events through the event tracker', async () => {
+      const data = {
+        url: 'https://teams.microsoft.com/call/123',
+        id: 'conn-1',
+        events: [{ type: 'negotiationneeded', timestamp: 1000 }]
+      }
+
+      const result = await handler.handlePeerConnectionEvents(data)
+
+      expect(mockEventTracker.recordEvents).toHaveBeenCalledWith(data)
+      expect(result).toEqual({ success: true, action: 'recorded', count: 1 })
+    })
+
+    test('should skip events without an event tracker', async () => {
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger)
+
+      const result = await handler.handlePeerConnectionEvents({ url: 'https://example.com', id: 'conn-1', events: [] })
+
+      expect(result).toEqual({ success: true, action: 'skipped', reason: 'no-event-tracker' })
+    })
+
+    test('should wrap event tracker errors', async () => {
+      mockEventTracker.recordEvents.mockImplementation(() => {
+        throw new Error('Events must be an array')
+      })
+
+      await expect(handler.handlePeerConnectionEvents({ url: 'https://example.com', id: 'conn-1', events: null }))
+        .rejects.toThrow('Failed to process peer connection events: Events must be an array')
+    })
+
+    test('should append event counters to stats pushes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://teams.microsoft.com/call/123',
+        id: 'conn-1',
+        state: 'connected',
+        values: { some: 'stats' }
+      })
+
+      expect(mockStatsFormatter.formatEventCounters).toHaveBeenCalledWith({
+        url: 'https://teams.microsoft.com/call/123',
+        counters: [{ type: 'negotiationneeded', state: '', count: 1, lastTimestamp: 1000 }],
+        agentId: 'test-agent'
+      })
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://teams.microsoft.com' },
+        'formatted-dataevent-counters\n\n'
+      )
+    })
+
+    test('should leave the event history to the DELETE tracking when connection closes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://teams.microsoft.com/call/123',
+        id: 'conn-1',
+        state: 'closed',
+        values: {}
+      })
+
+      expect(mockConnectionSender).toHaveBeenCalledWith('DELETE', expect.objectContaining({ id: 'conn-1' }))
+      expect(mockEventTracker.removeConnection).not.toHaveBeenCalled()
+    })
+
+    test('should register the peer-connection-events handler on initialize', async () => {
+      await handler.initialize()
+
+      expect(handler.messageHandlers.has('peer-connection-events')).toBe(true)
+    })
+  })
+
+  describe('derived rates', () => {
+    let mockRateCalculator
+    const rates = [{ type: 'inbound-rtp', id: 'IT01V1', kind: 'video', rates: { bitrate: 1000 } }]
+
+    beforeEach(() => {
+      mockRateCalculator = {
+        computeRates: jest.fn().mockReturnValue(rates),
+        removeConnection: jest.fn()
+      }
+      mockStatsFormatter.formatDerivedRates = jest.fn().mockReturnValue('derived-rates\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, { rateCalculator: mockRateCalculator })
+      handler.options = { agentId: 'test-agent' }
+    })
+
+    test('should append derived rates to stats pushes', async () => {
+      const values = [{ type: 'inbound-rtp', id: 'IT01V1', bytesReceived: 1000 }]
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values
+      })
+
+      expect(mockRateCalculator.computeRates).toHaveBeenCalledWith('conn-1', values)
+      expect(mockStatsFormatter.formatDerivedRates).toHaveBeenCalledWith({
+        url: 'https://meet.google.com/abc-defg-hij',
+        rates,
+        values,
+        agentId: 'test-agent'
+      })
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'formatted-dataderived-rates\n\n'
+      )
+    })
+
+    test('should not compute rates when there is nothing to send', async () => {
+      mockStatsFormatter.formatStats.mockReturnValue('')
+
+      await handler.handlePeerConnectionStats({ url: 'https://example.com', id: 'conn-1', state: 'connected', values: [] })
+
+      expect(mockRateCalculator.computeRates).not.toHaveBeenCalled()
+    })
+
+    test('should leave previous samples to the DELETE tracking when connection closes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'closed',
+        values: []
+      })
+
+      expect(mockConnectionSender).toHaveBeenCalledWith('DELETE', expect.objectContaining({ id: 'conn-1' }))
+      expect(mockRateCalculator.removeConnection).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('network path', () => {
+    const networkPath = { localCandidateType: 'relay', remoteCandidateType: 'host', protocol: 'udp', relayProtocol: 'tcp', networkType: 'wifi' }
+    let mockNetworkPathResolver
+
+    beforeEach(() => {
+      mockNetworkPathResolver = { resolve: jest.fn().mockReturnValue(networkPath) }
+      mockStatsFormatter.formatNetworkPath = jest.fn().mockReturnValue('network-path\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, { networkPathResolver: mockNetworkPathResolver })
+      handler.options = { agentId: 'test-agent', enabledStats: ['inbound-rtp'] }
+    })
+
+    test('should resolve the path from the unfiltered report', async () => {
+      const values = [
+        { type: 'inbound-rtp', id: 'IT1', packetsReceived: 10 },
+        { type: 'transport', id: 'T1', selectedCandidatePairId: 'CP1' }
+      ]
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values
+      })
+
+      expect(mockNetworkPathResolver.resolve).toHaveBeenCalledWith(values)
+      expect(mockStatsFormatter.formatNetworkPath).toHaveBeenCalledWith({
+        url: 'https://meet.google.com/abc-defg-hij',
+        path: networkPath,
+        agentId: 'test-agent'
+      })
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'formatted-datanetwork-path\n\n'
+      )
+    })
+  })
+
+  describe('cardinality guard', () => {
+    let mockCardinalityGuard
+    const stats = { activeSeries: 1, maxSeries: 10, droppedSamples: 0 }
+
+    beforeEach(() => {
+      mockCardinalityGuard = {
+        normalizeUrl: jest.fn().mockReturnValue('https://meet.google.com/:id'),
+        filterSeries: jest.fn().mockReturnValue('filtered-data\n'),
+        getStats: jest.fn().mockReturnValue(stats)
+      }
+      mockStatsFormatter.formatCardinalityStats = jest.fn().mockReturnValue('guard-stats\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, { cardinalityGuard: mockCardinalityGuard })
+      handler.options = { agentId: 'test-agent', maxSeries: 10, updateInterval: 2 }
+    })
+
+    test('should normalize the page URL and enforce the series budget', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij?authuser=1',
+        id: 'conn-1',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', packetsSent: 10 }]
+      })
+
+      expect(mockCardinalityGuard.normalizeUrl).toHaveBeenCalledWith('https://meet.google.com/abc-defg-hij?authuser=1')
+      expect(mockStatsFormatter.formatStats).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://meet.google.com/:id' }))
+      expect(mockCardinalityGuard.filterSeries).toHaveBeenCalledWith('formatted-data', { maxSeries: 10, windowMs: 2000 })
+      expect(mockStatsFormatter.formatCardinalityStats).toHaveBeenCalledWith({ stats, agentId: 'test-agent' })
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'filtered-data\nguard-stats\n\n'
+      )
+    })
+  })
+
+  describe('voice quality scores', () => {
+    let mockQualityScorer, mockRateCalculator, mockDescriptionStore
+    const rates = [{ type: 'inbound-rtp', id: 'ITA1', kind: 'audio', rates: { packet_loss_ratio: 0.01 } }]
+    const description = { local: null, remote: { type: 'answer', bundle: [], media: [], onHold: false } }
+    const scores = [{ id: 'ITA1', direction: 'inbound', codec: 'opus', rFactor: 90, mos: 4.3 }]
+
+    beforeEach(() => {
+      mockQualityScorer = {
+        scoreConnection: jest.fn().mockReturnValue(scores),
+        removeConnection: jest.fn()
+      }
+      mockRateCalculator = {
+        computeRates: jest.fn().mockReturnValue(rates),
+        removeConnection: jest.fn()
+      }
+      mockDescriptionStore = {
+        getDescription: jest.fn().mockResolvedValue(description),
+        removeConnection: jest.fn()
+      }
+      mockStatsFormatter.formatDerivedRates = jest.fn().mockReturnValue('')
+      mockStatsFormatter.formatSessionDescription = jest.fn().mockReturnValue('')
+      mockStatsFormatter.formatQualityScores = jest.fn().mockReturnValue('quality-scores\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, {
+        qualityScorer: mockQualityScorer,
+        rateCalculator: mockRateCalculator,
+        descriptionStore: mockDescriptionStore
+      })
+      handler.options = { agentId: 'test-agent' }
+    })
+
+    test('should score audio with derived rates and negotiated codecs', async () => {
+      const values = [{ type: 'inbound-rtp', id: 'ITA1', kind: 'audio', jitter: 0.01 }]
+
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values
+      })
+
+      expect(mockQualityScorer.scoreConnection).toHaveBeenCalledWith(
+        { id: 'conn-1', origin: 'https://meet.google.com' }, values, { rates, description }
+      )
+      expect(mockStatsFormatter.formatQualityScores).toHaveBeenCalledWith({
+        url: 'https://meet.google.com/abc-defg-hij',
+        scores,
+        agentId: 'test-agent'
+      })
+      expect(mockDescriptionStore.getDescription).toHaveBeenCalledTimes(1)
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'formatted-dataquality-scores\n\n'
+      )
+    })
+
+    test('should leave scores to the DELETE tracking when connection closes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'closed',
+        values: []
+      })
+
+      expect(mockConnectionSender).toHaveBeenCalledWith('DELETE', expect.objectContaining({ id: 'conn-1' }))
+      expect(mockQualityScorer.removeConnection).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('peer connection descriptions', () => {
+    let mockDescriptionStore
+    const summary = { type: 'answer', bundle: [], media: [], onHold: true }
+
+    beforeEach(() => {
+      mockDescriptionStore = {
+        setDescription: jest.fn().mockResolvedValue(summary),
+        getDescription: jest.fn().mockResolvedValue({ local: null, remote: summary }),
+        removeConnection: jest.fn().mockResolvedValue(true)
+      }
+      mockStatsFormatter.formatSessionDescription = jest.fn().mockReturnValue('session-info\n')
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger, { descriptionStore: mockDescriptionStore })
+      handler.options = { agentId: 'test-agent' }
+    })
+
+    test('should store descriptions keyed by connection and origin', async () => {
+      const result = await handler.handlePeerConnectionDescription({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        side: 'remote',
+        description: summary
+      })
+
+      expect(mockDescriptionStore.setDescription).toHaveBeenCalledWith(
+        { id: 'conn-1', origin: 'https://meet.google.com' }, 'remote', summary
+      )
+      expect(result).toEqual({ success: true, action: 'recorded', onHold: true })
+    })
+
+    test('should skip descriptions without a description store', async () => {
+      handler = new MessageHandler(mockStatsFormatter, mockConnectionSender, mockLogger)
+
+      const result = await handler.handlePeerConnectionDescription({ url: 'https://example.com', id: 'conn-1', side: 'local', description: summary })
+
+      expect(result).toEqual({ success: true, action: 'skipped', reason: 'no-description-store' })
+    })
+
+    test('should wrap description store errors', async () => {
+      mockDescriptionStore.setDescription.mockRejectedValue(new Error('Invalid description side: middle'))
+
+      await expect(handler.handlePeerConnectionDescription({ url: 'https://example.com', id: 'conn-1', side: 'middle', description: summary }))
+        .rejects.toThrow('Failed to process peer connection description: Invalid description side: middle')
+    })
+
+    test('should append session info metrics to stats pushes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'connected',
+        values: { some: 'stats' }
+      })
+
+      expect(mockDescriptionStore.getDescription).toHaveBeenCalledWith('conn-1')
+      expect(mockStatsFormatter.formatSessionDescription).toHaveBeenCalledWith({
+        url: 'https://meet.google.com/abc-defg-hij',
+        description: { local: null, remote: summary },
+        agentId: 'test-agent'
+      })
+      expect(mockConnectionSender).toHaveBeenCalledWith('POST',
+        { id: 'conn-1', origin: 'https://meet.google.com' },
+        'formatted-datasession-info\n\n'
+      )
+    })
+
+    test('should leave descriptions to the DELETE tracking when connection closes', async () => {
+      await handler.handlePeerConnectionStats({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'conn-1',
+        state: 'closed',
+        values: {}
+      })
+
+      expect(mockConnectionSender).toHaveBeenCalledWith('DELETE', expect.objectContaining({ id: 'conn-1' }))
+      expect(mockDescriptionStore.removeConnection).not.toHaveBeenCalled()
+    })
+
+    test('should register the peer-connection-description handler on initialize', async () => {
+      await handler.initialize()
+
+      expect(handler.messageHandlers.has('peer-connection-description')).toBe(true)
+    })
+  })
+
   describe('tab communication', () => {
     test('should send message to specific tab', async () => {
       const tabId = 1
@@ -410,6 +862,20 @@ describe('MessageHandler', () => {
     })
   })
 
+  describe('dispatch', () => {
+    test('should run the registered handler with the sender and reject unknown events', async () => {
+      const customHandler = jest.fn().mockResolvedValue({ customResult: true })
+      handler.registerHandler('custom-event', customHandler)
+      const sender = { tab: { id: 1 } }
+
+      await expect(handler.dispatch('custom-event', { test: 'data' }, sender)).resolves.toEqual({ customResult: true })
+      expect(customHandler).toHaveBeenCalledWith({ test: 'data' }, sender)
+
+      await expect(handler.dispatch('unknown-event', {})).rejects.toThrow(MessageHandlerError)
+      await expect(handler.dispatch(undefined, {})).rejects.toThrow('Missing event type')
+    })
+  })
+
   describe('getStats', () => {
     test('should return handler statistics', () => {
       handler.registerHandler('handler1', jest.fn())
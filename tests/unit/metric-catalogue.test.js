@@ -0,0 +1,83 @@
+/**
+ * Unit tests for MetricCatalogue module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('MetricCatalogue', () => {
+  let MetricCatalogue
+
+  beforeAll(() => {
+    // Load the metric catalogue module directly
+    const modulePath = path.join(__dirname, '../../background/metric-catalogue.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    MetricCatalogue = global.WebRTCExporterMetricCatalogue.MetricCatalogue
+  })
+
+  describe('lookup', () => {
+    test('should type cumulative RTP fields as counters', () => {
+      expect(MetricCatalogue.lookup('outbound-rtp', 'packetsSent')).toEqual({
+        type: 'counter',
+        unit: 'packets',
+        help: 'Total RTP packets sent'
+      })
+      expect(MetricCatalogue.lookup('inbound-rtp', 'bytesReceived').type).toBe('counter')
+      expect(MetricCatalogue.lookup('inbound-rtp', 'totalDecodeTime')).toEqual(expect.objectContaining({ type: 'counter', unit: 'seconds' }))
+    })
+
+    test('should type instantaneous and non-monotonic fields as gauges', () => {
+      expect(MetricCatalogue.lookup('inbound-rtp', 'jitter')).toEqual(expect.objectContaining({ type: 'gauge', unit: 'seconds' }))
+      expect(MetricCatalogue.lookup('inbound-rtp', 'packetsLost').type).toBe('gauge')
+      expect(MetricCatalogue.lookup('candidate-pair', 'availableOutgoingBitrate').unit).toBe('bits_per_second')
+    })
+
+    test('should prefer per stats type overrides', () => {
+      expect(MetricCatalogue.lookup('data-channel', 'bytesSent').help).toBe('Data channel payload bytes sent')
+      expect(MetricCatalogue.lookup('outbound-rtp', 'bytesSent').help).toBe('Total payload bytes sent')
+    })
+
+    test('should describe nested record fields through their parent', () => {
+      expect(MetricCatalogue.lookup('outbound-rtp', 'qualityLimitationDurations_bandwidth')).toEqual({
+        type: 'counter',
+        unit: 'seconds',
+        help: 'Time spent in each quality limitation state (bandwidth)'
+      })
+    })
+
+    test('should return null for unknown fields', () => {
+      expect(MetricCatalogue.lookup('inbound-rtp', 'googUnknown')).toBeNull()
+      expect(MetricCatalogue.lookup('inbound-rtp', 'constructor')).toBeNull()
+    })
+  })
+
+  describe('lookupFamily', () => {
+    test('should describe exporter produced series', () => {
+      expect(MetricCatalogue.lookupFamily('peer_connection_events').type).toBe('counter')
+      expect(MetricCatalogue.lookupFamily('peer_connection_codec_info').type).toBe('info')
+      expect(MetricCatalogue.lookupFamily('webrtc_audio_mos').type).toBe('gauge')
+      expect(MetricCatalogue.lookupFamily('unknown_metric')).toBeNull()
+    })
+  })
+
+  describe('catalogue integrity', () => {
+    test('should only use supported types and non-empty help text', () => {
+      const entries = [
+        ...Object.values(MetricCatalogue.FIELDS),
+        ...Object.values(MetricCatalogue.FAMILIES),
+        ...Object.values(MetricCatalogue.TYPE_OVERRIDES).flatMap(Object.values)
+      ]
+
+      entries.forEach(([type, unit, help]) => {
+        expect(MetricCatalogue.isValidType(type)).toBe(true)
+        expect(typeof unit).toBe('string')
+        expect(help.length).toBeGreaterThan(0)
+      })
+    })
+  })
+})
@@ -103,6 +103,17 @@ describe('NetworkCircuitBreaker', () => {
       expect(networkCircuitBreaker.stats.successfulRequests).toBe(1)
     })
 
+    test('should prepare every request right before sending it', async () => {
+      const prepareRequest = jest.fn(request => ({ ...request, url: 'http://dc2:9091' }))
+      const breaker = new NetworkCircuitBreaker(mockPushgatewayClient, { prepareRequest })
+      mockPushgatewayClient._sendDataDirect.mockResolvedValue('success')
+
+      await breaker.sendWithCircuitBreaker({ method: 'POST', url: 'http://dc1:9091', id: 'test-id' })
+
+      expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledWith({ method: 'POST', url: 'http://dc2:9091', id: 'test-id' })
+      breaker.destroy()
+    })
+
     test('should open circuit after threshold failures', async () => {
       const error = new Error('Network error')
       mockPushgatewayClient._sendDataDirect.mockRejectedValue(error)
@@ -289,7 +300,7 @@ describe('NetworkCircuitBreaker', () => {
       expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledTimes(3)
     })
 
-    test('should retry failed queued requests up to max attempts', async () => {
+    test('should keep failing queued requests and stop draining once the circuit opens', async () => {
       // Force circuit to OPEN to queue the request
       networkCircuitBreaker.state = 'OPEN'
       
@@ -312,14 +323,14 @@ describe('NetworkCircuitBreaker', () => {
       mockPushgatewayClient._sendDataDirect.mockRejectedValue(new Error('Processing failed'))
       networkCircuitBreaker.state = 'CLOSED'
       
-      // Process queue multiple times to test retry logic
-      await networkCircuitBreaker._processQueuedRequests()
+      // Retries until the failures open the circuit
       await networkCircuitBreaker._processQueuedRequests()
-      await networkCircuitBreaker._processQueuedRequests()
-      await networkCircuitBreaker._processQueuedRequests() // Should drop after max attempts
-      
-      expect(networkCircuitBreaker.requestQueue).toHaveLength(0)
-      expect(networkCircuitBreaker.stats.droppedRequests).toBe(1)
+
+      expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledTimes(3)
+      expect(networkCircuitBreaker.state).toBe('OPEN')
+      expect(networkCircuitBreaker.requestQueue).toHaveLength(1)
+      expect(networkCircuitBreaker.requestQueue[0].attempts).toBe(3)
+      expect(networkCircuitBreaker.stats.droppedRequests).toBe(0)
       
       // Restore original method
       networkCircuitBreaker._delay = originalDelay
@@ -512,6 +523,370 @@ describe('NetworkCircuitBreaker', () => {
     })
   })
 
+  describe('state listeners', () => {
+    test('should notify listeners of transitions only', async () => {
+      const listener = jest.fn()
+      const unsubscribe = networkCircuitBreaker.onStateChange(listener)
+      mockPushgatewayClient._sendDataDirect.mockRejectedValue(new Error('Network error'))
+
+      for (let i = 0; i < 3; i++) {
+        await expect(networkCircuitBreaker.sendWithCircuitBreaker({ id: `test-id-${i}` })).rejects.toThrow('Network error')
+      }
+      networkCircuitBreaker.open()
+      networkCircuitBreaker.reset()
+      unsubscribe()
+      networkCircuitBreaker.open()
+
+      expect(listener.mock.calls).toEqual([
+        [{ state: 'OPEN', previousState: 'CLOSED', consecutiveFailures: 3, queueSize: 0 }],
+        [{ state: 'CLOSED', previousState: 'OPEN', consecutiveFailures: 3, queueSize: 0 }]
+      ])
+    })
+
+    test('should keep notifying when a listener throws', () => {
+      const listener = jest.fn()
+      networkCircuitBreaker.onStateChange(() => { throw new Error('listener failed') })
+      networkCircuitBreaker.onStateChange(listener)
+
+      networkCircuitBreaker.open()
+
+      expect(listener).toHaveBeenCalled()
+      expect(mockLogger.log).toHaveBeenCalledWith('[NetworkCircuitBreaker]', 'Error in state change listener: listener failed')
+    })
+  })
+
+  describe('persistent queue', () => {
+    let queueStore, persisted, nextKey
+
+    const request = (id) => ({ method: 'POST', url: 'http://localhost:9091', job: 'test-job', id, data: 'test_metric 1' })
+
+    beforeEach(() => {
+      persisted = new Map()
+      nextKey = 1
+      queueStore = {
+        add: jest.fn(async (queue, entry) => {
+          persisted.set(nextKey, { queue, ...entry })
+          return nextKey++
+        }),
+        put: jest.fn(async (key, queue, entry) => { persisted.set(key, { queue, ...entry }) }),
+        remove: jest.fn(async (key) => { persisted.delete(key) }),
+        clear: jest.fn(async () => { persisted.clear() }),
+        load: jest.fn(async (queue) => Array.from(persisted, ([key, record]) => ({ key, ...record })).filter(record => record.queue === queue))
+      }
+      networkCircuitBreaker.destroy()
+      networkCircuitBreaker = new NetworkCircuitBreaker(mockPushgatewayClient, {
+        maxQueueSize: 3,
+        queueStore,
+        queueName: 'primary',
+        restoreRequest: (stored) => ({ ...stored, statsCallback: 'restored' })
+      })
+    })
+
+    test('should persist queued requests without their callbacks', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+
+      await networkCircuitBreaker.sendWithCircuitBreaker({ ...request('pc-1'), statsCallback: jest.fn() })
+
+      expect(queueStore.add).toHaveBeenCalledWith('primary', {
+        request: request('pc-1'),
+        queuedAt: expect.any(Number),
+        attempts: 0
+      })
+    })
+
+    test('should store requests as transformed by persistRequest', async () => {
+      networkCircuitBreaker.persistRequest = ({ password, ...stored }) => stored
+      networkCircuitBreaker.state = 'OPEN'
+
+      await networkCircuitBreaker.sendWithCircuitBreaker({ ...request('pc-1'), password: 'secret' })
+
+      expect(queueStore.add).toHaveBeenCalledWith('primary', expect.objectContaining({ request: request('pc-1') }))
+      expect(networkCircuitBreaker.requestQueue[0].password).toBe('secret')
+    })
+
+    test('should restore persisted requests after a restart and drain them in order', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      for (const id of ['pc-1', 'pc-2']) {
+        await networkCircuitBreaker.sendWithCircuitBreaker(request(id))
+      }
+
+      // A new service worker starts with a CLOSED circuit and an empty queue
+      const restarted = new NetworkCircuitBreaker(mockPushgatewayClient, { queueStore, queueName: 'primary', restoreRequest: (stored) => ({ ...stored, statsCallback: 'restored' }) })
+      const sent = []
+      mockPushgatewayClient._sendDataDirect.mockImplementation(async ({ id, statsCallback }) => sent.push([id, statsCallback]))
+
+      await expect(restarted.restoreQueue()).resolves.toBe(2)
+      expect(restarted.requestQueue.map(queued => queued.id)).toEqual(['pc-1', 'pc-2'])
+
+      await restarted._processQueuedRequests()
+      await Promise.resolve()
+
+      expect(sent).toEqual([['pc-1', 'restored'], ['pc-2', 'restored']])
+      expect(persisted.size).toBe(0)
+      expect(restarted.getStats().restoredRequests).toBe(2)
+      restarted.destroy()
+    })
+
+    test('should keep a restored queue and open the circuit while the endpoint is unreachable', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      for (const id of ['pc-1', 'pc-2']) {
+        await networkCircuitBreaker.sendWithCircuitBreaker(request(id))
+      }
+
+      // The service worker restarts while the agent is still offline
+      const restarted = new NetworkCircuitBreaker(mockPushgatewayClient, { failureThreshold: 3, queueStore, queueName: 'primary' })
+      restarted._delay = jest.fn().mockResolvedValue()
+      mockPushgatewayClient._sendDataDirect.mockRejectedValue(new TypeError('Failed to fetch'))
+
+      await restarted.restoreQueue()
+      await restarted._processQueuedRequests()
+      await expect(restarted.sendWithCircuitBreaker(request('pc-3'))).resolves.toEqual(expect.objectContaining({ queued: true }))
+      await new Promise(jest.requireActual('timers').setImmediate)
+
+      expect(restarted.state).toBe('OPEN')
+      expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledTimes(3)
+      expect(restarted.requestQueue.map(queued => queued.id)).toEqual(['pc-1', 'pc-2', 'pc-3'])
+      expect(Array.from(persisted.values(), record => record.request.id)).toEqual(['pc-1', 'pc-2', 'pc-3'])
+      expect(restarted.getStats().droppedRequests).toBe(0)
+      restarted.destroy()
+    })
+
+    test('should drop expired and excess requests on restore', async () => {
+      const now = Date.now()
+      persisted.set(1, { queue: 'primary', request: request('expired'), queuedAt: now - 2 * 3600000, attempts: 0 })
+      persisted.set(2, { queue: 'primary', request: request('pc-1'), queuedAt: now - 3000, attempts: 1 })
+      persisted.set(3, { queue: 'primary', request: request('pc-2'), queuedAt: now - 2000, attempts: 0 })
+      persisted.set(4, { queue: 'primary', request: request('pc-3'), queuedAt: now - 1000, attempts: 0 })
+      persisted.set(5, { queue: 'primary', request: request('pc-4'), queuedAt: now, attempts: 0 })
+      persisted.set(6, { queue: 'other', request: request('other'), queuedAt: now, attempts: 0 })
+      networkCircuitBreaker.state = 'OPEN'
+
+      await networkCircuitBreaker.restoreQueue()
+      await Promise.resolve()
+
+      expect(networkCircuitBreaker.requestQueue.map(queued => queued.id)).toEqual(['pc-2', 'pc-3', 'pc-4'])
+      expect(networkCircuitBreaker.stats.droppedRequests).toBe(2)
+      expect(Array.from(persisted.keys())).toEqual([3, 4, 5, 6])
+    })
+
+    test('should record failed attempts of persisted requests and keep them', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      networkCircuitBreaker._delay = jest.fn().mockResolvedValue()
+      await networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))
+      mockPushgatewayClient._sendDataDirect.mockRejectedValue(new Error('Processing failed'))
+      networkCircuitBreaker.state = 'CLOSED'
+
+      await networkCircuitBreaker._processQueuedRequests()
+      await new Promise(jest.requireActual('timers').setImmediate)
+
+      expect(queueStore.put).toHaveBeenCalledWith(1, 'primary', expect.objectContaining({ attempts: 1 }))
+      expect(queueStore.put).toHaveBeenCalledWith(1, 'primary', expect.objectContaining({ attempts: 2 }))
+      expect(queueStore.remove).not.toHaveBeenCalled()
+      expect(networkCircuitBreaker.state).toBe('OPEN')
+    })
+
+    test('should keep the persisted queue on destroy', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      await networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))
+
+      networkCircuitBreaker.destroy()
+
+      expect(persisted.size).toBe(1)
+      expect(queueStore.clear).not.toHaveBeenCalled()
+    })
+
+    test('should clear the persisted queue', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      await networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))
+
+      networkCircuitBreaker.clearQueue()
+
+      expect(queueStore.clear).toHaveBeenCalledWith('primary')
+    })
+  })
+
+  describe('queue policies', () => {
+    const post = (id, data = 'test_metric 1') => ({ method: 'POST', url: 'http://localhost:9091', job: 'test-job', id, data })
+    const del = (id) => ({ method: 'DELETE', url: 'http://localhost:9091', job: 'test-job', id })
+
+    const createBreaker = (queuePolicy) => {
+      networkCircuitBreaker.destroy()
+      networkCircuitBreaker = new NetworkCircuitBreaker(mockPushgatewayClient, { maxQueueSize: 3, queuePolicy })
+      networkCircuitBreaker.state = 'OPEN'
+      return networkCircuitBreaker
+    }
+    const queued = () => networkCircuitBreaker.requestQueue.map(({ method, id, data }) => [method, id, data].filter(Boolean).join(' '))
+
+    test('should default to drop_oldest and reject unknown policies', () => {
+      expect(networkCircuitBreaker.getStats().queuePolicy).toBe('drop_oldest')
+      expect(() => networkCircuitBreaker.setQueuePolicy('lifo')).toThrow('Queue policy must be one of fifo, drop_oldest, latest_per_key')
+    })
+
+    test('fifo should drop new POSTs once the queue is full', async () => {
+      createBreaker('fifo')
+      for (const id of ['pc-1', 'pc-2', 'pc-3']) {
+        await networkCircuitBreaker.sendWithCircuitBreaker(post(id))
+      }
+
+      await expect(networkCircuitBreaker.sendWithCircuitBreaker(post('pc-4'))).resolves.toEqual({ queued: false, dropped: true })
+      await networkCircuitBreaker.sendWithCircuitBreaker(del('pc-1'))
+
+      expect(queued()).toEqual(['POST pc-2 test_metric 1', 'POST pc-3 test_metric 1', 'DELETE pc-1'])
+      expect(networkCircuitBreaker.stats.droppedRequests).toBe(2)
+    })
+
+    test('drop_oldest should drop POSTs before DELETEs once the queue is full', async () => {
+      createBreaker('drop_oldest')
+      await networkCircuitBreaker.sendWithCircuitBreaker(del('pc-1'))
+      for (const id of ['pc-2', 'pc-3', 'pc-4']) {
+        await networkCircuitBreaker.sendWithCircuitBreaker(post(id))
+      }
+
+      expect(queued()).toEqual(['DELETE pc-1', 'POST pc-3 test_metric 1', 'POST pc-4 test_metric 1'])
+    })
+
+    test('latest_per_key should keep only the latest POST per grouping key', async () => {
+      createBreaker('latest_per_key')
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-2', 'b 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 2'))
+      await networkCircuitBreaker.sendWithCircuitBreaker({ ...post('pc-1', 'c 1'), groupingKey: { job: 'other', peerConnectionId: 'pc-1' } })
+
+      expect(queued()).toEqual(['POST pc-2 b 1', 'POST pc-1 a 2', 'POST pc-1 c 1'])
+      expect(networkCircuitBreaker.getStats().coalescedRequests).toBe(1)
+    })
+
+    test('latest_per_key should keep the latest POST of every part of a split batched push', async () => {
+      createBreaker('latest_per_key')
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker({ ...post('pc-1', 'b 1'), batchPart: 1 })
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 2'))
+      await networkCircuitBreaker.sendWithCircuitBreaker({ ...post('pc-1', 'b 2'), batchPart: 1 })
+
+      expect(queued()).toEqual(['POST pc-1 a 2', 'POST pc-1 b 2'])
+
+      await networkCircuitBreaker.sendWithCircuitBreaker(del('pc-1'))
+      expect(queued()).toEqual(['DELETE pc-1'])
+    })
+
+    test('latest_per_key should let a DELETE supersede the POSTs of its key', async () => {
+      createBreaker('latest_per_key')
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-2', 'b 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(del('pc-1'))
+
+      expect(queued()).toEqual(['POST pc-2 b 1', 'DELETE pc-1'])
+    })
+
+    test('should not queue POSTs behind a queued DELETE of the same key', async () => {
+      for (const policy of ['fifo', 'drop_oldest', 'latest_per_key']) {
+        createBreaker(policy)
+        await networkCircuitBreaker.sendWithCircuitBreaker(del('pc-1'))
+
+        await expect(networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1'))).resolves.toEqual({ queued: false, dropped: true })
+        expect(queued()).toEqual(['DELETE pc-1'])
+      }
+    })
+
+    test('should send live requests behind the queue while it drains', async () => {
+      for (const [policy, sent] of [['drop_oldest', ['a 1', 'a 2']], ['latest_per_key', ['a 2']]]) {
+        createBreaker(policy)
+        mockPushgatewayClient._sendDataDirect.mockClear().mockResolvedValue('success')
+        await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+        networkCircuitBreaker.state = 'CLOSED'
+
+        await expect(networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 2'))).resolves.toEqual(expect.objectContaining({ queued: true }))
+        for (let i = 0; i < 10; i++) {
+          await Promise.resolve()
+        }
+
+        expect(mockPushgatewayClient._sendDataDirect.mock.calls.map(([request]) => request.data)).toEqual(sent)
+        expect(queued()).toEqual([])
+      }
+    })
+
+    test('latest_per_key should drop queued POSTs a live push replaced', async () => {
+      createBreaker('latest_per_key')
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-2', 'b 1'))
+      networkCircuitBreaker.state = 'HALF_OPEN'
+      mockPushgatewayClient._sendDataDirect.mockResolvedValue('success')
+
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 2'))
+
+      expect(queued()).toEqual(['POST pc-2 b 1'])
+      expect(networkCircuitBreaker.getStats().coalescedRequests).toBe(1)
+    })
+
+    test('should coalesce the queue when switching to latest_per_key', async () => {
+      createBreaker('drop_oldest')
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 1'))
+      await networkCircuitBreaker.sendWithCircuitBreaker(post('pc-1', 'a 2'))
+
+      networkCircuitBreaker.setQueuePolicy('latest_per_key')
+
+      expect(queued()).toEqual(['POST pc-1 a 2'])
+    })
+  })
+
+  describe('throttling', () => {
+    const throttled = (retryAfter = null) => Object.assign(new Error('Pushgateway request failed: 429 Too Many Requests'), {
+      status: 429,
+      retryAfter,
+      isThrottled: () => true,
+      isRetryable: () => true
+    })
+    const request = (id) => ({ method: 'POST', url: 'http://localhost:9091', job: 'test-job', id, data: 'test_metric 1' })
+
+    test('should not count throttling towards the failure threshold', async () => {
+      mockPushgatewayClient._sendDataDirect.mockRejectedValue(throttled())
+
+      for (let i = 0; i < 5; i++) {
+        networkCircuitBreaker.throttledUntil = 0
+        networkCircuitBreaker.clearQueue()
+        await expect(networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))).resolves.toEqual(expect.objectContaining({ queued: true }))
+      }
+
+      expect(networkCircuitBreaker.state).toBe('CLOSED')
+      expect(networkCircuitBreaker.consecutiveFailures).toBe(0)
+      expect(networkCircuitBreaker.stats.throttledRequests).toBe(5)
+      expect(networkCircuitBreaker.stats.failedRequests).toBe(0)
+    })
+
+    test('should queue the throttled request and those of the Retry-After window and replay them afterwards', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0)
+      mockPushgatewayClient._sendDataDirect.mockRejectedValueOnce(throttled(2000))
+      await expect(networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))).resolves.toEqual(expect.objectContaining({ queued: true }))
+
+      await expect(networkCircuitBreaker.sendWithCircuitBreaker(request('pc-2'))).resolves.toEqual(expect.objectContaining({ queued: true }))
+      expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledTimes(1)
+      expect(networkCircuitBreaker.getStats().throttled).toBe(true)
+
+      mockPushgatewayClient._sendDataDirect.mockResolvedValue('success')
+      jest.advanceTimersByTime(2000)
+      for (let i = 0; i < 10; i++) {
+        await Promise.resolve()
+      }
+
+      expect(mockPushgatewayClient._sendDataDirect.mock.calls.slice(1).map(([sent]) => sent.id)).toEqual(['pc-1', 'pc-2'])
+      expect(networkCircuitBreaker.requestQueue).toHaveLength(0)
+      Math.random.mockRestore()
+    })
+
+    test('should drop queued requests rejected as misconfigured without retrying', async () => {
+      networkCircuitBreaker.state = 'OPEN'
+      await networkCircuitBreaker.sendWithCircuitBreaker(request('pc-1'))
+      mockPushgatewayClient._sendDataDirect.mockRejectedValue(Object.assign(new Error('401 Unauthorized'), { status: 401, isRetryable: () => false }))
+      networkCircuitBreaker.state = 'CLOSED'
+
+      await networkCircuitBreaker._processQueuedRequests()
+
+      expect(mockPushgatewayClient._sendDataDirect).toHaveBeenCalledTimes(1)
+      expect(networkCircuitBreaker.requestQueue).toHaveLength(0)
+      expect(networkCircuitBreaker.stats.droppedRequests).toBe(1)
+    })
+  })
+
   describe('createNetworkCircuitBreaker', () => {
     test('should create circuit breaker with logger', () => {
       const cb = createNetworkCircuitBreaker(mockPushgatewayClient, {}, mockLogger)
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for NetworkPath module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('NetworkPathResolver', () => {
+  let NetworkPathResolver
+
+  const report = (overrides = {}) => [
+    { type: 'transport', id: 'T01', selectedCandidatePairId: 'CP2', ...overrides.transport },
+    { type: 'candidate-pair', id: 'CP1', localCandidateId: 'L1', remoteCandidateId: 'R1', state: 'failed' },
+    { type: 'candidate-pair', id: 'CP2', localCandidateId: 'L2', remoteCandidateId: 'R2', state: 'succeeded', nominated: true, ...overrides.pair },
+    { type: 'local-candidate', id: 'L1', candidateType: 'host', protocol: 'udp', networkType: 'wifi' },
+    { type: 'local-candidate', id: 'L2', candidateType: 'relay', protocol: 'udp', relayProtocol: 'tcp', networkType: 'ethernet', ...overrides.local },
+    { type: 'remote-candidate', id: 'R1', candidateType: 'host', protocol: 'udp' },
+    { type: 'remote-candidate', id: 'R2', candidateType: 'srflx', protocol: 'udp' }
+  ]
+
+  beforeAll(() => {
+    // Load the network path module directly
+    const modulePath = path.join(__dirname, '../../background/network-path.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    NetworkPathResolver = global.WebRTCExporterNetworkPath.NetworkPathResolver
+  })
+
+  describe('resolve', () => {
+    test('should follow the transport to the selected pair and its candidates', () => {
+      expect(NetworkPathResolver.resolve(report())).toEqual({
+        localCandidateType: 'relay',
+        remoteCandidateType: 'srflx',
+        protocol: 'udp',
+        relayProtocol: 'tcp',
+        networkType: 'ethernet'
+      })
+    })
+
+    test('should report no relay protocol for direct paths', () => {
+      const result = NetworkPathResolver.resolve(report({ local: { candidateType: 'host', relayProtocol: undefined } }))
+
+      expect(result.localCandidateType).toBe('host')
+      expect(result.relayProtocol).toBe('none')
+    })
+
+    test('should fall back to the selected or nominated pair without a transport link', () => {
+      const values = report({ transport: { selectedCandidatePairId: undefined } })
+      expect(NetworkPathResolver.resolve(values).localCandidateType).toBe('relay')
+
+      const firefox = report({ transport: { selectedCandidatePairId: undefined }, pair: { nominated: false, selected: true } })
+      expect(NetworkPathResolver.resolve(firefox).relayProtocol).toBe('tcp')
+    })
+
+    test('should mark missing candidate fields as unknown', () => {
+      const values = report().filter(value => value.id !== 'R2')
+      values[4] = { type: 'local-candidate', id: 'L2', candidateType: 'relay' }
+
+      expect(NetworkPathResolver.resolve(values)).toEqual({
+        localCandidateType: 'relay',
+        remoteCandidateType: 'unknown',
+        protocol: 'unknown',
+        relayProtocol: 'unknown',
+        networkType: 'unknown'
+      })
+    })
+
+    test('should return null before a pair is selected', () => {
+      expect(NetworkPathResolver.resolve([{ type: 'inbound-rtp', id: 'IT1' }])).toBeNull()
+      expect(NetworkPathResolver.resolve(null)).toBeNull()
+    })
+  })
+})
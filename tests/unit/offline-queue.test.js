@@ -0,0 +1,169 @@
+/**
+ * Unit tests for OfflineQueue module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Minimal in-memory IndexedDB covering what the offline queue store uses:
+ * one auto-incremented object store with an index, requests settling asynchronously
+ * and transactions completing once their last request settled.
+ */
+function createFakeIndexedDB () {
+  const databases = new Map()
+
+  const settle = (transaction, request, run) => {
+    transaction.pending++
+    setTimeout(() => {
+      try {
+        request.result = run()
+        request.onsuccess?.()
+      } catch (error) {
+        request.error = error
+        transaction.error = error
+        transaction.onerror?.()
+        return
+      }
+      if (--transaction.pending === 0) {
+        setTimeout(() => transaction.pending === 0 && transaction.oncomplete?.(), 0)
+      }
+    }, 0)
+    return request
+  }
+
+  const createObjectStore = (data, transaction) => {
+    const store = {
+      add: (value) => settle(transaction, {}, () => {
+        const key = data.nextKey++
+        data.records.set(key, { ...structuredClone(value), key })
+        return key
+      }),
+      put: (value) => settle(transaction, {}, () => {
+        data.records.set(value.key, structuredClone(value))
+        return value.key
+      }),
+      delete: (key) => settle(transaction, {}, () => { data.records.delete(key) }),
+      getAll: () => settle(transaction, {}, () => Array.from(data.records.values(), record => structuredClone(record))),
+      index: (name) => ({
+        getAll: (value) => settle(transaction, {}, () => Array.from(data.records.values()).filter(record => record[data.indexes[name]] === value).map(record => structuredClone(record))),
+        getAllKeys: (value) => settle(transaction, {}, () => Array.from(data.records.values()).filter(record => record[data.indexes[name]] === value).map(record => record.key))
+      })
+    }
+    return store
+  }
+
+  return {
+    databases,
+    open: jest.fn((name) => {
+      const request = {}
+      setTimeout(() => {
+        const isNew = !databases.has(name)
+        if (isNew) {
+          databases.set(name, { stores: new Map() })
+        }
+        const database = databases.get(name)
+        request.result = {
+          objectStoreNames: { contains: (storeName) => database.stores.has(storeName) },
+          createObjectStore: (storeName) => {
+            const data = { records: new Map(), nextKey: 1, indexes: {} }
+            database.stores.set(storeName, data)
+            return { createIndex: (indexName, keyPath) => { data.indexes[indexName] = keyPath } }
+          },
+          transaction: (storeName) => {
+            const transaction = { pending: 0 }
+            transaction.objectStore = () => createObjectStore(database.stores.get(storeName), transaction)
+            return transaction
+          },
+          close: jest.fn()
+        }
+        if (isNew) {
+          request.onupgradeneeded?.()
+        }
+        request.onsuccess?.()
+      }, 0)
+      return request
+    })
+  }
+}
+
+describe('OfflineQueueStore', () => {
+  let OfflineQueueStore, OfflineQueueError, createOfflineQueueStore
+  let store, indexedDB
+
+  beforeAll(() => {
+    // Load the offline queue module directly
+    const modulePath = path.join(__dirname, '../../background/offline-queue.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterOfflineQueue
+    OfflineQueueStore = exports.OfflineQueueStore
+    OfflineQueueError = exports.OfflineQueueError
+    createOfflineQueueStore = exports.createOfflineQueueStore
+  })
+
+  beforeEach(() => {
+    indexedDB = createFakeIndexedDB()
+    store = createOfflineQueueStore({ logger: { log: jest.fn() }, indexedDB })
+  })
+
+  afterEach(() => {
+    store.destroy()
+  })
+
+  test('should load the requests of a queue in the order they were added', async () => {
+    const first = await store.add('primary', { request: { id: 'pc-1', data: 'a 1' }, queuedAt: 1000 })
+    await store.add('migration', { request: { id: 'pc-1', data: 'a 1' }, queuedAt: 1500 })
+    const second = await store.add('primary', { request: { id: 'pc-2', data: 'b 1' }, queuedAt: 2000, attempts: 1 })
+
+    await expect(store.load('primary')).resolves.toEqual([
+      { key: first, request: { id: 'pc-1', data: 'a 1' }, queuedAt: 1000, attempts: 0 },
+      { key: second, request: { id: 'pc-2', data: 'b 1' }, queuedAt: 2000, attempts: 1 }
+    ])
+    expect(indexedDB.open).toHaveBeenCalledTimes(1)
+  })
+
+  test('should keep requests for a store opened later, as after a service worker restart', async () => {
+    await store.add('primary', { request: { id: 'pc-1' }, queuedAt: 1000 })
+    store.destroy()
+
+    const restarted = createOfflineQueueStore({ indexedDB })
+    await expect(restarted.load('primary')).resolves.toHaveLength(1)
+    restarted.destroy()
+  })
+
+  test('should update and remove requests', async () => {
+    const key = await store.add('primary', { request: { id: 'pc-1' }, queuedAt: 1000 })
+    await store.put(key, 'primary', { request: { id: 'pc-1' }, queuedAt: 1000, attempts: 2 })
+    expect((await store.load('primary'))[0].attempts).toBe(2)
+
+    await store.remove(key)
+    await expect(store.load('primary')).resolves.toEqual([])
+    expect(store.getStats()).toEqual(expect.objectContaining({ available: true, writes: 2, deletes: 1 }))
+  })
+
+  test('should clear one queue and retain listed queues', async () => {
+    await store.add('primary', { request: { id: 'pc-1' }, queuedAt: 1000 })
+    await store.add('primary', { request: { id: 'pc-2' }, queuedAt: 1000 })
+    await store.add('migration', { request: { id: 'pc-1' }, queuedAt: 1000 })
+    await store.add('removed', { request: { id: 'pc-1' }, queuedAt: 1000 })
+
+    await expect(store.clear('primary')).resolves.toBe(2)
+    await expect(store.retain(['primary', 'migration'])).resolves.toBe(1)
+
+    await expect(store.load('migration')).resolves.toHaveLength(1)
+    await expect(store.load('removed')).resolves.toEqual([])
+  })
+
+  test('should reject when IndexedDB is not available', async () => {
+    const unavailable = new OfflineQueueStore(null)
+
+    expect(unavailable.isAvailable()).toBe(false)
+    await expect(unavailable.load('primary')).rejects.toThrow(OfflineQueueError)
+  })
+})
@@ -0,0 +1,290 @@
+/**
+ * Unit tests for OtlpClient module
+ */
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const zlib = require('zlib')
+const { createCollector, summarizeExport } = require('../../scripts/otlp-collector')
+
+describe('OtlpClient', () => {
+  let OtlpClient, OtlpError, otlpSinkType, PushgatewayClient
+  let client
+  let mockFetch
+
+  const exposition = [
+    '# HELP inbound_rtp_jitter Packet jitter',
+    '# TYPE inbound_rtp_jitter gauge',
+    '# UNIT inbound_rtp_jitter seconds',
+    'inbound_rtp_jitter{pageUrl="https://example.com",id="IT1"} 0.01',
+    '# HELP inbound_rtp_packetsReceived Packets received',
+    '# TYPE inbound_rtp_packetsReceived counter',
+    'inbound_rtp_packetsReceived_total{pageUrl="https://example.com",id="IT1"} 1200',
+    'inbound_rtp_packetsReceived_total{pageUrl="https://example.com",id="IT2"} NaN',
+    '# EOF',
+    ''
+  ].join('\n')
+
+  const resource = [{ key: 'service.name', value: { stringValue: 'webrtc' } }]
+
+  const request = {
+    method: 'POST',
+    url: 'http://localhost:4318',
+    job: 'webrtc',
+    id: 'pc-1',
+    groupingKey: { job: 'webrtc', peerConnectionId: 'pc-1' },
+    resource,
+    data: exposition
+  }
+
+  const parseBody = () => JSON.parse(mockFetch.mock.calls[mockFetch.mock.calls.length - 1][1].body)
+
+  beforeAll(() => {
+    global.fetch = jest.fn()
+    mockFetch = global.fetch
+    global.btoa = jest.fn((str) => Buffer.from(str).toString('base64'))
+
+    // Load the modules the client builds on, then the client itself
+    const load = (file) => {
+      const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', 'fetch', 'btoa', moduleCode)
+      moduleFunction(global, global, global, global, console, mockFetch, global.btoa)
+    }
+    load('pushgateway-client.js')
+    load('exposition-parser.js')
+    load('otlp-client.js')
+
+    PushgatewayClient = global.WebRTCExporterPushgateway.PushgatewayClient
+    const exports = global.WebRTCExporterOtlp
+    OtlpClient = exports.OtlpClient
+    OtlpError = exports.OtlpError
+    otlpSinkType = exports.otlpSinkType
+  })
+
+  beforeEach(() => {
+    client = new OtlpClient()
+    jest.clearAllMocks()
+    mockFetch.mockResolvedValue({ ok: true, text: jest.fn().mockResolvedValue('{}') })
+  })
+
+  describe('resolveEndpoint', () => {
+    test('should append /v1/metrics to base URLs only', () => {
+      expect(OtlpClient.resolveEndpoint('http://localhost:4318')).toBe('http://localhost:4318/v1/metrics')
+      expect(OtlpClient.resolveEndpoint('http://localhost:4318/')).toBe('http://localhost:4318/v1/metrics')
+      expect(OtlpClient.resolveEndpoint('https://otel.example.com/otlp/v1/metrics')).toBe('https://otel.example.com/otlp/v1/metrics')
+    })
+  })
+
+  describe('resolveResourceAttributes', () => {
+    test('should describe the agent, browser and extension version', () => {
+      expect(OtlpClient.resolveResourceAttributes({
+        job: 'webrtc',
+        agentId: 'agent-7',
+        version: '2.1.0',
+        userAgent: {
+          userAgent: 'Mozilla/5.0 Chrome/130.0.0.0',
+          userAgentData: { platform: 'macOS', brands: [{ brand: 'Google Chrome', version: '130' }] }
+        }
+      })).toEqual([
+        { key: 'service.name', value: { stringValue: 'webrtc' } },
+        { key: 'service.version', value: { stringValue: '2.1.0' } },
+        { key: 'service.instance.id', value: { stringValue: 'agent-7' } },
+        { key: 'user_agent.original', value: { stringValue: 'Mozilla/5.0 Chrome/130.0.0.0' } },
+        { key: 'browser.platform', value: { stringValue: 'macOS' } },
+        { key: 'browser.brands', value: { arrayValue: { values: [{ stringValue: 'Google Chrome 130' }] } } }
+      ])
+    })
+
+    test('should take the version from the manifest and leave out unknown values', () => {
+      global.chrome = { runtime: { getManifest: () => ({ version: '3.0.0' }) } }
+      try {
+        expect(OtlpClient.resolveResourceAttributes({ job: 'webrtc', userAgent: {} })).toEqual([
+          { key: 'service.name', value: { stringValue: 'webrtc' } },
+          { key: 'service.version', value: { stringValue: '3.0.0' } }
+        ])
+      } finally {
+        delete global.chrome
+      }
+    })
+  })
+
+  describe('sendData', () => {
+    test('should POST counters as cumulative sums and other families as gauges', async () => {
+      await client.sendData({ ...request, timestamp: 1760000000123.4 })
+
+      const [url, { method, headers }] = mockFetch.mock.calls[0]
+      expect(url).toBe('http://localhost:4318/v1/metrics')
+      expect(method).toBe('POST')
+      expect(headers).toEqual({ 'Content-Type': 'application/json' })
+
+      const attributes = (id) => [
+        { key: 'pageUrl', value: { stringValue: 'https://example.com' } },
+        { key: 'id', value: { stringValue: id } },
+        { key: 'peerConnectionId', value: { stringValue: 'pc-1' } }
+      ]
+      expect(parseBody()).toEqual({
+        resourceMetrics: [{
+          resource: { attributes: resource },
+          scopeMetrics: [{
+            scope: { name: 'webrtc-stats-exporter', version: '' },
+            metrics: [
+              {
+                name: 'inbound_rtp_jitter',
+                description: 'Packet jitter',
+                unit: 's',
+                gauge: {
+                  dataPoints: [{ attributes: attributes('IT1'), timeUnixNano: '1760000000123000000', asDouble: 0.01 }]
+                }
+              },
+              {
+                name: 'inbound_rtp_packetsReceived',
+                description: 'Packets received',
+                unit: '',
+                sum: {
+                  aggregationTemporality: 2,
+                  isMonotonic: true,
+                  dataPoints: [{
+                    attributes: attributes('IT1'),
+                    startTimeUnixNano: '1760000000123000000',
+                    timeUnixNano: '1760000000123000000',
+                    asDouble: 1200
+                  }]
+                }
+              }
+            ]
+          }]
+        }]
+      })
+    })
+
+    test('should keep the start time of a group until it is deleted', async () => {
+      const startTime = () => parseBody().resourceMetrics[0].scopeMetrics[0].metrics[1].sum.dataPoints[0].startTimeUnixNano
+
+      await client.sendData({ ...request, timestamp: 1000 })
+      await client.sendData({ ...request, timestamp: 2000 })
+      expect(startTime()).toBe('1000000000')
+      expect(client.getStats().trackedGroups).toBe(1)
+
+      await expect(client.sendData({ ...request, method: 'DELETE', data: undefined })).resolves.toBe('')
+      expect(mockFetch).toHaveBeenCalledTimes(2)
+
+      await client.sendData({ ...request, timestamp: 3000 })
+      expect(startTime()).toBe('3000000000')
+    })
+
+    test('should keep the start time of a group while the connections of its batched pushes change', async () => {
+      const startTime = () => parseBody().resourceMetrics[0].scopeMetrics[0].metrics[1].sum.dataPoints[0].startTimeUnixNano
+      const groupingKey = { job: 'webrtc', agent_id: 'agent-1' }
+
+      await client.sendData({ ...request, id: 'pc-1', groupingKey, timestamp: 1000 })
+      await client.sendData({ ...request, id: 'pc-1,pc-2', groupingKey, timestamp: 2000 })
+      await client.sendData({ ...request, id: 'pc-2', groupingKey, timestamp: 3000 })
+      expect(startTime()).toBe('1000000000')
+      expect(client.getStats().trackedGroups).toBe(1)
+
+      await client.sendData({ ...request, id: 'pc-2', groupingKey, method: 'DELETE', data: undefined })
+      expect(client.getStats().trackedGroups).toBe(0)
+    })
+
+    test('should send credentials and gzip the body when enabled', async () => {
+      global.pako = { gzip: (data) => zlib.gzipSync(data) }
+      try {
+        await client.sendData({ ...request, username: 'user', password: 'pass', gzip: true })
+      } finally {
+        delete global.pako
+      }
+
+      const { headers, body } = mockFetch.mock.calls[0][1]
+      expect(headers).toEqual({
+        'Content-Type': 'application/json',
+        'Content-Encoding': 'gzip',
+        Authorization: `Basic ${Buffer.from('user:pass').toString('base64')}`
+      })
+      expect(JSON.parse(zlib.gunzipSync(body)).resourceMetrics[0].resource.attributes).toEqual(resource)
+    })
+
+    test('should throw OtlpError on error responses and not retry them', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        text: jest.fn().mockResolvedValue('{"code":3}')
+      })
+
+      const error = await client.sendDataWithRetry(request, 2, 1).catch(e => e)
+
+      expect(error).toBeInstanceOf(OtlpError)
+      expect(error.message).toBe('OTLP request failed: 400 Bad Request')
+      expect(error.responseText).toBe('{"code":3}')
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('stand-in collector', () => {
+    test('should accept the export request', async () => {
+      await client.sendData({ ...request, timestamp: 1000 })
+      const body = mockFetch.mock.calls[0][1].body
+
+      const exports = []
+      const collector = createCollector({ log: jest.fn(), onExport: (payload, summary) => exports.push(summary) })
+      await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve))
+
+      try {
+        const status = await new Promise((resolve, reject) => {
+          const req = http.request({
+            host: '127.0.0.1',
+            port: collector.address().port,
+            path: '/v1/metrics',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+          }, res => {
+            res.resume()
+            res.on('end', () => resolve(res.statusCode))
+          })
+          req.on('error', reject)
+          req.end(body)
+        })
+
+        expect(status).toBe(200)
+        expect(exports).toEqual([{
+          resource: { 'service.name': 'webrtc' },
+          metrics: [
+            { name: 'inbound_rtp_jitter', kind: 'gauge', points: 1 },
+            { name: 'inbound_rtp_packetsReceived', kind: 'sum', points: 1 }
+          ]
+        }])
+      } finally {
+        await new Promise(resolve => collector.close(resolve))
+      }
+    })
+
+    test('should reject malformed exports', () => {
+      expect(() => summarizeExport({})).toThrow('resourceMetrics must be an array')
+      expect(() => summarizeExport({ resourceMetrics: [{ scopeMetrics: [{ metrics: [{ name: 'm', gauge: { dataPoints: [{}] } }] }] }] }))
+        .toThrow('Metric m has a data point without timeUnixNano')
+    })
+  })
+
+  describe('otlpSinkType', () => {
+    test('should create a client and add resource attributes for the agent', () => {
+      expect(otlpSinkType.createClient()).toBeInstanceOf(PushgatewayClient)
+      expect(otlpSinkType.buildRequest(
+        { url: 'http://localhost:4318', username: 'user', password: 'pass', gzip: true },
+        { method: 'POST', job: 'webrtc', id: 'pc-1', agentId: 'agent-7', groupingKey: { job: 'webrtc' }, data: 'metrics', format: 'prometheus', timestamp: 1000 }
+      )).toEqual({
+        method: 'POST',
+        url: 'http://localhost:4318',
+        job: 'webrtc',
+        id: 'pc-1',
+        groupingKey: { job: 'webrtc' },
+        resource: expect.arrayContaining([{ key: 'service.instance.id', value: { stringValue: 'agent-7' } }]),
+        username: 'user',
+        password: 'pass',
+        gzip: true,
+        data: 'metrics',
+        timestamp: 1000
+      })
+    })
+  })
+})
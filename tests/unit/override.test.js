@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the page-side override script (override.js)
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('WebrtcInternalsExporter (override.js)', () => {
+  let WebrtcInternalsExporter, exporter, mockWindow
+
+  const createMockPeerConnection = () => {
+    const listeners = {}
+    return {
+      connectionState: 'new',
+      signalingState: 'stable',
+      localDescription: null,
+      remoteDescription: null,
+      addEventListener: jest.fn((type, listener) => {
+        listeners[type] = listeners[type] || []
+        listeners[type].push(listener)
+      }),
+      dispatch (type, event = {}) {
+        (listeners[type] || []).forEach(listener => listener(event))
+      },
+      getStats: jest.fn().mockResolvedValue(new Map()),
+      setLocalDescription: jest.fn(function (description) {
+        this.localDescription = description
+        return Promise.resolve()
+      }),
+      setRemoteDescription: jest.fn(function (description) {
+        this.remoteDescription = description
+        return Promise.resolve()
+      })
+    }
+  }
+
+  const postedMessages = (event) => mockWindow.postMessage.mock.calls
+    .map(([message]) => message)
+    .filter(message => message.event === event)
+
+  const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve))
+
+  const audioOffer = [
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0 1',
+    'm=audio 9 UDP/TLS/RTP/SAVPF 111 0 8 126',
+    'c=IN IP4 0.0.0.0',
+    'a=candidate:1 1 udp 2122260223 192.168.1.20 54321 typ host',
+    'a=mid:0',
+    'a=sendrecv',
+    'a=rtpmap:111 opus/48000/2',
+    'a=rtpmap:126 telephone-event/8000',
+    'm=video 9 UDP/TLS/RTP/SAVPF 96 97',
+    'a=mid:1',
+    'a=recvonly',
+    'a=rtpmap:96 VP8/90000',
+    'a=rtpmap:97 rtx/90000',
+    ''
+  ].join('\r\n')
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+
+    mockWindow = {
+      addEventListener: jest.fn(),
+      postMessage: jest.fn(),
+      crypto: { randomUUID: jest.fn(() => 'pc-1') },
+      location: { href: 'https://meet.google.com/abc-defg-hij' },
+      RTCPeerConnection: jest.fn()
+    }
+
+    const modulePath = path.join(__dirname, '../../override.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+    const moduleFunction = new Function('window', 'console', moduleCode + '\nreturn { WebrtcInternalsExporter, webrtcInternalsExporter }')
+    const loaded = moduleFunction(mockWindow, { log: jest.fn() })
+
+    WebrtcInternalsExporter = loaded.WebrtcInternalsExporter
+    exporter = loaded.webrtcInternalsExporter
+    Object.assign(exporter, { url: 'http://localhost:9091', enabled: true })
+  })
+
+  afterEach(() => {
+    jest.clearAllTimers()
+    jest.useRealTimers()
+  })
+
+  describe('parseSdp', () => {
+    test('should extract codecs, directions and BUNDLE groups', () => {
+      const summary = WebrtcInternalsExporter.parseSdp(audioOffer)
+
+      expect(summary.bundle).toEqual([['0', '1']])
+      expect(summary.onHold).toBe(false)
+      expect(summary.media).toEqual([
+        {
+          mid: '0',
+          kind: 'audio',
+          direction: 'sendrecv',
+          rejected: false,
+          codec: 'opus',
+          codecs: [
+            { payloadType: 111, name: 'opus', clockRate: 48000, channels: 2 },
+            { payloadType: 0, name: 'PCMU', clockRate: 8000, channels: 1 },
+            { payloadType: 8, name: 'PCMA', clockRate: 8000, channels: 1 },
+            { payloadType: 126, name: 'telephone-event', clockRate: 8000, channels: undefined }
+          ]
+        },
+        {
+          mid: '1',
+          kind: 'video',
+          direction: 'recvonly',
+          rejected: false,
+          codec: 'VP8',
+          codecs: [
+            { payloadType: 96, name: 'VP8', clockRate: 90000, channels: undefined },
+            { payloadType: 97, name: 'rtx', clockRate: 90000, channels: undefined }
+          ]
+        }
+      ])
+    })
+
+    test('should detect fallback to a static payload type codec', () => {
+      const summary = WebrtcInternalsExporter.parseSdp('v=0\nm=audio 9 RTP/AVP 8 101\na=rtpmap:101 telephone-event/8000\na=sendrecv\n')
+
+      expect(summary.media[0].codec).toBe('PCMA')
+    })
+
+    test('should report hold for sendonly and inactive media', () => {
+      expect(WebrtcInternalsExporter.parseSdp(audioOffer.replace('a=sendrecv', 'a=sendonly')).onHold).toBe(true)
+      expect(WebrtcInternalsExporter.parseSdp(audioOffer.replace('a=sendrecv', 'a=inactive')).onHold).toBe(true)
+    })
+
+    test('should apply session level direction and ignore rejected media', () => {
+      const sdp = 'v=0\r\na=inactive\r\nm=audio 0 UDP/TLS/RTP/SAVPF 111\r\na=rtpmap:111 opus/48000/2\r\n'
+      const summary = WebrtcInternalsExporter.parseSdp(sdp)
+
+      expect(summary.media[0].direction).toBe('inactive')
+      expect(summary.media[0].rejected).toBe(true)
+      expect(summary.onHold).toBe(false)
+    })
+  })
+
+  describe('session descriptions', () => {
+    test('should post parsed descriptions without the raw SDP', async () => {
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+
+      await pc.setLocalDescription({ type: 'offer', sdp: audioOffer })
+      await flushPromises()
+
+      const [message] = postedMessages('webrtc-internal-exporter:peer-connection-description')
+      expect(message).toEqual(expect.objectContaining({
+        url: 'https://meet.google.com/abc-defg-hij',
+        id: 'pc-1',
+        side: 'local'
+      }))
+      expect(message.description.type).toBe('offer')
+      expect(message.description.media[0].codec).toBe('opus')
+      expect(JSON.stringify(message)).not.toContain('192.168.1.20')
+    })
+
+    test('should preserve the original method result', async () => {
+      const pc = createMockPeerConnection()
+      const original = pc.setRemoteDescription
+      exporter.add(pc)
+
+      const result = pc.setRemoteDescription({ type: 'answer', sdp: audioOffer })
+
+      expect(result).toBeInstanceOf(Promise)
+      expect(original).toHaveBeenCalledWith({ type: 'answer', sdp: audioOffer })
+      await flushPromises()
+      expect(postedMessages('webrtc-internal-exporter:peer-connection-description')[0].side).toBe('remote')
+    })
+
+    test('should hold descriptions until the exporter is enabled', async () => {
+      exporter.enabled = false
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+
+      await pc.setLocalDescription({ type: 'offer', sdp: audioOffer })
+      await flushPromises()
+      expect(postedMessages('webrtc-internal-exporter:peer-connection-description')).toHaveLength(0)
+
+      exporter.enabled = true
+      exporter.flushDescriptions('pc-1')
+      expect(postedMessages('webrtc-internal-exporter:peer-connection-description')).toHaveLength(1)
+    })
+  })
+
+  describe('event timeline', () => {
+    test('should post timestamped state change events', () => {
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+
+      pc.iceConnectionState = 'disconnected'
+      pc.dispatch('iceconnectionstatechange')
+
+      const [message] = postedMessages('webrtc-internal-exporter:peer-connection-events')
+      expect(message.id).toBe('pc-1')
+      expect(message.events).toEqual([
+        { type: 'iceconnectionstatechange', timestamp: expect.any(Number), state: 'disconnected' }
+      ])
+    })
+
+    test('should record ICE candidate errors without the candidate address', () => {
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+
+      pc.dispatch('icecandidateerror', { address: '10.0.0.5', errorCode: 701, errorText: 'STUN binding failed', url: 'stun:stun.example.com' })
+
+      const [message] = postedMessages('webrtc-internal-exporter:peer-connection-events')
+      expect(message.events[0]).toEqual({
+        type: 'icecandidateerror',
+        timestamp: expect.any(Number),
+        errorCode: 701,
+        errorText: 'STUN binding failed',
+        url: 'stun:stun.example.com'
+      })
+    })
+
+    test('should buffer events while disabled', () => {
+      exporter.enabled = false
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+
+      pc.dispatch('negotiationneeded')
+      expect(postedMessages('webrtc-internal-exporter:peer-connection-events')).toHaveLength(0)
+
+      exporter.enabled = true
+      exporter.flushEvents('pc-1')
+      expect(postedMessages('webrtc-internal-exporter:peer-connection-events')[0].events).toHaveLength(1)
+    })
+  })
+
+  describe('stats collection', () => {
+    test('should collect on wall clock ticks shared by every connection', async () => {
+      jest.setSystemTime(10300)
+      const pc = createMockPeerConnection()
+      exporter.add(pc)
+      await flushPromises()
+      expect(pc.getStats).toHaveBeenCalledTimes(1)
+
+      jest.advanceTimersByTime(1699)
+      expect(pc.getStats).toHaveBeenCalledTimes(1)
+
+      jest.advanceTimersByTime(1)
+      expect(pc.getStats).toHaveBeenCalledTimes(2)
+      expect(WebrtcInternalsExporter.nextCollectionDelay(12000, 2000)).toBe(2000)
+    })
+  })
+})
@@ -0,0 +1,259 @@
+/**
+ * Unit tests for the port protocol: PortClient and PortServer
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('Port protocol', () => {
+  let PortClient, createPortClient, PortServer, PortServerError, createPortServer, PROTOCOL_VERSION
+  let onConnect, runtime, client, server, dispatch, mockLogger
+
+  const sender = { tab: { id: 7 }, url: 'https://meet.example.com/abc' }
+
+  // Chrome event with listeners that can be fired by the test
+  const createEvent = () => {
+    const listeners = []
+    return {
+      listeners,
+      addListener: jest.fn(listener => listeners.push(listener)),
+      removeListener: jest.fn(listener => listeners.splice(listeners.indexOf(listener), 1)),
+      emit: (...args) => listeners.slice().forEach(listener => listener(...args))
+    }
+  }
+
+  // Both ends of a port; disconnect() fires onDisconnect on the other end only, like Chrome does
+  const createPortPair = (name) => {
+    let connected = true
+    const ends = [{ name }, { name, sender }]
+    ends.forEach((end, index) => {
+      const other = () => ends[1 - index]
+      end.onMessage = createEvent()
+      end.onDisconnect = createEvent()
+      end.postMessage = jest.fn((message) => {
+        if (!connected) {
+          throw new Error('Attempting to use a disconnected port object')
+        }
+        other().onMessage.emit(JSON.parse(JSON.stringify(message)))
+      })
+      end.disconnect = jest.fn(() => {
+        if (connected) {
+          connected = false
+          other().onDisconnect.emit(other())
+        }
+      })
+    })
+    return { client: ends[0], server: ends[1] }
+  }
+
+  const flush = () => new Promise(setImmediate)
+  const startServer = (options = {}) => createPortServer({ logger: mockLogger, onConnect }, options)
+
+  beforeAll(() => {
+    // Load the protocol before the server, which takes its constants
+    for (const file of ['../../shared/port-protocol.js', '../../background/port-server.js']) {
+      const moduleCode = fs.readFileSync(path.join(__dirname, file), 'utf8')
+
+      // Execute the module code
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+      moduleFunction(global, global, global, global, console)
+    }
+
+    // Get the exported classes
+    ;({ PortClient, createPortClient, PROTOCOL_VERSION } = global.WebRTCExporterPortProtocol)
+    ;({ PortServer, PortServerError, createPortServer } = global.WebRTCExporterPortServer)
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] })
+    mockLogger = { log: jest.fn() }
+    onConnect = createEvent()
+    runtime = {
+      id: 'extension-id',
+      lastError: undefined,
+      connect: jest.fn(({ name }) => {
+        const pair = createPortPair(name)
+        onConnect.emit(pair.server)
+        return pair.client
+      })
+    }
+    dispatch = jest.fn().mockResolvedValue({ success: true })
+    server = startServer()
+    client = createPortClient({ runtime, logger: mockLogger }, { session: 'tab-session' })
+  })
+
+  afterEach(() => {
+    client.destroy()
+    server.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('delivery', () => {
+    test('should handle messages in order with the port sender and acknowledge them', async () => {
+      server.setDispatcher(dispatch)
+
+      expect(client.send('peer-connection-stats', { id: 'pc-1' })).toBe(1)
+      expect(client.send('peer-connection-events', { id: 'pc-1' })).toBe(2)
+      await flush()
+
+      expect(runtime.connect).toHaveBeenCalledTimes(1)
+      expect(runtime.connect).toHaveBeenCalledWith({ name: 'webrtc-exporter' })
+      expect(dispatch.mock.calls).toEqual([
+        ['peer-connection-stats', { id: 'pc-1' }, sender],
+        ['peer-connection-events', { id: 'pc-1' }, sender]
+      ])
+      expect(client.getStats()).toEqual(expect.objectContaining({ connected: true, waiting: 0, sent: 2, acknowledged: 2 }))
+      expect(server.getStats()).toEqual(expect.objectContaining({ ports: 1, sessions: 1, messages: 2 }))
+    })
+
+    test('should hold messages until the dispatcher is set', async () => {
+      client.send('peer-connection-stats', { id: 'pc-1' })
+      await flush()
+      expect(client.getStats().waiting).toBe(1)
+
+      server.setDispatcher(dispatch)
+      await flush()
+
+      expect(dispatch).toHaveBeenCalledTimes(1)
+      expect(client.getStats().waiting).toBe(0)
+    })
+
+    test('should acknowledge failed messages with the error', async () => {
+      server.setDispatcher(jest.fn().mockRejectedValue(new Error('Unknown event type')))
+
+      client.send('peer-connection-unknown', {})
+      await flush()
+
+      expect(client.getStats()).toEqual(expect.objectContaining({ waiting: 0, acknowledged: 0, failed: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('error: peer-connection-unknown Unknown event type')
+    })
+  })
+
+  describe('replay', () => {
+    test('should replay unacknowledged messages after the service worker restarted', async () => {
+      client.send('peer-connection-stats', { id: 'pc-1', n: 1 })
+      client.send('peer-connection-stats', { id: 'pc-1', n: 2 })
+      await flush()
+
+      // The stopped service worker takes its ports and sessions with it
+      server.destroy()
+      server = startServer()
+      server.setDispatcher(dispatch)
+      expect(client.getStats()).toEqual(expect.objectContaining({ connected: false, waiting: 2 }))
+
+      jest.advanceTimersByTime(PortClient.RECONNECT_BASE_DELAY)
+      await flush()
+
+      expect(dispatch.mock.calls.map(([, data]) => data.n)).toEqual([1, 2])
+      expect(client.getStats()).toEqual(expect.objectContaining({ waiting: 0, acknowledged: 2, replayed: 2, reconnects: 1 }))
+    })
+
+    test('should not handle a message twice when only its acknowledgement was lost', async () => {
+      let finish
+      server.setDispatcher(jest.fn(() => new Promise(resolve => { finish = resolve })))
+
+      client.send('peer-connection-stats', { id: 'pc-1' })
+      await flush()
+      const [port] = server.ports
+      port.disconnect()
+      finish({})
+      await flush()
+
+      jest.advanceTimersByTime(PortClient.RECONNECT_BASE_DELAY)
+      await flush()
+
+      expect(server.dispatch).toHaveBeenCalledTimes(1)
+      expect(client.getStats()).toEqual(expect.objectContaining({ connected: true, waiting: 0, acknowledged: 1 }))
+    })
+
+    test('should acknowledge a replayed sequence number without handling it', async () => {
+      server.setDispatcher(dispatch)
+      const { client: port, server: serverPort } = createPortPair('webrtc-exporter')
+      const received = []
+      port.onMessage.addListener(message => received.push(message))
+      onConnect.emit(serverPort)
+
+      port.postMessage({ v: PROTOCOL_VERSION, type: 'hello', session: 's' })
+      port.postMessage({ v: PROTOCOL_VERSION, type: 'message', seq: 1, event: 'a', data: {} })
+      port.postMessage({ v: PROTOCOL_VERSION, type: 'message', seq: 1, event: 'a', data: {} })
+      await flush()
+
+      expect(dispatch).toHaveBeenCalledTimes(1)
+      expect(received).toEqual([
+        { v: PROTOCOL_VERSION, type: 'welcome', session: 's', lastSeq: 0 },
+        { v: PROTOCOL_VERSION, type: 'ack', seq: 1, success: true, duplicate: true },
+        { v: PROTOCOL_VERSION, type: 'ack', seq: 1, success: true }
+      ])
+      expect(server.getStats().duplicates).toBe(1)
+    })
+
+    test('should drop the oldest messages above the buffer size while the background does not answer', async () => {
+      server.destroy()
+      client.destroy()
+      client = createPortClient({ runtime, logger: mockLogger }, { maxBufferSize: 2 })
+
+      client.send('a', { n: 1 })
+      client.send('a', { n: 2 })
+      client.send('a', { n: 3 })
+      await flush()
+
+      expect(client.buffer.map(entry => entry.data.n)).toEqual([2, 3])
+      expect(client.getStats()).toEqual(expect.objectContaining({ waiting: 2, dropped: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('Dropped a message 1, 2 messages are waiting')
+    })
+
+    test('should not reconnect an idle client until it has a message', async () => {
+      server.setDispatcher(dispatch)
+      client.send('a', {})
+      await flush()
+
+      server.destroy()
+      jest.advanceTimersByTime(PortClient.RECONNECT_MAX_DELAY)
+      expect(runtime.connect).toHaveBeenCalledTimes(1)
+
+      server = startServer()
+      server.setDispatcher(dispatch)
+      client.send('a', {})
+      await flush()
+      expect(runtime.connect).toHaveBeenCalledTimes(2)
+      expect(client.getStats().waiting).toBe(0)
+    })
+  })
+
+  describe('errors', () => {
+    test('should refuse other protocol versions and stop the client', async () => {
+      server.destroy()
+      server = startServer({ version: PROTOCOL_VERSION + 1 })
+
+      client.send('a', {})
+      await flush()
+
+      expect(mockLogger.log).toHaveBeenCalledWith(`Background refused the port (unsupported_version), supported protocol versions: ${PROTOCOL_VERSION + 1}`)
+      expect(server.getStats()).toEqual(expect.objectContaining({ ports: 0, protocolErrors: 1 }))
+      expect(client.send('a', {})).toBeNull()
+    })
+
+    test('should stop when the extension context was invalidated', () => {
+      runtime.connect.mockImplementation(() => { throw new Error('Extension context invalidated.') })
+      delete runtime.id
+
+      client.send('a', {})
+
+      expect(client.isDestroyed).toBe(true)
+      expect(client.getStats().waiting).toBe(0)
+    })
+
+    test('should require a dispatcher function', () => {
+      expect(() => server.setDispatcher(null)).toThrow(PortServerError)
+    })
+
+    test('should ignore ports of other names and stop listening when destroyed', () => {
+      onConnect.emit(createPortPair('other').server)
+      expect(server.getStats().ports).toBe(0)
+
+      server.destroy()
+      expect(onConnect.listeners).toHaveLength(0)
+      expect(new PortServer(mockLogger).getStats().ready).toBe(false)
+    })
+  })
+})
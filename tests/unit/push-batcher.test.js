@@ -0,0 +1,224 @@
+/**
+ * Unit tests for PushBatcher module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('PushBatcher', () => {
+  let PushBatcher, PushBatcherError, createPushBatcher
+  let batcher, mockLogger, send
+
+  const shared = { job: 'webrtc', agent_id: 'agent-1' }
+  const sample = (name, value, labels = 'pageUrl="https://meet.example.com"') => [
+    `# HELP ${name} Test metric.`,
+    `# TYPE ${name} gauge`,
+    `${name}{${labels}} ${value}`
+  ].join('\n') + '\n\n'
+
+  beforeAll(() => {
+    // Load the push batcher module directly
+    const modulePath = path.join(__dirname, '../../background/push-batcher.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterPushBatcher
+    PushBatcher = exports.PushBatcher
+    PushBatcherError = exports.PushBatcherError
+    createPushBatcher = exports.createPushBatcher
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    mockLogger = { log: jest.fn() }
+    send = jest.fn().mockResolvedValue([])
+    batcher = createPushBatcher({ logger: mockLogger, send }, { updateInterval: 2 })
+  })
+
+  afterEach(() => {
+    batcher.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('flush', () => {
+    test('should merge connections sharing a grouping key into one push and label them apart', async () => {
+      batcher.add({ id: 'pc-1', origin: 'https://meet.example.com', groupingKey: shared, data: sample('inbound_rtp_jitter', 1) })
+      batcher.add({ id: 'pc-2', origin: 'https://teams.example.com', groupingKey: shared, data: sample('inbound_rtp_jitter', 2) + sample('outbound_rtp_bytesSent', 3, '') })
+
+      await expect(batcher.flush(4000)).resolves.toBe(1)
+
+      expect(send).toHaveBeenCalledTimes(1)
+      expect(send).toHaveBeenCalledWith({
+        connections: [{ id: 'pc-1', origin: 'https://meet.example.com' }, { id: 'pc-2', origin: 'https://teams.example.com' }],
+        groupingKey: shared,
+        part: 0,
+        timestamp: 4000,
+        data: [
+          '# HELP inbound_rtp_jitter Test metric.',
+          '# TYPE inbound_rtp_jitter gauge',
+          'inbound_rtp_jitter{peerConnectionId="pc-1",pageUrl="https://meet.example.com"} 1',
+          'inbound_rtp_jitter{peerConnectionId="pc-2",pageUrl="https://meet.example.com"} 2',
+          '# HELP outbound_rtp_bytesSent Test metric.',
+          '# TYPE outbound_rtp_bytesSent gauge',
+          'outbound_rtp_bytesSent{peerConnectionId="pc-2"} 3',
+          ''
+        ].join('\n')
+      })
+      expect(batcher.getStats()).toEqual(expect.objectContaining({ pendingConnections: 0, batchedSamples: 2, flushes: 1, pushes: 1 }))
+    })
+
+    test('should push each group once without labels when the grouping key holds the connection ID', async () => {
+      batcher.add({ id: 'pc-1', groupingKey: { job: 'webrtc', peerConnectionId: 'pc-1' }, data: sample('inbound_rtp_jitter', 1) })
+      batcher.add({ id: 'pc-2', groupingKey: { job: 'webrtc', peerConnectionId: 'pc-2' }, data: sample('inbound_rtp_jitter', 2) })
+
+      await batcher.flush()
+
+      expect(send).toHaveBeenCalledTimes(2)
+      expect(send.mock.calls.map(([push]) => push.data)).toEqual([
+        expect.stringContaining('inbound_rtp_jitter{pageUrl="https://meet.example.com"} 1'),
+        expect.stringContaining('inbound_rtp_jitter{pageUrl="https://meet.example.com"} 2')
+      ])
+    })
+
+    test('should push only the latest sample of a connection and none after it was removed', async () => {
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('inbound_rtp_jitter', 1) })
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('inbound_rtp_jitter', 5) })
+      batcher.add({ id: 'pc-2', groupingKey: shared, data: sample('inbound_rtp_jitter', 2) })
+      expect(batcher.remove('pc-2')).toBe(true)
+
+      await batcher.flush()
+
+      const [[push]] = send.mock.calls
+      expect(push.connections).toEqual([{ id: 'pc-1', origin: undefined }])
+      expect(push.data).toContain('inbound_rtp_jitter{peerConnectionId="pc-1",pageUrl="https://meet.example.com"} 5')
+      expect(push.data).not.toMatch(/ 1\n|pc-2/)
+    })
+
+    test('should split pushes above the size limit between metric families', async () => {
+      batcher.updateOptions({ updateInterval: 2, maxPushSize: 1, metricsFormat: 'openmetrics' })
+      const large = (name) => sample(name, 1, `pageUrl="${'x'.repeat(600)}"`)
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: large('a_first') + large('b_second') + 'c_small 1\n# EOF\n' })
+
+      await batcher.flush()
+
+      const parts = send.mock.calls.map(([push]) => push)
+      expect(parts.map(push => push.part)).toEqual([0, 1])
+      expect(parts[0].data).toMatch(/^# HELP a_first[^]*# EOF\n$/)
+      expect(parts[0].data).not.toContain('b_second')
+      expect(parts[1].data).toMatch(/^# HELP b_second[^]*c_small\{peerConnectionId="pc-1"\} 1\n# EOF\n$/)
+      expect(parts.every(push => PushBatcher.byteLength(push.data) <= 1024)).toBe(true)
+      expect(batcher.getStats()).toEqual(expect.objectContaining({ splitPushes: 1, oversizedFamilies: 0 }))
+    })
+
+    test('should send a family above the size limit on its own and count it', async () => {
+      batcher.updateOptions({ updateInterval: 2, maxPushSize: 1 })
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('a_huge', 1, `pageUrl="${'x'.repeat(2000)}"`) + sample('b_small', 2) })
+
+      await batcher.flush()
+
+      expect(send).toHaveBeenCalledTimes(2)
+      expect(batcher.getStats().oversizedFamilies).toBe(1)
+      expect(mockLogger.log).toHaveBeenCalledWith(expect.stringContaining('above the push size limit of 1024 bytes'))
+    })
+
+    test('should not let a failed push hold back the others', async () => {
+      send.mockRejectedValueOnce(new Error('No export destination is enabled'))
+      batcher.add({ id: 'pc-1', groupingKey: { job: 'webrtc', peerConnectionId: 'pc-1' }, data: sample('a', 1) })
+      batcher.add({ id: 'pc-2', groupingKey: { job: 'webrtc', peerConnectionId: 'pc-2' }, data: sample('a', 2) })
+
+      await expect(batcher.flush()).resolves.toBe(1)
+
+      expect(batcher.getStats()).toEqual(expect.objectContaining({ pushes: 1, failedPushes: 1 }))
+      expect(mockLogger.log).toHaveBeenCalledWith('Batched push of 1 connections (part 1) failed: No export destination is enabled')
+    })
+  })
+
+  describe('timestamps', () => {
+    test('should stamp a push with the newest stats report time of its samples', async () => {
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('inbound_rtp_jitter', 1), timestamp: 4012 })
+      batcher.add({ id: 'pc-2', groupingKey: shared, data: sample('inbound_rtp_jitter', 2), timestamp: 4031 })
+      batcher.add({ id: 'pc-3', groupingKey: { job: 'other' }, data: sample('inbound_rtp_jitter', 3) })
+
+      await batcher.flush(4000)
+
+      expect(send.mock.calls.map(([push]) => push.timestamp)).toEqual([4031, 4000])
+    })
+
+    test('should keep the series of the newer stats report', () => {
+      const blocks = PushBatcher.mergeFamilies([
+        { data: sample('inbound_rtp_jitter', 2), timestamp: 4031 },
+        { data: sample('inbound_rtp_jitter', 1), timestamp: 4012 }
+      ])
+
+      expect(blocks.join('')).toContain('inbound_rtp_jitter{pageUrl="https://meet.example.com"} 2')
+      expect(blocks.join('')).not.toContain('} 1')
+    })
+
+    test('should carry the stats report time through a flush to the remote_write samples', async () => {
+      // Convert each push the way the remote_write sink does
+      for (const file of ['pushgateway-client.js', 'exposition-parser.js', 'remote-write-client.js']) {
+        const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+        const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+        moduleFunction(global, global, global, global, console)
+      }
+      const { RemoteWriteClient } = global.WebRTCExporterRemoteWrite
+      const { ExpositionParser } = global.WebRTCExporterExpositionParser
+      const series = []
+      send.mockImplementation(async ({ groupingKey, data, timestamp }) => {
+        series.push(...RemoteWriteClient.toTimeSeries(ExpositionParser.parse(data), { groupingKey, timestamp }))
+      })
+
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('inbound_rtp_jitter', 1), timestamp: 1760000001234 })
+      await batcher.flush(1760000000000)
+
+      expect(series).toHaveLength(1)
+      expect(series[0].samples).toEqual([[1, 1760000001234]])
+    })
+  })
+
+  describe('scheduling', () => {
+    test('should flush half an interval after the collection tick, stamped with the tick', async () => {
+      jest.setSystemTime(10300)
+      batcher.add({ id: 'pc-1', groupingKey: shared, data: sample('a', 1) })
+
+      jest.advanceTimersByTime(699)
+      expect(send).not.toHaveBeenCalled()
+
+      jest.advanceTimersByTime(1)
+      await Promise.resolve()
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ timestamp: 10000 }))
+    })
+
+    test('should compute the delay to the next flush time', () => {
+      expect(PushBatcher.nextFlushDelay(10000, 2000)).toBe(1000)
+      expect(PushBatcher.nextFlushDelay(11000, 2000)).toBe(2000)
+      expect(PushBatcher.nextFlushDelay(11500, 2000)).toBe(1500)
+      expect(PushBatcher.nextFlushDelay(12999, 2000)).toBe(1)
+    })
+  })
+
+  describe('addLabel', () => {
+    test('should add labels to samples with and without a label set', () => {
+      expect(PushBatcher.addLabel('a{b="c d"} 1', 'x="1"')).toBe('a{x="1",b="c d"} 1')
+      expect(PushBatcher.addLabel('a{} 1', 'x="1"')).toBe('a{x="1"} 1')
+      expect(PushBatcher.addLabel('a_total 1', 'x="1"')).toBe('a_total{x="1"} 1')
+    })
+  })
+
+  describe('createPushBatcher', () => {
+    test('should require a send function', () => {
+      expect(() => createPushBatcher({ logger: mockLogger })).toThrow(PushBatcherError)
+    })
+
+    test('should take the interval, size limit and format from the options', () => {
+      const created = createPushBatcher({ send }, { updateInterval: 5, maxPushSize: 64, metricsFormat: 'openmetrics' })
+
+      expect(created.getStats()).toEqual(expect.objectContaining({ interval: 5000, maxPushSize: 65536 }))
+      expect(created.format).toBe('openmetrics')
+    })
+  })
+})
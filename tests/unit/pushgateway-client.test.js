@@ -82,6 +82,69 @@ describe('PushgatewayClient', () => {
       expect(client.requestCount).toBe(1)
     })
 
+    test('should push OpenMetrics as Prometheus text the Pushgateway can parse', async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        text: jest.fn().mockResolvedValue('Success')
+      })
+
+      await client.sendData({
+        method: 'POST',
+        url: 'http://localhost:9091',
+        job: 'test-job',
+        id: 'test-id',
+        data: [
+          '# HELP outbound_rtp_packetsSent Total number of RTP packets sent.',
+          '# TYPE outbound_rtp_packetsSent counter',
+          'outbound_rtp_packetsSent_total{kind="audio"} 42',
+          '# HELP peer_connection_media Negotiated media sections.',
+          '# TYPE peer_connection_media info',
+          'peer_connection_media_info{mid="0"} 1',
+          '# HELP inbound_rtp_jitter_seconds Packet jitter.',
+          '# TYPE inbound_rtp_jitter_seconds gauge',
+          '# UNIT inbound_rtp_jitter_seconds seconds',
+          'inbound_rtp_jitter_seconds 0.002',
+          '# EOF',
+          ''
+        ].join('\n'),
+        format: 'openmetrics'
+      })
+
+      const [, request] = mockFetch.mock.calls[0]
+      expect(request.headers['Content-Type']).toBe('application/x-www-form-urlencoded')
+      expect(request.body).toBe([
+        '# HELP outbound_rtp_packetsSent_total Total number of RTP packets sent.',
+        '# TYPE outbound_rtp_packetsSent_total counter',
+        'outbound_rtp_packetsSent_total{kind="audio"} 42',
+        '# HELP peer_connection_media_info Negotiated media sections.',
+        '# TYPE peer_connection_media_info gauge',
+        'peer_connection_media_info{mid="0"} 1',
+        '# HELP inbound_rtp_jitter_seconds Packet jitter.',
+        '# TYPE inbound_rtp_jitter_seconds gauge',
+        'inbound_rtp_jitter_seconds 0.002',
+        ''
+      ].join('\n'))
+    })
+
+    test('should use a resolved grouping key', async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        text: jest.fn().mockResolvedValue('Success')
+      })
+
+      await client.sendData({
+        method: 'POST',
+        url: 'http://localhost:9091',
+        job: 'test-job',
+        id: 'test-id',
+        groupingKey: { job: 'test-job', agent_id: 'agent-1', peerConnectionId: 'test-id', team: 'sales emea' },
+        data: 'test_metric 1'
+      })
+
+      expect(mockFetch.mock.calls[0][0])
+        .toBe('http://localhost:9091/metrics/job/test-job/agent_id/agent-1/peerConnectionId/test-id/team@base64/c2FsZXMgZW1lYQ')
+    })
+
     test('should send DELETE request successfully', async () => {
       const mockResponse = {
         ok: true,
@@ -242,7 +305,9 @@ describe('PushgatewayClient', () => {
         requestTime: expect.any(Number),
         dataSize: expect.any(Number),
         hasData: true,
-        error: expect.any(String)
+        error: expect.any(String),
+        status: 0,
+        retryAfter: null
       })
     })
 
@@ -294,7 +359,7 @@ describe('PushgatewayClient', () => {
       })).rejects.toThrow('Peer connection ID is required and must be a string')
     })
 
-    test('should handle URL encoding for special characters', async () => {
+    test('should base64-encode grouping key values with special characters', async () => {
       const mockResponse = {
         ok: true,
         text: jest.fn().mockResolvedValue('Success')
@@ -310,12 +375,50 @@ describe('PushgatewayClient', () => {
       })
 
       expect(mockFetch).toHaveBeenCalledWith(
-        'http://localhost:9091/metrics/job/test%20job%2Fwith%20spaces/peerConnectionId/test-id%40special',
+        'http://localhost:9091/metrics/job@base64/dGVzdCBqb2Ivd2l0aCBzcGFjZXM/peerConnectionId@base64/dGVzdC1pZEBzcGVjaWFs',
         expect.any(Object)
       )
     })
   })
 
+  describe('grouping key', () => {
+    test('should resolve placeholders in template order', () => {
+      const groupingKey = PushgatewayClient.resolveGroupingKey('job/{job}/agent_id/{agentId}/instance/{origin}/peerConnectionId/{id}', {
+        job: 'webrtc',
+        id: 'pc-1',
+        agentId: 'agent-1',
+        origin: 'https://meet.google.com'
+      })
+
+      expect(Object.entries(groupingKey)).toEqual([
+        ['job', 'webrtc'],
+        ['agent_id', 'agent-1'],
+        ['instance', 'meet.google.com'],
+        ['peerConnectionId', 'pc-1']
+      ])
+    })
+
+    test('should append static labels the template does not mention', () => {
+      const groupingKey = PushgatewayClient.resolveGroupingKey('job/{job}/site/hq/peerConnectionId/{id}', {
+        job: 'webrtc',
+        id: 'pc-1',
+        staticLabels: { site: 'london', team: 'sales' }
+      })
+
+      expect(groupingKey).toEqual({ job: 'webrtc', site: 'hq', peerConnectionId: 'pc-1', team: 'sales' })
+    })
+
+    test('should default to job and peer connection ID', () => {
+      expect(PushgatewayClient.resolveGroupingKey(undefined, { job: 'webrtc', id: 'pc-1' }))
+        .toEqual({ job: 'webrtc', peerConnectionId: 'pc-1' })
+    })
+
+    test('should use @base64 for unsafe and empty values', () => {
+      expect(PushgatewayClient.encodeGroupingKey({ job: 'webrtc', path: 'a/b', agent_id: '' }))
+        .toBe('/job/webrtc/path@base64/YS9i/agent_id@base64/=')
+    })
+  })
+
   describe('sendMetrics', () => {
     test('should call sendData with POST method', async () => {
       const mockResponse = {
@@ -366,6 +469,75 @@ describe('PushgatewayClient', () => {
     })
   })
 
+  describe('auth provider', () => {
+    const params = { method: 'POST', url: 'http://localhost:9091', job: 'test-job', id: 'test-id', username: 'user', password: 'pass', data: 'test_metric 1' }
+
+    test('should add the provider headers to every request, replacing basic auth', async () => {
+      const authProvider = { getHeaders: jest.fn().mockResolvedValue({ Authorization: 'Bearer abc', 'X-Tenant': 't1' }), invalidate: jest.fn() }
+      client.setAuthProvider(authProvider)
+      mockFetch.mockResolvedValue({ ok: true, status: 200, text: jest.fn().mockResolvedValue('') })
+
+      await client.sendData(params)
+      await client.checkHealth('http://localhost:9091')
+
+      expect(mockFetch.mock.calls[0][1].headers).toEqual(expect.objectContaining({ Authorization: 'Bearer abc', 'X-Tenant': 't1' }))
+      expect(mockFetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer abc', 'X-Tenant': 't1' })
+    })
+
+    test('should invalidate the credentials when the destination answers 401', async () => {
+      const authProvider = { getHeaders: jest.fn().mockResolvedValue({ Authorization: 'Bearer expired' }), invalidate: jest.fn() }
+      client.setAuthProvider(authProvider)
+      mockFetch.mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized', headers: { get: () => null }, text: jest.fn().mockResolvedValue('') })
+
+      await expect(client.sendData(params)).rejects.toThrow(PushgatewayError)
+      expect(authProvider.invalidate).toHaveBeenCalled()
+    })
+
+    test('should fail the request without sending it when no credentials can be obtained', async () => {
+      const error = Object.assign(new Error('Token request failed: invalid_client'), { status: 401 })
+      client.setAuthProvider({ getHeaders: jest.fn().mockRejectedValue(error), invalidate: jest.fn() })
+
+      const failure = await client.sendData(params).catch(e => e)
+
+      expect(failure).toBeInstanceOf(PushgatewayError)
+      expect(failure.message).toBe('Authentication failed: Token request failed: invalid_client')
+      expect(failure.isConfigError()).toBe(true)
+      expect(mockFetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('checkHealth', () => {
+    test('should probe the health endpoint and count any response below 500 as reachable', async () => {
+      mockFetch.mockResolvedValueOnce({ ok: true, status: 200 })
+      await expect(client.checkHealth('http://dc1:9091/')).resolves.toBe(true)
+      expect(mockFetch).toHaveBeenCalledWith('http://dc1:9091/-/healthy', expect.objectContaining({ method: 'GET' }))
+
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 401 })
+      await expect(client.checkHealth('http://dc1:9091')).resolves.toBe(true)
+    })
+
+    test('should report server errors and network failures as unreachable', async () => {
+      mockFetch.mockResolvedValueOnce({ ok: false, status: 503 })
+      await expect(client.checkHealth('http://dc1:9091')).resolves.toBe(false)
+
+      mockFetch.mockRejectedValueOnce(new Error('Failed to fetch'))
+      await expect(client.checkHealth('http://dc1:9091')).resolves.toBe(false)
+    })
+  })
+
+  describe('probeEndpoint', () => {
+    test('should request a status route with basic credentials and report the response', async () => {
+      mockFetch.mockResolvedValueOnce({ ok: true, status: 200, statusText: 'OK' })
+
+      await expect(client.probeEndpoint('http://dc1:9091/', '/-/ready', { username: 'user', password: 'pass' }))
+        .resolves.toEqual({ status: 200, statusText: 'OK', latency: expect.any(Number) })
+
+      const [url, request] = mockFetch.mock.calls[0]
+      expect(url).toBe('http://dc1:9091/-/ready')
+      expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`)
+    })
+  })
+
   describe('getStats', () => {
     test('should return client statistics', () => {
       const stats = client.getStats()
@@ -482,6 +654,38 @@ describe('PushgatewayClient', () => {
       expect(mockFetch).toHaveBeenCalledTimes(1)
     })
 
+    test('should retry throttled requests after Retry-After', async () => {
+      mockFetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: new Map([['Retry-After', '2']]),
+          text: jest.fn().mockResolvedValue('slow down')
+        })
+        .mockResolvedValueOnce({ ok: true, text: jest.fn().mockResolvedValue('Success') })
+      client._sleep = jest.fn().mockResolvedValue()
+      jest.spyOn(Math, 'random').mockReturnValue(0.5)
+
+      const result = await client.sendDataWithRetry({ method: 'POST', url: 'http://localhost:9091', job: 'test-job', id: 'test-id', data: 'test_metric 1' }, 3, 1000)
+
+      expect(result).toBe('Success')
+      expect(client._sleep).toHaveBeenCalledWith(2500)
+      Math.random.mockRestore()
+    })
+
+    test('should not retry configuration errors', async () => {
+      for (const status of [401, 403, 404]) {
+        mockFetch.mockResolvedValue({ ok: false, status, statusText: 'Error', text: jest.fn().mockResolvedValue('') })
+
+        const error = await client.sendDataWithRetry({ method: 'POST', url: 'http://localhost:9091', job: 'test-job', id: 'test-id', data: 'test_metric 1' }, 3, 1).catch(e => e)
+
+        expect(error.isConfigError()).toBe(true)
+        expect(error.isRetryable()).toBe(false)
+      }
+      expect(mockFetch).toHaveBeenCalledTimes(3)
+    })
+
     test('should exhaust retries and throw last error', async () => {
       mockFetch.mockRejectedValue(new Error('Persistent network error'))
 
@@ -497,7 +701,50 @@ describe('PushgatewayClient', () => {
     })
   })
 
+  describe('getRetryDelay', () => {
+    afterEach(() => {
+      Math.random.mockRestore?.()
+    })
+
+    test('should pick a random delay up to the capped exponential delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999999)
+
+      expect(PushgatewayClient.getRetryDelay(0, 1000)).toBeCloseTo(1000, 0)
+      expect(PushgatewayClient.getRetryDelay(2, 1000)).toBeCloseTo(4000, 0)
+      expect(PushgatewayClient.getRetryDelay(10, 1000)).toBeCloseTo(30000, 0)
+
+      Math.random.mockReturnValue(0)
+      expect(PushgatewayClient.getRetryDelay(2, 1000)).toBe(0)
+    })
+
+    test('should wait at least Retry-After and give up when it is too long', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.25)
+
+      expect(PushgatewayClient.getRetryDelay(0, 1000, 5000)).toBe(5250)
+      expect(PushgatewayClient.getRetryDelay(0, 1000, 60000)).toBeNull()
+    })
+  })
+
   describe('PushgatewayError', () => {
+    test('should classify throttling and configuration errors', () => {
+      expect(new PushgatewayError('', 429).isThrottled()).toBe(true)
+      expect(new PushgatewayError('', 503).isRetryable()).toBe(true)
+      expect(new PushgatewayError('', 500).isThrottled()).toBe(false)
+      expect(new PushgatewayError('', 404).isConfigError()).toBe(true)
+      expect(new PushgatewayError('', 400).isRetryable()).toBe(false)
+      expect(new PushgatewayError('', 0).isRetryable()).toBe(true)
+    })
+
+    test('should parse Retry-After seconds and dates', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')
+
+      expect(PushgatewayError.parseRetryAfter('120', now)).toBe(120000)
+      expect(PushgatewayError.parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30000)
+      expect(PushgatewayError.parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0)
+      expect(PushgatewayError.parseRetryAfter('soon', now)).toBeNull()
+      expect(PushgatewayError.parseRetryAfter(null, now)).toBeNull()
+    })
+
     test('should create error with status and response text', () => {
       const error = new PushgatewayError('Test error', 500, 'Internal server error')
       
@@ -515,6 +762,31 @@ describe('PushgatewayClient', () => {
     })
   })
 
+  describe('pushgatewaySinkType', () => {
+    test('should create a client and map the sink and push onto its request', () => {
+      const { pushgatewaySinkType } = global.WebRTCExporterPushgateway
+      const statsCallback = jest.fn()
+
+      expect(pushgatewaySinkType.createClient()).toBeInstanceOf(PushgatewayClient)
+      expect(pushgatewaySinkType.buildRequest(
+        { id: 'migration', url: 'http://secondary:9091', username: 'user', password: 'pass', gzip: true },
+        { method: 'POST', job: 'webrtc', id: 'pc-1', origin: 'https://example.com', groupingKey: { job: 'webrtc' }, data: 'metrics', format: 'prometheus', statsCallback }
+      )).toEqual({
+        method: 'POST',
+        url: 'http://secondary:9091',
+        job: 'webrtc',
+        id: 'pc-1',
+        groupingKey: { job: 'webrtc' },
+        username: 'user',
+        password: 'pass',
+        gzip: true,
+        data: 'metrics',
+        format: 'prometheus',
+        statsCallback
+      })
+    })
+  })
+
   describe('createStatsCallback', () => {
     test('should create a functioning stats callback', async () => {
       const mockStorage = {
@@ -549,10 +821,28 @@ describe('PushgatewayClient', () => {
         messagesSent: 6,
         bytesSent: 1200,
         totalTime: 600,
-        errors: 1
+        errors: 1,
+        exportStatus: { state: 'ok', status: null, error: null, retryAfter: null, updatedAt: expect.any(Number) }
       })
     })
 
+    test('should record why the last export failed for the popup', async () => {
+      const mockStorage = {
+        local: {
+          get: jest.fn().mockResolvedValue({}),
+          set: jest.fn().mockResolvedValue()
+        }
+      }
+      const callback = createStatsCallback(mockStorage)
+
+      await callback({ success: false, requestTime: 10, dataSize: 0, hasData: false, error: 'Pushgateway request failed: 401 Unauthorized', status: 401 })
+
+      expect(mockStorage.local.set).toHaveBeenCalledWith(expect.objectContaining({
+        errors: 1,
+        exportStatus: expect.objectContaining({ state: 'config_error', status: 401, error: 'Pushgateway request failed: 401 Unauthorized' })
+      }))
+    })
+
     test('should handle storage errors gracefully', async () => {
       const mockStorage = {
         local: {
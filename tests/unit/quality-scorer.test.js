@@ -0,0 +1,200 @@
+/**
+ * Unit tests for QualityScorer module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('QualityScorer', () => {
+  let QualityScorer, QualityScorerError, createQualityScorer
+  let scorer, mockLogger
+
+  const connection = { id: 'conn-1', origin: 'https://meet.google.com' }
+
+  const remoteInbound = (overrides = {}) => ({
+    type: 'remote-inbound-rtp',
+    id: 'RIA1',
+    kind: 'audio',
+    localId: 'OTA1',
+    codecId: 'COT111',
+    roundTripTime: 0.05,
+    jitter: 0.005,
+    fractionLost: 0,
+    ...overrides
+  })
+
+  const inbound = (overrides = {}) => ({
+    type: 'inbound-rtp',
+    id: 'ITA2',
+    kind: 'audio',
+    codecId: 'CIT111',
+    jitter: 0.01,
+    packetsReceived: 1000,
+    packetsLost: 0,
+    ...overrides
+  })
+
+  beforeAll(() => {
+    // Load the quality scorer module directly
+    const modulePath = path.join(__dirname, '../../background/quality-scorer.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterQualityScorer
+    QualityScorer = exports.QualityScorer
+    QualityScorerError = exports.QualityScorerError
+    createQualityScorer = exports.createQualityScorer
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn()
+    }
+    scorer = new QualityScorer(mockLogger)
+  })
+
+  afterEach(() => {
+    scorer.destroy()
+    jest.useRealTimers()
+  })
+
+  describe('E-model', () => {
+    test('should rate a clean network close to the E-model maximum', () => {
+      const rFactor = QualityScorer.calculateRFactor({ rtt: 0, jitter: 0, loss: 0, codec: 'opus' })
+
+      expect(rFactor).toBeCloseTo(92.96, 2)
+      expect(QualityScorer.rFactorToMos(rFactor)).toBeCloseTo(4.40, 2)
+    })
+
+    test('should penalize long delay, jitter and loss', () => {
+      const rFactor = QualityScorer.calculateRFactor({ rtt: 600, jitter: 50, loss: 0.1, codec: 'PCMU' })
+
+      expect(rFactor).toBeCloseTo(30.70, 1)
+      expect(QualityScorer.rFactorToMos(rFactor)).toBeCloseTo(1.64, 2)
+    })
+
+    test('should apply codec impairment factors', () => {
+      const opus = QualityScorer.calculateRFactor({ rtt: 100, jitter: 10, loss: 0.02, codec: 'opus' })
+      const g729 = QualityScorer.calculateRFactor({ rtt: 100, jitter: 10, loss: 0.02, codec: 'G729' })
+
+      expect(g729).toBeLessThan(opus)
+    })
+
+    test('should clamp R-factor and MOS ranges', () => {
+      expect(QualityScorer.calculateRFactor({ rtt: 5000, jitter: 500, loss: 1 })).toBe(0)
+      expect(QualityScorer.rFactorToMos(0)).toBe(1)
+      expect(QualityScorer.rFactorToMos(-5)).toBe(1)
+      expect(QualityScorer.rFactorToMos(100)).toBe(4.5)
+    })
+  })
+
+  describe('scoreConnection', () => {
+    test('should score outbound audio from remote-inbound-rtp reports', () => {
+      const [score] = scorer.scoreConnection(connection, [
+        remoteInbound({ roundTripTime: 0.6, jitter: 0.05, fractionLost: 0.1 }),
+        { type: 'codec', id: 'COT111', mimeType: 'audio/PCMU' }
+      ])
+
+      expect(score).toEqual({
+        id: 'OTA1',
+        direction: 'outbound',
+        codec: 'PCMU',
+        rFactor: expect.closeTo(30.70, 1),
+        mos: expect.closeTo(1.64, 2)
+      })
+    })
+
+    test('should score inbound audio with the path RTT and interval loss', () => {
+      const scores = scorer.scoreConnection(connection, [
+        remoteInbound({ roundTripTime: 0.6 }),
+        inbound({ packetsLost: 500 })
+      ], {
+        rates: [{ type: 'inbound-rtp', id: 'ITA2', kind: 'audio', rates: { packet_loss_ratio: 0 } }]
+      })
+
+      const inboundScore = scores.find(score => score.direction === 'inbound')
+      const expected = QualityScorer.calculateRFactor({ rtt: 600, jitter: 10, loss: 0 })
+      expect(inboundScore.rFactor).toBeCloseTo(expected, 5)
+    })
+
+    test('should fall back to cumulative loss without derived rates', () => {
+      const [score] = scorer.scoreConnection(connection, [inbound({ packetsReceived: 900, packetsLost: 100 })])
+
+      const expected = QualityScorer.calculateRFactor({ rtt: 0, jitter: 10, loss: 0.1 })
+      expect(score.rFactor).toBeCloseTo(expected, 5)
+    })
+
+    test('should use the negotiated codec when codec stats are missing', () => {
+      const description = {
+        local: { type: 'offer', media: [{ kind: 'audio', rejected: false, codec: 'opus' }] },
+        remote: { type: 'answer', media: [{ kind: 'audio', rejected: false, codec: 'G729' }] }
+      }
+
+      const [score] = scorer.scoreConnection(connection, [remoteInbound()], { description })
+
+      expect(score.codec).toBe('G729')
+    })
+
+    test('should ignore video streams', () => {
+      expect(scorer.scoreConnection(connection, [inbound({ kind: 'video' }), remoteInbound({ kind: 'video' })])).toEqual([])
+    })
+
+    test('should throw for invalid input', () => {
+      expect(() => scorer.scoreConnection({ id: '' }, [])).toThrow(QualityScorerError)
+      expect(() => scorer.scoreConnection(connection, null)).toThrow('Values must be an array')
+    })
+  })
+
+  describe('getOriginQuality', () => {
+    test('should report the worst recent score of an origin', () => {
+      scorer.scoreConnection(connection, [remoteInbound()])
+      scorer.scoreConnection({ id: 'conn-2', origin: 'https://meet.google.com' }, [remoteInbound({ fractionLost: 0.2 })])
+      scorer.scoreConnection({ id: 'conn-3', origin: 'https://teams.microsoft.com' }, [remoteInbound({ fractionLost: 0.5 })])
+
+      const worst = scorer.getOriginQuality('https://meet.google.com')
+      expect(worst).toBeLessThan(4)
+      expect(worst).toBeGreaterThan(scorer.getOriginQuality('https://teams.microsoft.com'))
+      expect(scorer.getOriginQuality('https://example.com')).toBeNull()
+    })
+
+    test('should ignore stale scores', () => {
+      jest.useFakeTimers()
+      scorer.scoreConnection(connection, [remoteInbound()])
+
+      jest.advanceTimersByTime(30001)
+
+      expect(scorer.getOriginQuality('https://meet.google.com')).toBeNull()
+    })
+
+    test('should clear the score when a sample has no audio', () => {
+      scorer.scoreConnection(connection, [remoteInbound()])
+      scorer.scoreConnection(connection, [])
+
+      expect(scorer.getOriginQuality('https://meet.google.com')).toBeNull()
+    })
+  })
+
+  describe('removeConnection', () => {
+    test('should forget connection scores', () => {
+      scorer.scoreConnection(connection, [remoteInbound()])
+
+      expect(scorer.removeConnection('conn-1')).toBe(true)
+      expect(scorer.getStats().scoredConnections).toBe(0)
+      expect(scorer.removeConnection('conn-1')).toBe(false)
+    })
+  })
+
+  describe('createQualityScorer', () => {
+    test('should create scorer with dependencies and options', () => {
+      const created = createQualityScorer({ logger: mockLogger }, { maxScoreAge: 10000 })
+
+      expect(created).toBeInstanceOf(QualityScorer)
+      expect(created.logger).toBe(mockLogger)
+      expect(created.maxScoreAge).toBe(10000)
+    })
+  })
+})
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for RateCalculator module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('RateCalculator', () => {
+  let RateCalculator, RateCalculatorError, createRateCalculator
+  let calculator, mockLogger
+
+  const inbound = (overrides = {}) => ({
+    type: 'inbound-rtp',
+    id: 'IT01V123',
+    kind: 'video',
+    timestamp: 1000,
+    bytesReceived: 0,
+    packetsReceived: 0,
+    packetsLost: 0,
+    framesDecoded: 0,
+    nackCount: 0,
+    pliCount: 0,
+    ...overrides
+  })
+
+  const outbound = (overrides = {}) => ({
+    type: 'outbound-rtp',
+    id: 'OT01V456',
+    kind: 'video',
+    timestamp: 1000,
+    bytesSent: 0,
+    packetsSent: 0,
+    framesEncoded: 0,
+    nackCount: 0,
+    pliCount: 0,
+    retransmittedBytesSent: 0,
+    ...overrides
+  })
+
+  beforeAll(() => {
+    // Load the rate calculator module directly
+    const modulePath = path.join(__dirname, '../../background/rate-calculator.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterRateCalculator
+    RateCalculator = exports.RateCalculator
+    RateCalculatorError = exports.RateCalculatorError
+    createRateCalculator = exports.createRateCalculator
+  })
+
+  beforeEach(() => {
+    mockLogger = {
+      log: jest.fn()
+    }
+    calculator = new RateCalculator(mockLogger)
+  })
+
+  afterEach(() => {
+    calculator.destroy()
+  })
+
+  describe('computeRates', () => {
+    test('should not emit rates for the first sample', () => {
+      expect(calculator.computeRates('conn-1', [inbound()])).toEqual([])
+      expect(calculator.getStats()).toEqual(expect.objectContaining({ trackedConnections: 1, trackedStats: 1 }))
+    })
+
+    test('should derive inbound bitrate, loss, frame rate and feedback rates', () => {
+      calculator.computeRates('conn-1', [inbound()])
+
+      const [result] = calculator.computeRates('conn-1', [inbound({
+        timestamp: 3000,
+        bytesReceived: 250000,
+        packetsReceived: 190,
+        packetsLost: 10,
+        framesDecoded: 60,
+        nackCount: 4,
+        pliCount: 1
+      })])
+
+      expect(result).toEqual({
+        type: 'inbound-rtp',
+        id: 'IT01V123',
+        kind: 'video',
+        rates: {
+          bitrate: 1000000,
+          packet_loss_ratio: 0.05,
+          frame_rate: 30,
+          nack_rate: 2,
+          pli_rate: 0.5
+        }
+      })
+    })
+
+    test('should derive outbound retransmission ratio', () => {
+      calculator.computeRates('conn-1', [outbound()])
+
+      const [result] = calculator.computeRates('conn-1', [outbound({
+        timestamp: 2000,
+        bytesSent: 100000,
+        retransmittedBytesSent: 5000
+      })])
+
+      expect(result.rates.bitrate).toBe(800000)
+      expect(result.rates.retransmission_ratio).toBe(0.05)
+      expect(result.rates).not.toHaveProperty('packet_loss_ratio')
+    })
+
+    test('should only count newly lost packets', () => {
+      calculator.computeRates('conn-1', [inbound({ packetsReceived: 100, packetsLost: 5 })])
+
+      const [result] = calculator.computeRates('conn-1', [inbound({ timestamp: 2000, packetsReceived: 200, packetsLost: 3 })])
+
+      expect(result.rates.packet_loss_ratio).toBe(0)
+    })
+
+    test('should rebaseline on counter resets', () => {
+      calculator.computeRates('conn-1', [inbound({ bytesReceived: 500000, packetsReceived: 400 })])
+
+      expect(calculator.computeRates('conn-1', [inbound({ timestamp: 2000, bytesReceived: 1000, packetsReceived: 10 })])).toEqual([])
+      expect(calculator.getStats().counterResets).toBe(1)
+      expect(mockLogger.log).toHaveBeenCalledWith('Counter reset detected for conn-1/IT01V123, rebaselining')
+
+      const [result] = calculator.computeRates('conn-1', [inbound({ timestamp: 3000, bytesReceived: 2000, packetsReceived: 20 })])
+      expect(result.rates.bitrate).toBe(8000)
+    })
+
+    test('should treat non-increasing timestamps as a reset', () => {
+      calculator.computeRates('conn-1', [inbound({ timestamp: 2000 })])
+
+      expect(calculator.computeRates('conn-1', [inbound({ timestamp: 2000, bytesReceived: 100 })])).toEqual([])
+      expect(calculator.getStats().counterResets).toBe(1)
+    })
+
+    test('should skip rates for counters missing from either sample', () => {
+      calculator.computeRates('conn-1', [inbound({ framesDecoded: undefined, kind: 'audio' })])
+
+      const [result] = calculator.computeRates('conn-1', [inbound({ timestamp: 2000, kind: 'audio', framesDecoded: 50 })])
+
+      expect(result.rates).not.toHaveProperty('frame_rate')
+      expect(result.rates).toHaveProperty('bitrate')
+    })
+
+    test('should ignore stats types without counters and drop vanished stats objects', () => {
+      calculator.computeRates('conn-1', [inbound(), { type: 'transport', id: 'T01', bytesSent: 10 }])
+      calculator.computeRates('conn-1', [inbound({ id: 'IT01V999', timestamp: 2000 })])
+
+      expect(calculator.getStats().trackedStats).toBe(1)
+    })
+
+    test('should keep connections independent', () => {
+      calculator.computeRates('conn-1', [inbound()])
+
+      expect(calculator.computeRates('conn-2', [inbound({ timestamp: 2000, bytesReceived: 1000 })])).toEqual([])
+    })
+
+    test('should throw for invalid input', () => {
+      expect(() => calculator.computeRates('', [])).toThrow(RateCalculatorError)
+      expect(() => calculator.computeRates('conn-1', null)).toThrow('Values must be an array')
+    })
+  })
+
+  describe('removeConnection', () => {
+    test('should forget previous samples', () => {
+      calculator.computeRates('conn-1', [inbound()])
+
+      expect(calculator.removeConnection('conn-1')).toBe(true)
+      expect(calculator.computeRates('conn-1', [inbound({ timestamp: 2000, bytesReceived: 1000 })])).toEqual([])
+      expect(calculator.removeConnection('missing')).toBe(false)
+    })
+  })
+
+  describe('createRateCalculator', () => {
+    test('should create calculator with dependencies', () => {
+      const created = createRateCalculator({ logger: mockLogger })
+
+      expect(created).toBeInstanceOf(RateCalculator)
+      expect(created.logger).toBe(mockLogger)
+    })
+  })
+})
@@ -0,0 +1,232 @@
+/**
+ * Unit tests for RemoteWriteClient module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('RemoteWriteClient', () => {
+  let RemoteWriteClient, RemoteWriteError, remoteWriteSinkType, PushgatewayClient
+  let client
+  let mockFetch
+
+  // Reference snappy block decoder for literal and 2-byte offset copy elements
+  const snappyDecompress = (block) => {
+    let position = 0
+    let length = 0
+    let shift = 0
+    let byte
+    do {
+      byte = block[position++]
+      length += (byte & 0x7f) * Math.pow(2, shift)
+      shift += 7
+    } while (byte & 0x80)
+
+    const out = []
+    while (position < block.length) {
+      const tag = block[position++]
+      if ((tag & 3) === 0) {
+        let literalLength = tag >> 2
+        if (literalLength >= 60) {
+          const bytes = literalLength - 59
+          literalLength = 0
+          for (let i = 0; i < bytes; i++) {
+            literalLength |= block[position++] << (8 * i)
+          }
+        }
+        for (let i = 0; i <= literalLength; i++) {
+          out.push(block[position++])
+        }
+      } else if ((tag & 3) === 2) {
+        const offset = block[position] | (block[position + 1] << 8)
+        position += 2
+        const start = out.length - offset
+        for (let i = 0; i < (tag >> 2) + 1; i++) {
+          out.push(out[start + i])
+        }
+      } else {
+        throw new Error(`Unexpected snappy element ${tag & 3}`)
+      }
+    }
+
+    expect(out).toHaveLength(length)
+    return Uint8Array.from(out)
+  }
+
+  const exposition = [
+    '# HELP inbound_rtp_jitter Packet jitter',
+    '# TYPE inbound_rtp_jitter gauge',
+    'inbound_rtp_jitter{pageUrl="https://example.com",id="IT1",job="ignored"} 0.01',
+    ''
+  ].join('\n')
+
+  beforeAll(() => {
+    global.fetch = jest.fn()
+    mockFetch = global.fetch
+    global.btoa = jest.fn((str) => Buffer.from(str).toString('base64'))
+
+    // Load the modules the client builds on, then the client itself
+    const load = (file) => {
+      const moduleCode = fs.readFileSync(path.join(__dirname, '../../background', file), 'utf8')
+      const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', 'fetch', 'btoa', moduleCode)
+      moduleFunction(global, global, global, global, console, mockFetch, global.btoa)
+    }
+    load('pushgateway-client.js')
+    load('exposition-parser.js')
+    load('remote-write-client.js')
+
+    PushgatewayClient = global.WebRTCExporterPushgateway.PushgatewayClient
+    const exports = global.WebRTCExporterRemoteWrite
+    RemoteWriteClient = exports.RemoteWriteClient
+    RemoteWriteError = exports.RemoteWriteError
+    remoteWriteSinkType = exports.remoteWriteSinkType
+  })
+
+  beforeEach(() => {
+    client = new RemoteWriteClient()
+    jest.clearAllMocks()
+  })
+
+  describe('encodeWriteRequest', () => {
+    test('should encode series, labels and samples as a WriteRequest protobuf', () => {
+      const encoded = RemoteWriteClient.encodeWriteRequest([
+        { labels: [['__name__', 'm']], samples: [[1, 1000]] }
+      ])
+
+      expect(Array.from(encoded)).toEqual([
+        0x0a, 0x1d, // timeseries
+        0x0a, 0x0d, // labels
+        0x0a, 0x08, ...Buffer.from('__name__'),
+        0x12, 0x01, ...Buffer.from('m'),
+        0x12, 0x0c, // samples
+        0x09, 0, 0, 0, 0, 0, 0, 0xf0, 0x3f, // value 1.0
+        0x10, 0xe8, 0x07 // timestamp 1000
+      ])
+    })
+
+    test('should encode millisecond timestamps beyond 32 bits', () => {
+      const encoded = RemoteWriteClient.encodeWriteRequest([{ labels: [], samples: [[0, 1760000000123]] }])
+
+      expect(Array.from(encoded.slice(-7))).toEqual([0x10, 0xfb, 0x80, 0xb3, 0xc1, 0x9c, 0x33])
+    })
+
+    test('should append metric metadata', () => {
+      const encoded = RemoteWriteClient.encodeWriteRequest([], [{ type: 2, name: 'm', help: 'h', unit: '' }])
+
+      expect(Array.from(encoded)).toEqual([0x1a, 0x08, 0x08, 0x02, 0x12, 0x01, ...Buffer.from('m'), 0x22, 0x01, ...Buffer.from('h')])
+    })
+  })
+
+  describe('toTimeSeries', () => {
+    test('should add the grouping key and the metric name and sort labels', () => {
+      const families = global.WebRTCExporterExpositionParser.ExpositionParser.parse(exposition)
+
+      expect(RemoteWriteClient.toTimeSeries(families, { groupingKey: { job: 'webrtc', peerConnectionId: 'pc-1' }, timestamp: 1500.6 })).toEqual([{
+        labels: [
+          ['__name__', 'inbound_rtp_jitter'],
+          ['id', 'IT1'],
+          ['job', 'webrtc'],
+          ['pageUrl', 'https://example.com'],
+          ['peerConnectionId', 'pc-1']
+        ],
+        samples: [[0.01, 1501]]
+      }])
+    })
+  })
+
+  describe('snappyCompress', () => {
+    test('should round-trip repetitive and incompressible data', () => {
+      const repetitive = new TextEncoder().encode(exposition.repeat(200))
+      const noise = Uint8Array.from({ length: 70000 }, (_, i) => (i * 7919) % 251)
+
+      const compressed = RemoteWriteClient.snappyCompress(repetitive)
+      expect(compressed.length).toBeLessThan(repetitive.length / 10)
+      expect(snappyDecompress(compressed)).toEqual(repetitive)
+      expect(snappyDecompress(RemoteWriteClient.snappyCompress(noise))).toEqual(noise)
+      expect(Array.from(RemoteWriteClient.snappyCompress(new Uint8Array(0)))).toEqual([0])
+    })
+  })
+
+  describe('sendData', () => {
+    test('should POST a snappy-compressed WriteRequest with the remote_write headers', async () => {
+      mockFetch.mockResolvedValue({ ok: true, text: jest.fn().mockResolvedValue('') })
+
+      await client.sendData({
+        method: 'POST',
+        url: 'http://prometheus:9090/api/v1/write',
+        job: 'webrtc',
+        id: 'pc-1',
+        username: 'user',
+        password: 'pass',
+        data: exposition,
+        timestamp: 1760000000123
+      })
+
+      const [url, request] = mockFetch.mock.calls[0]
+      expect(url).toBe('http://prometheus:9090/api/v1/write')
+      expect(request.method).toBe('POST')
+      expect(request.headers).toEqual({
+        'Content-Type': 'application/x-protobuf',
+        'Content-Encoding': 'snappy',
+        'X-Prometheus-Remote-Write-Version': '0.1.0',
+        Authorization: `Basic ${Buffer.from('user:pass').toString('base64')}`
+      })
+
+      const series = RemoteWriteClient.toTimeSeries(
+        global.WebRTCExporterExpositionParser.ExpositionParser.parse(exposition),
+        { groupingKey: { job: 'webrtc', peerConnectionId: 'pc-1' }, timestamp: 1760000000123 }
+      )
+      expect(snappyDecompress(request.body)).toEqual(RemoteWriteClient.encodeWriteRequest(series, [
+        { type: 2, name: 'inbound_rtp_jitter', help: 'Packet jitter', unit: '' }
+      ]))
+    })
+
+    test('should skip DELETE requests', async () => {
+      await expect(client.sendData({ method: 'DELETE', url: 'http://prometheus:9090/api/v1/write', job: 'webrtc', id: 'pc-1' }))
+        .resolves.toBe('')
+      expect(mockFetch).not.toHaveBeenCalled()
+    })
+
+    test('should throw RemoteWriteError on error responses and not retry them', async () => {
+      mockFetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        text: jest.fn().mockResolvedValue('out of order sample')
+      })
+
+      const error = await client.sendDataWithRetry({
+        method: 'POST',
+        url: 'http://prometheus:9090/api/v1/write',
+        job: 'webrtc',
+        id: 'pc-1',
+        data: exposition
+      }, 2, 1).catch(e => e)
+
+      expect(error).toBeInstanceOf(RemoteWriteError)
+      expect(error.message).toBe('Remote write request failed: 400 Bad Request')
+      expect(error.responseText).toBe('out of order sample')
+      expect(mockFetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('remoteWriteSinkType', () => {
+    test('should create a client and pass the report timestamp through', () => {
+      expect(remoteWriteSinkType.createClient()).toBeInstanceOf(PushgatewayClient)
+      expect(remoteWriteSinkType.buildRequest(
+        { url: 'http://prometheus:9090/api/v1/write', username: 'user', password: 'pass', gzip: true },
+        { method: 'POST', job: 'webrtc', id: 'pc-1', groupingKey: { job: 'webrtc' }, data: 'metrics', format: 'prometheus', timestamp: 1000 }
+      )).toEqual({
+        method: 'POST',
+        url: 'http://prometheus:9090/api/v1/write',
+        job: 'webrtc',
+        id: 'pc-1',
+        groupingKey: { job: 'webrtc' },
+        username: 'user',
+        password: 'pass',
+        data: 'metrics',
+        timestamp: 1000
+      })
+    })
+  })
+})
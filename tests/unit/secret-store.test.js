@@ -0,0 +1,178 @@
+/**
+ * Unit tests for SecretStore module
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { webcrypto } = require('crypto')
+
+describe('SecretStore', () => {
+  let SecretStore, SecretStoreError, createSecretStore
+  let store, storage, storageEvents, mockLogger
+
+  const createStorage = () => {
+    const data = {}
+    return {
+      data,
+      get: jest.fn(async key => (key in data ? { [key]: data[key] } : {})),
+      set: jest.fn(async items => {
+        Object.assign(data, JSON.parse(JSON.stringify(items)))
+      })
+    }
+  }
+
+  beforeAll(() => {
+    // Load the secret store module directly
+    const modulePath = path.join(__dirname, '../../shared/secret-store.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterSecrets
+    SecretStore = exports.SecretStore
+    SecretStoreError = exports.SecretStoreError
+    createSecretStore = exports.createSecretStore
+  })
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn() }
+    storage = createStorage()
+    storageEvents = { addListener: jest.fn(), removeListener: jest.fn() }
+    store = createSecretStore({ storage, storageEvents, crypto: webcrypto, logger: mockLogger })
+  })
+
+  afterEach(() => {
+    store.destroy()
+  })
+
+  describe('update', () => {
+    test('should store secrets encrypted and only report their names', async () => {
+      await store.update({ password: 'hunter2', 'auth.token': 'abc' })
+
+      const stored = JSON.stringify(storage.data)
+      expect(stored).not.toContain('hunter2')
+      expect(stored).not.toContain('"abc"')
+      expect(storage.data.secretKey).toEqual(expect.objectContaining({ kty: 'oct' }))
+      expect(storage.data.secrets.password).toEqual({ iv: expect.any(String), data: expect.any(String) })
+      await expect(store.getStatus()).resolves.toEqual({ password: true, 'auth.token': true })
+    })
+
+    test('should decrypt with the stored key in a new store', async () => {
+      await store.update({ password: 'hunter2' })
+
+      const other = createSecretStore({ storage, crypto: webcrypto })
+      await expect(other.getSecrets()).resolves.toEqual({ password: 'hunter2' })
+    })
+
+    test('should remove secrets set to an empty value or listed for removal', async () => {
+      await store.update({ password: 'hunter2', lokiPassword: 'loki', 'auth.token': 'abc' })
+      await store.update({ password: '' }, ['lokiPassword'])
+
+      await expect(store.getSecrets()).resolves.toEqual({ 'auth.token': 'abc' })
+    })
+
+    test('should not write without changes', async () => {
+      await store.update({}, [])
+
+      expect(storage.set).not.toHaveBeenCalled()
+    })
+
+    test('should refuse to store secrets without WebCrypto', async () => {
+      const plain = createSecretStore({ storage, crypto: {} })
+
+      expect(plain.isAvailable()).toBe(false)
+      await expect(plain.update({ password: 'hunter2' })).rejects.toThrow(SecretStoreError)
+      expect(storage.data.secrets).toBeUndefined()
+    })
+  })
+
+  describe('getSecrets', () => {
+    test('should cache decrypted secrets until local storage changes', async () => {
+      await store.update({ password: 'hunter2' })
+      await store.getSecrets()
+      await store.getSecrets()
+      expect(storage.get).toHaveBeenCalledTimes(3) // update, key, one read for both getSecrets calls
+
+      const [listener] = storageEvents.addListener.mock.calls[0]
+      listener({ secrets: {} }, 'sync')
+      await store.getSecrets()
+      expect(storage.get).toHaveBeenCalledTimes(3)
+
+      listener({ secrets: {} }, 'local')
+      await store.getSecrets()
+      expect(storage.get).toHaveBeenCalledTimes(4)
+    })
+
+    test('should leave out secrets that cannot be decrypted', async () => {
+      await store.update({ password: 'hunter2' })
+      storage.data.secrets.lokiPassword = { iv: storage.data.secrets.password.iv, data: 'AAAA' }
+
+      await expect(store.getSecrets()).resolves.toEqual({ password: 'hunter2' })
+      expect(mockLogger.log).toHaveBeenCalledWith(expect.stringContaining('Failed to decrypt secret lokiPassword'))
+    })
+  })
+
+  describe('retain', () => {
+    test('should remove the secrets of removed destinations', async () => {
+      await store.update({ password: 'a', 'sinks[old].password': 'b', 'sinks[kept].password': 'c' })
+
+      const names = SecretStore.secretNames({ sinks: [{ id: 'kept' }] })
+      await expect(store.retain(names)).resolves.toBe(1)
+      await expect(store.getStatus()).resolves.toEqual({ password: true, 'sinks[kept].password': true })
+    })
+  })
+
+  describe('migrate', () => {
+    test('should move plain text secrets out of the options', async () => {
+      const options = {
+        url: 'http://pushgateway:9091',
+        password: 'hunter2',
+        lokiPassword: '',
+        auth: { type: 'oauth2', clientId: 'exporter', clientSecret: 's3cret' },
+        sinks: [{ id: 'migration', password: 'p4ss', auth: { type: 'bearer', token: 'abc' } }]
+      }
+
+      const { options: stripped, moved } = await store.migrate(options)
+
+      expect(moved).toEqual(['password', 'auth.clientSecret', 'sinks[migration].password', 'sinks[migration].auth.token'])
+      expect(JSON.stringify(stripped)).not.toMatch(/hunter2|s3cret|p4ss|abc/)
+      expect(stripped.auth.clientId).toBe('exporter')
+      expect(options.password).toBe('hunter2') // Options passed in are not changed
+      await expect(store.resolveOptions(stripped)).resolves.toEqual(options)
+    })
+
+    test('should not write when the options hold no secrets', async () => {
+      await expect(store.migrate({ password: '', auth: { type: 'basic' } })).resolves.toEqual(expect.objectContaining({ moved: [] }))
+      expect(storage.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('applySecrets', () => {
+    test('should fill secrets of configured destinations only', () => {
+      const options = { auth: { type: 'bearer' }, sinks: [{ id: 'a' }] }
+
+      const applied = SecretStore.applySecrets(options, {
+        'auth.token': 'abc',
+        'sinks[a].auth.clientSecret': 'secret',
+        'sinks[gone].password': 'old'
+      })
+
+      expect(applied.auth).toEqual({ type: 'bearer', token: 'abc' })
+      expect(applied.sinks).toEqual([{ id: 'a', auth: { clientSecret: 'secret' } }])
+      expect(options.auth.token).toBeUndefined()
+    })
+  })
+
+  describe('destroy', () => {
+    test('should stop watching storage', () => {
+      const [listener] = storageEvents.addListener.mock.calls[0]
+
+      store.destroy()
+
+      expect(storageEvents.removeListener).toHaveBeenCalledWith(listener)
+    })
+  })
+})
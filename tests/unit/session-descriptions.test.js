@@ -0,0 +1,177 @@
+/**
+ * Unit tests for SessionDescriptionStore module
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+describe('SessionDescriptionStore', () => {
+  let SessionDescriptionStore, SessionDescriptionError, createSessionDescriptionStore
+  let mockStorageManager, mockLogger, mockConfig
+  let store
+
+  const summary = {
+    type: 'answer',
+    bundle: [['0', '1']],
+    onHold: false,
+    media: [
+      {
+        mid: '0',
+        kind: 'audio',
+        direction: 'sendrecv',
+        rejected: false,
+        codec: 'opus',
+        codecs: [
+          { payloadType: 111, name: 'opus', clockRate: 48000, channels: 2 },
+          { payloadType: 126, name: 'telephone-event', clockRate: 8000, channels: null }
+        ]
+      }
+    ]
+  }
+
+  beforeAll(() => {
+    // Load the session descriptions module directly
+    const modulePath = path.join(__dirname, '../../background/session-descriptions.js')
+    const moduleCode = fs.readFileSync(modulePath, 'utf8')
+
+    // Execute the module code
+    const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
+    moduleFunction(global, global, global, global, console)
+
+    // Get the exported classes
+    const exports = global.WebRTCExporterSessionDescriptions
+    SessionDescriptionStore = exports.SessionDescriptionStore
+    SessionDescriptionError = exports.SessionDescriptionError
+    createSessionDescriptionStore = exports.createSessionDescriptionStore
+  })
+
+  beforeEach(() => {
+    mockStorageManager = {
+      getLocal: jest.fn().mockResolvedValue({}),
+      setLocal: jest.fn().mockResolvedValue()
+    }
+    mockLogger = {
+      log: jest.fn()
+    }
+    mockConfig = {
+      CONSTANTS: {
+        STORAGE_KEYS: {
+          PEER_CONNECTIONS_DESCRIPTIONS: 'peerConnectionsDescriptions'
+        }
+      }
+    }
+
+    store = new SessionDescriptionStore(mockStorageManager, mockLogger, mockConfig)
+  })
+
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('setDescription', () => {
+    test('should attach description to connection and persist it', async () => {
+      await store.setDescription({ id: 'conn-1', origin: 'https://meet.google.com' }, 'remote', summary)
+
+      expect(await store.getDescription('conn-1')).toEqual({ local: null, remote: summary })
+      expect(mockStorageManager.setLocal).toHaveBeenCalledWith({
+        peerConnectionsDescriptions: {
+          'conn-1': expect.objectContaining({ origin: 'https://meet.google.com', remote: summary })
+        }
+      })
+    })
+
+    test('should keep local and remote descriptions side by side', async () => {
+      const offer = { ...summary, type: 'offer', onHold: true }
+
+      await store.setDescription({ id: 'conn-1', origin: 'https://meet.google.com' }, 'local', offer)
+      await store.setDescription({ id: 'conn-1', origin: 'https://meet.google.com' }, 'remote', summary)
+
+      const description = await store.getDescription('conn-1')
+      expect(description.local.type).toBe('offer')
+      expect(description.local.onHold).toBe(true)
+      expect(description.remote.type).toBe('answer')
+      expect(store.getStats().onHoldConnections).toBe(1)
+    })
+
+    test('should reject invalid input', async () => {
+      await expect(store.setDescription({ id: '' }, 'local', summary)).rejects.toThrow(SessionDescriptionError)
+      await expect(store.setDescription({ id: 'conn-1' }, 'middle', summary)).rejects.toThrow('Invalid description side: middle')
+      await expect(store.setDescription({ id: 'conn-1' }, 'local', { sdp: 'v=0' })).rejects.toThrow('Description must be a parsed SDP summary')
+    })
+
+    test('should survive storage errors', async () => {
+      mockStorageManager.setLocal.mockRejectedValue(new Error('Quota exceeded'))
+
+      await store.setDescription({ id: 'conn-1', origin: 'https://meet.google.com' }, 'local', summary)
+
+      expect(mockLogger.log).toHaveBeenCalledWith('Error persisting session descriptions: Quota exceeded')
+      expect((await store.getDescription('conn-1')).local).toEqual(summary)
+    })
+  })
+
+  describe('sanitizeDescription', () => {
+    test('should drop fields that are not part of the summary', () => {
+      const sanitized = SessionDescriptionStore.sanitizeDescription({
+        ...summary,
+        sdp: 'v=0\r\no=- 123 2 IN IP4 10.0.0.1',
+        media: [{ ...summary.media[0], candidates: ['10.0.0.1'], direction: 'bogus' }]
+      })
+
+      expect(sanitized).not.toHaveProperty('sdp')
+      expect(sanitized.media[0]).not.toHaveProperty('candidates')
+      expect(sanitized.media[0].direction).toBe('sendrecv')
+    })
+
+    test('should return null for non-summaries', () => {
+      expect(SessionDescriptionStore.sanitizeDescription(null)).toBeNull()
+      expect(SessionDescriptionStore.sanitizeDescription({ type: 'offer' })).toBeNull()
+    })
+  })
+
+  describe('restore', () => {
+    test('should load persisted descriptions once', async () => {
+      mockStorageManager.getLocal.mockResolvedValue({
+        peerConnectionsDescriptions: {
+          'conn-9': { origin: 'https://teams.microsoft.com', remote: summary }
+        }
+      })
+
+      expect(await store.getDescription('conn-9')).toEqual({ local: null, remote: summary })
+      await store.getDescription('conn-9')
+
+      expect(mockStorageManager.getLocal).toHaveBeenCalledTimes(1)
+      expect(mockStorageManager.getLocal).toHaveBeenCalledWith('peerConnectionsDescriptions')
+    })
+
+    test('should tolerate storage read errors', async () => {
+      mockStorageManager.getLocal.mockRejectedValue(new Error('Storage unavailable'))
+
+      expect(await store.getDescription('conn-1')).toBeNull()
+      expect(mockLogger.log).toHaveBeenCalledWith('Error restoring session descriptions: Storage unavailable')
+    })
+  })
+
+  describe('removeConnection', () => {
+    test('should forget descriptions for a connection', async () => {
+      await store.setDescription({ id: 'conn-1', origin: 'https://meet.google.com' }, 'local', summary)
+
+      expect(await store.removeConnection('conn-1')).toBe(true)
+      expect(await store.getDescription('conn-1')).toBeNull()
+      expect(mockStorageManager.setLocal).toHaveBeenLastCalledWith({ peerConnectionsDescriptions: {} })
+      expect(await store.removeConnection('conn-1')).toBe(false)
+    })
+  })
+
+  describe('createSessionDescriptionStore', () => {
+    test('should create store with dependencies', () => {
+      const created = createSessionDescriptionStore({
+        storageManager: mockStorageManager,
+        logger: mockLogger,
+        config: mockConfig
+      })
+
+      expect(created).toBeInstanceOf(SessionDescriptionStore)
+      expect(created.storageKey).toBe('peerConnectionsDescriptions')
+    })
+  })
+})
@@ -17,6 +17,11 @@ describe('StatsFormatter', () => {
     const moduleFunction = new Function('global', 'globalThis', 'self', 'window', 'console', moduleCode)
     moduleFunction(global, global, global, global, console)
     
+    // Load the metric catalogue so counter/gauge typing matches the extension
+    const cataloguePath = path.join(__dirname, '../../background/metric-catalogue.js')
+    const catalogueFunction = new Function('global', 'globalThis', 'self', 'window', 'console', fs.readFileSync(cataloguePath, 'utf8'))
+    catalogueFunction(global, global, global, global, console)
+
     // Get the exported class
     StatsFormatter = global.WebRTCExporterStatsFormatter.StatsFormatter
   })
@@ -89,6 +94,18 @@ describe('StatsFormatter', () => {
       expect(result).toContain('outbound_rtp_packetsSent{pageUrl="https://meet.google.com",agent_id="agent-123",type="outbound-rtp"} 500')
     })
 
+    test('should include static labels after agent_id', () => {
+      const result = StatsFormatter.formatStats({
+        url: 'https://meet.google.com',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', packetsSent: 500 }],
+        agentId: 'agent-123',
+        staticLabels: { site: 'london', team: 'sales "emea"' }
+      })
+
+      expect(result).toContain('outbound_rtp_packetsSent{pageUrl="https://meet.google.com",agent_id="agent-123",site="london",team="sales \\"emea\\"",type="outbound-rtp"} 500')
+    })
+
     test('should handle peer-connection type with state label', () => {
       const values = [
         {
@@ -168,7 +185,7 @@ describe('StatsFormatter', () => {
         values
       })
 
-      const typeDeclarations = result.match(/# TYPE inbound_rtp_packetsReceived gauge/g)
+      const typeDeclarations = result.match(/# TYPE inbound_rtp_packetsReceived counter/g)
       expect(typeDeclarations).toHaveLength(1)
     })
 
@@ -194,6 +211,400 @@ describe('StatsFormatter', () => {
     })
   })
 
+  describe('codec join', () => {
+    const values = [
+      { type: 'inbound-rtp', id: 'IT01A1', kind: 'audio', codecId: 'CIT01_111', packetsLost: 4 },
+      { type: 'outbound-rtp', id: 'OT01V1', kind: 'video', codecId: 'COT01_96', packetsSent: 10 },
+      { type: 'codec', id: 'CIT01_111', mimeType: 'audio/opus', clockRate: 48000, channels: 2, payloadType: 111 },
+      { type: 'codec', id: 'COT01_96', mimeType: 'video/VP8', clockRate: 90000, payloadType: 96 }
+    ]
+
+    test('should add codec labels to RTP series', () => {
+      const result = StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values, infoMetrics: true })
+
+      expect(result).toContain('inbound_rtp_packetsLost{pageUrl="https://example.com",id="IT01A1",kind="audio",codec_mime_type="audio/opus",clock_rate="48000",channels="2"} 4')
+      expect(result).toContain('outbound_rtp_packetsSent{pageUrl="https://example.com",id="OT01V1",kind="video",codec_mime_type="video/VP8",clock_rate="90000"} 10')
+    })
+
+    test('should join codecs without exporting codec series unless enabled', () => {
+      const result = StatsFormatter.formatStats({
+        url: 'https://example.com',
+        state: 'connected',
+        values,
+        enabledStats: ['inbound-rtp', 'outbound-rtp']
+      })
+
+      expect(result).toContain('codec_mime_type="audio/opus"')
+      expect(result).not.toContain('codec_payloadType')
+      expect(StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values, enabledStats: ['codec'] }))
+        .toContain('codec_payloadType')
+    })
+
+    test('should add codec labels to derived rates', () => {
+      const result = StatsFormatter.formatDerivedRates({
+        url: 'https://example.com',
+        rates: [{ type: 'inbound-rtp', id: 'IT01A1', kind: 'audio', rates: { packet_loss_ratio: 0.01 } }],
+        values
+      })
+
+      expect(result).toContain('inbound_rtp_packet_loss_ratio{pageUrl="https://example.com",id="IT01A1",kind="audio",codec_mime_type="audio/opus",clock_rate="48000",channels="2"} 0.01')
+    })
+
+    test('should skip streams whose codec is not in the report', () => {
+      expect(StatsFormatter.formatCodecLabels(undefined)).toEqual([])
+    })
+  })
+
+  describe('metric metadata', () => {
+    const values = [
+      { type: 'outbound-rtp', id: 'OT01', packetsSent: 800, targetBitrate: 1500000, kind: 'video' },
+      { type: 'outbound-rtp', id: 'OT02', packetsSent: 400, targetBitrate: 32000, kind: 'audio' }
+    ]
+
+    test('should type monotonic fields as counters with HELP text', () => {
+      const result = StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values })
+
+      expect(result).toContain('# HELP outbound_rtp_packetsSent Total RTP packets sent\n# TYPE outbound_rtp_packetsSent counter\n')
+      expect(result).toContain('# TYPE outbound_rtp_targetBitrate gauge')
+      expect(result).not.toContain('_total{')
+      expect(result).not.toContain('# EOF')
+    })
+
+    test('should keep each metric family contiguous', () => {
+      const result = StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values })
+      const names = result.split('\n').filter(line => line && !line.startsWith('#')).map(line => line.split('{')[0])
+
+      expect(names).toEqual([
+        'outbound_rtp_packetsSent',
+        'outbound_rtp_packetsSent',
+        'outbound_rtp_targetBitrate',
+        'outbound_rtp_targetBitrate'
+      ])
+    })
+
+    test('should default uncatalogued fields to gauge without HELP', () => {
+      const result = StatsFormatter.formatStats({
+        url: 'https://example.com',
+        state: 'connected',
+        values: [{ type: 'outbound-rtp', googCustomField: 5 }]
+      })
+
+      expect(result).toBe('# TYPE outbound_rtp_googCustomField gauge\noutbound_rtp_googCustomField{pageUrl="https://example.com",type="outbound-rtp"} 5\n')
+    })
+  })
+
+  describe('OpenMetrics format', () => {
+    test('should suffix counters with _total', () => {
+      const result = StatsFormatter.formatStats({
+        url: 'https://example.com',
+        state: 'connected',
+        values: [{ type: 'inbound-rtp', bytesReceived: 5000, jitter: 0.01 }],
+        format: 'openmetrics'
+      })
+
+      expect(result).toContain('# TYPE inbound_rtp_bytesReceived counter\ninbound_rtp_bytesReceived_total{pageUrl="https://example.com",type="inbound-rtp"} 5000\n')
+      expect(result).toContain('inbound_rtp_jitter{pageUrl="https://example.com",type="inbound-rtp"} 0.01')
+    })
+
+    test('should use the info type for info series', () => {
+      const result = StatsFormatter.formatSessionDescription({
+        url: 'https://example.com',
+        description: {
+          local: null,
+          remote: { type: 'answer', bundle: [], onHold: false, media: [{ mid: '0', kind: 'audio', direction: 'sendrecv', rejected: false, codec: 'opus', codecs: [] }] }
+        },
+        format: 'openmetrics'
+      })
+
+      expect(result).toContain('# TYPE peer_connection_media info\npeer_connection_media_info{')
+      expect(StatsFormatter.formatSessionDescription({
+        url: 'https://example.com',
+        description: { local: null, remote: { type: 'answer', bundle: [], onHold: false, media: [{ mid: '0', kind: 'audio', codecs: [] }] } }
+      })).toContain('# TYPE peer_connection_media_info gauge')
+    })
+
+    test('should emit UNIT only for families named after their unit', () => {
+      const result = StatsFormatter.formatEventCounters({
+        url: 'https://example.com',
+        counters: [{ type: 'negotiationneeded', state: '', count: 3, lastTimestamp: 1000 }],
+        format: 'openmetrics'
+      })
+
+      expect(result).toContain('# TYPE peer_connection_events counter\npeer_connection_events_total{')
+      expect(result).not.toContain('# UNIT')
+    })
+
+    test('should terminate the body with EOF', () => {
+      expect(StatsFormatter.finalize('metric 1\n', 'openmetrics')).toBe('metric 1\n# EOF\n')
+      expect(StatsFormatter.finalize('metric 1\n')).toBe('metric 1\n\n')
+    })
+  })
+
+  describe('info metrics mode', () => {
+    const values = [{
+      type: 'inbound-rtp',
+      id: 'IT01A1',
+      kind: 'audio',
+      mid: '0',
+      codecId: 'CIT01_111',
+      jitter: 0.01
+    }]
+
+    test('should keep only identity labels on numeric series', () => {
+      const result = StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values, infoMetrics: true })
+
+      expect(result).toContain('inbound_rtp_jitter{pageUrl="https://example.com",id="IT01A1",kind="audio"} 0.01')
+      expect(result).toContain('# TYPE webrtc_inbound_rtp_info gauge\nwebrtc_inbound_rtp_info{pageUrl="https://example.com",id="IT01A1",kind="audio",mid="0",codecId="CIT01_111"} 1')
+      expect(result).not.toContain('type="inbound-rtp"')
+    })
+
+    test('should move the peer connection state into the info series', () => {
+      const result = StatsFormatter.formatStats({
+        url: 'https://example.com',
+        state: 'connected',
+        values: [{ type: 'peer-connection', id: 'P', dataChannelsOpened: 1 }],
+        infoMetrics: true
+      })
+
+      expect(result).toContain('peer_connection_dataChannelsOpened{pageUrl="https://example.com",id="P"} 1')
+      expect(result).toContain('webrtc_peer_connection_info{pageUrl="https://example.com",id="P",state="connected"} 1')
+    })
+
+    test('should use the info type in OpenMetrics format', () => {
+      const result = StatsFormatter.formatStats({ url: 'https://example.com', state: 'connected', values, infoMetrics: true, format: 'openmetrics' })
+
+      expect(result).toContain('# TYPE webrtc_inbound_rtp info\nwebrtc_inbound_rtp_info{')
+    })
+  })
+
+  describe('escapeHelp', () => {
+    test('should escape backslashes and newlines', () => {
+      expect(StatsFormatter.escapeHelp('a\\b\nc')).toBe('a\\\\b\\nc')
+    })
+  })
+
+  describe('formatDerivedRates', () => {
+    test('should return empty string when there are no rates', () => {
+      expect(StatsFormatter.formatDerivedRates({ url: 'https://example.com', rates: [] })).toBe('')
+      expect(StatsFormatter.formatDerivedRates({ url: 'https://example.com' })).toBe('')
+    })
+
+    test('should format rates per stats object', () => {
+      const result = StatsFormatter.formatDerivedRates({
+        url: 'https://meet.google.com/abc',
+        agentId: 'agent-1',
+        rates: [
+          { type: 'inbound-rtp', id: 'IT01A1', kind: 'audio', rates: { bitrate: 32000, packet_loss_ratio: 0.01 } },
+          { type: 'inbound-rtp', id: 'IT01V2', kind: 'video', rates: { bitrate: 1500000 } }
+        ]
+      })
+
+      expect(result.match(/# TYPE inbound_rtp_bitrate gauge/g)).toHaveLength(1)
+      expect(result).toContain('inbound_rtp_bitrate{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="IT01A1",kind="audio"} 32000')
+      expect(result).toContain('inbound_rtp_bitrate{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="IT01V2",kind="video"} 1500000')
+      expect(result).toContain('# TYPE inbound_rtp_packet_loss_ratio gauge')
+      expect(result).toContain('inbound_rtp_packet_loss_ratio{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="IT01A1",kind="audio"} 0.01')
+    })
+
+    test('should skip non-finite rates', () => {
+      const result = StatsFormatter.formatDerivedRates({
+        url: 'https://example.com',
+        rates: [{ type: 'outbound-rtp', id: 'OT01', rates: { bitrate: Infinity, frame_rate: NaN } }]
+      })
+
+      expect(result).toBe('')
+    })
+  })
+
+  describe('formatQualityScores', () => {
+    test('should return empty string when there are no scores', () => {
+      expect(StatsFormatter.formatQualityScores({ url: 'https://example.com', scores: [] })).toBe('')
+    })
+
+    test('should format MOS and R-factor per audio stream', () => {
+      const result = StatsFormatter.formatQualityScores({
+        url: 'https://meet.google.com/abc',
+        agentId: 'agent-1',
+        scores: [
+          { id: 'OTA1', direction: 'outbound', codec: 'opus', rFactor: 92.9612, mos: 4.40459 },
+          { id: 'ITA2', direction: 'inbound', codec: 'unknown', rFactor: 30.697, mos: 1.6379 }
+        ]
+      })
+
+      expect(result).toContain('# TYPE webrtc_audio_mos gauge')
+      expect(result).toContain('webrtc_audio_mos{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="OTA1",direction="outbound",codec="opus"} 4.4')
+      expect(result).toContain('webrtc_audio_mos{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="ITA2",direction="inbound",codec="unknown"} 1.64')
+      expect(result).toContain('# TYPE webrtc_audio_r_factor gauge')
+      expect(result).toContain('webrtc_audio_r_factor{pageUrl="https://meet.google.com/abc",agent_id="agent-1",id="OTA1",direction="outbound",codec="opus"} 93')
+    })
+  })
+
+  describe('formatEventCounters', () => {
+    test('should return empty string when there are no counters', () => {
+      expect(StatsFormatter.formatEventCounters({ url: 'https://example.com', counters: [] })).toBe('')
+      expect(StatsFormatter.formatEventCounters({ url: 'https://example.com' })).toBe('')
+    })
+
+    test('should format counters and last event timestamps', () => {
+      const result = StatsFormatter.formatEventCounters({
+        url: 'https://meet.google.com/abc',
+        agentId: 'agent-1',
+        counters: [
+          { type: 'iceconnectionstatechange', state: 'disconnected', count: 2, lastTimestamp: 1700000000500 },
+          { type: 'negotiationneeded', state: '', count: 1, lastTimestamp: 1700000000000 }
+        ]
+      })
+
+      expect(result).toContain('# TYPE peer_connection_events counter')
+      expect(result).toContain('peer_connection_events{pageUrl="https://meet.google.com/abc",agent_id="agent-1",event="iceconnectionstatechange",state="disconnected"} 2')
+      expect(result).toContain('peer_connection_events{pageUrl="https://meet.google.com/abc",agent_id="agent-1",event="negotiationneeded",state=""} 1')
+      expect(result).toContain('# TYPE peer_connection_last_event_timestamp gauge')
+      expect(result).toContain('peer_connection_last_event_timestamp{pageUrl="https://meet.google.com/abc",agent_id="agent-1",event="iceconnectionstatechange",state="disconnected"} 1700000000.5')
+    })
+
+    test('should escape label values', () => {
+      const result = StatsFormatter.formatEventCounters({
+        url: 'https://example.com/"quoted"',
+        counters: [{ type: 'icecandidateerror', state: '701', count: 1, lastTimestamp: 1000 }]
+      })
+
+      expect(result).toContain('pageUrl="https://example.com/\\"quoted\\""')
+    })
+  })
+
+  describe('formatStaticLabels', () => {
+    test('should render labels in configuration order', () => {
+      expect(StatsFormatter.formatStaticLabels({ site: 'london', desk: '4' })).toEqual(['site="london"', 'desk="4"'])
+    })
+
+    test('should return no labels when none are configured', () => {
+      expect(StatsFormatter.formatStaticLabels(undefined)).toEqual([])
+      expect(StatsFormatter.formatStaticLabels({})).toEqual([])
+    })
+
+    test('should be applied to derived series', () => {
+      const result = StatsFormatter.formatEventCounters({
+        url: 'https://example.com',
+        staticLabels: { region: 'eu' },
+        counters: [{ type: 'negotiationneeded', state: '', count: 1, lastTimestamp: 1000 }]
+      })
+
+      expect(result).toContain('peer_connection_events{pageUrl="https://example.com",region="eu",event="negotiationneeded",state=""} 1')
+      expect(StatsFormatter.formatCardinalityStats({ stats: { activeSeries: 1 }, staticLabels: { region: 'eu' } }))
+        .toContain('webrtc_exporter_active_series{region="eu"} 1')
+    })
+  })
+
+  describe('formatNetworkPath', () => {
+    test('should return empty string without a selected path', () => {
+      expect(StatsFormatter.formatNetworkPath({ url: 'https://example.com', path: null })).toBe('')
+    })
+
+    test('should format the selected path as an info metric', () => {
+      const result = StatsFormatter.formatNetworkPath({
+        url: 'https://example.com',
+        agentId: 'agent-1',
+        path: { localCandidateType: 'relay', remoteCandidateType: 'srflx', protocol: 'udp', relayProtocol: 'tcp', networkType: 'ethernet' }
+      })
+
+      expect(result).toBe(
+        '# HELP peer_connection_network_path_info Candidate types, transport and relay protocol of the selected ICE candidate pair\n' +
+        '# TYPE peer_connection_network_path_info gauge\n' +
+        'peer_connection_network_path_info{pageUrl="https://example.com",agent_id="agent-1",local_candidate_type="relay",remote_candidate_type="srflx",protocol="udp",relay_protocol="tcp",network_type="ethernet"} 1\n'
+      )
+    })
+  })
+
+  describe('formatCardinalityStats', () => {
+    const stats = { activeSeries: 120, maxSeries: 5000, droppedSamples: 7 }
+
+    test('should return empty string without stats', () => {
+      expect(StatsFormatter.formatCardinalityStats({})).toBe('')
+    })
+
+    test('should format budget usage and drops per agent', () => {
+      const result = StatsFormatter.formatCardinalityStats({ stats, agentId: 'agent-1' })
+
+      expect(result).toContain('webrtc_exporter_active_series{agent_id="agent-1"} 120')
+      expect(result).toContain('webrtc_exporter_series_budget{agent_id="agent-1"} 5000')
+      expect(result).toContain('# TYPE webrtc_exporter_dropped_samples counter\nwebrtc_exporter_dropped_samples{agent_id="agent-1"} 7')
+    })
+
+    test('should omit the label set without an agent ID', () => {
+      const result = StatsFormatter.formatCardinalityStats({ stats, format: 'openmetrics' })
+
+      expect(result).toContain('\nwebrtc_exporter_active_series 120\n')
+      expect(result).toContain('\nwebrtc_exporter_dropped_samples_total 7\n')
+    })
+  })
+
+  describe('formatSessionDescription', () => {
+    const answer = {
+      type: 'answer',
+      bundle: [['0', '1']],
+      onHold: false,
+      media: [
+        {
+          mid: '0',
+          kind: 'audio',
+          direction: 'sendrecv',
+          rejected: false,
+          codec: 'opus',
+          codecs: [
+            { payloadType: 111, name: 'opus', clockRate: 48000, channels: 2 },
+            { payloadType: 126, name: 'telephone-event', clockRate: 8000, channels: null }
+          ]
+        },
+        {
+          mid: '1',
+          kind: 'video',
+          direction: 'inactive',
+          rejected: true,
+          codec: null,
+          codecs: []
+        }
+      ]
+    }
+
+    test('should return empty string without descriptions', () => {
+      expect(StatsFormatter.formatSessionDescription({ url: 'https://example.com', description: null })).toBe('')
+      expect(StatsFormatter.formatSessionDescription({ url: 'https://example.com', description: { local: null, remote: null } })).toBe('')
+    })
+
+    test('should format hold state per side', () => {
+      const result = StatsFormatter.formatSessionDescription({
+        url: 'https://meet.google.com/abc',
+        agentId: 'agent-1',
+        description: { local: { ...answer, type: 'offer', onHold: true }, remote: answer }
+      })
+
+      expect(result).toContain('# TYPE peer_connection_on_hold gauge')
+      expect(result).toContain('peer_connection_on_hold{pageUrl="https://meet.google.com/abc",agent_id="agent-1",side="local",sdp_type="offer"} 1')
+      expect(result).toContain('peer_connection_on_hold{pageUrl="https://meet.google.com/abc",agent_id="agent-1",side="remote",sdp_type="answer"} 0')
+    })
+
+    test('should format negotiated media sections as info metrics', () => {
+      const result = StatsFormatter.formatSessionDescription({
+        url: 'https://meet.google.com/abc',
+        description: { local: null, remote: answer }
+      })
+
+      expect(result).toContain('peer_connection_media_info{pageUrl="https://meet.google.com/abc",side="remote",sdp_type="answer",mid="0",kind="audio",direction="sendrecv",codec="opus",payload_type="111",clock_rate="48000",channels="2",bundle_group="0 1"} 1')
+      expect(result).toContain('mid="1",kind="video",direction="rejected",codec="",payload_type="",clock_rate="",channels="",bundle_group="0 1"} 1')
+    })
+
+    test('should list every offered codec', () => {
+      const result = StatsFormatter.formatSessionDescription({
+        url: 'https://meet.google.com/abc',
+        description: { local: null, remote: answer }
+      })
+
+      expect(result).toContain('# TYPE peer_connection_codec_info gauge')
+      expect(result).toContain('peer_connection_codec_info{pageUrl="https://meet.google.com/abc",side="remote",sdp_type="answer",mid="0",kind="audio",codec="telephone-event",payload_type="126",clock_rate="8000",channels=""} 1')
+      expect(result.match(/^peer_connection_codec_info/gm)).toHaveLength(2)
+    })
+  })
+
   describe('getQualityLimitationValue', () => {
     test('should return correct numeric values for known reasons', () => {
       expect(StatsFormatter.getQualityLimitationValue('none')).toBe(0)
@@ -337,7 +748,7 @@ describe('StatsFormatter', () => {
 
       // Verify structure
       expect(result).toContain('# TYPE inbound_rtp_ssrc gauge')
-      expect(result).toContain('# TYPE outbound_rtp_packetsSent gauge')
+      expect(result).toContain('# TYPE outbound_rtp_packetsSent counter')
       expect(result).toContain('# TYPE candidate_pair_priority gauge')
 
       // Verify labels are included
@@ -99,13 +99,23 @@ describe('TabMonitor', () => {
     test('should have default badge configuration', () => {
       expect(monitor.badgeConfig).toEqual({
         enabledColor: 'rgb(63, 81, 181)',
+        qualityColors: {
+          good: 'rgb(76, 175, 80)',
+          fair: 'rgb(255, 152, 0)',
+          poor: 'rgb(244, 67, 54)'
+        },
+        qualityThresholds: {
+          good: 4.0,
+          fair: 3.6
+        },
         textEmpty: '',
         titles: {
           noValidPage: 'WebRTC Internals Exporter (no valid page)',
           base: 'WebRTC Internals Exporter',
           activeConnections: 'WebRTC Internals Exporter\nActive Peer Connections',
           disabled: '(disabled)',
-          unsupportedDomain: '(unsupported domain)'
+          unsupportedDomain: '(unsupported domain)',
+          audioQuality: 'Audio MOS'
         }
       })
     })
@@ -232,6 +242,37 @@ describe('TabMonitor', () => {
       expect(mockChrome.action.setBadgeText).toHaveBeenCalledWith({ text: '0', tabId: 1 })
     })
 
+    test('should color the badge by estimated audio quality', async () => {
+      const tab = { id: 1, url: 'https://example.com' }
+      const mockQualityScorer = { getOriginQuality: jest.fn() }
+      monitor = new TabMonitor(mockDomainManager, mockConnectionTracker, mockLogger, mockQualityScorer)
+
+      mockQualityScorer.getOriginQuality.mockReturnValue(4.32)
+      await monitor.updateTabInfo(tab)
+      expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: 'rgb(76, 175, 80)', tabId: 1 })
+      expect(mockChrome.action.setTitle).toHaveBeenLastCalledWith({
+        title: 'WebRTC Internals Exporter\nActive Peer Connections: 2\nAudio MOS: 4.3',
+        tabId: 1
+      })
+
+      mockQualityScorer.getOriginQuality.mockReturnValue(3.7)
+      await monitor.updateTabInfo(tab)
+      expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: 'rgb(255, 152, 0)', tabId: 1 })
+
+      mockQualityScorer.getOriginQuality.mockReturnValue(2.1)
+      await monitor.updateTabInfo(tab)
+      expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({ color: 'rgb(244, 67, 54)', tabId: 1 })
+    })
+
+    test('should keep the default badge color without audio scores', async () => {
+      const tab = { id: 1, url: 'https://example.com' }
+      monitor = new TabMonitor(mockDomainManager, mockConnectionTracker, mockLogger, { getOriginQuality: jest.fn().mockReturnValue(null) })
+
+      await monitor.updateTabInfo(tab)
+
+      expect(mockChrome.action.setBadgeBackgroundColor).toHaveBeenCalledWith({ color: 'rgb(63, 81, 181)', tabId: 1 })
+    })
+
     test('should set badge for disabled target domain', async () => {
       const tab = { id: 1, url: 'https://example.com' }
       mockDomainManager.shouldAutoEnable.mockReturnValue(false)